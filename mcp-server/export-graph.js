@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Command line export of a project's task graph
+ *
+ * Usage: windsurf-task-master-graph <projectId> [--format mermaid|dot] [--focus <id|key>]
+ *        [--collapse-completed] [--output <file>] [--tasks-dir <dir>]
+ *
+ * Prints the graph to stdout, or writes it to --output. The tasks root is
+ * resolved the same way as for the server (--tasks-dir, WTM_TASKS_DIR, ...).
+ */
+
+import fs from 'fs/promises';
+import { TaskManager } from './src/core/task-manager.js';
+import { GRAPH_FORMATS } from './src/core/graph-export.js';
+import { readFlag } from './src/config/paths-config.js';
+import { TASK_KEY_PATTERN } from './src/storage/index.js';
+
+// Flags that take a value, so their value is not mistaken for the project ID
+const VALUE_FLAGS = ['format', 'focus', 'output', 'tasks-dir', 'workspace', 'config'];
+
+const USAGE = `Usage: windsurf-task-master-graph <projectId> [--format ${GRAPH_FORMATS.join('|')}] [--focus <id|key>] [--collapse-completed] [--output <file>] [--tasks-dir <dir>]`;
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} projectId, format, focus, collapseCompleted and output
+ * @throws {Error} If the project ID is missing or the focus is not a task ID or key
+ */
+function parseGraphArgs(argv) {
+    const positional = argv.filter((arg, i) =>
+        !arg.startsWith('--') && !VALUE_FLAGS.some(flag => argv[i - 1] === `--${flag}`));
+    if (positional.length !== 1) {
+        throw new Error(USAGE);
+    }
+
+    const focus = readFlag(argv, 'focus');
+    if (focus !== undefined && !/^\d+$/.test(focus) && !TASK_KEY_PATTERN.test(focus)) {
+        throw new Error(`--focus must be a task ID or key, got "${focus}"`);
+    }
+
+    return {
+        projectId: positional[0],
+        format: readFlag(argv, 'format') || 'mermaid',
+        focus: focus === undefined || TASK_KEY_PATTERN.test(focus) ? focus : Number(focus),
+        collapseCompleted: argv.includes('--collapse-completed'),
+        output: readFlag(argv, 'output')
+    };
+}
+
+/**
+ * Export the graph of the project named on the command line
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+    const { projectId, output, ...options } = parseGraphArgs(argv);
+    const taskManager = new TaskManager();
+    try {
+        if (!(await taskManager.hasProject(projectId))) {
+            throw new Error(`Project ${projectId} not found in ${taskManager.baseTasksDir}`);
+        }
+        const graph = await taskManager.exportTaskGraph(projectId, options);
+        if (output) {
+            await fs.writeFile(output, graph.text);
+            console.error(`Wrote ${graph.nodeCount} nodes and ${graph.edgeCount} edges to ${output}`);
+        } else {
+            process.stdout.write(graph.text);
+        }
+    } finally {
+        await taskManager.close();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -14,23 +14,34 @@ console.error(formatBrandedMessage('Initializing server...', 'primary'));
 // Create and start the server
 const server = new WindsurfTaskMCPServer();
 
-// Handle stdin end for clean shutdown
-process.stdin.on('end', () => {
-    if (!isShuttingDown) {
-        isShuttingDown = true;
-        console.error(formatBrandedMessage('Stdin end detected, shutting down...', 'warning'));
-        
-        // Stop the server and exit
-        server.stop().catch(error => {
-            console.error(formatBrandedMessage(`Error stopping server: ${error.message}`, 'error'));
-        }).finally(() => {
-            process.exit(0);
-        });
-    }
-});
+/**
+ * Stop the server (flushing pending task saves) and exit
+ * @param {string} reason - Why the server is shutting down
+ */
+function shutdown(reason) {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    console.error(formatBrandedMessage(`${reason}, shutting down...`, 'warning'));
+    
+    // Stop the server and exit
+    server.stop().catch(error => {
+        console.error(formatBrandedMessage(`Error stopping server: ${error.message}`, 'error'));
+    }).finally(() => {
+        process.exit(0);
+    });
+}
+
+// Handle termination signals so pending saves are not lost
+process.on('SIGINT', () => shutdown('SIGINT received'));
+process.on('SIGTERM', () => shutdown('SIGTERM received'));
 
 // Start the server
-server.start().catch(error => {
+server.start().then(() => {
+    // Handle stdin end for clean shutdown; an HTTP server does not depend on stdin
+    if (!server.httpServer) {
+        process.stdin.on('end', () => shutdown('Stdin end detected'));
+    }
+}).catch(error => {
     console.error(formatBrandedMessage(`Fatal error: ${error.message}`, 'error'));
     console.error(formatBrandedMessage('Please report this issue at ' + BRANDING.URLS.GITHUB, 'warning'));
     process.exit(1);
@@ -0,0 +1,262 @@
+/**
+ * Client authentication and tool permissions for the Windsurf Task Master™
+ *
+ * HTTP clients present a bearer token. Each token belongs to a named client
+ * with scopes (read, write, admin) and optionally a list of projects it may
+ * touch. The stdio transport serves the local process that spawned the
+ * server and is not authenticated. Tools, resources, subscriptions and prompts
+ * are all checked against the client of the session they arrive on.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { z } from 'zod';
+import { AuthenticationError, PermissionDeniedError } from '../utils/errors.js';
+
+// Scopes from least to most privileged; each one includes the ones before it
+export const SCOPES = ['read', 'write', 'admin'];
+
+/**
+ * Scope each tool requires. Tools not listed require admin.
+ */
+export const TOOL_SCOPES = {
+    // Reading tasks and project state
+    list_tasks: 'read',
+    search_tasks: 'read',
+    list_views: 'read',
+    run_view: 'read',
+    get_subtasks: 'read',
+    get_windsurf_tasks: 'read',
+    get_next_task: 'read',
+    display_task_status: 'read',
+    get_task_history: 'read',
+    validate_dependencies: 'read',
+    export_task_graph: 'read',
+    analyze_schedule: 'read',
+    list_snapshots: 'read',
+    diff_snapshot: 'read',
+    get_projects: 'read',
+    get_help: 'read',
+
+    // Changing individual tasks
+    create_task: 'write',
+    update_task: 'write',
+    complete_task: 'write',
+    delete_task: 'write',
+    add_subtask: 'write',
+    assign_to_windsurf: 'write',
+    update_windsurf_progress: 'write',
+    undo_last_change: 'write',
+    redo_last_change: 'write',
+    suggest_project_structure: 'write',
+    save_view: 'write',
+    delete_view: 'write',
+
+    // Bulk changes and project maintenance
+    delete_tasks: 'admin',
+    cleanup_tasks: 'admin',
+    repair_tasks: 'admin',
+    renumber_tasks: 'admin',
+    set_task_key_prefix: 'admin',
+    restore_project: 'admin'
+};
+
+// Tools that read no project data without a projectId, or keep to the client's
+// projects (see filterAccessibleProjects) when they span all projects
+const PROJECT_FREE_TOOLS = new Set(['get_help', 'get_projects', 'search_tasks', 'get_windsurf_tasks', 'display_task_status']);
+
+const clientSchema = z.object({
+    name: z.string().min(1),
+    token: z.string().min(16, 'Tokens must be at least 16 characters').optional(),
+    tokenSha256: z.string().regex(/^[a-f0-9]{64}$/, 'tokenSha256 must be a hex SHA-256 digest').optional(),
+    scopes: z.array(z.enum(SCOPES)).min(1),
+    projects: z.array(z.string().min(1)).optional()
+}).refine(client => Boolean(client.token) !== Boolean(client.tokenSha256), {
+    message: 'Give exactly one of token and tokenSha256'
+});
+
+const tokensFileSchema = z.object({
+    clients: z.array(clientSchema)
+});
+
+/**
+ * Hash a token for comparison
+ * @param {string} token - Token
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(token) {
+    return crypto.createHash('sha256').update(token, 'utf-8').digest();
+}
+
+/**
+ * Load the clients allowed to connect. Authentication is disabled when no
+ * tokens file and no single token are configured.
+ * @param {Object} config - Authentication configuration (see config/auth-config.js)
+ * @returns {Array<{client: Object, digest: Buffer}>} Clients with their token digests, or an empty list when disabled
+ * @throws {Error} If the tokens file cannot be read or is invalid
+ */
+export function loadClients({ tokensFile, token, tokenClientName }) {
+    const clients = [];
+
+    if (tokensFile) {
+        let parsed;
+        try {
+            parsed = tokensFileSchema.parse(JSON.parse(fs.readFileSync(tokensFile, 'utf-8')));
+        } catch (error) {
+            const reason = error instanceof z.ZodError
+                ? error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')
+                : error.message;
+            throw new Error(`Cannot load auth tokens from ${tokensFile}: ${reason}`);
+        }
+
+        for (const entry of parsed.clients) {
+            clients.push({
+                client: {
+                    name: entry.name,
+                    scopes: entry.scopes,
+                    projects: !entry.projects || entry.projects.includes('*') ? null : entry.projects
+                },
+                digest: entry.token ? digest(entry.token) : Buffer.from(entry.tokenSha256, 'hex')
+            });
+        }
+    }
+
+    if (token) {
+        clients.push({
+            client: { name: tokenClientName, scopes: ['admin'], projects: null },
+            digest: digest(token)
+        });
+    }
+
+    return clients;
+}
+
+/**
+ * Identify the client of an HTTP request from its `Authorization: Bearer` header
+ * @param {Array<{client: Object, digest: Buffer}>} clients - Clients returned by loadClients
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object} Client ({ name, scopes, projects })
+ * @throws {AuthenticationError} If the header is missing or the token is unknown
+ */
+export function authenticateRequest(clients, req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) {
+        throw new AuthenticationError('missing bearer token');
+    }
+
+    const presented = digest(match[1].trim());
+    const found = clients.find(entry => crypto.timingSafeEqual(entry.digest, presented));
+    if (!found) {
+        throw new AuthenticationError('unknown token');
+    }
+    return found.client;
+}
+
+/**
+ * Check whether a client's scopes include a scope
+ * @param {Object} client - Authenticated client
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if the client has the scope or a more privileged one
+ */
+export function hasScope(client, scope) {
+    const required = SCOPES.indexOf(scope);
+    return client.scopes.some(granted => SCOPES.indexOf(granted) >= required);
+}
+
+/**
+ * Check whether a client may access a project
+ * @param {Object} client - Authenticated client
+ * @param {string} projectId - Project ID
+ * @returns {boolean} True if the client is not limited to other projects
+ */
+export function canAccessProject(client, projectId) {
+    return client.projects === null || client.projects.includes(projectId);
+}
+
+/**
+ * Check that a client may read a project through a resource, subscription or prompt
+ * @param {Object|null} client - Authenticated client, or null for unauthenticated sessions such as stdio
+ * @param {string} projectId - Project ID
+ * @throws {PermissionDeniedError} If the client lacks the read scope or may not access the project
+ */
+export function checkProjectAccess(client, projectId) {
+    if (!client) return;
+    const details = { client: client.name, required: 'read', projectId };
+
+    if (!hasScope(client, 'read')) {
+        throw new PermissionDeniedError(`Client ${client.name} needs the read scope to read projects`, details);
+    }
+    if (!canAccessProject(client, projectId)) {
+        throw new PermissionDeniedError(`Client ${client.name} may not access project ${projectId}`, details);
+    }
+}
+
+/**
+ * Keep the projects a client may access
+ * @param {Object|null} client - Authenticated client, or null for unauthenticated sessions such as stdio
+ * @param {Array<string>} projectIds - Project IDs
+ * @returns {Array<string>} The project IDs the client may access
+ */
+export function filterAccessibleProjects(client, projectIds) {
+    return client ? projectIds.filter(projectId => canAccessProject(client, projectId)) : projectIds;
+}
+
+/**
+ * Drop the blockers in projects a client may not access, so their titles and statuses stay hidden
+ * @param {Object|null} client - Authenticated client, or null for unauthenticated sessions such as stdio
+ * @param {Map<number, Array<Object>>} externalBlockers - Blockers by task ID, from TaskManager#getExternalBlockers
+ * @returns {Map<number, Array<Object>>} The blockers the client may see
+ */
+export function filterExternalBlockers(client, externalBlockers) {
+    if (!client || client.projects === null) return externalBlockers;
+    const visible = new Map();
+    for (const [taskId, blockers] of externalBlockers) {
+        const accessible = blockers.filter(ref => canAccessProject(client, ref.projectId));
+        if (accessible.length > 0) visible.set(taskId, accessible);
+    }
+    return visible;
+}
+
+/**
+ * Check that a client may call a tool with the given arguments
+ * @param {Object} client - Authenticated client
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments
+ * @throws {PermissionDeniedError} If the tool's scope is missing, or the project or a project it references is not allowed
+ */
+export function checkToolAccess(client, toolName, args = {}) {
+    const required = TOOL_SCOPES[toolName] || 'admin';
+    const details = { client: client.name, tool: toolName, required, projectId: args.projectId };
+
+    if (!hasScope(client, required)) {
+        throw new PermissionDeniedError(
+            `Client ${client.name} needs the ${required} scope to call ${toolName}`,
+            details
+        );
+    }
+
+    if (args.projectId) {
+        if (!canAccessProject(client, args.projectId)) {
+            throw new PermissionDeniedError(
+                `Client ${client.name} may not access project ${args.projectId}`,
+                details
+            );
+        }
+    } else if (client.projects !== null && !PROJECT_FREE_TOOLS.has(toolName)) {
+        throw new PermissionDeniedError(
+            `Client ${client.name} is limited to projects ${client.projects.join(', ')}; pass a projectId to ${toolName}`,
+            details
+        );
+    }
+
+    // Referencing another project's task would reveal whether it exists
+    for (const ref of args.externalDependencies || []) {
+        if (!canAccessProject(client, ref.projectId)) {
+            throw new PermissionDeniedError(
+                `Client ${client.name} may not access project ${ref.projectId}`,
+                { ...details, projectId: ref.projectId }
+            );
+        }
+    }
+}
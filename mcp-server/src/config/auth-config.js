@@ -0,0 +1,41 @@
+/**
+ * Configuration for client authentication
+ * Clients of the HTTP transport authenticate with a bearer token; each token
+ * carries scopes and may be limited to some projects
+ */
+
+import { readFlag } from './paths-config.js';
+
+/**
+ * Resolve the authentication settings. Command line flags take precedence over environment variables.
+ * @param {Object} options - Values to resolve from (default to the current process)
+ * @param {Array<string>} options.argv - Command line arguments
+ * @param {Object} options.env - Environment variables
+ * @returns {Object} - Authentication configuration
+ */
+export function resolveAuthConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  return {
+    // JSON file listing the clients, their tokens, scopes and projects
+    tokensFile: readFlag(argv, 'auth-file') || env.WTM_AUTH_FILE || null,
+
+    // A single token with full access, for setups with one trusted client
+    token: env.WTM_AUTH_TOKEN || null,
+
+    // Actor recorded in the history for changes made with WTM_AUTH_TOKEN
+    tokenClientName: env.WTM_AUTH_CLIENT_NAME || 'http-client'
+  };
+}
+
+let resolved = null;
+
+/**
+ * Get the authentication configuration of this process, resolved once
+ * @param {Object} overrides - Values that take precedence over the resolved settings
+ * @returns {Object} - Authentication configuration
+ */
+export function getAuthConfig(overrides = {}) {
+  if (!resolved) {
+    resolved = resolveAuthConfig();
+  }
+  return { ...resolved, ...overrides };
+}
@@ -0,0 +1,24 @@
+/**
+ * Configuration for the task change history
+ * Controls the per-project audit log written on every save and the undo depth
+ */
+
+export const historyConfig = {
+  // Record every task change in tasks/<projectId>/history.jsonl
+  enabled: process.env.WTM_HISTORY !== 'off',
+
+  // Actor recorded for changes that do not name one (e.g. calls from the MCP client)
+  defaultActor: process.env.WTM_ACTOR || 'mcp-client',
+
+  // Number of operations per project that can be undone (kept in memory)
+  undoDepth: parseInt(process.env.WTM_UNDO_DEPTH || '20', 10)
+};
+
+/**
+ * Get the history configuration
+ * @param {Object} overrides - Values that take precedence over the defaults
+ * @returns {Object} - History configuration
+ */
+export function getHistoryConfig(overrides = {}) {
+  return { ...historyConfig, ...overrides };
+}
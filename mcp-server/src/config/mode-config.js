@@ -0,0 +1,45 @@
+/**
+ * Configuration for the server mode, chosen at startup
+ * Limits what connected agents can do regardless of their credentials
+ */
+
+import { readFlag } from './paths-config.js';
+
+// full: every tool; read-only: only tools that read; safe: destructive tools need a confirmation token from a preview
+export const SERVER_MODES = ['full', 'read-only', 'safe'];
+
+/**
+ * Resolve the server mode. The --mode flag takes precedence over WTM_MODE.
+ * @param {Object} options - Values to resolve from (default to the current process)
+ * @param {Array<string>} options.argv - Command line arguments
+ * @param {Object} options.env - Environment variables
+ * @returns {Object} - Mode configuration
+ * @throws {Error} If the mode is unknown
+ */
+export function resolveModeConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const mode = readFlag(argv, 'mode') || env.WTM_MODE || 'full';
+  if (!SERVER_MODES.includes(mode)) {
+    throw new Error(`Unknown server mode "${mode}", expected one of: ${SERVER_MODES.join(', ')}`);
+  }
+
+  return {
+    mode,
+
+    // Milliseconds a confirmation token from a preview stays valid in safe mode
+    confirmationTtl: parseInt(env.WTM_CONFIRMATION_TTL || '300000', 10)
+  };
+}
+
+let resolved = null;
+
+/**
+ * Get the mode configuration of this process, resolved once
+ * @param {Object} overrides - Values that take precedence over the resolved settings
+ * @returns {Object} - Mode configuration
+ */
+export function getModeConfig(overrides = {}) {
+  if (!resolved) {
+    resolved = resolveModeConfig();
+  }
+  return { ...resolved, ...overrides };
+}
@@ -0,0 +1,19 @@
+/**
+ * Configuration for tool output
+ * Controls the decoration of the text part of tool responses
+ */
+
+export const outputConfig = {
+  // 'branded' keeps emoji, product names, trademark notices and support links in tool text;
+  // 'plain' drops them. Tools can override this per call with their `plain` parameter.
+  style: process.env.WTM_OUTPUT_STYLE === 'plain' ? 'plain' : 'branded'
+};
+
+/**
+ * Get the output configuration
+ * @param {Object} overrides - Values that take precedence over the defaults
+ * @returns {Object} - Output configuration
+ */
+export function getOutputConfig(overrides = {}) {
+  return { ...outputConfig, ...overrides };
+}
@@ -0,0 +1,104 @@
+/**
+ * Configuration for the tasks root directory
+ * Every component (TaskManager, FileWatcher, tools) resolves project folders under this one directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Tasks folder of the repository the server runs from, used when nothing else is configured
+export const DEFAULT_TASKS_ROOT = path.resolve(__dirname, '../../../tasks');
+
+// Per-workspace task folder, relative to the workspace root
+export const WORKSPACE_TASKS_DIR = path.join('.windsurf', 'tasks');
+
+// Config file looked up in the workspace when neither --config nor WTM_CONFIG is given
+export const WORKSPACE_CONFIG_FILE = path.join('.windsurf', 'task-master.json');
+
+/**
+ * Read the value of a command line flag given as `--name value` or `--name=value`
+ * @param {Array<string>} argv - Command line arguments
+ * @param {string} name - Flag name without the leading dashes
+ * @returns {string|undefined} - Flag value
+ */
+export function readFlag(argv, name) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}`) return argv[i + 1];
+    if (argv[i].startsWith(`--${name}=`)) return argv[i].slice(name.length + 3);
+  }
+  return undefined;
+}
+
+/**
+ * Resolve the tasks root directory. Sources, highest precedence first:
+ * 1. the --tasks-dir command line flag
+ * 2. the WTM_TASKS_DIR environment variable
+ * 3. `tasksDir` in the config file (--config, WTM_CONFIG or .windsurf/task-master.json in the workspace)
+ * 4. a .windsurf/tasks folder in the workspace (--workspace, WTM_WORKSPACE or the working directory)
+ * 5. the repository tasks folder
+ * Relative paths resolve against the working directory, or against the config file's folder for tasksDir.
+ * @param {Object} options - Values to resolve from (default to the current process)
+ * @param {Array<string>} options.argv - Command line arguments
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.cwd - Working directory
+ * @returns {{tasksRoot: string, source: string}} - Absolute tasks root and where it came from
+ * @throws {Error} If the config file cannot be read or parsed
+ */
+export function resolveTasksRoot({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const flag = readFlag(argv, 'tasks-dir');
+  if (flag) {
+    return { tasksRoot: path.resolve(cwd, flag), source: '--tasks-dir' };
+  }
+
+  if (env.WTM_TASKS_DIR) {
+    return { tasksRoot: path.resolve(cwd, env.WTM_TASKS_DIR), source: 'WTM_TASKS_DIR' };
+  }
+
+  const workspace = path.resolve(cwd, readFlag(argv, 'workspace') || env.WTM_WORKSPACE || '.');
+  const explicitConfig = readFlag(argv, 'config') || env.WTM_CONFIG;
+  const configPath = explicitConfig ? path.resolve(cwd, explicitConfig) : path.join(workspace, WORKSPACE_CONFIG_FILE);
+  if (explicitConfig || fs.existsSync(configPath)) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+    }
+    if (config.tasksDir) {
+      return { tasksRoot: path.resolve(path.dirname(configPath), config.tasksDir), source: configPath };
+    }
+  }
+
+  const workspaceTasks = path.join(workspace, WORKSPACE_TASKS_DIR);
+  if (fs.existsSync(workspaceTasks)) {
+    return { tasksRoot: workspaceTasks, source: 'workspace' };
+  }
+
+  return { tasksRoot: DEFAULT_TASKS_ROOT, source: 'default' };
+}
+
+let resolved = null;
+
+/**
+ * Get the tasks root of this process, resolved once from its arguments, environment and working directory
+ * @returns {string} - Absolute tasks root
+ */
+export function getTasksRoot() {
+  if (!resolved) {
+    resolved = resolveTasksRoot();
+  }
+  return resolved.tasksRoot;
+}
+
+/**
+ * Get where the tasks root of this process came from, for startup logs
+ * @returns {string} - '--tasks-dir', 'WTM_TASKS_DIR', a config file path, 'workspace' or 'default'
+ */
+export function getTasksRootSource() {
+  getTasksRoot();
+  return resolved.source;
+}
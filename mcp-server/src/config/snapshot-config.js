@@ -0,0 +1,25 @@
+/**
+ * Configuration for project snapshots
+ * Controls when full copies of a project are written to tasks/<projectId>/snapshots and how long they are kept
+ */
+
+export const snapshotConfig = {
+  // Take snapshots before destructive operations (bulk deletes, cleanup runs, renumbering)
+  enabled: process.env.WTM_SNAPSHOTS !== 'off',
+
+  // Interval in ms between scheduled snapshots of projects that changed (0 disables the schedule)
+  interval: parseInt(process.env.WTM_SNAPSHOT_INTERVAL || '3600000', 10),
+
+  // Retention: snapshots beyond either limit are deleted, oldest first (0 for no limit)
+  maxCount: parseInt(process.env.WTM_SNAPSHOT_MAX_COUNT || '20', 10),
+  maxAgeDays: parseInt(process.env.WTM_SNAPSHOT_MAX_AGE_DAYS || '30', 10)
+};
+
+/**
+ * Get the snapshot configuration
+ * @param {Object} overrides - Values that take precedence over the defaults
+ * @returns {Object} - Snapshot configuration
+ */
+export function getSnapshotConfig(overrides = {}) {
+  return { ...snapshotConfig, ...overrides };
+}
@@ -0,0 +1,34 @@
+/**
+ * Configuration for task storage
+ * Selects the storage adapter the TaskManager persists projects through
+ */
+
+export const storageConfig = {
+  // Storage adapter: 'json' (one tasks.json per project) or 'sqlite' (embedded database)
+  adapter: process.env.WTM_STORAGE_ADAPTER || 'json',
+
+  // SQLite adapter settings
+  sqlite: {
+    filename: process.env.WTM_SQLITE_FILE || 'tasks.db'  // Relative paths resolve against the tasks directory
+  },
+
+  // Advisory lock on tasks.json, shared by every server process using the tasks directory
+  lock: {
+    timeout: parseInt(process.env.WTM_LOCK_TIMEOUT || '10000', 10),       // Give up waiting after this many ms
+    staleAfter: parseInt(process.env.WTM_LOCK_STALE_AFTER || '30000', 10) // Break locks older than this many ms
+  }
+};
+
+/**
+ * Get the storage configuration
+ * @param {Object} overrides - Values that take precedence over the defaults
+ * @returns {Object} - Storage configuration
+ */
+export function getStorageConfig(overrides = {}) {
+  return {
+    ...storageConfig,
+    ...overrides,
+    sqlite: { ...storageConfig.sqlite, ...(overrides.sqlite || {}) },
+    lock: { ...storageConfig.lock, ...(overrides.lock || {}) }
+  };
+}
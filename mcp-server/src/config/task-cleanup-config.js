@@ -40,9 +40,9 @@ export const taskCleanupConfig = {
       validateTimestamps: true           // Ensure timestamps are valid and in correct order
     },
     
-    // Task ID reorganization
+    // Task ID reorganization (opt-in: renumbering changes the IDs of existing tasks)
     reorganizeTaskIds: {
-      enabled: true,
+      enabled: false,
       onlyAfterDeletion: true,      // Only reorganize after tasks are deleted
       preserveReferences: true       // Preserve references to tasks in dependencies
     },
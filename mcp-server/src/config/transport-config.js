@@ -0,0 +1,65 @@
+/**
+ * Configuration for the MCP transport
+ * stdio serves the one client that spawned the process; http lets one long-running
+ * server serve several clients from the same tasks root
+ */
+
+import { readFlag } from './paths-config.js';
+
+export const TRANSPORT_TYPES = ['stdio', 'http'];
+
+/**
+ * Resolve the transport settings. Command line flags take precedence over environment variables.
+ * @param {Object} options - Values to resolve from (default to the current process)
+ * @param {Array<string>} options.argv - Command line arguments
+ * @param {Object} options.env - Environment variables
+ * @returns {Object} - Transport configuration
+ * @throws {Error} If the transport type or port is invalid
+ */
+export function resolveTransportConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const type = readFlag(argv, 'transport') || env.WTM_TRANSPORT || 'stdio';
+  if (!TRANSPORT_TYPES.includes(type)) {
+    throw new Error(`Unknown transport "${type}", expected one of: ${TRANSPORT_TYPES.join(', ')}`);
+  }
+
+  const port = parseInt(readFlag(argv, 'port') || env.WTM_HTTP_PORT || '3030', 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${readFlag(argv, 'port') || env.WTM_HTTP_PORT}`);
+  }
+
+  return {
+    type,
+
+    // Interface the HTTP server listens on; loopback only unless configured otherwise
+    host: readFlag(argv, 'host') || env.WTM_HTTP_HOST || '127.0.0.1',
+
+    // Port the HTTP server listens on (0 picks a free port)
+    port,
+
+    // Path of the Streamable HTTP MCP endpoint
+    endpoint: env.WTM_HTTP_ENDPOINT || '/mcp',
+
+    // Path answering GET requests with the server's health
+    healthPath: env.WTM_HTTP_HEALTH_PATH || '/health',
+
+    // Milliseconds open requests get to finish on shutdown before their connections are dropped
+    shutdownTimeout: parseInt(env.WTM_SHUTDOWN_TIMEOUT || '5000', 10),
+
+    // Largest request body in bytes accepted on the MCP endpoint
+    maxBodySize: parseInt(env.WTM_HTTP_MAX_BODY_SIZE || '1048576', 10)
+  };
+}
+
+let resolved = null;
+
+/**
+ * Get the transport configuration of this process, resolved once
+ * @param {Object} overrides - Values that take precedence over the resolved settings
+ * @returns {Object} - Transport configuration
+ */
+export function getTransportConfig(overrides = {}) {
+  if (!resolved) {
+    resolved = resolveTransportConfig();
+  }
+  return { ...resolved, ...overrides };
+}
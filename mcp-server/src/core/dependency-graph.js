@@ -0,0 +1,197 @@
+/**
+ * Validation of the dependency graph of a project's tasks
+ *
+ * A task's dependencies must name other tasks of the same project, and
+ * following dependencies must never lead back to the task it started from.
+ * An unfinished task is blocked while any of its dependencies is unfinished.
+ */
+
+/**
+ * Find a dependency path from a task back to itself
+ * @param {Map<number, Object>} byId - Tasks by ID
+ * @param {number} startId - Task to start from
+ * @returns {Array<number>|null} The cycle as task IDs, starting and ending with startId, or null
+ */
+export function findCycleFrom(byId, startId) {
+    const visited = new Set();
+    const path = [startId];
+
+    const visit = (id) => {
+        for (const depId of byId.get(id)?.dependencies || []) {
+            if (depId === startId) {
+                path.push(depId);
+                return true;
+            }
+            if (visited.has(depId) || !byId.has(depId)) continue;
+            visited.add(depId);
+            path.push(depId);
+            if (visit(depId)) return true;
+            path.pop();
+        }
+        return false;
+    };
+
+    return visit(startId) ? path : null;
+}
+
+/**
+ * Check the dependencies of one task against the rest of its project
+ * @param {Object} task - Task to check
+ * @param {Map<number, Object>} byId - All tasks of the project by ID, including this one
+ * @param {Array<number>} checkedIds - Dependencies to check for existence (default: all of them)
+ * @returns {Object|null} The first problem ({ type: 'self'|'missing'|'cycle', taskId, dependencyId, path }), or null
+ */
+export function checkTaskDependencies(task, byId, checkedIds = task.dependencies || []) {
+    for (const depId of checkedIds) {
+        if (depId === task.id) {
+            return { type: 'self', taskId: task.id, dependencyId: depId };
+        }
+        if (!byId.has(depId)) {
+            return { type: 'missing', taskId: task.id, dependencyId: depId };
+        }
+    }
+    const path = findCycleFrom(byId, task.id);
+    return path ? { type: 'cycle', taskId: task.id, path } : null;
+}
+
+/**
+ * Find every dependency problem in a project: references to the task itself,
+ * to tasks that do not exist, listed twice, and cycles (each reported once)
+ * @param {Array<Object>} tasks - All tasks of the project
+ * @returns {Array<Object>} Problems ({ type, taskId, dependencyId } or { type: 'cycle', taskId, path })
+ */
+export function findDependencyProblems(tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const problems = [];
+
+    for (const task of tasks) {
+        const seen = new Set();
+        for (const depId of task.dependencies || []) {
+            if (seen.has(depId)) {
+                problems.push({ type: 'duplicate', taskId: task.id, dependencyId: depId });
+            } else if (depId === task.id) {
+                problems.push({ type: 'self', taskId: task.id, dependencyId: depId });
+            } else if (!byId.has(depId)) {
+                problems.push({ type: 'missing', taskId: task.id, dependencyId: depId });
+            }
+            seen.add(depId);
+        }
+    }
+
+    // Depth-first search; an edge back to a task on the current path closes a cycle
+    const state = new Map(); // Task ID -> 'active' while on the path, 'done' once explored
+    const stack = [];
+    const visit = (id) => {
+        state.set(id, 'active');
+        stack.push(id);
+        for (const depId of new Set(byId.get(id).dependencies || [])) {
+            if (depId === id || !byId.has(depId)) continue;
+            if (state.get(depId) === 'active') {
+                const path = [...stack.slice(stack.indexOf(depId)), depId];
+                problems.push({ type: 'cycle', taskId: depId, path });
+            } else if (!state.has(depId)) {
+                visit(depId);
+            }
+        }
+        stack.pop();
+        state.set(id, 'done');
+    };
+    for (const task of tasks) {
+        if (!state.has(task.id)) visit(task.id);
+    }
+
+    return problems;
+}
+
+/**
+ * Find the dependencies that keep a task from starting
+ * @param {Object} task - Task
+ * @param {Map<number, Object>} byId - All tasks of the project by ID
+ * @returns {Array<number>} IDs of existing dependencies that are not completed
+ */
+export function findBlockers(task, byId) {
+    return (task.dependencies || []).filter(depId => byId.has(depId) && byId.get(depId).status !== 'completed');
+}
+
+/**
+ * Find every blocked task of a project. Completed tasks are never blocked,
+ * and references to missing tasks do not block (validation reports them).
+ * @param {Array<Object>} tasks - All tasks of the project
+ * @param {Map<number, Object>} byId - The same tasks by ID
+ * @returns {Map<number, Array<number>>} Blocking dependency IDs by blocked task ID
+ */
+export function findBlockedTasks(tasks, byId = new Map(tasks.map(task => [task.id, task]))) {
+    const blockedBy = new Map();
+    for (const task of tasks) {
+        if (task.status === 'completed') continue;
+        const blockers = findBlockers(task, byId);
+        if (blockers.length > 0) blockedBy.set(task.id, blockers);
+    }
+    return blockedBy;
+}
+
+/**
+ * Measure how much unfinished work waits on each unfinished task
+ * @param {Array<Object>} tasks - All tasks of the project
+ * @returns {Map<number, {depth: number, dependents: Array<number>}>} For each unfinished task, the length
+ *   of the longest chain of unfinished tasks waiting on it, and the unfinished tasks depending on it directly
+ */
+export function measureDependents(tasks) {
+    const unfinished = tasks.filter(task => task.status !== 'completed');
+    const dependents = new Map(unfinished.map(task => [task.id, []]));
+    for (const task of unfinished) {
+        for (const depId of new Set(task.dependencies || [])) {
+            if (depId !== task.id) dependents.get(depId)?.push(task.id);
+        }
+    }
+
+    // Memoized depth-first search; a task already on the path (a cycle) adds nothing
+    const depths = new Map();
+    const active = new Set();
+    const depthOf = (id) => {
+        if (depths.has(id)) return depths.get(id);
+        if (active.has(id)) return 0;
+        active.add(id);
+        let depth = 0;
+        for (const dependentId of dependents.get(id)) {
+            depth = Math.max(depth, 1 + depthOf(dependentId));
+        }
+        active.delete(id);
+        depths.set(id, depth);
+        return depth;
+    };
+
+    return new Map(unfinished.map(task => [task.id, { depth: depthOf(task.id), dependents: dependents.get(task.id) }]));
+}
+
+/**
+ * Name the blockers of a task in one line
+ * @param {Object} blockers - Blockers from TaskManager#getBlockers
+ * @returns {string} Display text, like "#2, backend#12"
+ */
+export function formatBlockers({ dependencies, externalDependencies }) {
+    return [
+        ...dependencies.map(id => `#${id}`),
+        ...externalDependencies.map(ref => `${ref.projectId}#${ref.taskId}`)
+    ].join(', ');
+}
+
+/**
+ * Describe a dependency problem in one line
+ * @param {Object} problem - Problem from checkTaskDependencies or findDependencyProblems
+ * @returns {string} Display text
+ */
+export function describeDependencyProblem(problem) {
+    switch (problem.type) {
+        case 'self':
+            return `Task #${problem.taskId} depends on itself`;
+        case 'missing': {
+            const dependency = problem.dependencyProjectId ? `${problem.dependencyProjectId}#${problem.dependencyId}` : `#${problem.dependencyId}`;
+            return `Task #${problem.taskId} depends on task ${dependency}, which does not exist`;
+        }
+        case 'duplicate':
+            return `Task #${problem.taskId} lists dependency #${problem.dependencyId} more than once`;
+        default:
+            return `Dependency cycle: ${problem.path.map(id => `#${id}`).join(' → ')}`;
+    }
+}
@@ -1,14 +1,10 @@
 import chokidar from 'chokidar';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 import { isValidProjectId, getProjectDirPath, getTasksFilePath } from '../utils/security.js';
 import { logger } from '../utils/logger.js';
 import { FileSystemError } from '../utils/errors.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 /**
  * Watch for task file changes to integrate with Windsurf
  */
@@ -16,7 +12,7 @@ export class FileWatcher {
     constructor(taskManager) {
         this.taskManager = taskManager;
         this.watchers = new Map(); // Map of project IDs to their watchers
-        this.baseTasksDir = path.join(__dirname, '../../../tasks');
+        this.baseTasksDir = taskManager.baseTasksDir; // Same tasks root as the task manager
     }
 
     /**
@@ -39,8 +35,8 @@ export class FileWatcher {
         
         // When a new directory is added, watch its tasks.json file
         dirWatcher.on('addDir', async (dirPath) => {
-            // Skip the base tasks directory itself
-            if (dirPath === this.baseTasksDir) return;
+            // Skip the base tasks directory itself, and folders inside projects (snapshots, quarantine)
+            if (dirPath === this.baseTasksDir || path.dirname(dirPath) !== this.baseTasksDir) return;
             
             const projectId = path.basename(dirPath);
             
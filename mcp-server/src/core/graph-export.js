@@ -0,0 +1,164 @@
+/**
+ * Rendering of a project's task graph as Mermaid or Graphviz DOT
+ *
+ * The graph has a node per task and two kinds of edges: dependency edges
+ * point from a dependency to the task waiting on it, and subtask edges from a
+ * parent to its subtasks. Nodes are styled by status, with blocked tasks
+ * marked apart from other pending tasks.
+ */
+
+import { findBlockedTasks } from './dependency-graph.js';
+
+export const GRAPH_FORMATS = ['mermaid', 'dot'];
+
+// Node ID of the single node completed tasks are collapsed into
+const COLLAPSED_NODE = 'completed';
+
+// Fill and border colors of each node style
+const NODE_STYLES = {
+    pending: { fill: '#f5f5f5', stroke: '#999999' },
+    blocked: { fill: '#f8d7da', stroke: '#c82333' },
+    inProgress: { fill: '#fff3cd', stroke: '#d39e00' },
+    completed: { fill: '#d4edda', stroke: '#28a745' }
+};
+
+/**
+ * Find the tasks connected to one task through dependency and subtask edges
+ * @param {Array<Object>} edges - Edges ({ from, to })
+ * @param {number} focusId - Task to start from
+ * @returns {Set<number>} The task, every task it leads from (ancestors) and every task it leads to (descendants)
+ */
+function connectedTo(edges, focusId) {
+    const walk = (next) => {
+        const reached = new Set([focusId]);
+        const queue = [focusId];
+        while (queue.length > 0) {
+            for (const id of next(queue.shift())) {
+                if (!reached.has(id)) {
+                    reached.add(id);
+                    queue.push(id);
+                }
+            }
+        }
+        return reached;
+    };
+    const ancestors = walk(id => edges.filter(edge => edge.to === id).map(edge => edge.from));
+    const descendants = walk(id => edges.filter(edge => edge.from === id).map(edge => edge.to));
+    return new Set([...ancestors, ...descendants]);
+}
+
+/**
+ * Build the graph of a project's tasks
+ * @param {Array<Object>} tasks - All tasks of the project
+ * @param {Object} options - Options
+ * @param {number} options.focus - Only keep this task and its ancestors and descendants
+ * @param {boolean} options.collapseCompleted - Replace completed tasks (except the focus) with one summary node
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} Nodes ({ id, label, style }) and
+ *   edges ({ from, to, type: 'dependency'|'subtask' }); node IDs are task IDs or 'completed'
+ */
+export function buildTaskGraph(tasks, { focus, collapseCompleted = false } = {}) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const blockedBy = findBlockedTasks(tasks, byId);
+
+    let edges = [];
+    for (const task of tasks) {
+        for (const depId of new Set(task.dependencies || [])) {
+            if (byId.has(depId) && depId !== task.id) edges.push({ from: depId, to: task.id, type: 'dependency' });
+        }
+        for (const subtaskId of task.subtasks || []) {
+            if (byId.has(subtaskId)) edges.push({ from: task.id, to: subtaskId, type: 'subtask' });
+        }
+    }
+
+    let kept = tasks;
+    if (focus !== undefined && focus !== null) {
+        const connected = connectedTo(edges, focus);
+        kept = tasks.filter(task => connected.has(task.id));
+        edges = edges.filter(edge => connected.has(edge.from) && connected.has(edge.to));
+    }
+
+    const collapsed = collapseCompleted
+        ? new Set(kept.filter(task => task.status === 'completed' && task.id !== focus).map(task => task.id))
+        : new Set();
+    const nodeOf = id => collapsed.has(id) ? COLLAPSED_NODE : id;
+
+    const nodes = kept
+        .filter(task => !collapsed.has(task.id))
+        .map(task => ({
+            id: task.id,
+            label: `#${task.id}${task.key ? ` ${task.key}` : ''} ${task.title}`,
+            style: task.status === 'completed' ? 'completed'
+                : task.status === 'in-progress' ? 'inProgress'
+                    : blockedBy.has(task.id) ? 'blocked' : 'pending'
+        }));
+    if (collapsed.size > 0) {
+        nodes.unshift({ id: COLLAPSED_NODE, label: `${collapsed.size} completed task${collapsed.size === 1 ? '' : 's'}`, style: 'completed' });
+    }
+
+    // Edges into or out of collapsed tasks attach to the summary node, once per task and type
+    const seen = new Set();
+    const graphEdges = [];
+    for (const edge of edges) {
+        const from = nodeOf(edge.from);
+        const to = nodeOf(edge.to);
+        const key = `${from}>${to}>${edge.type}`;
+        if (from === to || seen.has(key)) continue;
+        seen.add(key);
+        graphEdges.push({ from, to, type: edge.type });
+    }
+
+    return { nodes, edges: graphEdges };
+}
+
+/**
+ * Get the node name used in the rendered text
+ * @param {number|string} id - Node ID
+ * @returns {string} Node name
+ */
+function nodeName(id) {
+    return id === COLLAPSED_NODE ? COLLAPSED_NODE : `t${id}`;
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ * @param {Object} graph - Graph from buildTaskGraph
+ * @returns {string} Mermaid text
+ */
+export function toMermaid({ nodes, edges }) {
+    const escape = text => text.replace(/"/g, '#quot;');
+    const lines = ['flowchart LR'];
+    for (const node of nodes) {
+        lines.push(`    ${nodeName(node.id)}["${escape(node.label)}"]:::${node.style}`);
+    }
+    for (const edge of edges) {
+        lines.push(`    ${nodeName(edge.from)} ${edge.type === 'subtask' ? '-.->' : '-->'} ${nodeName(edge.to)}`);
+    }
+    for (const [style, { fill, stroke }] of Object.entries(NODE_STYLES)) {
+        lines.push(`    classDef ${style} fill:${fill},stroke:${stroke}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a graph as a Graphviz digraph
+ * @param {Object} graph - Graph from buildTaskGraph
+ * @param {string} name - Graph name
+ * @returns {string} DOT text
+ */
+export function toDot({ nodes, edges }, name = 'tasks') {
+    const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = [
+        `digraph ${quote(name)} {`,
+        '    rankdir=LR;',
+        '    node [shape=box, style="rounded,filled"];'
+    ];
+    for (const node of nodes) {
+        const { fill, stroke } = NODE_STYLES[node.style];
+        lines.push(`    ${nodeName(node.id)} [label=${quote(node.label)}, fillcolor="${fill}", color="${stroke}"];`);
+    }
+    for (const edge of edges) {
+        lines.push(`    ${nodeName(edge.from)} -> ${nodeName(edge.to)}${edge.type === 'subtask' ? ' [style=dashed]' : ''};`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
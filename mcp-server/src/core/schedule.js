@@ -0,0 +1,146 @@
+/**
+ * Critical path scheduling of a project's unfinished tasks
+ *
+ * Each unfinished task takes its remaining estimate (the estimate scaled by
+ * the progress not yet made) and can start once its unfinished dependencies
+ * have finished. Completed tasks are already done and take no time. Times are
+ * in the unit of the estimates, counted from now.
+ */
+
+/**
+ * Round a time to two decimals, so sums of estimates compare exactly
+ * @param {number} value - Time
+ * @returns {number} Rounded time
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the remaining duration of a task
+ * @param {Object} task - Task
+ * @param {number} defaultEstimate - Estimate of tasks without one
+ * @returns {number} Remaining duration
+ */
+function remainingDuration(task, defaultEstimate) {
+    const estimate = task.estimate ?? defaultEstimate;
+    return round(estimate * (100 - (task.progress || 0)) / 100);
+}
+
+/**
+ * Order tasks so every task comes after its dependencies (Kahn's algorithm,
+ * lowest ID first among the tasks that are free to go)
+ * @param {Array<Object>} tasks - Tasks; dependencies outside this list are ignored
+ * @returns {{order: Array<number>, cyclic: Array<number>}} Task IDs in order, and the IDs left over by a dependency cycle
+ */
+export function topologicalOrder(tasks) {
+    const ids = new Set(tasks.map(task => task.id));
+    const waiting = new Map();
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    for (const task of tasks) {
+        const deps = new Set((task.dependencies || []).filter(depId => ids.has(depId) && depId !== task.id));
+        waiting.set(task.id, deps.size);
+        for (const depId of deps) dependents.get(depId).push(task.id);
+    }
+
+    const ready = tasks.filter(task => waiting.get(task.id) === 0).map(task => task.id).sort((a, b) => a - b);
+    const order = [];
+    while (ready.length > 0) {
+        const id = ready.shift();
+        order.push(id);
+        for (const dependentId of dependents.get(id)) {
+            waiting.set(dependentId, waiting.get(dependentId) - 1);
+            if (waiting.get(dependentId) === 0) {
+                const at = ready.findIndex(other => other > dependentId);
+                ready.splice(at === -1 ? ready.length : at, 0, dependentId);
+            }
+        }
+    }
+
+    const placed = new Set(order);
+    return { order, cyclic: tasks.map(task => task.id).filter(id => !placed.has(id)) };
+}
+
+/**
+ * Find a task and every unfinished task it transitively depends on
+ * @param {Array<Object>} tasks - Unfinished tasks
+ * @param {number} targetId - Task to start from
+ * @returns {Array<Object>} The target and its unfinished dependencies
+ */
+function withDependencies(tasks, targetId) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const kept = new Set();
+    const queue = [targetId];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (kept.has(id) || !byId.has(id)) continue;
+        kept.add(id);
+        queue.push(...(byId.get(id).dependencies || []));
+    }
+    return tasks.filter(task => kept.has(task.id));
+}
+
+/**
+ * Compute the schedule of a project's unfinished tasks: earliest and latest
+ * start and finish, slack, and the critical path (the longest chain of
+ * dependent work, which no task on it can slip without delaying the end)
+ * @param {Array<Object>} tasks - All tasks of the project
+ * @param {Object} options - Options
+ * @param {number} options.target - Only schedule this task and the unfinished tasks it depends on
+ * @param {number} options.defaultEstimate - Estimate of tasks without one
+ * @returns {Object} { order, cyclic, duration, criticalPath, tasks }, where tasks holds one entry per
+ *   scheduled task in order ({ taskId, duration, earliestStart, earliestFinish, latestStart, latestFinish, slack, critical });
+ *   when cyclic is not empty nothing is scheduled
+ */
+export function computeSchedule(tasks, { target, defaultEstimate = 1 } = {}) {
+    let unfinished = tasks.filter(task => task.status !== 'completed');
+    if (target !== undefined && target !== null) {
+        unfinished = withDependencies(unfinished, target);
+    }
+
+    const { order, cyclic } = topologicalOrder(unfinished);
+    if (cyclic.length > 0) {
+        return { order, cyclic, duration: 0, criticalPath: [], tasks: [] };
+    }
+
+    const byId = new Map(unfinished.map(task => [task.id, task]));
+    const entries = new Map();
+    const dependenciesOf = id => new Set((byId.get(id).dependencies || []).filter(depId => byId.has(depId) && depId !== id));
+
+    // Forward pass: a task starts when its last dependency finishes
+    for (const id of order) {
+        const duration = remainingDuration(byId.get(id), defaultEstimate);
+        const earliestStart = Math.max(0, ...Array.from(dependenciesOf(id), depId => entries.get(depId).earliestFinish));
+        entries.set(id, { taskId: id, duration, earliestStart, earliestFinish: round(earliestStart + duration) });
+    }
+    const duration = Math.max(0, ...Array.from(entries.values(), entry => entry.earliestFinish));
+
+    // Backward pass: a task must finish before its first dependent has to start
+    const dependents = new Map(order.map(id => [id, []]));
+    for (const id of order) {
+        for (const depId of dependenciesOf(id)) dependents.get(depId).push(id);
+    }
+    for (const id of [...order].reverse()) {
+        const entry = entries.get(id);
+        entry.latestFinish = Math.min(duration, ...dependents.get(id).map(dependentId => entries.get(dependentId).latestStart));
+        entry.latestStart = round(entry.latestFinish - entry.duration);
+        entry.slack = round(entry.latestStart - entry.earliestStart);
+        entry.critical = entry.slack === 0;
+    }
+
+    // Walk back from the task that finishes last through dependencies that finish just in time
+    const criticalPath = [];
+    let current = order
+        .map(id => entries.get(id))
+        .filter(entry => entry.critical && entry.earliestFinish === duration)
+        .sort((a, b) => (a.taskId === target ? -1 : b.taskId === target ? 1 : a.taskId - b.taskId))[0];
+    while (current) {
+        criticalPath.unshift(current.taskId);
+        const start = current.earliestStart;
+        current = Array.from(dependenciesOf(current.taskId), depId => entries.get(depId))
+            .filter(entry => entry.critical && entry.earliestFinish === start)
+            .sort((a, b) => a.taskId - b.taskId)[0];
+    }
+
+    return { order, cyclic, duration, criticalPath, tasks: order.map(id => entries.get(id)) };
+}
@@ -0,0 +1,256 @@
+/**
+ * Inverted index for full-text search over tasks
+ *
+ * Each project keeps its own index of the title, description, notes and tags
+ * of its tasks. The index is updated incrementally: syncing a project only
+ * re-tokenizes the tasks whose indexed text changed since the last sync.
+ */
+
+// Weight of a match in each indexed field
+export const SEARCH_FIELDS = {
+    title: 3,
+    tags: 2,
+    description: 1,
+    notes: 1
+};
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens in order
+ */
+export function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Get the text of each indexed field of a task
+ * @param {Object} task - Task
+ * @returns {Object} Field name to text
+ */
+function fieldTexts(task) {
+    return {
+        title: task.title || '',
+        tags: Array.isArray(task.tags) ? task.tags.join(' ') : '',
+        description: task.description || '',
+        notes: task.notes || ''
+    };
+}
+
+/**
+ * Parse a search query into clauses. Words match exactly, words ending in *
+ * match as prefixes, and "quoted text" matches as a phrase. All clauses must match.
+ * @param {string} query - Search query
+ * @returns {Array<{type: string, terms: Array<string>}>} Clauses of type 'term', 'prefix' or 'phrase'
+ */
+export function parseQuery(query) {
+    const clauses = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[1] !== undefined) {
+            const terms = tokenize(match[1]);
+            if (terms.length > 1) clauses.push({ type: 'phrase', terms });
+            else if (terms.length === 1) clauses.push({ type: 'term', terms });
+            continue;
+        }
+        const prefix = match[2].endsWith('*');
+        const terms = tokenize(match[2]);
+        terms.forEach((term, index) => {
+            // Only the last token of a word like "auth-serv*" is a prefix
+            const last = index === terms.length - 1;
+            clauses.push({ type: prefix && last ? 'prefix' : 'term', terms: [term] });
+        });
+    }
+    return clauses;
+}
+
+/**
+ * Per-project inverted index of task text
+ */
+export class SearchIndex {
+    constructor() {
+        this.projects = new Map(); // Map of project IDs to { docs, postings }
+    }
+
+    /**
+     * Get the index of a project, creating it if needed
+     * @param {string} projectId - Project ID
+     * @returns {{docs: Map, postings: Map}} Indexed texts by task ID, and term -> task ID -> field -> positions
+     */
+    getProject(projectId) {
+        if (!this.projects.has(projectId)) {
+            this.projects.set(projectId, { docs: new Map(), postings: new Map() });
+        }
+        return this.projects.get(projectId);
+    }
+
+    /**
+     * Bring a project's index up to date with its tasks, re-indexing only changed tasks
+     * @param {string} projectId - Project ID
+     * @param {Array<Object>} tasks - All tasks of the project
+     * @returns {number} Number of tasks added, re-indexed or removed
+     */
+    sync(projectId, tasks) {
+        const index = this.getProject(projectId);
+        const seen = new Set();
+        let updated = 0;
+
+        for (const task of tasks) {
+            seen.add(task.id);
+            const texts = fieldTexts(task);
+            const signature = JSON.stringify(texts);
+            if (index.docs.get(task.id)?.signature === signature) continue;
+
+            this.removeTask(index, task.id);
+            this.addTask(index, task.id, texts, signature);
+            updated++;
+        }
+
+        for (const taskId of Array.from(index.docs.keys())) {
+            if (!seen.has(taskId)) {
+                this.removeTask(index, taskId);
+                updated++;
+            }
+        }
+        return updated;
+    }
+
+    /**
+     * Add a task's postings
+     * @param {Object} index - Project index
+     * @param {number} taskId - Task ID
+     * @param {Object} texts - Field name to text
+     * @param {string} signature - Serialized texts, to detect changes
+     * @private
+     */
+    addTask(index, taskId, texts, signature) {
+        const terms = new Set();
+        for (const [field, text] of Object.entries(texts)) {
+            tokenize(text).forEach((term, position) => {
+                if (!index.postings.has(term)) index.postings.set(term, new Map());
+                const byTask = index.postings.get(term);
+                if (!byTask.has(taskId)) byTask.set(taskId, {});
+                const byField = byTask.get(taskId);
+                (byField[field] = byField[field] || []).push(position);
+                terms.add(term);
+            });
+        }
+        index.docs.set(taskId, { signature, terms });
+    }
+
+    /**
+     * Remove a task's postings
+     * @param {Object} index - Project index
+     * @param {number} taskId - Task ID
+     * @private
+     */
+    removeTask(index, taskId) {
+        const doc = index.docs.get(taskId);
+        if (!doc) return;
+        for (const term of doc.terms) {
+            const byTask = index.postings.get(term);
+            byTask.delete(taskId);
+            if (byTask.size === 0) index.postings.delete(term);
+        }
+        index.docs.delete(taskId);
+    }
+
+    /**
+     * Forget a project
+     * @param {string} projectId - Project ID
+     */
+    removeProject(projectId) {
+        this.projects.delete(projectId);
+    }
+
+    /**
+     * Find the postings of a clause: task ID -> field -> positions where the clause starts
+     * @param {Object} index - Project index
+     * @param {Object} clause - Clause from parseQuery
+     * @returns {Map<number, Object>} Matches by task ID
+     * @private
+     */
+    matchClause(index, clause) {
+        if (clause.type === 'term') {
+            return index.postings.get(clause.terms[0]) || new Map();
+        }
+
+        if (clause.type === 'prefix') {
+            const matches = new Map();
+            for (const [term, byTask] of index.postings) {
+                if (!term.startsWith(clause.terms[0])) continue;
+                for (const [taskId, byField] of byTask) {
+                    const merged = matches.get(taskId) || {};
+                    for (const [field, positions] of Object.entries(byField)) {
+                        merged[field] = [...(merged[field] || []), ...positions];
+                    }
+                    matches.set(taskId, merged);
+                }
+            }
+            return matches;
+        }
+
+        // Phrase: every term at consecutive positions in the same field
+        const [first, ...rest] = clause.terms.map(term => index.postings.get(term) || new Map());
+        const matches = new Map();
+        for (const [taskId, byField] of first) {
+            const found = {};
+            for (const [field, positions] of Object.entries(byField)) {
+                const starts = positions.filter(start => rest.every((postings, offset) =>
+                    postings.get(taskId)?.[field]?.includes(start + offset + 1)));
+                if (starts.length > 0) found[field] = starts;
+            }
+            if (Object.keys(found).length > 0) matches.set(taskId, found);
+        }
+        return matches;
+    }
+
+    /**
+     * Search a project. Results match every clause and are ranked by TF-IDF
+     * weighted by field (title highest).
+     * @param {string} projectId - Project ID
+     * @param {string} query - Search query (see parseQuery)
+     * @returns {Array<{taskId: number, score: number, fields: Array<string>}>} Matches, best first
+     */
+    search(projectId, query) {
+        const index = this.projects.get(projectId);
+        const clauses = parseQuery(query);
+        if (!index || clauses.length === 0) return [];
+
+        const total = index.docs.size;
+        let candidates = null;
+        const scores = new Map();
+        const fields = new Map();
+
+        for (const clause of clauses) {
+            const matches = this.matchClause(index, clause);
+            const idf = Math.log(1 + total / Math.max(matches.size, 1));
+            const next = new Map();
+
+            for (const [taskId, byField] of matches) {
+                if (candidates && !candidates.has(taskId)) continue;
+                let score = 0;
+                for (const [field, positions] of Object.entries(byField)) {
+                    score += SEARCH_FIELDS[field] * positions.length * idf * (clause.type === 'phrase' ? clause.terms.length : 1);
+                    if (!fields.has(taskId)) fields.set(taskId, new Set());
+                    fields.get(taskId).add(field);
+                }
+                next.set(taskId, (scores.get(taskId) || 0) + score);
+            }
+
+            candidates = new Set(next.keys());
+            for (const [taskId, score] of next) scores.set(taskId, score);
+        }
+
+        return Array.from(candidates)
+            .map(taskId => ({
+                taskId,
+                score: Math.round(scores.get(taskId) * 1000) / 1000,
+                fields: Object.keys(SEARCH_FIELDS).filter(field => fields.get(taskId).has(field))
+            }))
+            .sort((a, b) => b.score - a.score || a.taskId - b.taskId);
+    }
+}
+
+export default SearchIndex;
@@ -47,6 +47,18 @@ class TaskCleanupService {
       return result;
     };
 
+    // Record cleanup changes under the cleanup service in the task history,
+    // snapshotting the project first since cleanup may delete tasks
+    const originalPerformCleanup = this.performCleanup;
+    this.performCleanup = (projectId) => this.taskManager.withHistoryContext(
+      { actor: 'task-cleanup', operation: 'cleanup' },
+      async () => {
+        await this.taskManager.init(projectId);
+        await this.taskManager.snapshotBefore(projectId, 'cleanup');
+        return originalPerformCleanup.call(this, projectId);
+      }
+    );
+
     this.hookRegistered = true;
     logger.info('Task Cleanup Service: Hooks registered successfully');
   }
@@ -244,7 +256,7 @@ class TaskCleanupService {
     for (const subtask of orphanedSubtasks) {
       switch (orphanConfig.action) {
         case 'delete':
-          await this.taskManager.deleteTask(subtask.id, projectId, false);
+          await this.taskManager.deleteTask(subtask.id, projectId);
           actions.push({
             type: 'orphan_delete',
             description: `Deleted orphaned subtask #${subtask.id}: "${subtask.title}"`
@@ -364,7 +376,7 @@ class TaskCleanupService {
       // Handle quality issues based on configured action
       switch (qualityConfig.action) {
         case 'delete':
-          await this.taskManager.deleteTask(task.id, projectId, false);
+          await this.taskManager.deleteTask(task.id, projectId);
           actions.push({
             type: 'quality_delete',
             description: `Deleted low-quality task #${task.id} (issues: ${qualityIssues.join(', ')})`
@@ -466,7 +478,7 @@ class TaskCleanupService {
         }
         
         // Delete the duplicate task
-        await this.taskManager.deleteTask(taskToRemove.id, projectId, false);
+        await this.taskManager.deleteTask(taskToRemove.id, projectId);
         
         actions.push({
           type: 'duplicate_delete',
@@ -569,10 +581,11 @@ class TaskCleanupService {
   }
 
   /**
-   * Reorganize task IDs to maintain sequential ordering
+   * Renumber task IDs sequentially. Only runs when explicitly enabled,
+   * because it changes the IDs of existing tasks.
    * @param {string} projectId - Project identifier
    * @param {Object} config - Cleanup configuration
-   * @returns {Array} - List of cleanup actions performed
+   * @returns {Array} - List of cleanup actions performed, one per renumbered task
    */
   async reorganizeTaskIds(projectId, config) {
     if (!config.operations.reorganizeTaskIds.enabled) {
@@ -580,16 +593,12 @@ class TaskCleanupService {
     }
     
     try {
-      // Get all tasks for the project
-      const tasks = await this.taskManager.listTasks(projectId);
-      
-      // Call the TaskManager's reorganizeTaskIds method
-      await this.taskManager.reorganizeTaskIds(tasks, projectId);
+      const { mapping } = await this.taskManager.renumberTasks(projectId);
       
-      return [{
+      return mapping.map(({ from, to }) => ({
         type: 'reorganize_ids',
-        description: `Reorganized task IDs for project ${projectId}`
-      }];
+        description: `Renumbered task #${from} to #${to}`
+      }));
     } catch (error) {
       logger.error(`Task Cleanup Service: Error reorganizing task IDs: ${error.message}`, { error });
       return [];
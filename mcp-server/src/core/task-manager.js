@@ -1,18 +1,62 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import { 
     TaskNotFoundError,
     ProjectNotFoundError,
     FileSystemError,
     TaskStateError,
     TaskValidationError,
+    TaskDataCorruptionError,
+    ConcurrentModificationError,
+    UndoConflictError,
+    ViewNotFoundError,
+    DependencyCycleError,
+    TaskBlockedError,
     logError
 } from '../utils/errors.js';
-import { taskCache } from '../utils/cache.js';
+import { Cache, TASK_CACHE_OPTIONS } from '../utils/cache.js';
 import { debouncer } from '../utils/debounce.js';
 import { logger } from '../utils/logger.js';
 import TaskCleanupService from './task-cleanup-service.js';
+import { SearchIndex } from './search-index.js';
+import { GRAPH_FORMATS, buildTaskGraph, toMermaid, toDot } from './graph-export.js';
+import { computeSchedule } from './schedule.js';
+import {
+    checkTaskDependencies,
+    findCycleFrom,
+    describeDependencyProblem,
+    findDependencyProblems,
+    findBlockedTasks,
+    measureDependents
+} from './dependency-graph.js';
+import {
+    parseSort,
+    compareTasks,
+    buildPredicate,
+    selectCandidates,
+    describeQuery,
+    encodeCursor,
+    decodeCursor,
+    projectTask
+} from './task-query.js';
+import { getHistoryConfig } from '../config/history-config.js';
+import { getSnapshotConfig } from '../config/snapshot-config.js';
+import { getTasksRoot } from '../config/paths-config.js';
+import {
+    createStorageAdapter,
+    WriteAheadJournal,
+    replayJournal,
+    TaskHistory,
+    SnapshotStore,
+    diffTask,
+    mergeTasks,
+    salvageTasks,
+    validateTask,
+    TASK_KEY_PATTERN,
+    TASK_KEY_PREFIX_PATTERN
+} from '../storage/index.js';
 import { 
     isValidProjectId, 
     isValidTaskId, 
@@ -20,8 +64,33 @@ import {
     getTasksFilePath 
 } from '../utils/security.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Attempts to save a project that other processes keep changing before giving up
+const MAX_PERSIST_ATTEMPTS = 5;
+
+// Mutating methods and the operation name their changes are recorded under in the history
+const HISTORY_OPERATIONS = {
+    createTask: 'create',
+    updateTask: 'update',
+    completeTask: 'complete',
+    assignToWindsurf: 'assign_to_windsurf',
+    updateWindsurfTaskProgress: 'update_progress',
+    deleteTask: 'delete',
+    deleteTasks: 'delete',
+    addSubtask: 'add_subtask',
+    renumberTasks: 'renumber',
+    setKeyPrefix: 'set_key_prefix',
+    repairProject: 'repair',
+    recoverCorruptedProject: 'recover',
+    restoreSnapshot: 'restore',
+    undoLastChange: 'undo',
+    redoLastChange: 'redo'
+};
+
+// Names of saved views: letters, digits, hyphens and underscores
+const VIEW_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,49}$/;
+
+// Operations that are never pushed onto the undo stack
+const NOT_UNDOABLE = new Set(['undo', 'redo', 'recover']);
 
 /**
  * Core task management functionality for the Windsurf Task Master system.
@@ -29,6 +98,9 @@ const __dirname = path.dirname(__filename);
  * The TaskManager is responsible for managing tasks across different projects,
  * providing methods for creating, updating, and retrieving tasks. It implements
  * performance optimizations including caching, debouncing, and task indexing.
+ * Persistence goes through a pluggable storage adapter (JSON files by default).
+ * Several processes may share one tasks directory: when another process saved
+ * a project first, its changes are merged with ours instead of overwritten.
  * 
  * @class
  * @example
@@ -40,20 +112,63 @@ const __dirname = path.dirname(__filename);
  * }, 'my-project');
  */
 export class TaskManager {
-    constructor() {
-        this.baseTasksDir = path.join(__dirname, '../../../tasks');
+    /**
+     * @param {Object} options - Optional settings
+     * @param {string} options.baseTasksDir - Base tasks directory (defaults to the configured tasks root)
+     * @param {StorageAdapter} options.storage - Storage adapter (defaults to the configured adapter)
+     * @param {WriteAheadJournal} options.journal - Write-ahead journal (defaults to one under baseTasksDir)
+     * @param {Cache} options.cache - Task list cache (defaults to one of its own; only share one between managers of the same storage)
+     * @param {TaskHistory} options.history - Change history log (defaults to one under baseTasksDir)
+     * @param {SnapshotStore} options.snapshots - Project snapshot store (defaults to one under baseTasksDir)
+     */
+    constructor(options = {}) {
+        this.baseTasksDir = options.baseTasksDir || getTasksRoot();
+        this.storage = options.storage || createStorageAdapter(this.baseTasksDir);
+        this.journal = options.journal || new WriteAheadJournal({ baseDir: this.baseTasksDir });
+        this.cache = options.cache || new Cache(TASK_CACHE_OPTIONS);
+        this.history = options.history || new TaskHistory({ baseDir: this.baseTasksDir });
+        this.historyConfig = getHistoryConfig();
+        this.historyContext = new AsyncLocalStorage(); // Actor and operation of the change in progress
+        this.undoStacks = new Map(); // Map of project IDs to undoable operations, oldest first
+        this.redoStacks = new Map(); // Map of project IDs to undone operations, most recently undone last
+        this.snapshots = options.snapshots || new SnapshotStore({ baseDir: this.baseTasksDir });
+        this.snapshotConfig = getSnapshotConfig();
+        this.snapshotStates = new Map(); // Map of project IDs to the serialized state of their last snapshot
+        this.snapshotOperations = new Map(); // Map of project IDs to the operation their last snapshot was taken for
+        this.snapshotTimer = null;
+        this.changeListeners = new Set(); // Called with { projectId, taskIds, source } after tasks change in memory
         this.projectsMap = new Map(); // Map project IDs to their task files
         this.projectTasks = new Map(); // Store tasks for each project
         this.initialized = false;
         this.windsurfTasks = new Map(); // Track tasks assigned to Windsurf
         this.currentProject = null; // Current active project
         
+        // Label the changes made by each mutating method in the history
+        for (const [method, operation] of Object.entries(HISTORY_OPERATIONS)) {
+            const original = this[method];
+            this[method] = (...args) => this.withHistoryContext({ operation }, () => original.apply(this, args));
+        }
+        
         // Initialize the TaskCleanupService
         this.taskCleanupService = new TaskCleanupService(this);
         this.taskCleanupService.registerHooks();
         
         // Task indices for faster lookups
         this.taskIndices = new Map(); // Map of project IDs to task indices
+        this.searchIndex = new SearchIndex(); // Full-text index, kept in step with the task indices
+        
+        // Last persisted state of each task, used to send only changed rows to storage
+        this.persistedTasks = new Map(); // Map of project IDs to Map(task ID -> serialized task)
+        this.journaledTasks = new Map(); // Same shape, for the last state written to the journal
+        this.storedRevisions = new Map(); // Map of project IDs to the storage revision persistedTasks reflects
+        
+        // Per-project metadata: the next task ID to allocate and the optional key prefix
+        this.projectMeta = new Map(); // Map of project IDs to { nextId, keyPrefix, views }
+        this.journaledMeta = new Map(); // Map of project IDs to the last journaled metadata (serialized)
+        this.persistedMeta = new Map(); // Map of project IDs to the last persisted metadata (serialized)
+        
+        // Corrupted task data detected during init, kept until repaired
+        this.recoveryIncidents = new Map(); // Map of project IDs to recovery incident details
         
         // Save debounce delay
         this.saveDelay = 1000; // 1 second delay for debounced saves
@@ -68,6 +183,10 @@ export class TaskManager {
      * and builds indices for efficient task lookup. It also implements caching to avoid
      * unnecessary file system reads.
      * 
+     * Corrupted task data is never silently replaced: it is quarantined, the
+     * project is restored from the last good backup when one exists, and a
+     * recovery incident is recorded for the tools to report.
+     * 
      * @param {string} projectId - Required project ID to load tasks for a specific project
      * @throws {ProjectNotFoundError} If project ID is not provided or invalid
      * @throws {FileSystemError} If there's an error accessing the file system
@@ -84,14 +203,6 @@ export class TaskManager {
         }
 
         try {
-            // Check cache first
-            const cachedTasks = taskCache.get(`tasks_${projectId}`);
-            if (cachedTasks) {
-                logger.debug('Using cached tasks', { projectId });
-                this.projectTasks.set(projectId, cachedTasks);
-                return;
-            }
-
             // Ensure the base tasks directory exists
             await fs.mkdir(this.baseTasksDir, { recursive: true });
             
@@ -121,25 +232,53 @@ export class TaskManager {
                 return;
             }
             
-            // Try to load existing tasks for this project
+            // Try to load existing tasks for this project. Cached tasks only
+            // save reading them; the rest of the load runs the same way.
+            let tasks;
             try {
-                const data = await fs.readFile(projectTasksPath, 'utf-8');
-                const tasks = JSON.parse(data);
+                const cachedTasks = this.cache.get(`tasks_${projectId}`);
+                if (cachedTasks) {
+                    logger.debug('Using cached tasks', { projectId });
+                }
+                const stored = cachedTasks
+                    ? { tasks: cachedTasks, meta: await this.storage.loadMeta(projectId), revision: await this.storage.getRevision(projectId) }
+                    : await this.readStoredProject(projectId);
+                tasks = stored.tasks;
+                this.projectMeta.set(projectId, stored.meta);
+                this.persistedMeta.set(projectId, JSON.stringify(this.getProjectMeta(projectId)));
+                this.storedRevisions.set(projectId, stored.revision);
+            } catch (error) {
+                if (!(error instanceof TaskDataCorruptionError)) {
+                    throw error;
+                }
+                await this.recoverCorruptedProject(projectId, error);
+            }
+            
+            if (tasks) {
                 this.projectTasks.set(projectId, tasks);
+                this.markPersisted(projectId, tasks);
                 
                 // Cache the tasks
-                taskCache.set(`tasks_${projectId}`, tasks);
+                this.cache.set(`tasks_${projectId}`, tasks);
                 
                 // Build indices
                 this.buildTaskIndices(projectId);
-            } catch (error) {
-                // If file doesn't exist, create it with empty tasks
+            } else if (!this.projectTasks.has(projectId)) {
+                // If the project has no stored tasks, create it with empty tasks
                 this.projectTasks.set(projectId, []);
+                this.markPersisted(projectId, []);
                 await this.saveTasks(projectId);
             }
+            
+            // Re-apply changes that were journaled but never reached storage
+            await this.replayJournal(projectId);
 
             this.initialized = true;
         } catch (error) {
+            if (error instanceof TaskDataCorruptionError) {
+                logError(error);
+                throw error;
+            }
             const fsError = new FileSystemError(
                 `Failed to initialize TaskManager for project ${projectId}`,
                 'init',
@@ -152,12 +291,17 @@ export class TaskManager {
     }
 
     /**
-     * Save tasks to file for a specific project.
-     * This method implements debouncing to optimize file system writes by
+     * Save tasks for a specific project through the storage adapter.
+     * This method implements debouncing to optimize storage writes by
      * grouping multiple write operations within a short time window.
      * 
+     * Every changed task is validated against the task schema first. If any
+     * is invalid, the project is rolled back to its last saved state and
+     * nothing is written.
+     * 
      * @param {string} projectId - Required project ID to save tasks for a specific project
      * @throws {ProjectNotFoundError} If project ID is not provided
+     * @throws {TaskValidationError} If a changed task does not match the task schema
      * @throws {FileSystemError} If there's an error writing to the file system
      * @returns {Promise<void>}
      */
@@ -171,8 +315,8 @@ export class TaskManager {
             throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
         
+        let tasksPath = this.projectsMap.get(projectId);
         try {
-            let tasksPath = this.projectsMap.get(projectId);
             
             // If path not found, create it
             if (!tasksPath) {
@@ -202,25 +346,42 @@ export class TaskManager {
                 this.projectsMap.set(projectId, tasksPath);
             }
             
+            // Reject invalid changes before they reach the cache, indices or journal
+            const journaled = this.journaledTasks.get(projectId);
+            const journaledMeta = this.journaledMeta.get(projectId);
+            const changes = this.validateChanges(projectId);
+            await this.validateExternalChanges(projectId, changes.changed);
+            
             // Get the tasks for this project
             const tasks = this.projectTasks.get(projectId) || [];
             
-            // Update cache
-            taskCache.set(`tasks_${projectId}`, tasks);
+            // Update cache and indices
+            this.cache.set(`tasks_${projectId}`, tasks);
+            this.buildTaskIndices(projectId);
+            
+            // Record the change durably before the debounced write
+            await this.journalChanges(projectId, changes);
+            await this.recordHistory(projectId, changes, journaled);
+            this.recordUndo(projectId, changes, journaled, journaledMeta);
+            this.notifyTasksChanged(projectId, changes, 'local');
             
             // Debounce the save operation
             await debouncer.debounce(
                 `save_${projectId}`,
                 async () => {
-                    await fs.writeFile(tasksPath, JSON.stringify(tasks, null, 2));
+                    await this.persistTasks(projectId);
                     logger.debug(`Saved tasks for project ${projectId}`, { 
-                        path: tasksPath,
+                        storage: this.storage.name,
                         taskCount: tasks.length 
                     });
                 },
                 this.saveDelay
             );
         } catch (error) {
+            if (error instanceof TaskDataCorruptionError || error instanceof TaskValidationError || error instanceof DependencyCycleError) {
+                logError(error);
+                throw error;
+            }
             const fsError = new FileSystemError(
                 `Failed to save tasks for project ${projectId}`,
                 'save',
@@ -233,197 +394,1972 @@ export class TaskManager {
     }
 
     /**
-     * Create a new task
-     * @param {Object} taskData - Task data
-     * @param {string} projectId - Required project ID to create the task for a specific project
-     * @param {number} parentTaskId - Optional parent task ID for subtasks
+     * Write the changes made to a project since its last save through the storage adapter.
+     * Only tasks whose content changed are upserted, and tasks that disappeared
+     * from memory are deleted, all inside one storage transaction.
+     * 
+     * If another process saved the project since we last read it, its changes
+     * are merged into ours and the save is retried.
+     * 
+     * @param {string} projectId - Project ID to persist
+     * @throws {ConcurrentModificationError} If the project kept changing for every attempt
+     * @returns {Promise<void>}
      */
-    async createTask(taskData, projectId, parentTaskId = null) {
-        if (!projectId) {
-            throw new Error('Project ID is required to create a task');
+    async persistTasks(projectId) {
+        let journalSeq;
+        for (let attempt = 1; ; attempt++) {
+            // Every journal entry up to this sequence is covered by the in-memory state below
+            journalSeq = this.journal.lastSequence(projectId);
+            const { current, changed, removed } = this.diffTasks(projectId, this.persistedTasks.get(projectId));
+            const meta = this.getProjectMeta(projectId);
+            const expectedRevision = this.storedRevisions.get(projectId);
+            
+            try {
+                const revision = await this.storage.transaction(projectId, async (tx) => {
+                    if (expectedRevision !== undefined && tx.revision !== undefined && tx.revision !== expectedRevision) {
+                        throw new ConcurrentModificationError(projectId, expectedRevision, tx.revision);
+                    }
+                    if (removed.length > 0) tx.delete(removed);
+                    if (changed.length > 0) tx.upsert(changed);
+                    tx.setMeta(meta);
+                    return tx.revision;
+                });
+                
+                if (Number.isInteger(revision)) {
+                    this.storedRevisions.set(projectId, revision + 1);
+                }
+                this.persistedTasks.set(projectId, current);
+                this.persistedMeta.set(projectId, JSON.stringify(meta));
+                break;
+            } catch (error) {
+                if (!(error instanceof ConcurrentModificationError) || attempt >= MAX_PERSIST_ATTEMPTS) {
+                    throw error;
+                }
+                logger.debug(`Project ${projectId} changed in storage, merging before saving`, { attempt });
+                await this.mergeStoredChanges(projectId);
+            }
         }
         
-        // Initialize for the project
-        await this.init(projectId);
+        await this.journal.checkpoint(projectId, journalSeq);
+    }
+    
+    /**
+     * Read a project's stored tasks, metadata and revision. Stored data in an
+     * older schema version is migrated first, so the revision matches what
+     * the next save finds; it is read before the tasks, so a save that lands
+     * during the load is detected later.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<{revision: number, tasks: Array<Object>|null, meta: Object}>} The stored state
+     * @throws {TaskDataCorruptionError} If the stored data is unreadable
+     * @private
+     */
+    async readStoredProject(projectId) {
+        await this.storage.migrate(projectId);
+        const revision = await this.storage.getRevision(projectId);
+        const tasks = await this.storage.load(projectId);
+        const meta = await this.storage.loadMeta(projectId);
+        return { revision, tasks, meta };
+    }
+
+    /**
+     * Merge the project's stored state, saved by another process, into memory.
+     * 
+     * The last persisted state is the common base: our unsaved changes are
+     * kept, changes made by the other process are taken over, and our newly
+     * created tasks whose IDs were taken in the meantime move to fresh IDs.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object>} The merge result (see mergeTasks)
+     * @private
+     */
+    async mergeStoredChanges(projectId) {
+        const before = this.diffTasks(projectId).current;
+        const stored = await this.readStoredProject(projectId);
+        const revision = stored.revision;
+        const theirs = stored.tasks || [];
+        const theirMeta = stored.meta;
         
-        // Get the tasks for this project
         const tasks = this.projectTasks.get(projectId) || [];
+        const result = mergeTasks({
+            base: Array.from((this.persistedTasks.get(projectId) || new Map()).values(), serialized => JSON.parse(serialized)),
+            ours: tasks,
+            theirs,
+            baseMeta: JSON.parse(this.persistedMeta.get(projectId) || '{}'),
+            ourMeta: this.getProjectMeta(projectId),
+            theirMeta
+        });
         
-        // Create new task
-        const newTask = {
-            ...taskData,
-            id: tasks.length + 1,
-            status: taskData.status || 'pending',
-            progress: 0,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            dependencies: taskData.dependencies || [],
-            priority: taskData.priority || 'medium',
-            projectId,
-            subtasks: [],
-            isSubtask: parentTaskId !== null
-        };
+        // Moved tasks keep their object identity, so a caller that just created one sees its new ID
+        const movedIds = new Map(result.moved.map(({ from, to }) => [to, from]));
+        const merged = result.tasks.map(task => {
+            if (!movedIds.has(task.id)) return task;
+            const original = tasks.find(existing => existing.id === movedIds.get(task.id) && existing !== task);
+            return original ? Object.assign(original, task) : task;
+        });
         
-        // Add to tasks list
-        tasks.push(newTask);
+        // Update in place so callers holding the task array see the merged tasks
+        tasks.splice(0, tasks.length, ...merged);
         this.projectTasks.set(projectId, tasks);
+        this.projectMeta.set(projectId, result.meta);
+        this.markStored(projectId, theirs, theirMeta, revision);
+        
+        const prefix = `${projectId}_`;
+        for (const { from, to } of result.moved) {
+            for (const map of [this.subtaskParentMap, this.windsurfTasks]) {
+                const value = map.get(`${prefix}${from}`);
+                if (value === undefined) continue;
+                map.delete(`${prefix}${from}`);
+                map.set(`${prefix}${to}`, map === this.windsurfTasks ? { ...value, id: to } : value);
+            }
+            logger.warn(`Task #${from} in project ${projectId} was moved to #${to}: the ID was taken by another process`);
+        }
+        for (const { id, fields } of result.conflicts) {
+            logger.warn(`Task #${id} in project ${projectId} was changed by another process; kept the newer ${fields.join(', ')}`);
+        }
         
-        // If this is a subtask, add it to the parent task's subtasks array
-        if (parentTaskId) {
-            const parentTaskIndex = tasks.findIndex(task => task.id === parentTaskId);
-            if (parentTaskIndex !== -1) {
-                if (!tasks[parentTaskIndex].subtasks) {
-                    tasks[parentTaskIndex].subtasks = [];
+        this.cache.set(`tasks_${projectId}`, tasks);
+        this.buildTaskIndices(projectId);
+        
+        // Keep the journal in step with memory so a crash replays the merged state
+        await this.journalChanges(projectId);
+        this.notifyTasksChanged(projectId, this.diffTasks(projectId, before), 'external');
+        return result;
+    }
+    
+    /**
+     * Register a listener for changes to tasks in memory, made through this
+     * task manager or merged in from storage written by another process.
+     * 
+     * @param {Function} listener - Called with { projectId, taskIds, source }, where
+     *   taskIds lists changed, created and deleted tasks and source is 'local' or 'external'
+     * @returns {Function} Call to remove the listener
+     */
+    onTasksChanged(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+    
+    /**
+     * Tell change listeners which tasks of a project changed.
+     * Listener errors are logged and never fail the change.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} changes - Changes from diffTasks or validateChanges
+     * @param {string} source - 'local' or 'external'
+     * @private
+     */
+    notifyTasksChanged(projectId, { changed, removed }, source) {
+        const taskIds = [...changed.map(task => task.id), ...removed];
+        if (taskIds.length === 0) {
+            return;
+        }
+        for (const listener of this.changeListeners) {
+            try {
+                listener({ projectId, taskIds, source });
+            } catch (error) {
+                logger.error(`Task change listener failed for project ${projectId}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Validate the tasks changed since the last journal entry.
+     * On failure the project is restored to its last journaled state.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {{current: Map<number, string>, changed: Array<Object>, removed: Array<number>}} The validated changes
+     * @throws {TaskValidationError} If a changed task is invalid or task IDs are duplicated
+     * @private
+     */
+    validateChanges(projectId) {
+        const changes = this.diffTasks(projectId, this.journaledTasks.get(projectId));
+        const taskCount = (this.projectTasks.get(projectId) || []).length;
+        
+        let error = null;
+        if (changes.current.size !== taskCount) {
+            error = new TaskValidationError(`Duplicate task IDs in project ${projectId}`, {
+                field: 'id'
+            });
+        } else {
+            for (const task of changes.changed) {
+                const problem = validateTask(task);
+                if (problem) {
+                    error = new TaskValidationError(`Task #${task.id} in project ${projectId} is invalid: ${problem}`, {
+                        field: 'task',
+                        value: task.id,
+                        problem
+                    });
+                    break;
                 }
-                tasks[parentTaskIndex].subtasks.push(newTask.id);
+            }
+        }
+        if (!error) {
+            error = this.checkDependencyChanges(projectId, changes.changed);
+        }
+        
+        if (error) {
+            this.restoreJournaledTasks(projectId);
+            throw error;
+        }
+        return changes;
+    }
+    
+    /**
+     * Validate the external dependencies changed tasks gained since the last
+     * journal entry. On failure the project is restored to its last journaled state.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Array<Object>} changed - Changed tasks from validateChanges
+     * @throws {TaskValidationError} If an added external dependency does not exist or is in the same project
+     * @throws {DependencyCycleError} If an added external dependency closes a cycle across projects
+     * @private
+     */
+    async validateExternalChanges(projectId, changed) {
+        const error = await this.checkExternalDependencyChanges(projectId, changed);
+        if (error) {
+            this.restoreJournaledTasks(projectId);
+            throw error;
+        }
+    }
+    
+    /**
+     * Put a project back to its last journaled state after a rejected change
+     * 
+     * @param {string} projectId - Project ID
+     * @private
+     */
+    restoreJournaledTasks(projectId) {
+        const journaled = this.journaledTasks.get(projectId) || new Map();
+        this.projectTasks.set(projectId, Array.from(journaled.values(), serialized => JSON.parse(serialized)));
+        this.cache.set(`tasks_${projectId}`, this.projectTasks.get(projectId));
+        this.buildTaskIndices(projectId);
+    }
+    
+    /**
+     * Check the dependencies changed tasks gained since the last journal entry.
+     * Only added dependencies are checked, so references left dangling by
+     * older versions do not block unrelated edits.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Array<Object>} changed - Changed tasks from diffTasks
+     * @returns {TaskMasterError|null} The error for the first invalid dependency, or null
+     * @private
+     */
+    checkDependencyChanges(projectId, changed) {
+        const journaled = this.journaledTasks.get(projectId) || new Map();
+        let byId = null;
+        
+        for (const task of changed) {
+            const previous = journaled.has(task.id) ? JSON.parse(journaled.get(task.id)).dependencies || [] : [];
+            const added = (task.dependencies || []).filter(depId => !previous.includes(depId));
+            if (added.length === 0) continue;
+            
+            byId = byId || new Map((this.projectTasks.get(projectId) || []).map(t => [t.id, t]));
+            const problem = checkTaskDependencies(task, byId, added);
+            if (problem?.type === 'cycle') {
+                return new DependencyCycleError(projectId, problem.path);
+            }
+            if (problem) {
+                return new TaskValidationError(`${describeDependencyProblem(problem)} in project ${projectId}`, {
+                    field: 'dependencies',
+                    value: problem.dependencyId,
+                    taskId: task.id,
+                    problem: problem.type
+                });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check the external dependencies changed tasks gained since the last
+     * journal entry: the referenced project and task must exist, and the new
+     * reference must not close a cycle through the dependencies of any project.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Array<Object>} changed - Changed tasks from diffTasks
+     * @returns {Promise<TaskMasterError|null>} The error for the first invalid reference, or null
+     * @private
+     */
+    async checkExternalDependencyChanges(projectId, changed) {
+        const journaled = this.journaledTasks.get(projectId) || new Map();
+        const projects = new Map([[projectId, new Map((this.projectTasks.get(projectId) || []).map(t => [t.id, t]))]]);
+        
+        for (const task of changed) {
+            const previous = journaled.has(task.id) ? JSON.parse(journaled.get(task.id)).externalDependencies || [] : [];
+            const added = (task.externalDependencies || []).filter(ref =>
+                !previous.some(old => old.projectId === ref.projectId && old.taskId === ref.taskId));
+            if (added.length === 0) continue;
+            
+            for (const ref of added) {
+                if (ref.projectId === projectId) {
+                    return new TaskValidationError(`Task #${task.id} in project ${projectId} lists task #${ref.taskId} of its own project as an external dependency; use dependencies instead`, {
+                        field: 'externalDependencies',
+                        value: ref,
+                        taskId: task.id,
+                        problem: 'same-project'
+                    });
+                }
+                const tasks = await this.loadReferencedProject(ref.projectId, projects);
+                if (!tasks?.has(ref.taskId)) {
+                    return new TaskValidationError(`Task #${task.id} in project ${projectId} depends on task ${ref.projectId}#${ref.taskId}, which does not exist`, {
+                        field: 'externalDependencies',
+                        value: ref,
+                        taskId: task.id,
+                        problem: 'missing'
+                    });
+                }
+            }
+            
+            const cycle = await this.findCrossProjectCycle(projectId, task, projects);
+            if (cycle) {
+                return new DependencyCycleError(projectId, cycle);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Follow dependencies and external dependencies from a task, across
+     * projects, looking for a path back to it
+     * 
+     * @param {string} projectId - Project of the task
+     * @param {Object} task - Task to start from
+     * @param {Map<string, Map<number, Object>|null>} projects - Tasks by ID of the projects loaded so far, including the task's own
+     * @returns {Promise<Array<string>|null>} The cycle as projectId#taskId labels, starting and ending with the task, or null
+     * @private
+     */
+    async findCrossProjectCycle(projectId, task, projects) {
+        const start = `${projectId}#${task.id}`;
+        const visited = new Set([start]);
+        const path = [start];
+        
+        const visit = async (current, currentProjectId) => {
+            const edges = [
+                ...(current.dependencies || []).map(depId => ({ projectId: currentProjectId, taskId: depId })),
+                ...(current.externalDependencies || [])
+            ];
+            for (const edge of edges) {
+                const label = `${edge.projectId}#${edge.taskId}`;
+                if (label === start) {
+                    path.push(label);
+                    return true;
+                }
+                if (visited.has(label)) continue;
+                visited.add(label);
                 
-                // Track the parent-child relationship
-                this.subtaskParentMap.set(`${projectId}_${newTask.id}`, parentTaskId);
+                const next = (await this.loadReferencedProject(edge.projectId, projects))?.get(edge.taskId);
+                if (!next) continue;
+                
+                path.push(label);
+                if (await visit(next, edge.projectId)) return true;
+                path.pop();
+            }
+            return false;
+        };
+        
+        return await visit(task, projectId) ? path : null;
+    }
+    
+    /**
+     * Read a project named by an external dependency. Unlike init(), this
+     * neither creates nor loads the project: projects that are not loaded are
+     * read straight from storage, and one that cannot be read counts as missing.
+     * 
+     * @param {string} projectId - Referenced project ID
+     * @param {Map<string, Map<number, Object>|null>} projects - Projects read so far, filled in as a cache
+     * @returns {Promise<Map<number, Object>|null>} The project's tasks by ID, or null if it does not exist
+     * @private
+     */
+    async loadReferencedProject(projectId, projects = new Map()) {
+        if (!projects.has(projectId)) {
+            let tasks = null;
+            if (this.projectTasks.has(projectId)) {
+                tasks = (this.taskIndices.get(projectId) || this.buildTaskIndices(projectId)).byId;
+            } else if (await this.hasProject(projectId)) {
+                try {
+                    const stored = await this.storage.load(projectId);
+                    tasks = stored ? new Map(stored.map(task => [task.id, task])) : null;
+                } catch (error) {
+                    logger.warn(`Could not read project ${projectId} for its external references: ${error.message}`);
+                }
+            }
+            projects.set(projectId, tasks);
+        }
+        return projects.get(projectId);
+    }
+    
+    /**
+     * Append the changes made since the last journal entry to the write-ahead journal.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} changes - Changes from validateChanges (computed when omitted)
+     * @returns {Promise<void>}
+     * @private
+     */
+    async journalChanges(projectId, changes = this.diffTasks(projectId, this.journaledTasks.get(projectId))) {
+        const { current, changed, removed } = changes;
+        this.journaledTasks.set(projectId, current);
+        
+        const meta = JSON.stringify(this.getProjectMeta(projectId));
+        const metaChanged = this.journaledMeta.get(projectId) !== meta;
+        this.journaledMeta.set(projectId, meta);
+        
+        if (changed.length === 0 && removed.length === 0 && !metaChanged) {
+            return;
+        }
+        await this.journal.append(projectId, {
+            upserts: changed,
+            deletes: removed,
+            ...(metaChanged ? { meta: JSON.parse(meta) } : {})
+        });
+    }
+
+    /**
+     * Run a function with history context: changes saved while it runs are
+     * recorded with the given actor and operation. An actor set here replaces
+     * the surrounding one; the outermost operation wins, so a completeTask
+     * that calls updateTask is recorded as 'complete'.
+     * 
+     * @param {Object} context - History context
+     * @param {string} context.actor - Who is making the changes
+     * @param {string} context.operation - Operation name recorded with the changes
+     * @param {Function} work - Function to run
+     * @returns {any} The value returned by work
+     */
+    withHistoryContext({ actor, operation }, work) {
+        const outer = this.historyContext.getStore() || {};
+        return this.historyContext.run({
+            actor: actor || outer.actor,
+            operation: outer.operation || operation,
+            // Every save made by one outermost operation is undone together
+            operationId: outer.operationId || (operation ? crypto.randomUUID() : undefined)
+        }, work);
+    }
+    
+    /**
+     * Run a function on behalf of an actor, such as a service or client name.
+     * 
+     * @param {string} actor - Who is making the changes
+     * @param {Function} work - Function to run
+     * @returns {any} The value returned by work
+     * 
+     * @example
+     * await taskManager.runAs('task-cleanup', () => taskManager.updateTask(1, { progress: 100 }, 'my-project'));
+     */
+    runAs(actor, work) {
+        return this.withHistoryContext({ actor }, work);
+    }
+    
+    /**
+     * Append one history entry per changed task to the project's history.
+     * A history that cannot be written is logged but never fails the save.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} changes - Changes from validateChanges
+     * @param {Map<number, string>} baseline - Serialized tasks before the changes
+     * @returns {Promise<void>}
+     * @private
+     */
+    async recordHistory(projectId, { changed, removed }, baseline = new Map()) {
+        if (!this.historyConfig.enabled || (changed.length === 0 && removed.length === 0)) {
+            return;
+        }
+        
+        const { actor = this.historyConfig.defaultActor, operation = 'save', operationId } = this.historyContext.getStore() || {};
+        const common = {
+            changeId: crypto.randomUUID(),
+            ...(operationId ? { operationId } : {}),
+            timestamp: new Date().toISOString(),
+            actor,
+            operation
+        };
+        const entries = [
+            ...changed.map(task => {
+                const before = baseline.has(task.id) ? JSON.parse(baseline.get(task.id)) : null;
+                return { ...common, taskId: task.id, change: before ? 'updated' : 'created', changes: diffTask(before, task) };
+            }),
+            ...removed.map(id => ({
+                ...common,
+                taskId: id,
+                change: 'deleted',
+                changes: diffTask(JSON.parse(baseline.get(id)), null)
+            }))
+        ].filter(entry => Object.keys(entry.changes).length > 0);
+        
+        try {
+            await this.history.append(projectId, entries);
+        } catch (error) {
+            logger.error(`Failed to record task history for project ${projectId}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Add the changes of a save to the undo record of the operation in progress.
+     * Saves belonging to the same operation (such as the individual deletes of
+     * a bulk delete) extend one record, keeping each task's first state before
+     * and last state after the operation. A new operation clears the redo stack.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} changes - Changes from validateChanges
+     * @param {Map<number, string>} baseline - Serialized tasks before the changes
+     * @param {string} baselineMeta - Serialized project metadata before the changes
+     * @private
+     */
+    recordUndo(projectId, { current, changed, removed }, baseline = new Map(), baselineMeta = '{}') {
+        const { actor = this.historyConfig.defaultActor, operation, operationId } = this.historyContext.getStore() || {};
+        if (!operationId || NOT_UNDOABLE.has(operation) || (changed.length === 0 && removed.length === 0)) {
+            return;
+        }
+        
+        if (!this.undoStacks.has(projectId)) {
+            this.undoStacks.set(projectId, []);
+        }
+        const stack = this.undoStacks.get(projectId);
+        let record = stack[stack.length - 1];
+        if (record?.operationId !== operationId) {
+            record = {
+                operationId,
+                operation,
+                actor,
+                timestamp: new Date().toISOString(),
+                before: new Map(), // Task ID -> serialized task before the operation (null if created)
+                after: new Map(), // Task ID -> serialized task after the operation (null if deleted)
+                keyPrefixBefore: JSON.parse(baselineMeta || '{}').keyPrefix
+            };
+            stack.push(record);
+            if (stack.length > this.historyConfig.undoDepth) {
+                stack.shift();
             }
+            this.redoStacks.set(projectId, []);
+        }
+        
+        for (const task of changed) {
+            if (!record.before.has(task.id)) record.before.set(task.id, baseline.get(task.id) ?? null);
+            record.after.set(task.id, current.get(task.id));
+        }
+        for (const id of removed) {
+            if (!record.before.has(id)) record.before.set(id, baseline.get(id));
+            record.after.set(id, null);
+        }
+        record.keyPrefixAfter = this.getProjectMeta(projectId).keyPrefix;
+    }
+    
+    /**
+     * Undo the most recent operation on a project: restore deleted tasks,
+     * remove created ones and revert edits, including bulk deletes, cleanup
+     * runs and renumbering. The undo stack is kept in memory, up to the
+     * configured depth, and does not survive a restart.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Undo options
+     * @param {boolean} options.force - Undo even if affected tasks changed since
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {UndoConflictError} If affected tasks changed since and force is not set
+     * @returns {Promise<Object|null>} Summary of what was undone, or null if there is nothing to undo
+     */
+    async undoLastChange(projectId, { force = false } = {}) {
+        return this.applyUndoRecord(projectId, 'undo', { force });
+    }
+    
+    /**
+     * Redo the operation most recently undone on a project.
+     * Making any other change to the project clears the redo stack.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Redo options
+     * @param {boolean} options.force - Redo even if affected tasks changed since the undo
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {UndoConflictError} If affected tasks changed since and force is not set
+     * @returns {Promise<Object|null>} Summary of what was redone, or null if there is nothing to redo
+     */
+    async redoLastChange(projectId, { force = false } = {}) {
+        return this.applyUndoRecord(projectId, 'redo', { force });
+    }
+    
+    /**
+     * Get how many operations can be undone and redone for a project.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {{undo: number, redo: number}} Stack depths
+     */
+    getUndoState(projectId) {
+        return {
+            undo: (this.undoStacks.get(projectId) || []).length,
+            redo: (this.redoStacks.get(projectId) || []).length
+        };
+    }
+    
+    /**
+     * Move the top record of the undo or redo stack to the other stack,
+     * writing the task states it holds.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} action - 'undo' or 'redo'
+     * @param {Object} options - Options passed to undoLastChange/redoLastChange
+     * @returns {Promise<Object|null>} Summary of the applied record, or null if the stack is empty
+     * @private
+     */
+    async applyUndoRecord(projectId, action, { force = false } = {}) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        await this.init(projectId);
+        
+        const from = (action === 'undo' ? this.undoStacks : this.redoStacks).get(projectId) || [];
+        const record = from[from.length - 1];
+        if (!record) {
+            return null;
+        }
+        
+        // The tasks must still look the way the operation (or the undo) left them
+        const [expected, target] = action === 'undo' ? [record.after, record.before] : [record.before, record.after];
+        const current = this.diffTasks(projectId).current;
+        const conflicts = Array.from(expected.entries())
+            .filter(([id, serialized]) => (current.get(id) ?? null) !== serialized)
+            .map(([id]) => id);
+        if (conflicts.length > 0 && !force) {
+            throw new UndoConflictError(projectId, action, conflicts);
+        }
+        
+        const tasks = this.projectTasks.get(projectId) || [];
+        const summary = { action, operation: record.operation, actor: record.actor, timestamp: record.timestamp, restored: [], removed: [], reverted: [] };
+        for (const [id, serialized] of target) {
+            const index = tasks.findIndex(task => task.id === id);
+            if (serialized === null) {
+                if (index !== -1) tasks.splice(index, 1);
+                summary.removed.push(id);
+            } else if (index === -1) {
+                tasks.push(JSON.parse(serialized));
+                summary.restored.push(id);
+            } else {
+                tasks[index] = JSON.parse(serialized);
+                summary.reverted.push(id);
+            }
+        }
+        tasks.sort((a, b) => a.id - b.id);
+        this.projectTasks.set(projectId, tasks);
+        
+        const keyPrefix = action === 'undo' ? record.keyPrefixBefore : record.keyPrefixAfter;
+        if (record.keyPrefixBefore !== record.keyPrefixAfter) {
+            const meta = this.getProjectMeta(projectId);
+            if (keyPrefix) meta.keyPrefix = keyPrefix;
+            else delete meta.keyPrefix;
+        }
+        this.rebuildTaskTracking(projectId);
+        
+        // IDs of removed tasks stay allocated, so they are never handed out again
+        await this.saveTasks(projectId);
+        
+        from.pop();
+        const to = action === 'undo' ? this.redoStacks : this.undoStacks;
+        if (!to.has(projectId)) {
+            to.set(projectId, []);
+        }
+        to.get(projectId).push(record);
+        
+        logger.info(`${action === 'undo' ? 'Undid' : 'Redid'} ${record.operation} in project ${projectId}`, {
+            restored: summary.restored.length,
+            removed: summary.removed.length,
+            reverted: summary.reverted.length
+        });
+        return { ...summary, ...this.getUndoState(projectId) };
+    }
+    
+    /**
+     * Rebuild the subtask parent map and Windsurf assignments of a project
+     * from its tasks, after tasks were restored or removed wholesale.
+     * 
+     * @param {string} projectId - Project ID
+     * @private
+     */
+    rebuildTaskTracking(projectId) {
+        const prefix = `${projectId}_`;
+        for (const map of [this.subtaskParentMap, this.windsurfTasks]) {
+            Array.from(map.keys()).filter(key => key.startsWith(prefix)).forEach(key => map.delete(key));
+        }
+        
+        for (const task of this.projectTasks.get(projectId) || []) {
+            for (const subtaskId of task.subtasks || []) {
+                this.subtaskParentMap.set(`${prefix}${subtaskId}`, task.id);
+            }
+            if (task.assignedTo === 'windsurf') {
+                this.windsurfTasks.set(`${prefix}${task.id}`, { ...task, projectId });
+            }
+        }
+    }
+
+    /**
+     * Get the recorded changes of a project or one of its tasks, newest first.
+     * History is kept for deleted tasks too.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Query options
+     * @param {number|string} options.taskId - Only return changes to this task (ID or key)
+     * @param {number} options.limit - Maximum number of entries to return
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @returns {Promise<Array<Object>>} History entries
+     */
+    async getTaskHistory(projectId, { taskId, limit } = {}) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        await this.init(projectId);
+        
+        let id = taskId;
+        if (typeof taskId === 'string') {
+            id = TASK_KEY_PATTERN.test(taskId) ? (await this.getTask(taskId, projectId)).id : Number(taskId);
+        }
+        return this.history.read(projectId, { taskId: id, limit });
+    }
+
+    /**
+     * Write a snapshot of a project's current tasks and metadata, then prune
+     * snapshots beyond the configured retention.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} reason - Why the snapshot is taken (lowercase letters and underscores)
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @returns {Promise<Object>} Summary of the snapshot ({ id, createdAt, reason, taskCount })
+     */
+    async createSnapshot(projectId, reason = 'manual') {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        await this.init(projectId);
+        
+        const tasks = this.projectTasks.get(projectId) || [];
+        const meta = this.getProjectMeta(projectId);
+        const snapshot = await this.snapshots.create(projectId, { tasks, meta, reason });
+        this.snapshotStates.set(projectId, this.getSnapshotState(projectId));
+        
+        const { maxCount, maxAgeDays } = this.snapshotConfig;
+        const pruned = await this.snapshots.prune(projectId, { maxCount, maxAgeDays });
+        if (pruned.length > 0) {
+            logger.debug(`Pruned ${pruned.length} old snapshot(s) of project ${projectId}`);
+        }
+        
+        logger.info(`Snapshot ${snapshot.id} taken of project ${projectId}`);
+        return snapshot;
+    }
+    
+    /**
+     * Snapshot a project before a destructive operation. An operation that
+     * runs others (such as a cleanup run that renumbers tasks) is snapshotted
+     * once, before it starts, and a project unchanged since its last snapshot
+     * is not copied again. Snapshot failures abort the operation, so nothing
+     * is destroyed without a copy to restore.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} reason - Operation about to run
+     * @returns {Promise<Object|null>} Summary of the snapshot, or null if none was needed
+     */
+    async snapshotBefore(projectId, reason) {
+        if (!this.snapshotConfig.enabled || (this.projectTasks.get(projectId) || []).length === 0) {
+            return null;
+        }
+        if (this.snapshotStates.get(projectId) === this.getSnapshotState(projectId)) {
+            return null;
+        }
+        
+        const { operationId } = this.historyContext.getStore() || {};
+        if (operationId && this.snapshotOperations.get(projectId) === operationId) {
+            return null;
+        }
+        this.snapshotOperations.set(projectId, operationId);
+        return this.createSnapshot(projectId, reason);
+    }
+    
+    /**
+     * Snapshot every loaded project that changed since its last snapshot
+     * every snapshotConfig.interval ms, until stopSnapshotSchedule() or close().
+     * 
+     * @returns {void}
+     */
+    startSnapshotSchedule() {
+        const { enabled, interval } = this.snapshotConfig;
+        if (!enabled || !interval || this.snapshotTimer) {
+            return;
+        }
+        
+        this.snapshotTimer = setInterval(() => {
+            this.runScheduledSnapshots().catch(error => {
+                logger.error(`Scheduled snapshots failed: ${error.message}`);
+            });
+        }, interval);
+        // Never keep the process alive just for snapshots
+        this.snapshotTimer.unref?.();
+    }
+    
+    /**
+     * Stop scheduled snapshots.
+     * 
+     * @returns {void}
+     */
+    stopSnapshotSchedule() {
+        if (this.snapshotTimer) {
+            clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+    }
+    
+    /**
+     * Snapshot every loaded project whose tasks changed since its last snapshot.
+     * 
+     * @returns {Promise<Array<Object>>} Summaries of the snapshots taken
+     */
+    async runScheduledSnapshots() {
+        const taken = [];
+        for (const [projectId, tasks] of this.projectTasks) {
+            if (tasks.length === 0 || this.snapshotStates.get(projectId) === this.getSnapshotState(projectId)) {
+                continue;
+            }
+            try {
+                taken.push(await this.createSnapshot(projectId, 'scheduled'));
+            } catch (error) {
+                logger.error(`Failed to snapshot project ${projectId}: ${error.message}`);
+            }
+        }
+        return taken;
+    }
+    
+    /**
+     * Serialize what a snapshot of a project would hold, to tell whether it
+     * changed since the last one.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {string} Serialized tasks and metadata
+     * @private
+     */
+    getSnapshotState(projectId) {
+        return JSON.stringify({ tasks: this.projectTasks.get(projectId) || [], meta: this.getProjectMeta(projectId) });
+    }
+    
+    /**
+     * List a project's snapshots, newest first.
+     * 
+     * @param {string} projectId - Project ID
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @returns {Promise<Array<Object>>} Snapshot summaries ({ id, createdAt, reason, taskCount })
+     */
+    async listSnapshots(projectId) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        return this.snapshots.list(projectId);
+    }
+    
+    /**
+     * Compare a snapshot with the project's current tasks.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} snapshotId - Snapshot ID
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {SnapshotNotFoundError} If the snapshot does not exist
+     * @returns {Promise<Object>} Tasks added and removed since the snapshot, and field changes
+     *   ({ from: snapshot value, to: current value }) of the tasks in both
+     */
+    async diffSnapshot(projectId, snapshotId) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        await this.init(projectId);
+        
+        const snapshot = await this.snapshots.read(projectId, snapshotId);
+        const current = this.projectTasks.get(projectId) || [];
+        const before = new Map(snapshot.tasks.map(task => [task.id, task]));
+        const after = new Map(current.map(task => [task.id, task]));
+        
+        return {
+            snapshot: { id: snapshot.id, createdAt: snapshot.createdAt, reason: snapshot.reason },
+            added: current.filter(task => !before.has(task.id)),
+            removed: snapshot.tasks.filter(task => !after.has(task.id)),
+            changed: current
+                .filter(task => before.has(task.id))
+                .map(task => ({ id: task.id, title: task.title, changes: diffTask(before.get(task.id), task) }))
+                .filter(({ changes }) => Object.keys(changes).length > 0)
+        };
+    }
+    
+    /**
+     * Replace a project's tasks with those of a snapshot. The current state
+     * is snapshotted first, and the restore can be undone like any other
+     * change. IDs allocated since the snapshot stay allocated.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} snapshotId - Snapshot ID
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {SnapshotNotFoundError} If the snapshot does not exist
+     * @returns {Promise<Object>} The snapshot restored, the snapshot of the replaced state, and the task count
+     */
+    async restoreSnapshot(projectId, snapshotId) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        await this.init(projectId);
+        
+        const snapshot = await this.snapshots.read(projectId, snapshotId);
+        const backup = await this.snapshotBefore(projectId, 'restore');
+        
+        const meta = this.getProjectMeta(projectId);
+        const nextId = Math.max(meta.nextId || 1, snapshot.meta.nextId || 1);
+        this.projectMeta.set(projectId, { ...snapshot.meta, nextId });
+        this.projectTasks.set(projectId, snapshot.tasks);
+        this.rebuildTaskTracking(projectId);
+        await this.saveTasks(projectId);
+        
+        logger.info(`Restored project ${projectId} from snapshot ${snapshotId}`);
+        return {
+            projectId,
+            snapshot: { id: snapshot.id, createdAt: snapshot.createdAt, reason: snapshot.reason },
+            backup,
+            taskCount: snapshot.tasks.length
+        };
+    }
+    
+    /**
+     * Compare a project's in-memory tasks with a previously serialized state.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Map<number, string>} baseline - Serialized tasks to compare against
+     * @returns {{current: Map<number, string>, changed: Array<Object>, removed: Array<number>}}
+     *   The current serialized state, tasks that differ from the baseline, and IDs missing from memory
+     * @private
+     */
+    diffTasks(projectId, baseline = new Map()) {
+        const tasks = this.projectTasks.get(projectId) || [];
+        
+        const current = new Map();
+        const changed = [];
+        for (const task of tasks) {
+            const serialized = JSON.stringify(task);
+            current.set(task.id, serialized);
+            if (baseline.get(task.id) !== serialized) {
+                changed.push(task);
+            }
+        }
+        const removed = Array.from(baseline.keys()).filter(id => !current.has(id));
+        
+        return { current, changed, removed };
+    }
+
+    /**
+     * Apply journal entries left behind by a previous run and write them to storage.
+     * Journals orphaned by other processes that stopped without saving are
+     * replayed too, and removed once their changes are stored.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {Promise<number>} Number of journal entries that were replayed
+     * @private
+     */
+    async replayJournal(projectId) {
+        const orphaned = await this.journal.readOrphaned(projectId);
+        const entries = [
+            ...orphaned.flatMap(journal => journal.entries),
+            ...(await this.journal.read(projectId))
+        ];
+        if (entries.length === 0) {
+            if (orphaned.length > 0) {
+                await this.journal.removeOrphaned(orphaned.map(journal => journal.path));
+            }
+            return 0;
+        }
+        
+        const tasks = replayJournal(this.projectTasks.get(projectId) || [], entries);
+        this.projectTasks.set(projectId, tasks);
+        this.journaledTasks.set(projectId, this.diffTasks(projectId).current);
+        
+        const lastMeta = entries.filter(entry => entry.meta).pop()?.meta;
+        if (lastMeta) {
+            this.projectMeta.set(projectId, { ...lastMeta });
+            this.journaledMeta.set(projectId, JSON.stringify(lastMeta));
+        }
+        this.cache.set(`tasks_${projectId}`, tasks);
+        this.buildTaskIndices(projectId);
+        
+        await this.persistTasks(projectId);
+        await this.journal.removeOrphaned(orphaned.map(journal => journal.path));
+        logger.warn(`Recovered ${entries.length} unsaved change(s) from the journal for project ${projectId}`);
+        return entries.length;
+    }
+
+    /**
+     * Recover a project whose stored data failed to load.
+     * The damaged data is quarantined and the project is rebuilt from the last
+     * good backup (or an empty list); the write-ahead journal is replayed on top
+     * by init. The incident is recorded so tools can report it until repaired.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {TaskDataCorruptionError} error - The corruption that was detected
+     * @returns {Promise<Object>} The recorded recovery incident
+     * @private
+     */
+    async recoverCorruptedProject(projectId, error) {
+        logError(error);
+        
+        const quarantinePath = await this.storage.quarantine(projectId);
+        if (!quarantinePath) {
+            // Without quarantine the damaged data would be overwritten, so refuse to continue
+            throw error;
+        }
+        
+        const backup = await this.storage.loadBackup(projectId);
+        const tasks = backup || [];
+        
+        this.projectTasks.set(projectId, tasks);
+        this.markPersisted(projectId, []);
+        this.storedRevisions.set(projectId, await this.storage.getRevision(projectId));
+        await this.saveTasks(projectId);
+        
+        const incident = {
+            projectId,
+            reason: error.reason,
+            quarantineFile: path.basename(quarantinePath),
+            restoredFrom: backup ? 'backup' : 'none',
+            restoredTaskCount: tasks.length,
+            detectedAt: new Date().toISOString()
+        };
+        this.recoveryIncidents.set(projectId, incident);
+        
+        logger.error(`Recovered corrupted project ${projectId} from ${incident.restoredFrom === 'backup' ? 'the last good backup' : 'an empty task list'}; damaged data saved as ${incident.quarantineFile}`);
+        return incident;
+    }
+
+    /**
+     * Get the unresolved recovery incident for a project, if any.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {Object|null} Incident details or null
+     */
+    getRecoveryIncident(projectId) {
+        return this.recoveryIncidents.get(projectId) || null;
+    }
+
+    /**
+     * Salvage valid task objects from a quarantined copy of a project's data
+     * and merge them into the current tasks.
+     * 
+     * Salvaged tasks whose ID is missing are added; tasks that exist in both are
+     * replaced only when the salvaged copy was updated more recently.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Repair options
+     * @param {string} options.file - Quarantined file name (defaults to the newest)
+     * @param {boolean} options.dryRun - Report what would change without saving
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {FileSystemError} If there is no quarantined data to repair from
+     * @returns {Promise<Object>} Repair report with added, updated and discarded counts
+     */
+    async repairProject(projectId, { file = null, dryRun = false } = {}) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        await this.init(projectId);
+        
+        const available = await this.storage.listQuarantined(projectId);
+        const source = file || available[0];
+        if (!source || !available.includes(source)) {
+            throw new FileSystemError(
+                `No quarantined task data${file ? ` named ${file}` : ''} found for project ${projectId}`,
+                'repair',
+                this.baseTasksDir
+            );
+        }
+        
+        const raw = await this.storage.readQuarantined(projectId, source);
+        const { tasks: salvaged, discarded } = salvageTasks(raw);
+        
+        const tasks = this.projectTasks.get(projectId) || [];
+        const added = [];
+        const updated = [];
+        for (const task of salvaged) {
+            const index = tasks.findIndex(existing => existing.id === task.id);
+            if (index === -1) {
+                added.push(task.id);
+                if (!dryRun) tasks.push(task);
+            } else if (String(task.updatedAt || '') > String(tasks[index].updatedAt || '')) {
+                updated.push(task.id);
+                if (!dryRun) tasks[index] = task;
+            }
+        }
+        
+        if (!dryRun) {
+            tasks.sort((a, b) => a.id - b.id);
+            this.projectTasks.set(projectId, tasks);
+            await this.saveTasks(projectId);
+            this.recoveryIncidents.delete(projectId);
+        }
+        
+        return {
+            projectId,
+            source,
+            salvaged: salvaged.length,
+            discarded,
+            added,
+            updated,
+            dryRun
+        };
+    }
+
+    /**
+     * List the projects with a debounced save that has not been written yet.
+     *
+     * @returns {Array<string>} Project IDs
+     */
+    getPendingSaves() {
+        return Array.from(this.projectTasks.keys()).filter(projectId => debouncer.isPending(`save_${projectId}`));
+    }
+
+    /**
+     * Immediately write every pending debounced save.
+     * 
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const projectIds = Array.from(this.projectTasks.keys());
+        const results = await Promise.allSettled(
+            projectIds.map(projectId => debouncer.flush(`save_${projectId}`))
+        );
+        
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                logError(new FileSystemError(
+                    `Failed to flush pending saves for project ${projectIds[index]}`,
+                    'flush',
+                    this.baseTasksDir,
+                    result.reason
+                ));
+            }
+        });
+    }
+
+    /**
+     * Flush pending saves and release the storage adapter.
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.stopSnapshotSchedule();
+        await this.flush();
+        await this.storage.close();
+    }
+
+    /**
+     * Record tasks as matching what is currently in storage.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Array<Object>} tasks - Tasks as loaded from storage
+     * @private
+     */
+    markPersisted(projectId, tasks) {
+        const serialized = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+        this.persistedTasks.set(projectId, serialized);
+        this.journaledTasks.set(projectId, new Map(serialized));
+    }
+    
+    /**
+     * Record the stored state of a project without touching the journal
+     * baseline, so in-memory changes still count as unsaved.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Array<Object>} tasks - Tasks currently in storage
+     * @param {Object} meta - Metadata currently in storage
+     * @param {number} revision - Storage revision the tasks were read at
+     * @private
+     */
+    markStored(projectId, tasks, meta, revision) {
+        this.persistedTasks.set(projectId, new Map(tasks.map(task => [task.id, JSON.stringify(task)])));
+        this.persistedMeta.set(projectId, JSON.stringify(meta));
+        this.storedRevisions.set(projectId, revision);
+    }
+
+    /**
+     * Get a project's metadata, creating an empty record if none is loaded.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {Object} Mutable metadata ({ nextId, keyPrefix, views })
+     * @private
+     */
+    getProjectMeta(projectId) {
+        if (!this.projectMeta.has(projectId)) {
+            this.projectMeta.set(projectId, {});
+        }
+        return this.projectMeta.get(projectId);
+    }
+
+    /**
+     * Allocate the next task ID for a project.
+     * IDs only ever grow: an ID that was used once is never handed out again,
+     * even after the task is deleted.
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {number} The new task ID
+     * @private
+     */
+    allocateTaskId(projectId) {
+        const meta = this.getProjectMeta(projectId);
+        const tasks = this.projectTasks.get(projectId) || [];
+        const highestId = tasks.reduce((highest, task) => Math.max(highest, task.id), 0);
+        
+        const id = Math.max(meta.nextId || 1, highestId + 1);
+        meta.nextId = id + 1;
+        return id;
+    }
+
+    /**
+     * Build lookup indices for a project's tasks.
+     * Indices map task IDs, keys, statuses, assignees and parent task IDs to
+     * tasks so the common lookups avoid scanning the whole task list. blockedBy
+     * maps each blocked task to the unfinished dependencies it waits on.
+     * 
+     * @param {string} projectId - Project ID to index
+     * @returns {Object} The indices that were built
+     */
+    buildTaskIndices(projectId) {
+        const tasks = this.projectTasks.get(projectId) || [];
+        const indices = {
+            byId: new Map(),
+            byKey: new Map(),
+            byStatus: new Map(),
+            byAssignee: new Map(),
+            byParent: new Map(),
+            blockedBy: new Map()
+        };
+        
+        const addTo = (index, key, id) => {
+            if (!index.has(key)) {
+                index.set(key, new Set());
+            }
+            index.get(key).add(id);
+        };
+        
+        for (const task of tasks) {
+            indices.byId.set(task.id, task);
+            if (task.key) indices.byKey.set(task.key, task);
+            if (task.status) addTo(indices.byStatus, task.status, task.id);
+            if (task.assignedTo) addTo(indices.byAssignee, task.assignedTo, task.id);
+            for (const subtaskId of task.subtasks || []) {
+                addTo(indices.byParent, task.id, subtaskId);
+            }
+        }
+        indices.blockedBy = findBlockedTasks(tasks, indices.byId);
+        
+        this.taskIndices.set(projectId, indices);
+        this.searchIndex.sync(projectId, tasks);
+        return indices;
+    }
+    
+    /**
+     * Full-text search over the title, description, notes and tags of tasks.
+     * 
+     * Words match whole words, `word*` matches a prefix and `"two words"` a
+     * phrase; every part of the query must match. Results are ranked with
+     * title matches first. Without a projectId every stored project is
+     * searched, loading projects that are not in memory yet.
+     * 
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {string} options.projectId - Only search this project
+     * @param {Array<string>} options.projectIds - Only search these projects, when no projectId is given
+     * @param {number} options.limit - Maximum number of results
+     * @throws {ProjectNotFoundError} If the project ID is invalid
+     * @returns {Promise<Array<{projectId: string, task: Object, score: number, fields: Array<string>}>>} Best matches first
+     */
+    async searchTasks(query, { projectId = null, projectIds = null, limit = 20 } = {}) {
+        if (projectId && !isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        const searched = projectId ? [projectId] : projectIds || await this.getProjects();
+        const results = [];
+        
+        for (const pid of searched) {
+            try {
+                await this.init(pid);
+            } catch (error) {
+                logger.error(`Error searching tasks in project ${pid}:`, error);
+                continue;
+            }
+            
+            const byId = this.taskIndices.get(pid)?.byId || new Map();
+            for (const { taskId, score, fields } of this.searchIndex.search(pid, query)) {
+                const task = byId.get(taskId);
+                if (task) {
+                    results.push({ projectId: pid, task, score, fields });
+                }
+            }
+        }
+        
+        return results
+            .sort((a, b) => b.score - a.score || a.projectId.localeCompare(b.projectId) || a.task.id - b.task.id)
+            .slice(0, limit);
+    }
+
+    /**
+     * Create a new task
+     * @param {Object} taskData - Task data
+     * @param {string} projectId - Required project ID to create the task for a specific project
+     * @param {number} parentTaskId - Optional parent task ID for subtasks
+     */
+    async createTask(taskData, projectId, parentTaskId = null) {
+        if (!projectId) {
+            throw new Error('Project ID is required to create a task');
+        }
+        
+        // Initialize for the project
+        await this.init(projectId);
+        
+        // Get the tasks for this project
+        const tasks = this.projectTasks.get(projectId) || [];
+        
+        // Create new task with an ID that is never reused
+        const id = this.allocateTaskId(projectId);
+        const { keyPrefix } = this.getProjectMeta(projectId);
+        const newTask = {
+            ...taskData,
+            id,
+            ...(keyPrefix ? { key: `${keyPrefix}-${id}` } : {}),
+            status: taskData.status || 'pending',
+            progress: 0,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            dependencies: taskData.dependencies || [],
+            priority: taskData.priority || 'medium',
+            projectId,
+            subtasks: [],
+            isSubtask: parentTaskId !== null
+        };
+        
+        // Add to tasks list
+        tasks.push(newTask);
+        this.projectTasks.set(projectId, tasks);
+        
+        // If this is a subtask, add it to the parent task's subtasks array
+        if (parentTaskId) {
+            const parentTaskIndex = tasks.findIndex(task => task.id === parentTaskId);
+            if (parentTaskIndex !== -1) {
+                if (!tasks[parentTaskIndex].subtasks) {
+                    tasks[parentTaskIndex].subtasks = [];
+                }
+                tasks[parentTaskIndex].subtasks.push(newTask.id);
+                
+                // Track the parent-child relationship
+                this.subtaskParentMap.set(`${projectId}_${newTask.id}`, parentTaskId);
+            }
+        }
+        
+        // Save tasks
+        await this.saveTasks(projectId);
+        
+        return newTask;
+    }
+
+    /**
+     * List all tasks
+     * @param {string} projectId - Required project ID to list tasks for a specific project
+     */
+    async listTasks(projectId) {
+        if (!projectId) {
+            throw new Error('Project ID is required to list tasks');
+        }
+        
+        // Initialize for the project
+        await this.init(projectId);
+        
+        // Return the tasks for this project
+        return this.projectTasks.get(projectId) || [];
+    }
+
+    /**
+     * Update a task
+     * @param {number} id - Task ID
+     * @param {Object} updates - Task updates
+     * @param {string} projectId - Required project ID to update a task for a specific project
+     * @param {Object} options - Update options
+     * @param {boolean} options.force - Start the task even if unfinished dependencies block it
+     * @throws {ProjectNotFoundError} If project ID is not provided or invalid
+     * @throws {TaskNotFoundError} If task is not found
+     * @throws {TaskValidationError} If updates are invalid
+     * @throws {TaskBlockedError} If the update starts a blocked task without force
+     * @returns {Promise<Object>} The updated task
+     */
+    async updateTask(id, updates, projectId, { force = false } = {}) {
+        if (!projectId) {
+            throw new ProjectNotFoundError('Project ID is required to update a task');
+        }
+        
+        // Validate project ID to prevent path traversal attacks
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        // Validate task ID
+        if (!isValidTaskId(id)) {
+            throw new TaskValidationError(`Invalid task ID: ${id}`, {
+                field: 'id',
+                value: id
+            });
+        }
+        
+        // Initialize for the project
+        await this.init(projectId);
+        
+        // Get the tasks for this project
+        const projectTasks = this.projectTasks.get(projectId) || [];
+        
+        // Find the task to update
+        const taskIndex = projectTasks.findIndex(task => task.id === id);
+        if (taskIndex === -1) {
+            throw new Error(`Task with id ${id} not found in project ${projectId}`);
+        }
+        
+        // IDs and keys only change through renumberTasks and setKeyPrefix
+        for (const field of ['id', 'key']) {
+            if (updates[field] !== undefined && updates[field] !== projectTasks[taskIndex][field]) {
+                throw new TaskValidationError(`Task ${field} cannot be changed by an update`, {
+                    field,
+                    value: updates[field]
+                });
+            }
+        }
+        
+        // Refuse to start a task whose dependencies are unfinished
+        if (updates.status === 'in-progress' && projectTasks[taskIndex].status !== 'in-progress' && !force) {
+            const blockers = await this.getBlockers(projectId, id);
+            if (blockers.dependencies.length > 0 || blockers.externalDependencies.length > 0) {
+                throw new TaskBlockedError(id, projectId, blockers.dependencies, blockers.externalDependencies);
+            }
+        }
+
+        // Update the task
+        projectTasks[taskIndex] = {
+            ...projectTasks[taskIndex],
+            ...updates,
+            updatedAt: new Date().toISOString()
+        };
+        
+        // Completing a task always means full progress
+        if (updates.status === 'completed' && updates.progress === undefined) {
+            projectTasks[taskIndex].progress = 100;
+            projectTasks[taskIndex].completedAt = projectTasks[taskIndex].completedAt || projectTasks[taskIndex].updatedAt;
+        }
+        
+        // If progress is being updated, update subtasks progress accordingly
+        if (updates.progress !== undefined && projectTasks[taskIndex].subtasks && projectTasks[taskIndex].subtasks.length > 0) {
+            // Only propagate progress if all subtasks are completed
+            const allSubtasksCompleted = projectTasks[taskIndex].subtasks.every(subtaskId => {
+                const subtask = projectTasks.find(task => task.id === subtaskId);
+                return subtask && subtask.status === 'completed';
+            });
+            
+            if (allSubtasksCompleted && updates.progress < 100) {
+                // If all subtasks are completed but progress is less than 100, adjust it
+                projectTasks[taskIndex].progress = 100;
+            }
+        }
+        
+        // Update the project tasks
+        this.projectTasks.set(projectId, projectTasks);
+
+        // Save the tasks to the project-specific file
+        await this.saveTasks(projectId);
+        
+        return projectTasks[taskIndex];
+    }
+
+    /**
+     * Complete a task
+     * @param {number} id - Task ID
+     * @param {string} projectId - Required project ID to complete a task for a specific project
+     */
+    async completeTask(id, projectId) {
+        if (!projectId) {
+            throw new Error('Project ID is required to complete a task');
+        }
+        
+        return this.updateTask(id, { 
+            status: 'completed', 
+            completedAt: new Date().toISOString(),
+            progress: 100 // Ensure progress is set to 100% when completed
+        }, projectId);
+    }
+
+    /**
+     * Get tasks filtered by status for a specific project.
+     * This method uses the status index for efficient filtering when available,
+     * falling back to array filtering when necessary.
+     * 
+     * @param {string} status - Task status (e.g., 'pending', 'in-progress', 'completed')
+     * @param {string} projectId - Required project ID to get tasks from a specific project
+     * @throws {Error} If project ID is not provided
+     * @returns {Promise<Array<Object>>} Array of tasks with the specified status
+     */
+    async getTasksByStatus(status, projectId) {
+        if (!projectId) {
+            throw new Error('Project ID is required to get tasks by status');
+        }
+        
+        // Initialize for the project
+        await this.init(projectId);
+        
+        // Check indices first
+        const indices = this.taskIndices.get(projectId);
+        if (indices?.byStatus.has(status)) {
+            const taskIds = indices.byStatus.get(status);
+            return Array.from(taskIds).map(id => indices.byId.get(id));
+        }
+        
+        // Fallback to filter
+        const tasks = this.projectTasks.get(projectId) || [];
+        return tasks.filter(task => task.status === status);
+    }
+    
+    /**
+     * Query a project's tasks with a filter, sort order, pagination and field projection.
+     * 
+     * Status, assignee, parent and blocked conditions are answered from the task indices;
+     * the other conditions are only checked on the tasks those select. List
+     * conditions (status, priority) match any of their values; tags must all
+     * be present. Date bounds are exclusive.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} query - Query
+     * @param {Object} query.filter - Conditions: status, priority (value or list), assignedTo (null for unassigned),
+     *   hasDependencies, blocked (waiting on unfinished dependencies, in this project or another), isSubtask, parentId, tags, createdAfter,
+     *   createdBefore, updatedAfter, updatedBefore
+     * @param {Array<string>} query.sort - Sort keys such as 'priority' or '-updatedAt', most significant first (default: by ID)
+     * @param {number} query.limit - Maximum tasks to return (default: all)
+     * @param {number} query.offset - Tasks to skip
+     * @param {string} query.cursor - Cursor returned by a previous call with the same filter and sort, instead of offset
+     * @param {Array<string>} query.fields - Task fields to return; the ID is always included (default: all)
+     * @throws {TaskValidationError} If a sort key, date bound or cursor is invalid
+     * @returns {Promise<{tasks: Array<Object>, total: number, offset: number, nextCursor: string|null}>} The page and the total number of matches
+     */
+    async queryTasks(projectId, { filter = {}, sort = [], limit, offset = 0, cursor, fields } = {}) {
+        if (!projectId) {
+            throw new Error('Project ID is required to query tasks');
+        }
+        
+        const keys = parseSort(sort);
+        const predicate = buildPredicate(filter);
+        const fingerprint = describeQuery(projectId, filter, sort);
+        const start = cursor ? decodeCursor(cursor, fingerprint) : offset;
+        
+        // Initialize for the project
+        await this.init(projectId);
+        
+        const indices = this.taskIndices.get(projectId) || this.buildTaskIndices(projectId);
+        
+        // Tasks waiting on other projects count as blocked too
+        let blocked;
+        if (filter.blocked !== undefined) {
+            blocked = new Set(indices.blockedBy.keys());
+            for (const id of (await this.getExternalBlockers(projectId)).keys()) blocked.add(id);
+        }
+        const matches = selectCandidates(indices, filter, blocked).filter(predicate).sort(compareTasks(keys));
+        const end = limit === undefined ? matches.length : start + limit;
+        
+        return {
+            tasks: matches.slice(start, end).map(task => projectTask(task, fields)),
+            total: matches.length,
+            offset: start,
+            nextCursor: end < matches.length ? encodeCursor(end, fingerprint) : null
+        };
+    }
+    
+    /**
+     * Check the whole dependency graph of a project. Writes already reject new
+     * invalid dependencies; this also finds problems in data written by older
+     * versions or edited by hand.
+     * 
+     * @param {string} projectId - Project ID
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @returns {Promise<{projectId: string, taskCount: number, valid: boolean, problems: Array<Object>}>} Problems of type
+     *   'self', 'missing' and 'duplicate' ({ taskId, dependencyId }) and 'cycle' ({ taskId, path }), each with a message;
+     *   missing external dependencies also carry dependencyProjectId
+     */
+    async validateDependencies(projectId) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        
+        await this.init(projectId);
+        
+        const tasks = this.projectTasks.get(projectId) || [];
+        const projects = new Map();
+        const missingExternal = [];
+        for (const task of tasks) {
+            for (const ref of task.externalDependencies || []) {
+                if (!(await this.loadReferencedProject(ref.projectId, projects))?.has(ref.taskId)) {
+                    missingExternal.push({ type: 'missing', taskId: task.id, dependencyProjectId: ref.projectId, dependencyId: ref.taskId });
+                }
+            }
+        }
+        const problems = [...findDependencyProblems(tasks), ...missingExternal].map(problem => ({
+            ...problem,
+            message: describeDependencyProblem(problem)
+        }));
+        return { projectId, taskCount: tasks.length, valid: problems.length === 0, problems };
+    }
+    
+    /**
+     * Render a project's dependency and subtask edges as a Mermaid flowchart
+     * or a Graphviz digraph, with nodes styled by status.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Options
+     * @param {string} options.format - 'mermaid' or 'dot'
+     * @param {number|string} options.focus - Only show this task (ID or key) and its ancestors and descendants
+     * @param {boolean} options.collapseCompleted - Show completed tasks as one summary node
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {TaskValidationError} If the format is unknown
+     * @throws {TaskNotFoundError} If the focus task does not exist
+     * @returns {Promise<{projectId: string, format: string, nodeCount: number, edgeCount: number, text: string}>} The rendered graph
+     */
+    async exportTaskGraph(projectId, { format = 'mermaid', focus, collapseCompleted = false } = {}) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
+        if (!GRAPH_FORMATS.includes(format)) {
+            throw new TaskValidationError(`Unknown graph format: ${format}`, {
+                field: 'format',
+                value: format,
+                allowed: GRAPH_FORMATS
+            });
+        }
+        
+        await this.init(projectId);
+        
+        const focusId = focus === undefined || focus === null ? undefined : (await this.getTask(focus, projectId)).id;
+        const graph = buildTaskGraph(this.projectTasks.get(projectId) || [], { focus: focusId, collapseCompleted });
+        return {
+            projectId,
+            format,
+            nodeCount: graph.nodes.length,
+            edgeCount: graph.edges.length,
+            text: format === 'dot' ? toDot(graph, projectId) : toMermaid(graph)
+        };
+    }
+    
+    /**
+     * Get the unfinished dependencies a task waits on, in its own project and in others
+     * 
+     * @param {string} projectId - Project ID (must be initialized)
+     * @param {number} id - Task ID
+     * @returns {Promise<{dependencies: Array<number>, externalDependencies: Array<Object>}>} Blocking dependency IDs and
+     *   blocking tasks of other projects ({ projectId, taskId, title, status }); both empty if the task is ready or completed
+     */
+    async getBlockers(projectId, id) {
+        const indices = this.taskIndices.get(projectId) || this.buildTaskIndices(projectId);
+        const task = indices.byId.get(id);
+        return {
+            dependencies: indices.blockedBy.get(id) || [],
+            externalDependencies: task && task.status !== 'completed' ? await this.resolveExternalBlockers(task) : []
+        };
+    }
+    
+    /**
+     * Get the tasks of a project that wait on unfinished tasks of other projects
+     * 
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Map<number, Array<Object>>>} Blocking tasks of other projects ({ projectId, taskId, title, status })
+     *   by ID of the unfinished task waiting on them
+     */
+    async getExternalBlockers(projectId) {
+        await this.init(projectId);
+        
+        const blockers = new Map();
+        const projects = new Map();
+        for (const task of this.projectTasks.get(projectId) || []) {
+            if (task.status === 'completed' || !task.externalDependencies?.length) continue;
+            const waitingOn = await this.resolveExternalBlockers(task, projects);
+            if (waitingOn.length > 0) blockers.set(task.id, waitingOn);
+        }
+        return blockers;
+    }
+    
+    /**
+     * Find the unfinished tasks of other projects a task depends on. References
+     * to projects or tasks that no longer exist do not block.
+     * 
+     * @param {Object} task - Task
+     * @param {Map<string, Map<number, Object>|null>} projects - Projects loaded so far, filled in as a cache
+     * @returns {Promise<Array<Object>>} Blocking tasks as { projectId, taskId, title, status }
+     * @private
+     */
+    async resolveExternalBlockers(task, projects = new Map()) {
+        const blockers = [];
+        for (const ref of task.externalDependencies || []) {
+            const dependency = (await this.loadReferencedProject(ref.projectId, projects))?.get(ref.taskId);
+            if (dependency && dependency.status !== 'completed') {
+                blockers.push({ projectId: ref.projectId, taskId: ref.taskId, title: dependency.title, status: dependency.status });
+            }
+        }
+        return blockers;
+    }
+    
+    /**
+     * Pick the tasks to work on next. Candidates are pending tasks that no
+     * unfinished dependency blocks, in this project or another, ranked by priority, then by slack in the
+     * project schedule (critical path tasks first), then by dependency depth
+     * (the longest chain of unfinished tasks waiting on them), then by age
+     * (oldest first).
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Options
+     * @param {number} options.limit - Number of tasks to return
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @returns {Promise<{tasks: Array<Object>, readyCount: number, blockedCount: number}>} The best ready tasks,
+     *   each as { task, slack, critical, depth, unblocks }, and how many pending tasks are ready and blocked
+     */
+    async getNextTasks(projectId, { limit = 1 } = {}) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
         
-        // Save tasks
-        await this.saveTasks(projectId);
+        await this.init(projectId);
         
-        return newTask;
+        const indices = this.taskIndices.get(projectId) || this.buildTaskIndices(projectId);
+        const tasks = Array.from(indices.byId.values());
+        const pending = Array.from(indices.byStatus.get('pending') || [], id => indices.byId.get(id));
+        const externalBlockers = await this.getExternalBlockers(projectId);
+        const ready = pending.filter(task => !indices.blockedBy.has(task.id) && !externalBlockers.has(task.id));
+        const dependents = measureDependents(tasks);
+        const schedule = new Map(computeSchedule(tasks).tasks.map(entry => [entry.taskId, entry]));
+        const byPriority = compareTasks([{ field: 'priority', direction: -1 }]);
+        const byAge = compareTasks(parseSort(['createdAt']));
+        
+        // Tasks in a dependency cycle have no schedule; they rank after every scheduled task of their priority
+        const ranked = ready
+            .map(task => ({
+                task,
+                slack: schedule.get(task.id)?.slack ?? null,
+                critical: schedule.get(task.id)?.critical ?? false,
+                depth: dependents.get(task.id).depth,
+                unblocks: dependents.get(task.id).dependents
+            }))
+            .sort((a, b) => byPriority(a.task, b.task)
+                || (a.slack ?? Infinity) - (b.slack ?? Infinity)
+                || b.depth - a.depth
+                || byAge(a.task, b.task));
+        
+        return {
+            tasks: ranked.slice(0, limit),
+            readyCount: ready.length,
+            blockedCount: pending.length - ready.length
+        };
     }
-
+    
     /**
-     * List all tasks
-     * @param {string} projectId - Required project ID to list tasks for a specific project
+     * Schedule a project's unfinished tasks from their estimates and dependencies:
+     * a topological order, earliest and latest start and finish, slack, and the
+     * critical path. Remaining work is the estimate scaled by the progress not yet
+     * made; completed tasks take no time.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Options
+     * @param {number|string} options.target - Only schedule this task (ID or key) and the unfinished tasks it depends on
+     * @param {number} options.defaultEstimate - Estimate of tasks without one
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {TaskNotFoundError} If the target task does not exist
+     * @throws {DependencyCycleError} If unfinished tasks depend on each other in a cycle
+     * @returns {Promise<Object>} { projectId, target, duration, criticalPath, order, tasks, estimatedCount, defaultEstimate },
+     *   each task as { taskId, duration, earliestStart, earliestFinish, latestStart, latestFinish, slack, critical }
      */
-    async listTasks(projectId) {
-        if (!projectId) {
-            throw new Error('Project ID is required to list tasks');
+    async analyzeSchedule(projectId, { target, defaultEstimate = 1 } = {}) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
         
-        // Initialize for the project
         await this.init(projectId);
         
-        // Return the tasks for this project
-        return this.projectTasks.get(projectId) || [];
+        const targetId = target === undefined || target === null ? undefined : (await this.getTask(target, projectId)).id;
+        const tasks = this.projectTasks.get(projectId) || [];
+        const schedule = computeSchedule(tasks, { target: targetId, defaultEstimate });
+        if (schedule.cyclic.length > 0) {
+            const byId = new Map(tasks.map(task => [task.id, task]));
+            const path = schedule.cyclic.map(id => findCycleFrom(byId, id)).find(Boolean) || schedule.cyclic;
+            throw new DependencyCycleError(projectId, path);
+        }
+        
+        const scheduled = new Set(schedule.order);
+        return {
+            projectId,
+            ...(targetId !== undefined ? { target: targetId } : {}),
+            duration: schedule.duration,
+            criticalPath: schedule.criticalPath,
+            order: schedule.order,
+            tasks: schedule.tasks,
+            estimatedCount: tasks.filter(task => scheduled.has(task.id) && task.estimate !== undefined).length,
+            defaultEstimate
+        };
     }
-
+    
     /**
-     * Update a task
-     * @param {number} id - Task ID
-     * @param {Object} updates - Task updates
-     * @param {string} projectId - Required project ID to update a task for a specific project
-     * @throws {ProjectNotFoundError} If project ID is not provided or invalid
-     * @throws {TaskNotFoundError} If task is not found
-     * @throws {TaskValidationError} If updates are invalid
-     * @returns {Promise<Object>} The updated task
+     * Save a named query in a project's metadata, replacing any view of the same name.
+     * Views are stored with the tasks, so every client of the project shares them.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} name - View name: letters, digits, hyphens and underscores
+     * @param {Object} view - View definition
+     * @param {string} view.description - What the view shows
+     * @param {Object} view.filter - Filter (see queryTasks); relative dates such as 7d keep it current
+     * @param {Array<string>} view.sort - Sort keys (see queryTasks)
+     * @param {Array<string>} view.fields - Task fields to return (see queryTasks)
+     * @param {number} view.limit - Default page size
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {TaskValidationError} If the name, a sort key or a date bound is invalid
+     * @returns {Promise<Object>} The saved view, with its name
      */
-    async updateTask(id, updates, projectId) {
-        if (!projectId) {
-            throw new ProjectNotFoundError('Project ID is required to update a task');
-        }
-        
-        // Validate project ID to prevent path traversal attacks
+    async saveView(projectId, name, { description, filter = {}, sort = [], fields, limit } = {}) {
         if (!isValidProjectId(projectId)) {
             throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
-        
-        // Validate task ID
-        if (!isValidTaskId(id)) {
-            throw new TaskValidationError(`Invalid task ID: ${id}`, {
-                field: 'id',
-                value: id
+        if (!VIEW_NAME_PATTERN.test(name || '')) {
+            throw new TaskValidationError(`Invalid view name: ${name}`, {
+                field: 'name',
+                value: name
             });
         }
         
-        // Initialize for the project
-        await this.init(projectId);
+        // Reject views that could never run
+        parseSort(sort);
+        buildPredicate(filter);
         
-        // Get the tasks for this project
-        const projectTasks = this.projectTasks.get(projectId) || [];
+        await this.init(projectId);
         
-        // Find the task to update
-        const taskIndex = projectTasks.findIndex(task => task.id === id);
-        if (taskIndex === -1) {
-            throw new Error(`Task with id ${id} not found in project ${projectId}`);
-        }
-
-        // Update the task
-        projectTasks[taskIndex] = {
-            ...projectTasks[taskIndex],
-            ...updates,
+        const view = {
+            ...(description ? { description } : {}),
+            filter,
+            sort,
+            ...(fields ? { fields } : {}),
+            ...(limit ? { limit } : {}),
             updatedAt: new Date().toISOString()
         };
+        const meta = this.getProjectMeta(projectId);
+        meta.views = { ...meta.views, [name]: view };
         
-        // If progress is being updated, update subtasks progress accordingly
-        if (updates.progress !== undefined && projectTasks[taskIndex].subtasks && projectTasks[taskIndex].subtasks.length > 0) {
-            // Only propagate progress if all subtasks are completed
-            const allSubtasksCompleted = projectTasks[taskIndex].subtasks.every(subtaskId => {
-                const subtask = projectTasks.find(task => task.id === subtaskId);
-                return subtask && subtask.status === 'completed';
-            });
-            
-            if (allSubtasksCompleted && updates.progress < 100) {
-                // If all subtasks are completed but progress is less than 100, adjust it
-                projectTasks[taskIndex].progress = 100;
-            }
+        await this.saveTasks(projectId);
+        return { name, ...view };
+    }
+    
+    /**
+     * Delete a saved view
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} name - View name
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {ViewNotFoundError} If the project has no view of that name
+     * @returns {Promise<Object>} The deleted view, with its name
+     */
+    async deleteView(projectId, name) {
+        const view = await this.getView(projectId, name);
+        
+        const meta = this.getProjectMeta(projectId);
+        const { [name]: deleted, ...views } = meta.views;
+        if (Object.keys(views).length > 0) {
+            meta.views = views;
+        } else {
+            delete meta.views;
         }
         
-        // Update the project tasks
-        this.projectTasks.set(projectId, projectTasks);
-
-        // Save the tasks to the project-specific file
         await this.saveTasks(projectId);
-        
-        return projectTasks[taskIndex];
+        return view;
     }
-
+    
     /**
-     * Complete a task
-     * @param {number} id - Task ID
-     * @param {string} projectId - Required project ID to complete a task for a specific project
+     * Get a saved view
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} name - View name
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {ViewNotFoundError} If the project has no view of that name
+     * @returns {Promise<Object>} The view, with its name
      */
-    async completeTask(id, projectId) {
-        if (!projectId) {
-            throw new Error('Project ID is required to complete a task');
+    async getView(projectId, name) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
         
-        return this.updateTask(id, { 
-            status: 'completed', 
-            completedAt: new Date().toISOString(),
-            progress: 100 // Ensure progress is set to 100% when completed
-        }, projectId);
+        await this.init(projectId);
+        
+        const views = this.getProjectMeta(projectId).views || {};
+        if (!Object.hasOwn(views, name)) {
+            throw new ViewNotFoundError(projectId, name);
+        }
+        return { name, ...views[name] };
     }
-
+    
     /**
-     * Get tasks filtered by status for a specific project.
-     * This method uses the status index for efficient filtering when available,
-     * falling back to array filtering when necessary.
+     * List the saved views of a project, by name
      * 
-     * @param {string} status - Task status (e.g., 'pending', 'in-progress', 'completed')
-     * @param {string} projectId - Required project ID to get tasks from a specific project
-     * @throws {Error} If project ID is not provided
-     * @returns {Promise<Array<Object>>} Array of tasks with the specified status
+     * @param {string} projectId - Project ID
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @returns {Promise<Array<Object>>} Views, each with its name
      */
-    async getTasksByStatus(status, projectId) {
-        if (!projectId) {
-            throw new Error('Project ID is required to get tasks by status');
+    async listViews(projectId) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
         
-        // Initialize for the project
         await this.init(projectId);
         
-        // Check indices first
-        const indices = this.taskIndices.get(projectId);
-        if (indices?.byStatus.has(status)) {
-            const taskIds = indices.byStatus.get(status);
-            return Array.from(taskIds).map(id => indices.byId.get(id));
+        const views = this.getProjectMeta(projectId).views || {};
+        return Object.keys(views).sort().map(name => ({ name, ...views[name] }));
+    }
+    
+    /**
+     * Run a saved view: query the project with its filter, sort and fields
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} name - View name
+     * @param {Object} page - Page to return
+     * @param {number} page.limit - Maximum tasks (default: the view's limit)
+     * @param {number} page.defaultLimit - Maximum tasks if neither limit nor the view sets one (default: all)
+     * @param {number} page.offset - Tasks to skip
+     * @param {string} page.cursor - Cursor from a previous run of the view
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {ViewNotFoundError} If the project has no view of that name
+     * @returns {Promise<{view: Object, tasks: Array<Object>, total: number, offset: number, nextCursor: string|null}>} The view and a page of its tasks
+     */
+    async runView(projectId, name, { limit, defaultLimit, offset, cursor } = {}) {
+        const view = await this.getView(projectId, name);
+        const page = await this.queryTasks(projectId, {
+            filter: view.filter,
+            sort: view.sort,
+            fields: view.fields,
+            limit: limit ?? view.limit ?? defaultLimit,
+            offset,
+            cursor
+        });
+        return { view, ...page };
+    }
+    
+    /**
+     * Look up the ID of the task holding a short key in a loaded project.
+     * A key's number may differ from the ID, e.g. for keys edited into tasks.json by hand.
+     * @param {string} projectId - Project ID
+     * @param {string} key - Task key such as PROJ-42
+     * @returns {number|null} The task ID, or null if the project is not loaded or no task has the key
+     */
+    findTaskIdByKey(projectId, key) {
+        if (!this.projectTasks.has(projectId)) {
+            return null;
         }
-        
-        // Fallback to filter
-        const tasks = this.projectTasks.get(projectId) || [];
-        return tasks.filter(task => task.status === status);
+        const indices = this.taskIndices.get(projectId) || this.buildTaskIndices(projectId);
+        return indices.byKey.get(key)?.id ?? null;
     }
     
     /**
-     * Get a task by ID
-     * @param {number} id - Task ID
+     * Get a task by ID or short key
+     * @param {number|string} id - Task ID, or a task key such as PROJ-42
      * @param {string} projectId - Required project ID to get a task from a specific project
      * @throws {ProjectNotFoundError} If project ID is not provided or invalid
      * @throws {TaskNotFoundError} If task is not found
@@ -439,6 +2375,16 @@ export class TaskManager {
             throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
         
+        // Short keys are looked up through the key index
+        if (typeof id === 'string' && TASK_KEY_PATTERN.test(id)) {
+            await this.init(projectId);
+            const keyedTask = this.taskIndices.get(projectId)?.byKey.get(id);
+            if (!keyedTask) {
+                throw new TaskNotFoundError(id, projectId);
+            }
+            return keyedTask;
+        }
+        
         // Validate task ID
         if (!isValidTaskId(id)) {
             throw new TaskValidationError(`Invalid task ID: ${id}`, {
@@ -470,6 +2416,8 @@ export class TaskManager {
 
     /**
      * Reload tasks from file (for external updates)
+     * A project that is already loaded merges the stored changes into memory,
+     * so unsaved changes made here survive edits made by another process.
      * @param {string} projectId - Required project ID to reload tasks for a specific project
      */
     async reloadTasks(projectId) {
@@ -497,21 +2445,30 @@ export class TaskManager {
                 this.projectsMap.set(projectId, tasksPath);
             }
             
-            try {
-                const data = await fs.readFile(tasksPath, 'utf-8');
-                const tasks = JSON.parse(data);
-                this.projectTasks.set(projectId, tasks);
-                console.error(`Reloaded tasks for project ${projectId} from ${tasksPath}`);
+            if (this.projectTasks.has(projectId) && this.persistedTasks.has(projectId)) {
+                await this.mergeStoredChanges(projectId);
+                console.error(`Merged external changes for project ${projectId} from ${this.storage.name} storage`);
+                return true;
+            }
+            
+            const { revision, tasks, meta } = await this.readStoredProject(projectId);
+            this.projectMeta.set(projectId, meta);
+            this.persistedMeta.set(projectId, JSON.stringify(this.getProjectMeta(projectId)));
+            this.storedRevisions.set(projectId, revision);
+            if (!tasks) {
+                // If the project has no stored tasks, create it with empty tasks
+                this.projectTasks.set(projectId, []);
+                this.markPersisted(projectId, []);
+                await this.saveTasks(projectId);
                 return true;
-            } catch (error) {
-                if (error.code === 'ENOENT') {
-                    // If file doesn't exist, create it with empty tasks
-                    this.projectTasks.set(projectId, []);
-                    await this.saveTasks(projectId);
-                    return true;
-                }
-                throw error;
             }
+            
+            this.projectTasks.set(projectId, tasks);
+            this.markPersisted(projectId, tasks);
+            this.cache.set(`tasks_${projectId}`, tasks);
+            this.buildTaskIndices(projectId);
+            console.error(`Reloaded tasks for project ${projectId} from ${this.storage.name} storage`);
+            return true;
         } catch (error) {
             console.error(`Failed to reload tasks for project ${projectId}:`, error);
             return false;
@@ -522,8 +2479,11 @@ export class TaskManager {
      * Assign a task to Windsurf
      * @param {number} id - Task ID
      * @param {string} projectId - Required project ID to assign a task from a specific project
+     * @param {Object} options - Assignment options
+     * @param {boolean} options.force - Assign the task even if unfinished dependencies block it
+     * @throws {TaskBlockedError} If the task is blocked and force is not set
      */
-    async assignToWindsurf(id, projectId) {
+    async assignToWindsurf(id, projectId, { force = false } = {}) {
         if (!projectId) {
             throw new Error('Project ID is required to assign a task to Windsurf');
         }
@@ -543,7 +2503,7 @@ export class TaskManager {
             assignedTo: 'windsurf',
             assignedAt: new Date().toISOString(),
             progress: 0 // Initialize progress to 0%
-        }, projectId);
+        }, projectId, { force });
         
         // Store the task with its project ID for tracking
         const taskKey = `${projectId}_${id}`;
@@ -667,15 +2627,14 @@ export class TaskManager {
     }
     
     /**
-     * Delete a task by ID
+     * Delete a task by ID. The IDs of the remaining tasks do not change.
      * @param {number} id - Task ID to delete
      * @param {string} projectId - Required project ID to delete a task from a specific project
-     * @param {boolean} reorganizeIds - Whether to reorganize task IDs after deletion
      * @throws {ProjectNotFoundError} If project ID is not provided or invalid
      * @throws {TaskNotFoundError} If task is not found
      * @returns {Promise<Object>} The deleted task
      */
-    async deleteTask(id, projectId, reorganizeIds = false) {
+    async deleteTask(id, projectId) {
         if (!projectId) {
             throw new ProjectNotFoundError('Project ID is required to delete a task');
         }
@@ -713,7 +2672,7 @@ export class TaskManager {
             // Create a copy of subtasks array to avoid modification during iteration
             const subtaskIds = [...deletedTask.subtasks];
             for (const subtaskId of subtaskIds) {
-                await this.deleteTask(subtaskId, projectId, false); // Don't reorganize IDs yet
+                await this.deleteTask(subtaskId, projectId);
             }
         }
         
@@ -731,10 +2690,13 @@ export class TaskManager {
         // Remove the task
         projectTasks.splice(taskIndex, 1);
         
-        // Reorganize task IDs if requested
-        if (reorganizeIds) {
-            this.reorganizeTaskIds(projectTasks);
-        }
+        // Drop the deleted task from the dependencies of the remaining tasks
+        const now = new Date().toISOString();
+        projectTasks.forEach((task, index) => {
+            if (task.dependencies?.includes(id)) {
+                projectTasks[index] = { ...task, dependencies: task.dependencies.filter(depId => depId !== id), updatedAt: now };
+            }
+        });
         
         // Update the project tasks
         this.projectTasks.set(projectId, projectTasks);
@@ -742,17 +2704,20 @@ export class TaskManager {
         // Save tasks
         await this.saveTasks(projectId);
         
+        // Drop it from the external dependencies of other projects' tasks
+        await this.rewriteExternalReferences(projectId, taskId => (taskId === id ? null : taskId));
+        
         return deletedTask;
     }
     
     /**
-     * Delete multiple tasks by criteria
+     * Find the tasks deleteTasks would delete for the given criteria, without deleting them
      * @param {Object} criteria - Criteria for selecting tasks to delete
-     * @param {string} projectId - Required project ID to delete tasks from a specific project
+     * @param {string} projectId - Required project ID
      * @throws {ProjectNotFoundError} If project ID is not provided or invalid
-     * @returns {Promise<Array>} The deleted tasks
+     * @returns {Promise<Array>} The matching tasks (their subtasks are deleted with them)
      */
-    async deleteTasks(criteria, projectId) {
+    async findTasksToDelete(criteria, projectId) {
         if (!projectId) {
             throw new ProjectNotFoundError('Project ID is required to delete tasks');
         }
@@ -767,7 +2732,6 @@ export class TaskManager {
         
         // Get the tasks for this project
         const projectTasks = this.projectTasks.get(projectId) || [];
-        const deletedTasks = [];
         
         // Filter tasks to delete based on criteria
         const tasksToDelete = [];
@@ -808,71 +2772,196 @@ export class TaskManager {
             });
         }
         
+        return tasksToDelete;
+    }
+    
+    /**
+     * Delete multiple tasks by criteria
+     * @param {Object} criteria - Criteria for selecting tasks to delete
+     * @param {string} projectId - Required project ID to delete tasks from a specific project
+     * @throws {ProjectNotFoundError} If project ID is not provided or invalid
+     * @returns {Promise<Array>} The deleted tasks
+     */
+    async deleteTasks(criteria, projectId) {
+        const tasksToDelete = await this.findTasksToDelete(criteria, projectId);
+        const deletedTasks = [];
+        
+        if (tasksToDelete.length > 0) {
+            await this.snapshotBefore(projectId, 'delete_tasks');
+        }
+        
         // Delete the tasks (in reverse order to avoid index issues)
         for (const task of tasksToDelete) {
             try {
-                const deletedTask = await this.deleteTask(task.id, projectId, false); // Don't reorganize IDs yet
+                const deletedTask = await this.deleteTask(task.id, projectId);
                 deletedTasks.push(deletedTask);
             } catch (error) {
                 logger.error(`Failed to delete task ${task.id}`, { error });
             }
         }
         
-        // Reorganize task IDs after all deletions
-        if (deletedTasks.length > 0) {
-            const remainingTasks = this.projectTasks.get(projectId) || [];
-            this.reorganizeTaskIds(remainingTasks);
-            this.projectTasks.set(projectId, remainingTasks);
-            await this.saveTasks(projectId);
-        }
-        
         return deletedTasks;
     }
     
     /**
-     * Reorganize task IDs to ensure they are sequential
-     * @param {Array} tasks - Array of tasks to reorganize
-     * @private
+     * Renumber a project's tasks sequentially from 1, in ID order.
+     * 
+     * Task IDs are otherwise stable, so this is an explicit maintenance
+     * operation: dependencies, subtask links, task keys, Windsurf assignments
+     * and other projects' external dependencies are updated, but IDs stored
+     * outside the task manager (notes, commit messages, agent memory) will
+     * point at different tasks. Dependencies on tasks that no longer exist
+     * are dropped, in this project and in others.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Renumbering options
+     * @param {boolean} options.dryRun - Report the mapping without changing any tasks
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @returns {Promise<Object>} Report with the old-to-new ID mapping of every task whose ID changes,
+     *   and the tasks of other projects whose external dependencies are rewritten
      */
-    reorganizeTaskIds(tasks) {
-        // Create a map of old IDs to new IDs
-        const idMap = new Map();
+    async renumberTasks(projectId, { dryRun = false } = {}) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
+        }
         
-        // Sort tasks by ID to ensure proper ordering
-        tasks.sort((a, b) => a.id - b.id);
+        await this.init(projectId);
         
-        // Assign new sequential IDs
-        tasks.forEach((task, index) => {
-            const oldId = task.id;
-            const newId = index + 1;
-            idMap.set(oldId, newId);
-            task.id = newId;
+        const tasks = [...(this.projectTasks.get(projectId) || [])].sort((a, b) => a.id - b.id);
+        const idMap = new Map(tasks.map((task, index) => [task.id, index + 1]));
+        const mapping = tasks
+            .filter(task => idMap.get(task.id) !== task.id)
+            .map(task => ({ from: task.id, to: idMap.get(task.id) }));
+        
+        if (mapping.length === 0) {
+            return { projectId, mapping, externalReferences: [], dryRun };
+        }
+        
+        const resolve = taskId => idMap.get(taskId) ?? null;
+        if (dryRun) {
+            const externalReferences = await this.rewriteExternalReferences(projectId, resolve, { dryRun });
+            return { projectId, mapping, externalReferences, dryRun };
+        }
+        
+        await this.snapshotBefore(projectId, 'renumber');
+        
+        const { keyPrefix } = this.getProjectMeta(projectId);
+        const renumbered = tasks.map(task => {
+            const id = idMap.get(task.id);
+            return {
+                ...task,
+                id,
+                ...(task.key && keyPrefix ? { key: `${keyPrefix}-${id}` } : {}),
+                dependencies: (task.dependencies || []).filter(depId => idMap.has(depId)).map(depId => idMap.get(depId)),
+                subtasks: (task.subtasks || []).map(subtaskId => idMap.get(subtaskId) || subtaskId)
+            };
         });
         
-        // Update dependencies and subtasks references
-        tasks.forEach(task => {
-            if (task.dependencies && task.dependencies.length > 0) {
-                task.dependencies = task.dependencies.map(depId => idMap.get(depId) || depId);
-            }
-            
-            if (task.subtasks && task.subtasks.length > 0) {
-                task.subtasks = task.subtasks.map(subtaskId => idMap.get(subtaskId) || subtaskId);
+        // Re-key the per-task maps that belong to this project
+        const prefix = `${projectId}_`;
+        for (const map of [this.subtaskParentMap, this.windsurfTasks]) {
+            const entries = Array.from(map.entries()).filter(([key]) => key.startsWith(prefix));
+            entries.forEach(([key]) => map.delete(key));
+            for (const [key, value] of entries) {
+                const newId = idMap.get(Number(key.slice(prefix.length)));
+                if (!newId) continue;
+                if (map === this.subtaskParentMap) {
+                    map.set(`${prefix}${newId}`, idMap.get(value) || value);
+                } else {
+                    map.set(`${prefix}${newId}`, { ...value, id: newId });
+                }
             }
-        });
+        }
         
-        // Update subtask parent map
-        const updatedSubtaskParentMap = new Map();
-        for (const [key, parentId] of this.subtaskParentMap.entries()) {
-            const [projectId, oldSubtaskId] = key.split('_');
-            const newSubtaskId = idMap.get(Number(oldSubtaskId));
-            const newParentId = idMap.get(parentId);
+        this.projectTasks.set(projectId, renumbered);
+        this.getProjectMeta(projectId).nextId = renumbered.length + 1;
+        await this.saveTasks(projectId);
+        const externalReferences = await this.rewriteExternalReferences(projectId, resolve);
+        
+        logger.info(`Renumbered ${mapping.length} task(s) in project ${projectId}`);
+        return { projectId, mapping, externalReferences, dryRun };
+    }
+    
+    /**
+     * Point other projects' external dependencies on a project at the new IDs
+     * of its tasks, removing references to tasks that are gone. Other projects
+     * are read without loading them, and only loaded when they hold a
+     * reference to rewrite.
+     * 
+     * @param {string} projectId - Project whose task IDs changed
+     * @param {Function} resolve - Maps an old task ID to its new ID, or to null if the task is gone
+     * @param {Object} options - Rewrite options
+     * @param {boolean} options.dryRun - Find the references without changing them
+     * @returns {Promise<Array<{projectId: string, taskId: number}>>} The tasks whose external dependencies change
+     * @private
+     */
+    async rewriteExternalReferences(projectId, resolve, { dryRun = false } = {}) {
+        const rewrites = task => (task.externalDependencies || [])
+            .some(ref => ref.projectId === projectId && resolve(ref.taskId) !== ref.taskId);
+        const projectIds = new Set([...this.projectTasks.keys(), ...await this.getProjects()]);
+        const rewritten = [];
+        
+        for (const otherId of [...projectIds].sort()) {
+            if (otherId === projectId) continue;
+            const tasks = await this.loadReferencedProject(otherId);
+            const referencing = tasks ? [...tasks.values()].filter(rewrites).map(task => task.id) : [];
+            if (referencing.length === 0) continue;
             
-            if (newSubtaskId && newParentId) {
-                updatedSubtaskParentMap.set(`${projectId}_${newSubtaskId}`, newParentId);
-            }
+            rewritten.push(...referencing.map(taskId => ({ projectId: otherId, taskId })));
+            if (dryRun) continue;
+            
+            await this.init(otherId);
+            const otherTasks = this.projectTasks.get(otherId) || [];
+            const now = new Date().toISOString();
+            otherTasks.forEach((task, index) => {
+                if (!rewrites(task)) return;
+                const externalDependencies = task.externalDependencies
+                    .map(ref => (ref.projectId === projectId ? { ...ref, taskId: resolve(ref.taskId) } : ref))
+                    .filter(ref => ref.taskId !== null);
+                otherTasks[index] = { ...task, externalDependencies, updatedAt: now };
+            });
+            await this.saveTasks(otherId);
+        }
+        
+        return rewritten;
+    }
+    
+    /**
+     * Set the short key prefix for a project's tasks (e.g. PROJ gives PROJ-42).
+     * New tasks get a key derived from their ID. Existing tasks without a key
+     * are keyed with the new prefix; tasks that already have a key keep it.
+     * 
+     * @param {string} projectId - Project ID
+     * @param {string} prefix - Key prefix: 2-10 uppercase letters or digits, starting with a letter
+     * @throws {ProjectNotFoundError} If project ID is invalid
+     * @throws {TaskValidationError} If the prefix is invalid
+     * @returns {Promise<Object>} The prefix and the IDs of tasks that received a key
+     */
+    async setKeyPrefix(projectId, prefix) {
+        if (!isValidProjectId(projectId)) {
+            throw new ProjectNotFoundError(`Invalid project ID format: ${projectId}`);
         }
+        if (!TASK_KEY_PREFIX_PATTERN.test(prefix)) {
+            throw new TaskValidationError(`Invalid task key prefix: ${prefix}`, {
+                field: 'prefix',
+                value: prefix
+            });
+        }
+        
+        await this.init(projectId);
+        
+        this.getProjectMeta(projectId).keyPrefix = prefix;
+        const tasks = this.projectTasks.get(projectId) || [];
+        const keyed = [];
+        tasks.forEach((task, index) => {
+            if (!task.key) {
+                tasks[index] = { ...task, key: `${prefix}-${task.id}` };
+                keyed.push(task.id);
+            }
+        });
         
-        this.subtaskParentMap = updatedSubtaskParentMap;
+        await this.saveTasks(projectId);
+        return { projectId, prefix, keyed };
     }
     
     /**
@@ -938,28 +3027,9 @@ export class TaskManager {
      */
     async getProjects() {
         try {
-            // Ensure the base tasks directory exists
-            await fs.mkdir(this.baseTasksDir, { recursive: true });
-            
-            // Read all project directories
-            const projectDirs = await fs.readdir(this.baseTasksDir);
-            
-            // Filter out non-directory items and get project IDs
-            const projectIds = [];
-            for (const dir of projectDirs) {
-                const fullPath = path.join(this.baseTasksDir, dir);
-                const stats = await fs.stat(fullPath);
-                if (stats.isDirectory()) {
-                    // Verify it's a valid project directory by checking for tasks.json
-                    const tasksFile = path.join(fullPath, 'tasks.json');
-                    try {
-                        await fs.access(tasksFile);
-                        projectIds.push(dir);
-                    } catch (error) {
-                        logger.debug(`Skipping invalid project directory: ${dir}`);
-                    }
-                }
-            }
+            // Ask the storage adapter which projects hold tasks
+            const projectIds = (await this.storage.listProjects())
+                .filter(projectId => isValidProjectId(projectId));
             
             // Sort project IDs alphabetically
             return projectIds.sort();
@@ -969,6 +3039,18 @@ export class TaskManager {
         }
     }
 
+    /**
+     * Check whether a project exists, without creating it the way init() does.
+     * @param {string} projectId - Project ID
+     * @returns {Promise<boolean>} True if the project is loaded or has stored tasks
+     */
+    async hasProject(projectId) {
+        if (!isValidProjectId(projectId)) {
+            return false;
+        }
+        return this.projectTasks.has(projectId) || (await this.getProjects()).includes(projectId);
+    }
+
     async getSubtasks(parentTaskId, projectId) {
         if (!projectId) {
             throw new ProjectNotFoundError('Project ID is required to get subtasks');
@@ -0,0 +1,266 @@
+/**
+ * Filtering, sorting and pagination of a project's tasks
+ *
+ * A query selects candidate tasks from the task indices built by
+ * TaskManager#buildTaskIndices (status, assignee, parent and blocked), checks the
+ * remaining conditions on those candidates only, then sorts, pages and
+ * projects the result.
+ */
+
+import crypto from 'crypto';
+import { TaskValidationError } from '../utils/errors.js';
+
+// Fields tasks can be sorted by
+export const TASK_SORT_FIELDS = ['id', 'title', 'status', 'priority', 'progress', 'estimate', 'createdAt', 'updatedAt'];
+
+// Sort order of enumerated fields, lowest first
+const RANKS = {
+    priority: { low: 0, medium: 1, high: 2 },
+    status: { pending: 0, 'in-progress': 1, completed: 2 }
+};
+
+/**
+ * Parse sort keys such as 'priority' or '-updatedAt' (descending)
+ * @param {Array<string>} sort - Sort keys, most significant first
+ * @returns {Array<{field: string, direction: number}>} Parsed keys, ending with id as a tie-breaker
+ * @throws {TaskValidationError} If a key names an unknown field
+ */
+export function parseSort(sort = []) {
+    const keys = sort.map(key => {
+        const descending = key.startsWith('-');
+        const field = descending ? key.slice(1) : key;
+        if (!TASK_SORT_FIELDS.includes(field)) {
+            throw new TaskValidationError(`Cannot sort by ${field}`, {
+                field: 'sort',
+                value: key,
+                allowed: TASK_SORT_FIELDS
+            });
+        }
+        return { field, direction: descending ? -1 : 1 };
+    });
+    if (!keys.some(key => key.field === 'id')) {
+        keys.push({ field: 'id', direction: 1 });
+    }
+    return keys;
+}
+
+/**
+ * Compare two values of a sort field; missing values sort last
+ * @param {string} field - Sort field
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(field, a, b) {
+    if (RANKS[field]) {
+        a = RANKS[field][a];
+        b = RANKS[field][b];
+    }
+    if (a === undefined || a === null) return b === undefined || b === null ? 0 : 1;
+    if (b === undefined || b === null) return -1;
+    if (typeof a === 'string') return a.localeCompare(b);
+    return a - b;
+}
+
+/**
+ * Build a comparator from parsed sort keys
+ * @param {Array<{field: string, direction: number}>} keys - Keys from parseSort
+ * @returns {Function} Comparator for Array#sort
+ */
+export function compareTasks(keys) {
+    return (a, b) => {
+        for (const { field, direction } of keys) {
+            const result = compareValues(field, a[field], b[field]);
+            if (result !== 0) return result * direction;
+        }
+        return 0;
+    };
+}
+
+// Relative date bounds such as 7d: a number of minutes, hours, days or weeks before now
+const RELATIVE_DATE_PATTERN = /^(\d+)([mhdw])$/;
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Resolve a date bound to a time
+ * @param {string} value - ISO date or date-time, or a relative bound such as 30m, 12h, 7d or 2w (that long ago)
+ * @param {number} now - Current time in milliseconds, for relative bounds
+ * @returns {number} Milliseconds since the epoch, or NaN if the value is not a date
+ */
+export function resolveDateBound(value, now = Date.now()) {
+    const relative = RELATIVE_DATE_PATTERN.exec(value);
+    if (relative) {
+        return now - Number(relative[1]) * UNIT_MS[relative[2]];
+    }
+    return Date.parse(value);
+}
+
+/**
+ * Parse a date bound of a filter
+ * @param {string} name - Filter field, for the error
+ * @param {string} value - Date bound (see resolveDateBound)
+ * @returns {number|null} Milliseconds since the epoch, or null if not set
+ * @throws {TaskValidationError} If the value is not a date
+ */
+function parseBound(name, value) {
+    if (value === undefined || value === null) return null;
+    const time = resolveDateBound(value);
+    if (Number.isNaN(time)) {
+        throw new TaskValidationError(`${name} is not a valid date`, { field: name, value });
+    }
+    return time;
+}
+
+/**
+ * Turn a single value or list into a list
+ * @param {any} value - Value or array of values
+ * @returns {Array|null} Values, or null if not set
+ */
+function asList(value) {
+    if (value === undefined || value === null) return null;
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build a predicate for the conditions the indices do not answer
+ * @param {Object} filter - Filter (see TaskManager#queryTasks)
+ * @returns {Function} Predicate taking a task
+ * @throws {TaskValidationError} If a date bound is invalid
+ */
+export function buildPredicate(filter = {}) {
+    const priorities = asList(filter.priority);
+    const tags = asList(filter.tags);
+    const bounds = {
+        createdAfter: parseBound('createdAfter', filter.createdAfter),
+        createdBefore: parseBound('createdBefore', filter.createdBefore),
+        updatedAfter: parseBound('updatedAfter', filter.updatedAfter),
+        updatedBefore: parseBound('updatedBefore', filter.updatedBefore)
+    };
+    const within = (value, after, before) => {
+        if (after === null && before === null) return true;
+        const time = Date.parse(value);
+        return !Number.isNaN(time) && (after === null || time > after) && (before === null || time < before);
+    };
+
+    return task => {
+        if (priorities && !priorities.includes(task.priority)) return false;
+        if (filter.hasDependencies !== undefined && (task.dependencies?.length > 0) !== filter.hasDependencies) return false;
+        if (filter.isSubtask !== undefined && Boolean(task.isSubtask) !== filter.isSubtask) return false;
+        if (filter.assignedTo === null && task.assignedTo) return false;
+        if (tags && !tags.every(tag => task.tags?.includes(tag))) return false;
+        if (!within(task.createdAt, bounds.createdAfter, bounds.createdBefore)) return false;
+        if (!within(task.updatedAt, bounds.updatedAfter, bounds.updatedBefore)) return false;
+        return true;
+    };
+}
+
+/**
+ * Select the candidate tasks of a filter from the task indices
+ * @param {Object} indices - Indices from TaskManager#buildTaskIndices
+ * @param {Object} filter - Filter (see TaskManager#queryTasks)
+ * @param {Set<number>} blocked - IDs of blocked tasks (default: those blocked within the project)
+ * @returns {Array<Object>} Tasks matching the indexed conditions (status, assignee, parent, blocked)
+ */
+export function selectCandidates(indices, filter = {}, blocked = new Set(indices.blockedBy.keys())) {
+    const candidates = selectIndexed(indices, filter, blocked);
+    if (filter.blocked === false) {
+        return candidates.filter(task => !blocked.has(task.id));
+    }
+    return candidates;
+}
+
+/**
+ * Intersect the index sets a filter names
+ * @param {Object} indices - Indices from TaskManager#buildTaskIndices
+ * @param {Object} filter - Filter (see TaskManager#queryTasks)
+ * @param {Set<number>} blocked - IDs of blocked tasks
+ * @returns {Array<Object>} Tasks in every named set, or all tasks if the filter names none
+ */
+function selectIndexed(indices, filter, blocked) {
+    const sets = [];
+    const statuses = asList(filter.status);
+    if (statuses) {
+        sets.push(new Set(statuses.flatMap(status => Array.from(indices.byStatus.get(status) || []))));
+    }
+    if (typeof filter.assignedTo === 'string') {
+        sets.push(indices.byAssignee.get(filter.assignedTo) || new Set());
+    }
+    if (filter.parentId !== undefined && filter.parentId !== null) {
+        sets.push(indices.byParent.get(filter.parentId) || new Set());
+    }
+    if (filter.blocked === true) {
+        sets.push(blocked);
+    }
+
+    if (sets.length === 0) {
+        return Array.from(indices.byId.values());
+    }
+
+    // Walk the smallest set and check membership in the others
+    sets.sort((a, b) => a.size - b.size);
+    const [smallest, ...others] = sets;
+    return Array.from(smallest)
+        .filter(id => others.every(set => set.has(id)))
+        .map(id => indices.byId.get(id))
+        .filter(Boolean);
+}
+
+/**
+ * Fingerprint a query, so a cursor is only accepted for the query that issued it
+ * @param {string} projectId - Project ID
+ * @param {Object} filter - Filter
+ * @param {Array<string>} sort - Sort keys
+ * @returns {string} Short hash
+ */
+export function describeQuery(projectId, filter, sort) {
+    const canonical = JSON.stringify([projectId, Object.keys(filter).sort().map(key => [key, filter[key]]), sort]);
+    return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 12);
+}
+
+/**
+ * Encode the position after a page as an opaque cursor
+ * @param {number} offset - Offset of the next page
+ * @param {string} query - Fingerprint from describeQuery
+ * @returns {string} Cursor
+ */
+export function encodeCursor(offset, query) {
+    return Buffer.from(JSON.stringify({ offset, query })).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor for the same query
+ * @param {string} cursor - Cursor
+ * @param {string} query - Fingerprint from describeQuery
+ * @returns {number} Offset of the page
+ * @throws {TaskValidationError} If the cursor is malformed or was issued for another query
+ */
+export function decodeCursor(cursor, query) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        decoded = null;
+    }
+    if (!Number.isInteger(decoded?.offset) || decoded.offset < 0) {
+        throw new TaskValidationError('Invalid cursor', { field: 'cursor', value: cursor });
+    }
+    if (decoded.query !== query) {
+        throw new TaskValidationError('Cursor was issued for a different filter or sort', { field: 'cursor', value: cursor });
+    }
+    return decoded.offset;
+}
+
+/**
+ * Keep only some fields of a task; the ID is always kept
+ * @param {Object} task - Task
+ * @param {Array<string>} fields - Fields to keep, or null for all
+ * @returns {Object} Projected task
+ */
+export function projectTask(task, fields) {
+    if (!fields) return task;
+    const projected = { id: task.id };
+    for (const field of fields) {
+        if (task[field] !== undefined) projected[field] = task[field];
+    }
+    return projected;
+}
@@ -1,12 +1,22 @@
-import { FastMCP } from 'fastmcp';
+import { FastMCP, FastMCPSession } from 'fastmcp';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { TaskManager } from './core/task-manager.js';
 import { registerTaskTools } from './tools/index.js';
+import { publishOutputSchemas } from './tools/tool-wrappers.js';
+import { registerResources, serveResources } from './resources/index.js';
+import { ResourceSubscriptions } from './resources/subscriptions.js';
+import { registerPrompts, servePrompts } from './prompts/index.js';
 import { FileWatcher } from './core/file-watcher.js';
 import TaskCleanupService from './core/task-cleanup-service.js';
 import { logger } from './utils/logger.js';
+import { getTasksRootSource } from './config/paths-config.js';
+import { getTransportConfig } from './config/transport-config.js';
+import { getAuthConfig } from './config/auth-config.js';
+import { authenticateRequest, loadClients } from './auth/index.js';
+import { HttpTransportServer, recordRegistrations } from './transport/http-server.js';
 import { BRANDING, formatBrandedMessage, getBrandedVersion } from './constants/branding.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -31,6 +41,9 @@ class WindsurfTaskMCPServer {
         logger.startup();
 
         this.server = new FastMCP(this.options);
+        this.registrations = recordRegistrations(this.server);
+        this.httpServer = null;
+        this.stdioSession = null;
         this.initialized = false;
         
         // Initialize core components
@@ -40,6 +53,7 @@ class WindsurfTaskMCPServer {
         
         // Make the cleanup service accessible from the task manager
         this.taskManager.taskCleanupService = this.taskCleanupService;
+        this.resourceSubscriptions = new ResourceSubscriptions(this.taskManager);
     }
 
     /**
@@ -48,12 +62,27 @@ class WindsurfTaskMCPServer {
     async init() {
         if (this.initialized) return;
 
-        // Register task management tools
-        registerTaskTools(this.server, this.taskManager);
+        logger.info(`Tasks root: ${this.taskManager.baseTasksDir} (${getTasksRootSource()})`);
+
+        // Register task management tools, served with their output schemas on each session
+        const outputSchemas = registerTaskTools(this.server, this.taskManager);
+        this.serveTools = publishOutputSchemas(this.registrations.tools, outputSchemas);
+
+        // Publish projects and tasks as readable resources
+        registerResources(this.server, this.taskManager);
+        this.serveResources = serveResources(this.taskManager);
+        this.resourceSubscriptions.attach(this.server);
+
+        // Offer prompts that render live project data
+        registerPrompts(this.server, this.taskManager);
+        this.servePrompts = servePrompts(this.taskManager);
 
         // Start file watcher for Windsurf integration
         await this.fileWatcher.start();
         
+        // Snapshot changed projects on a schedule
+        this.taskManager.startSnapshotSchedule();
+        
         // Register task cleanup service hooks
         this.taskCleanupService.registerHooks();
         logger.info(formatBrandedMessage('Task Cleanup Service initialized and hooks registered', 'info'));
@@ -63,30 +92,118 @@ class WindsurfTaskMCPServer {
     }
 
     /**
-     * Start the MCP server
+     * Start the MCP server on the configured transport
+     * @param {Object} transportOverrides - Values that take precedence over the transport configuration
      */
-    async start() {
+    async start(transportOverrides = {}) {
         if (!this.initialized) {
             await this.init();
         }
 
-        // Start the FastMCP server with stdio transport
-        await this.server.start({
-            transportType: 'stdio'
-        });
+        const transport = getTransportConfig(transportOverrides);
+        if (transport.type === 'http') {
+            await this.startHttp(transport);
+        } else {
+            await this.startStdio();
+        }
 
         console.error(formatBrandedMessage(`${BRANDING.PRODUCT_NAME} started successfully`, 'success'));
         return this;
     }
 
+    /**
+     * Create an MCP session with everything registered on the FastMCP server.
+     * Tools, resources, prompts and subscriptions are served for the session's
+     * client, so its token permissions apply to all of them. They are added
+     * before the session connects, so the client sees the subscribe capability
+     * in the initialize response.
+     * @param {Object} [client] - Authenticated HTTP client
+     * @returns {FastMCPSession} The unconnected session
+     */
+    createSession(client) {
+        const session = new FastMCPSession({
+            auth: client || undefined,
+            name: this.options.name,
+            version: this.options.version,
+            ...this.registrations
+        });
+        this.serveTools(session, client || undefined);
+        this.serveResources(session, client || null);
+        this.servePrompts(session, client || null);
+        this.resourceSubscriptions.addSession(session, client || null);
+        return session;
+    }
+
+    /**
+     * Serve one MCP session over stdio. The session is created here rather than
+     * by FastMCP's start(), which connects before capabilities can be added.
+     */
+    async startStdio() {
+        const session = this.createSession();
+        await session.connect(new StdioServerTransport());
+        this.stdioSession = session;
+        this.server.emit('connect', { session });
+    }
+
+    /**
+     * Serve MCP sessions over Streamable HTTP. Sessions are announced on the
+     * FastMCP server like stdio sessions, so subscriptions and output schemas work the same.
+     * @param {Object} transport - Transport configuration
+     */
+    async startHttp(transport) {
+        const clients = loadClients(getAuthConfig());
+        if (clients.length === 0) {
+            logger.warn('No auth tokens configured (WTM_AUTH_FILE or WTM_AUTH_TOKEN): every HTTP client has full access');
+        } else {
+            logger.info(`HTTP clients authenticate with one of ${clients.length} configured tokens`);
+        }
+
+        this.httpServer = new HttpTransportServer({
+            ...transport,
+            authenticate: clients.length > 0 ? req => authenticateRequest(clients, req) : undefined,
+            createSession: client => this.createSession(client),
+            onConnect: session => this.server.emit('connect', { session }),
+            onDisconnect: session => this.server.emit('disconnect', { session }),
+            getHealth: () => ({
+                name: this.options.name,
+                version: this.options.version,
+                pendingSaves: this.taskManager.getPendingSaves().length
+            })
+        });
+
+        const { host, port } = await this.httpServer.start();
+        logger.info(`Listening on http://${host.includes(':') ? `[${host}]` : host}:${port}${transport.endpoint} (health: ${transport.healthPath})`);
+    }
+
     /**
      * Stop the MCP server
+     * HTTP clients are disconnected first so no new changes arrive, then pending
+     * debounced saves are written before the process is allowed to exit.
      */
     async stop() {
+        if (this.httpServer) {
+            await this.httpServer.close();
+        }
+        
+        if (this.stdioSession) {
+            const session = this.stdioSession;
+            this.stdioSession = null;
+            await session.close();
+            this.server.emit('disconnect', { session });
+        }
+        
         if (this.fileWatcher) {
             await this.fileWatcher.stop();
         }
         
+        if (this.resourceSubscriptions) {
+            this.resourceSubscriptions.close();
+        }
+        
+        if (this.taskManager) {
+            await this.taskManager.close();
+        }
+        
         if (this.server) {
             await this.server.stop();
         }
@@ -0,0 +1,357 @@
+/**
+ * MCP prompts for the Windsurf Task Master™
+ *
+ * Each prompt takes a projectId and renders a ready-to-use message from the
+ * project's live tasks and history:
+ * - plan_feature turns a feature description into tasks that fit the project
+ * - daily_standup writes a standup from recent changes
+ * - break_down_task splits one task into subtasks
+ * - review_blocked_tasks asks how to unblock tasks waiting on dependencies or blockers
+ */
+
+import { GetPromptRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { checkProjectAccess, filterExternalBlockers } from '../auth/index.js';
+import { PromptNotFoundError, ProjectNotFoundError, TaskValidationError } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { TASK_KEY_PATTERN } from '../storage/index.js';
+import { findBlockedTasks as findBlockingDependencies } from '../core/dependency-graph.js';
+import { completeProjectId } from '../resources/index.js';
+
+const DEFAULT_STANDUP_HOURS = 24;
+
+// Convention from get_help for recording why a task is stuck
+const BLOCKER_PATTERN = /\bBLOCKER:/i;
+
+/**
+ * Format a task as one list line
+ * @param {Object} task - Task
+ * @returns {string} Display text
+ */
+function formatTaskLine(task) {
+    const key = task.key ? ` ${task.key}` : '';
+    return `- #${task.id}${key} ${task.title} (${task.status}, ${task.priority} priority, ${task.progress || 0}%)`;
+}
+
+/**
+ * Format the tasks of a project as a list, or a note if there are none
+ * @param {Array<Object>} tasks - Tasks
+ * @returns {string} Display text
+ */
+function formatTaskList(tasks) {
+    return tasks.length > 0 ? tasks.map(formatTaskLine).join('\n') : '(none)';
+}
+
+/**
+ * Find the unfinished tasks that wait on an unfinished dependency or record a blocker
+ * @param {Array<Object>} tasks - Tasks of a project
+ * @param {Map<number, Array<Object>>} externalBlockers - Blockers in other projects, from TaskManager#getExternalBlockers
+ * @returns {Array<Object>} { task, waitingOn, waitingOnExternal, blocker } for each blocked task
+ */
+export function findBlockedTasks(tasks, externalBlockers = new Map()) {
+    const blockedBy = findBlockingDependencies(tasks);
+    return tasks
+        .filter(task => task.status !== 'completed')
+        .map(task => ({
+            task,
+            waitingOn: blockedBy.get(task.id) || [],
+            waitingOnExternal: externalBlockers.get(task.id) || [],
+            blocker: BLOCKER_PATTERN.test(task.description || '')
+        }))
+        .filter(({ waitingOn, waitingOnExternal, blocker }) => waitingOn.length > 0 || waitingOnExternal.length > 0 || blocker);
+}
+
+/**
+ * Check a project ID argument
+ * @param {string} projectId - Project ID
+ * @throws {TaskValidationError} If the project ID is malformed
+ */
+function validateProjectId(projectId) {
+    if (!isValidProjectId(projectId)) {
+        throw new TaskValidationError('Invalid project ID format', {
+            field: 'projectId',
+            value: projectId
+        });
+    }
+}
+
+/**
+ * Load the tasks of an existing project
+ * @param {Object} taskManager - Task manager instance
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array<Object>>} Tasks of the project
+ * @throws {ProjectNotFoundError} If the project does not exist
+ */
+async function loadProjectTasks(taskManager, projectId) {
+    validateProjectId(projectId);
+    if (!(await taskManager.hasProject(projectId))) {
+        throw new ProjectNotFoundError(projectId);
+    }
+    return taskManager.listTasks(projectId);
+}
+
+/**
+ * Render the plan_feature prompt
+ */
+async function renderPlanFeature(taskManager, { projectId, feature, context }) {
+    validateProjectId(projectId);
+    // Planning may start a project, so a missing one is not an error and is not created here
+    const tasks = (await taskManager.hasProject(projectId)) ? await taskManager.listTasks(projectId) : [];
+    const topLevel = tasks.filter(task => !task.isSubtask);
+
+    let text = `Plan the following feature as tasks in project "${projectId}".\n\n`;
+    text += `Feature:\n${feature}\n`;
+    if (context) {
+        text += `\nContext and constraints:\n${context}\n`;
+    }
+    text += `\nExisting top-level tasks (${topLevel.length} of ${tasks.length} tasks):\n${formatTaskList(topLevel)}\n`;
+    text += '\nInstructions:\n';
+    text += '1. Split the feature into parent tasks by domain (for example backend, frontend, testing) instead of one parent with many subtasks.\n';
+    text += '2. Give every task an action-oriented title, a description and acceptance criteria, and keep each one to a few hours of work.\n';
+    text += '3. Reuse or extend existing tasks instead of duplicating them, and set dependencies on existing task IDs where the feature needs them.\n';
+    text += `4. Create the tasks with create_task and add_subtask (projectId "${projectId}"), or use suggest_project_structure with autoCreate for a first draft.\n`;
+    return text;
+}
+
+/**
+ * Render the daily_standup prompt
+ */
+async function renderDailyStandup(taskManager, { projectId, hours }) {
+    const tasks = await loadProjectTasks(taskManager, projectId);
+    const windowHours = hours === undefined || hours === '' ? DEFAULT_STANDUP_HOURS : Number(hours);
+    if (!Number.isFinite(windowHours) || windowHours <= 0) {
+        throw new TaskValidationError('hours must be a positive number', {
+            field: 'hours',
+            value: hours
+        });
+    }
+
+    const since = new Date(Date.now() - windowHours * 3600000).toISOString();
+    const recent = (await taskManager.getTaskHistory(projectId)).filter(entry => entry.timestamp >= since);
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const titleOf = entry => byId.get(entry.taskId)?.title ?? entry.changes.title?.from ?? `task #${entry.taskId}`;
+
+    const completed = new Set();
+    const progressed = new Set();
+    const created = new Set();
+    for (const entry of recent) {
+        if (entry.change === 'created') {
+            created.add(entry.taskId);
+        } else if (entry.changes.status?.to === 'completed') {
+            completed.add(entry.taskId);
+        } else if (entry.change === 'updated' && (entry.changes.progress || entry.changes.status)) {
+            progressed.add(entry.taskId);
+        }
+    }
+    const describeTasks = ids => {
+        const lines = [...ids].map(id => {
+            const entry = recent.find(candidate => candidate.taskId === id);
+            return byId.has(id) ? formatTaskLine(byId.get(id)) : `- #${id} ${titleOf(entry)} (deleted)`;
+        });
+        return lines.length > 0 ? lines.join('\n') : '(none)';
+    };
+
+    const inProgress = tasks.filter(task => task.status === 'in-progress');
+    const blocked = findBlockedTasks(tasks, await taskManager.getExternalBlockers(projectId));
+
+    let text = `Write a daily standup for project "${projectId}" covering the last ${windowHours} hours.\n\n`;
+    text += `Completed:\n${describeTasks(completed)}\n\n`;
+    text += `Progressed:\n${describeTasks([...progressed].filter(id => !completed.has(id)))}\n\n`;
+    text += `Created:\n${describeTasks(created)}\n\n`;
+    text += `In progress now:\n${formatTaskList(inProgress)}\n\n`;
+    text += `Blocked:\n${formatTaskList(blocked.map(({ task }) => task))}\n\n`;
+    text += 'Use three short sections: what was done, what is next (prefer in-progress and high-priority pending tasks), and blockers. Refer to tasks by key or ID, and do not list tasks that did not change unless they are next or blocked.\n';
+    return text;
+}
+
+/**
+ * Render the break_down_task prompt
+ */
+async function renderBreakDownTask(taskManager, { projectId, taskId }) {
+    const tasks = await loadProjectTasks(taskManager, projectId);
+    const id = TASK_KEY_PATTERN.test(taskId) ? taskId : Number(taskId);
+    const task = await taskManager.getTask(id, projectId);
+    const byId = new Map(tasks.map(candidate => [candidate.id, candidate]));
+    const subtasks = (task.subtasks || []).map(subtaskId => byId.get(subtaskId)).filter(Boolean);
+    const dependencies = (task.dependencies || []).map(dependencyId => byId.get(dependencyId)).filter(Boolean);
+
+    let text = `Break down task #${task.id}${task.key ? ` (${task.key})` : ''} of project "${projectId}" into subtasks.\n\n`;
+    text += `Title: ${task.title}\n`;
+    text += `Status: ${task.status}, ${task.priority} priority, ${task.progress || 0}% done\n`;
+    if (task.description) {
+        text += `Description:\n${task.description}\n`;
+    }
+    if (task.acceptanceCriteria) {
+        text += `Acceptance criteria:\n${[].concat(task.acceptanceCriteria).join('\n')}\n`;
+    }
+    text += `\nExisting subtasks:\n${formatTaskList(subtasks)}\n`;
+    text += `\nDepends on:\n${formatTaskList(dependencies)}\n`;
+    text += '\nInstructions:\n';
+    text += '1. Propose 3 to 7 subtasks that together meet the task\'s acceptance criteria, each focused on a single goal and small enough to finish in a few hours.\n';
+    text += '2. Do not repeat existing subtasks; say which of them still fit.\n';
+    text += '3. Order the subtasks and note dependencies between them.\n';
+    text += `4. Create them with add_subtask (parentTaskId ${task.id}, projectId "${projectId}").\n`;
+    return text;
+}
+
+/**
+ * Render the review_blocked_tasks prompt
+ */
+async function renderReviewBlockedTasks(taskManager, { projectId }, client) {
+    const tasks = await loadProjectTasks(taskManager, projectId);
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const blocked = findBlockedTasks(tasks, filterExternalBlockers(client, await taskManager.getExternalBlockers(projectId)));
+
+    if (blocked.length === 0) {
+        return `Project "${projectId}" has no blocked tasks: no unfinished task waits on an unfinished dependency, in this project or another, or records a BLOCKER. Suggest which pending task to start next.\n`;
+    }
+
+    let text = `Review the ${blocked.length} blocked tasks of project "${projectId}" and suggest how to unblock each one.\n`;
+    for (const { task, waitingOn, waitingOnExternal, blocker } of blocked) {
+        text += `\n${formatTaskLine(task)}\n`;
+        for (const dependencyId of waitingOn) {
+            text += `  waiting on ${formatTaskLine(byId.get(dependencyId)).slice(2)}\n`;
+        }
+        for (const ref of waitingOnExternal) {
+            text += `  waiting on ${ref.projectId}#${ref.taskId} ${ref.title} (${ref.status})\n`;
+        }
+        if (blocker) {
+            text += `  description:\n${task.description.split('\n').map(line => `    ${line}`).join('\n')}\n`;
+        }
+    }
+    text += '\nFor each task, say whether to finish a dependency first, remove a dependency that is no longer needed, split the task so part of it can start now, or resolve the recorded blocker. Start with the dependencies that block the most tasks.\n';
+    return text;
+}
+
+const projectIdArgument = { name: 'projectId', description: 'Project ID', required: true };
+
+export const PROMPTS = [
+    {
+        name: 'plan_feature',
+        description: 'Plan a feature into tasks that fit the existing project',
+        arguments: [
+            projectIdArgument,
+            { name: 'feature', description: 'What the feature should do', required: true },
+            { name: 'context', description: 'Constraints, stack or acceptance criteria to plan for' }
+        ],
+        render: renderPlanFeature
+    },
+    {
+        name: 'daily_standup',
+        description: 'Write a daily standup from the project\'s recent task changes',
+        arguments: [
+            projectIdArgument,
+            { name: 'hours', description: `How many hours back to report (default ${DEFAULT_STANDUP_HOURS})` }
+        ],
+        render: renderDailyStandup
+    },
+    {
+        name: 'break_down_task',
+        description: 'Break one task down into subtasks',
+        arguments: [
+            projectIdArgument,
+            { name: 'taskId', description: 'Task ID or key', required: true }
+        ],
+        render: renderBreakDownTask
+    },
+    {
+        name: 'review_blocked_tasks',
+        description: 'Review tasks waiting on unfinished dependencies or recorded blockers and suggest how to unblock them',
+        arguments: [projectIdArgument],
+        render: renderReviewBlockedTasks
+    }
+];
+
+/**
+ * List the prompts with their arguments, as returned by prompts/list
+ * @returns {Array<Object>} Prompts ({ name, description, arguments })
+ */
+export function listPrompts() {
+    return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+/**
+ * Render a prompt with live data from the task manager
+ * @param {Object} taskManager - Task manager instance
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments (strings)
+ * @param {Object|null} [client] - Authenticated client asking for it, or null for unauthenticated sessions
+ * @returns {Promise<string>} Prompt text
+ * @throws {PromptNotFoundError} If there is no prompt with that name
+ * @throws {TaskValidationError} If a required argument is missing or malformed
+ * @throws {PermissionDeniedError} If the client may not access the project
+ * @throws {ProjectNotFoundError} If the project does not exist (except for plan_feature)
+ */
+export async function renderPrompt(taskManager, name, args = {}, client = null) {
+    const prompt = PROMPTS.find(candidate => candidate.name === name);
+    if (!prompt) {
+        throw new PromptNotFoundError(name);
+    }
+    for (const argument of prompt.arguments) {
+        if (argument.required && !args[argument.name]) {
+            throw new TaskValidationError(`Missing required argument: ${argument.name}`, {
+                field: argument.name
+            });
+        }
+    }
+    checkProjectAccess(client, args.projectId);
+    return prompt.render(taskManager, args, client);
+}
+
+/**
+ * Get a prompt as returned by prompts/get
+ * @param {Object} taskManager - Task manager instance
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments (strings)
+ * @param {Object|null} [client] - Authenticated client asking for it, or null for unauthenticated sessions
+ * @returns {Promise<Object>} { description, messages }
+ */
+export async function getPrompt(taskManager, name, args = {}, client = null) {
+    const text = await renderPrompt(taskManager, name, args, client);
+    return {
+        description: PROMPTS.find(prompt => prompt.name === name).description,
+        messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+}
+
+/**
+ * Serve prompts/get on each session for the session's client. FastMCP 1.x
+ * hands prompt loaders no client, so it cannot apply token permissions itself.
+ * Completions of the projectId argument are served with the resources.
+ * @param {Object} taskManager - Task manager instance
+ * @returns {Function} Function (session, client) installing the handler on a FastMCP session
+ */
+export function servePrompts(taskManager) {
+    return (session, client = null) => {
+        session.server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+            getPrompt(taskManager, request.params.name, request.params.arguments, client));
+    };
+}
+
+/**
+ * Register the prompts with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Object} taskManager - Task manager instance
+ */
+export function registerPrompts(server, taskManager) {
+    // Offer the IDs of existing projects when a client completes an argument
+    const completeArgument = value => completeProjectId(taskManager, value);
+
+    for (const prompt of PROMPTS) {
+        server.addPrompt({
+            name: prompt.name,
+            description: prompt.description,
+            arguments: prompt.arguments.map(argument =>
+                argument.name === 'projectId' ? { ...argument, complete: completeArgument } : argument
+            ),
+            load: args => renderPrompt(taskManager, prompt.name, args)
+        });
+    }
+}
+
+export default {
+    registerPrompts,
+    servePrompts,
+    listPrompts,
+    renderPrompt,
+    getPrompt
+};
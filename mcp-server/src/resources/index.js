@@ -0,0 +1,314 @@
+/**
+ * MCP resources for the Windsurf Task Master™
+ *
+ * Projects and tasks are published as JSON documents that clients can attach
+ * to context directly:
+ * - project://index lists every project
+ * - project://{projectId}/summary gives status counts and a one-line entry per task
+ * - project://{projectId}/tasks holds every task of a project
+ * - task://{projectId}/{taskId} holds one task (taskId may be a key such as PROJ-42)
+ * - project://{projectId}/views lists the saved views of a project
+ * - view://{projectId}/{name} holds the first page of tasks a saved view selects
+ *
+ * Authenticated clients only see the projects their token allows.
+ */
+
+import { CompleteRequestSchema, ListResourcesRequestSchema, ReadResourceRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { checkProjectAccess, filterAccessibleProjects } from '../auth/index.js';
+import { ResourceNotFoundError } from '../utils/errors.js';
+import { TASK_STATUSES, TASK_KEY_PATTERN } from '../storage/index.js';
+
+const JSON_MIME_TYPE = 'application/json';
+
+// Tasks in a view resource when the view does not set a limit
+const VIEW_PAGE_SIZE = 50;
+
+export const PROJECT_INDEX_URI = 'project://index';
+
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'project://{projectId}/summary',
+        name: 'Project summary',
+        description: 'Status counts, completion and a one-line entry per task of a project'
+    },
+    {
+        uriTemplate: 'project://{projectId}/tasks',
+        name: 'Project tasks',
+        description: 'Every task of a project with all fields'
+    },
+    {
+        uriTemplate: 'task://{projectId}/{taskId}',
+        name: 'Task',
+        description: 'One task with all fields; taskId is the numeric ID or the task key'
+    },
+    {
+        uriTemplate: 'project://{projectId}/views',
+        name: 'Saved views',
+        description: 'The saved views (named task queries) of a project'
+    },
+    {
+        uriTemplate: 'view://{projectId}/{name}',
+        name: 'Saved view',
+        description: `The tasks a saved view selects (up to the view's limit, or ${VIEW_PAGE_SIZE})`
+    }
+];
+
+// Arguments of the templates that name an item within a project
+const ITEM_ARGUMENTS = {
+    'task://{projectId}/{taskId}': { name: 'taskId', description: 'Task ID or key', required: true },
+    'view://{projectId}/{name}': { name: 'name', description: 'View name', required: true }
+};
+
+/**
+ * Build the URI of a task resource
+ * @param {string} projectId - Project ID
+ * @param {number|string} taskId - Task ID or key
+ * @returns {string} Resource URI
+ */
+export function taskUri(projectId, taskId) {
+    return `task://${projectId}/${taskId}`;
+}
+
+/**
+ * Build the URI of a saved view resource
+ * @param {string} projectId - Project ID
+ * @param {string} name - View name
+ * @returns {string} Resource URI
+ */
+export function viewUri(projectId, name) {
+    return `view://${projectId}/${name}`;
+}
+
+/**
+ * Build the URI of a project resource
+ * @param {string} projectId - Project ID
+ * @param {string} view - 'summary', 'tasks' or 'views'
+ * @returns {string} Resource URI
+ */
+export function projectUri(projectId, view = 'summary') {
+    return `project://${projectId}/${view}`;
+}
+
+/**
+ * Split a resource URI into the project, view and task it names
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} { type: 'index' }, { type: 'summary'|'tasks'|'views', projectId },
+ *   { type: 'task', projectId, taskId } or { type: 'view', projectId, name }, or null if the URI is not one of ours
+ */
+export function parseResourceUri(uri) {
+    if (uri === PROJECT_INDEX_URI) {
+        return { type: 'index' };
+    }
+
+    const project = /^project:\/\/([^/]+)\/(summary|tasks|views)$/.exec(uri);
+    if (project) {
+        return { type: project[2], projectId: decodeURIComponent(project[1]) };
+    }
+
+    const task = /^task:\/\/([^/]+)\/([^/]+)$/.exec(uri);
+    if (task) {
+        const taskId = decodeURIComponent(task[2]);
+        return {
+            type: 'task',
+            projectId: decodeURIComponent(task[1]),
+            taskId: TASK_KEY_PATTERN.test(taskId) ? taskId : Number(taskId)
+        };
+    }
+
+    const view = /^view:\/\/([^/]+)\/([^/]+)$/.exec(uri);
+    if (view) {
+        return { type: 'view', projectId: decodeURIComponent(view[1]), name: decodeURIComponent(view[2]) };
+    }
+
+    return null;
+}
+
+/**
+ * Summarize a project's tasks
+ * @param {string} projectId - Project ID
+ * @param {Array<Object>} tasks - The project's tasks
+ * @returns {Object} Project summary
+ */
+export function buildProjectSummary(projectId, tasks) {
+    const statusCounts = Object.fromEntries(TASK_STATUSES.map(status => [status, 0]));
+    tasks.forEach(task => {
+        statusCounts[task.status] = (statusCounts[task.status] || 0) + 1;
+    });
+    const windsurfTasks = tasks.filter(task => task.assignedTo === 'windsurf');
+    const parents = new Map(tasks.flatMap(task => (task.subtasks || []).map(subtaskId => [subtaskId, task.id])));
+
+    return {
+        projectId,
+        uri: projectUri(projectId),
+        taskCount: tasks.length,
+        statusCounts,
+        completionPercentage: tasks.length > 0 ? Math.round((statusCounts.completed / tasks.length) * 100) : 0,
+        windsurf: {
+            assigned: windsurfTasks.length,
+            averageProgress: windsurfTasks.length > 0
+                ? Math.round(windsurfTasks.reduce((sum, task) => sum + (task.progress || 0), 0) / windsurfTasks.length)
+                : 0
+        },
+        tasks: tasks.map(task => ({
+            id: task.id,
+            ...(task.key ? { key: task.key } : {}),
+            title: task.title,
+            status: task.status,
+            priority: task.priority,
+            progress: task.progress || 0,
+            ...(parents.has(task.id) ? { parentTaskId: parents.get(task.id) } : {}),
+            uri: taskUri(projectId, task.id)
+        }))
+    };
+}
+
+/**
+ * Read a resource
+ * @param {Object} taskManager - Task manager instance
+ * @param {string} uri - Resource URI
+ * @param {Object|null} [client] - Authenticated client reading it, or null for unauthenticated sessions
+ * @returns {Promise<{uri: string, mimeType: string, text: string}>} Resource contents
+ * @throws {ResourceNotFoundError} If the URI does not name an existing project
+ * @throws {PermissionDeniedError} If the client may not access the project
+ * @throws {TaskNotFoundError} If the URI names a task that does not exist
+ * @throws {ViewNotFoundError} If the URI names a view that does not exist
+ */
+export async function readResource(taskManager, uri, client = null) {
+    const target = parseResourceUri(uri);
+    if (!target) {
+        throw new ResourceNotFoundError(uri);
+    }
+
+    let data;
+    if (target.type === 'index') {
+        const projects = filterAccessibleProjects(client, await taskManager.getProjects());
+        data = {
+            projects: projects.map(projectId => ({
+                projectId,
+                summaryUri: projectUri(projectId),
+                tasksUri: projectUri(projectId, 'tasks')
+            }))
+        };
+    } else {
+        checkProjectAccess(client, target.projectId);
+        if (!(await taskManager.hasProject(target.projectId))) {
+            throw new ResourceNotFoundError(uri, `no project ${target.projectId}`);
+        }
+        if (target.type === 'task') {
+            data = await taskManager.getTask(target.taskId, target.projectId);
+        } else if (target.type === 'views') {
+            const views = await taskManager.listViews(target.projectId);
+            data = views.map(view => ({ ...view, uri: viewUri(target.projectId, view.name) }));
+        } else if (target.type === 'view') {
+            data = await taskManager.runView(target.projectId, target.name, { defaultLimit: VIEW_PAGE_SIZE });
+        } else {
+            const tasks = await taskManager.listTasks(target.projectId);
+            data = target.type === 'summary' ? buildProjectSummary(target.projectId, tasks) : tasks;
+        }
+    }
+
+    return { uri, mimeType: JSON_MIME_TYPE, text: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * List the concrete resources currently available: the project index and
+ * each project's summary, task list and saved views
+ * @param {Object} taskManager - Task manager instance
+ * @param {Object|null} [client] - Authenticated client listing them, or null for unauthenticated sessions
+ * @returns {Promise<Array<Object>>} Resources ({ uri, name, mimeType })
+ */
+export async function listResources(taskManager, client = null) {
+    const projects = filterAccessibleProjects(client, await taskManager.getProjects());
+    return [
+        { uri: PROJECT_INDEX_URI, name: 'Projects', mimeType: JSON_MIME_TYPE },
+        ...projects.flatMap(projectId => [
+            { uri: projectUri(projectId), name: `${projectId} summary`, mimeType: JSON_MIME_TYPE },
+            { uri: projectUri(projectId, 'tasks'), name: `${projectId} tasks`, mimeType: JSON_MIME_TYPE },
+            { uri: projectUri(projectId, 'views'), name: `${projectId} views`, mimeType: JSON_MIME_TYPE }
+        ])
+    ];
+}
+
+/**
+ * Complete a projectId argument with the existing projects a client may access
+ * @param {Object} taskManager - Task manager instance
+ * @param {string} value - What the client typed so far
+ * @param {Object|null} [client] - Authenticated client, or null for unauthenticated sessions
+ * @returns {Promise<{values: Array<string>}>} Matching project IDs
+ */
+export async function completeProjectId(taskManager, value, client = null) {
+    const projects = filterAccessibleProjects(client, await taskManager.getProjects());
+    return { values: projects.filter(projectId => projectId.startsWith(value)) };
+}
+
+/**
+ * Serve resources/list, resources/read and completion/complete on each session
+ * for the session's client. FastMCP 1.x hands resource loaders and completers
+ * no client, so it cannot apply token permissions itself. Prompts and
+ * templates only complete project IDs, so completions for both are answered here.
+ * @param {Object} taskManager - Task manager instance
+ * @returns {Function} Function (session, client) installing the handlers on a FastMCP session
+ */
+export function serveResources(taskManager) {
+    return (session, client = null) => {
+        session.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+            resources: await listResources(taskManager, client)
+        }));
+        session.server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+            contents: [await readResource(taskManager, request.params.uri, client)]
+        }));
+        session.server.setRequestHandler(CompleteRequestSchema, async (request) => {
+            const { name, value } = request.params.argument;
+            return {
+                completion: name === 'projectId' ? await completeProjectId(taskManager, value, client) : { values: [] }
+            };
+        });
+    };
+}
+
+/**
+ * Register the resources and resource templates with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Object} taskManager - Task manager instance
+ */
+export function registerResources(server, taskManager) {
+    // Offer the IDs of existing projects when a client completes a template
+    const projectIdArgument = {
+        name: 'projectId',
+        description: 'Project ID',
+        required: true,
+        complete: value => completeProjectId(taskManager, value)
+    };
+
+    server.addResource({
+        uri: PROJECT_INDEX_URI,
+        name: 'Projects',
+        description: 'Every project with the URIs of its summary and task list',
+        mimeType: JSON_MIME_TYPE,
+        load: async () => {
+            const { text } = await readResource(taskManager, PROJECT_INDEX_URI);
+            return { text };
+        }
+    });
+
+    for (const template of RESOURCE_TEMPLATES) {
+        const itemArgument = ITEM_ARGUMENTS[template.uriTemplate];
+        server.addResourceTemplate({
+            ...template,
+            mimeType: JSON_MIME_TYPE,
+            arguments: itemArgument ? [projectIdArgument, itemArgument] : [projectIdArgument],
+            load: async (args) => {
+                const uri = template.uriTemplate.replace(/\{(\w+)\}/g, (placeholder, name) => args[name]);
+                const { text } = await readResource(taskManager, uri);
+                return { text };
+            }
+        });
+    }
+}
+
+export default {
+    registerResources,
+    serveResources,
+    readResource,
+    listResources
+};
@@ -0,0 +1,184 @@
+/**
+ * Resource subscriptions for the Windsurf Task Master™
+ *
+ * Clients subscribe to project and task resources with resources/subscribe and
+ * receive notifications/resources/updated whenever the TaskManager changes a
+ * task, including changes merged in from tasks.json files edited by another
+ * process or by hand. Subscriptions are kept per MCP session. Sessions must be
+ * added before they connect, since that is when the subscribe capability is
+ * announced to the client. Authenticated clients can only subscribe to the
+ * projects their token allows, and only hear of those projects being created.
+ */
+
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { canAccessProject, checkProjectAccess } from '../auth/index.js';
+import { ResourceNotFoundError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { parseResourceUri } from './index.js';
+
+/**
+ * Tracks which session is subscribed to which resource URIs and notifies
+ * sessions of the resources a task change affects.
+ */
+export class ResourceSubscriptions {
+    /**
+     * @param {Object} taskManager - Task manager whose changes are published
+     */
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.sessions = new Map(); // Map of MCP sessions to the set of URIs they subscribed to
+        this.clients = new WeakMap(); // Map of MCP sessions to their authenticated client
+        this.knownProjects = new Set(); // Projects listed when project://index was last read
+        this.keyedTasks = new Map(); // Map of subscribed task key URIs to the task ID they last resolved to
+        this.removeListener = taskManager.onTasksChanged(change => {
+            this.publish(change).catch(error => {
+                logger.error(`Failed to send resource notifications: ${error.message}`);
+            });
+        });
+    }
+
+    /**
+     * Forget the sessions of a FastMCP server when they close
+     * @param {Object} server - FastMCP server instance
+     */
+    attach(server) {
+        server.on('disconnect', ({ session }) => this.removeSession(session));
+    }
+
+    /**
+     * Announce resource subscriptions on a session and handle resources/subscribe
+     * and resources/unsubscribe. Capabilities are fixed once the session
+     * connects, so call this before session.connect(). The session is only
+     * tracked from its first subscription, so sessions that never finish
+     * connecting are not kept.
+     * @param {Object} session - FastMCP session (or any object exposing the MCP SDK server as `server`)
+     * @param {Object|null} [client] - Authenticated client of the session, or null for unauthenticated sessions
+     * @throws {Error} If the session is already connected
+     */
+    addSession(session, client = null) {
+        session.server.registerCapabilities({ resources: { subscribe: true } });
+        if (client) {
+            this.clients.set(session, client);
+        }
+        session.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            await this.subscribe(session, request.params.uri);
+            return {};
+        });
+        session.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            this.unsubscribe(session, request.params.uri);
+            return {};
+        });
+    }
+
+    /**
+     * Forget a closed session and its subscriptions
+     * @param {Object} session - FastMCP session
+     */
+    removeSession(session) {
+        this.sessions.delete(session);
+    }
+
+    /**
+     * Subscribe a session to a resource. The project is loaded so that changes
+     * made to its file by other processes are picked up.
+     * @param {Object} session - FastMCP session
+     * @param {string} uri - Resource URI
+     * @throws {ResourceNotFoundError} If the URI is not a resource of this server or names no project
+     * @throws {PermissionDeniedError} If the session's client may not access the project
+     */
+    async subscribe(session, uri) {
+        const target = parseResourceUri(uri);
+        if (!target) {
+            throw new ResourceNotFoundError(uri);
+        }
+
+        if (target.type === 'index') {
+            this.knownProjects = new Set(await this.taskManager.getProjects());
+        } else {
+            checkProjectAccess(this.clients.get(session) || null, target.projectId);
+            if (!(await this.taskManager.hasProject(target.projectId))) {
+                throw new ResourceNotFoundError(uri, `no project ${target.projectId}`);
+            }
+            await this.taskManager.init(target.projectId);
+            if (typeof target.taskId === 'string') {
+                this.keyedTasks.set(uri, this.taskManager.findTaskIdByKey(target.projectId, target.taskId));
+            }
+        }
+
+        if (!this.sessions.has(session)) {
+            this.sessions.set(session, new Set());
+        }
+        this.sessions.get(session).add(uri);
+        logger.debug(`Resource subscription added: ${uri}`);
+    }
+
+    /**
+     * Unsubscribe a session from a resource
+     * @param {Object} session - FastMCP session
+     * @param {string} uri - Resource URI
+     */
+    unsubscribe(session, uri) {
+        this.sessions.get(session)?.delete(uri);
+    }
+
+    /**
+     * Check whether a change to tasks of a project affects a resource
+     * @param {string} uri - Subscribed resource URI
+     * @param {Object} change - Change from TaskManager#onTasksChanged
+     * @returns {boolean} True if the resource's contents changed
+     */
+    isAffected(uri, { projectId, taskIds }) {
+        const target = parseResourceUri(uri);
+        if (!target) return false;
+        if (target.type === 'index') return !this.knownProjects.has(projectId);
+        if (target.projectId !== projectId) return false;
+        if (target.type !== 'task') return true;
+        if (typeof target.taskId !== 'string') return taskIds.includes(target.taskId);
+
+        // A key's number need not be the task ID, so resolve it through the key index.
+        // The last resolved ID catches a keyed task that was deleted or re-keyed by a renumber.
+        const ids = [this.keyedTasks.get(uri), this.taskManager.findTaskIdByKey(projectId, target.taskId)];
+        return ids.some(id => id !== null && id !== undefined && taskIds.includes(id));
+    }
+
+    /**
+     * Send notifications/resources/updated for every subscribed resource a change affects
+     * @param {Object} change - Change from TaskManager#onTasksChanged
+     * @returns {Promise<number>} Number of notifications sent
+     */
+    async publish(change) {
+        let sent = 0;
+        for (const [session, uris] of this.sessions) {
+            const client = this.clients.get(session);
+            if (client && !canAccessProject(client, change.projectId)) continue;
+            for (const uri of uris) {
+                if (!this.isAffected(uri, change)) continue;
+                try {
+                    await session.server.sendResourceUpdated({ uri });
+                    sent++;
+                } catch (error) {
+                    logger.warn(`Could not notify a client about ${uri}: ${error.message}`);
+                }
+            }
+        }
+        this.knownProjects.add(change.projectId);
+        for (const uri of this.keyedTasks.keys()) {
+            const target = parseResourceUri(uri);
+            if (target?.projectId === change.projectId) {
+                this.keyedTasks.set(uri, this.taskManager.findTaskIdByKey(target.projectId, target.taskId));
+            }
+        }
+        return sent;
+    }
+
+    /**
+     * Stop listening for task changes and drop all subscriptions
+     */
+    close() {
+        this.removeListener();
+        this.sessions.clear();
+        this.keyedTasks.clear();
+    }
+}
+
+export default ResourceSubscriptions;
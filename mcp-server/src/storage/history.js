@@ -0,0 +1,135 @@
+/**
+ * Task change history for the Windsurf Task Master system.
+ *
+ * Every saved change to a project is appended to tasks/<projectId>/history.jsonl
+ * as one entry per changed task, recording who made the change, when, through
+ * which operation, and the value of each field before and after. The log is
+ * append-only and kept regardless of the storage adapter, like the journal.
+ *
+ * @module history
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { appendFileDurable } from '../utils/atomic-write.js';
+import { getProjectDirPath } from '../utils/security.js';
+import { FileSystemError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+export const HISTORY_FILENAME = 'history.jsonl';
+
+// Bumped on every change, so recording it would only add noise
+const IGNORED_FIELDS = new Set(['updatedAt']);
+
+/**
+ * Compute the field-level difference between two versions of a task.
+ *
+ * @param {Object|null} before - Task before the change (null if it was created)
+ * @param {Object|null} after - Task after the change (null if it was deleted)
+ * @returns {Object} Map of field names to { from, to }; a side is omitted when the field did not exist
+ */
+export function diffTask(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        const from = before?.[field];
+        const to = after?.[field];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = {
+                ...(from !== undefined ? { from } : {}),
+                ...(to !== undefined ? { to } : {})
+            };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Append-only log of task changes, one JSON entry per line.
+ *
+ * Entries have the form
+ * { changeId, timestamp, actor, operation, taskId, change, changes }, where
+ * change is 'created', 'updated' or 'deleted' and changes comes from
+ * diffTask(). Entries written by one save share a changeId.
+ *
+ * @class
+ */
+export class TaskHistory {
+    /**
+     * @param {Object} options - History options
+     * @param {string} options.baseDir - Base tasks directory holding one folder per project
+     */
+    constructor({ baseDir }) {
+        this.baseDir = baseDir;
+    }
+
+    /**
+     * Resolve the history path for a project.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {string} Sanitized history path
+     * @throws {FileSystemError} If the project ID does not resolve to a safe path
+     */
+    getHistoryPath(projectId) {
+        const projectDir = getProjectDirPath(this.baseDir, projectId);
+        if (!projectDir) {
+            throw new FileSystemError(
+                `Invalid history path for project ${projectId}`,
+                'history',
+                this.baseDir
+            );
+        }
+        return path.join(projectDir, HISTORY_FILENAME);
+    }
+
+    /**
+     * Durably append entries to a project's history.
+     *
+     * @param {string} projectId - Project ID
+     * @param {Array<Object>} entries - Entries to append
+     * @returns {Promise<void>}
+     */
+    async append(projectId, entries) {
+        if (entries.length === 0) return;
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        await appendFileDurable(this.getHistoryPath(projectId), data);
+    }
+
+    /**
+     * Read a project's history, newest entry first.
+     *
+     * @param {string} projectId - Project ID
+     * @param {Object} options - Read options
+     * @param {number} options.taskId - Only return entries for this task
+     * @param {number} options.limit - Maximum number of entries to return
+     * @returns {Promise<Array<Object>>} History entries, newest first
+     */
+    async read(projectId, { taskId, limit } = {}) {
+        let data;
+        try {
+            data = await fs.readFile(this.getHistoryPath(projectId), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of data.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (taskId === undefined || entry.taskId === taskId) {
+                    entries.push(entry);
+                }
+            } catch (error) {
+                logger.warn(`Ignoring unreadable history entry for project ${projectId}`);
+            }
+        }
+
+        entries.reverse();
+        return limit ? entries.slice(0, limit) : entries;
+    }
+}
+
+export default TaskHistory;
@@ -0,0 +1,56 @@
+/**
+ * Storage adapters for the Windsurf Task Master system.
+ *
+ * @module storage
+ */
+
+import path from 'path';
+import { JsonFileAdapter } from './json-file-adapter.js';
+import { SqliteAdapter } from './sqlite-adapter.js';
+import { getStorageConfig } from '../config/storage-config.js';
+
+export { StorageAdapter, matchesFilter } from './storage-adapter.js';
+export { JsonFileAdapter } from './json-file-adapter.js';
+export { SqliteAdapter } from './sqlite-adapter.js';
+export { WriteAheadJournal, replayJournal } from './journal.js';
+export { TaskHistory, diffTask } from './history.js';
+export { SnapshotStore } from './snapshots.js';
+export { salvageTasks, isValidTaskRecord } from './salvage.js';
+export { mergeTasks } from './merge.js';
+export {
+    CURRENT_SCHEMA_VERSION,
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    TASK_KEY_PATTERN,
+    TASK_KEY_PREFIX_PATTERN,
+    TASK_FIELDS,
+    externalDependencySchema,
+    taskSchema,
+    partialTaskSchema,
+    validateTask,
+    validateTaskList
+} from './task-schema.js';
+export { MIGRATIONS, getSchemaVersion, migrateTasks, migrateTaskFile, toTaskFile } from './migrations.js';
+
+/**
+ * Create the storage adapter selected by configuration.
+ *
+ * @param {string} baseDir - Base tasks directory
+ * @param {Object} config - Storage configuration (defaults to getStorageConfig())
+ * @returns {StorageAdapter} The configured adapter
+ * @throws {Error} If the configured adapter name is unknown
+ */
+export function createStorageAdapter(baseDir, config = getStorageConfig()) {
+    switch (config.adapter) {
+        case 'json':
+            return new JsonFileAdapter({ baseDir, lockOptions: config.lock });
+
+        case 'sqlite':
+            return new SqliteAdapter({
+                filename: path.resolve(baseDir, config.sqlite.filename)
+            });
+
+        default:
+            throw new Error(`Unknown storage adapter: ${config.adapter}`);
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * Write-ahead journal for the Windsurf Task Master system.
+ *
+ * Every change to a project is appended to a journal in tasks/<projectId>
+ * before the debounced save writes it to storage. If the process dies before
+ * that save completes, the journal is replayed on the next init so no change
+ * is lost. Entries are removed once storage has caught up with them.
+ *
+ * Each server process keeps its own journal (tasks.<host>-<pid>.journal) so
+ * processes sharing a tasks directory never checkpoint each other's entries.
+ * Journals left by processes that are no longer running are picked up by the
+ * next process that opens the project.
+ *
+ * @module journal
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic, appendFileDurable } from '../utils/atomic-write.js';
+import { getProjectDirPath } from '../utils/security.js';
+import { FileSystemError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { isProcessAlive } from '../utils/file-lock.js';
+import { CURRENT_SCHEMA_VERSION } from './task-schema.js';
+import { migrateTasks } from './migrations.js';
+
+// Journal written by releases that kept one journal per project
+export const JOURNAL_FILENAME = 'tasks.journal';
+const JOURNAL_FILE_PATTERN = /^tasks\.(?:([A-Za-z0-9-]+)-(\d+)\.)?journal$/;
+
+/**
+ * Build the journal instance ID for this process.
+ *
+ * @private
+ */
+function defaultInstanceId() {
+    const host = os.hostname().replace(/[^A-Za-z0-9-]/g, '-') || 'localhost';
+    return `${host}-${process.pid}`;
+}
+
+/**
+ * Parse journal file contents into entries.
+ * A partially written last line (from a crash during append) is ignored.
+ *
+ * @private
+ */
+function parseEntries(data, projectId) {
+    const entries = [];
+    for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            logger.warn(`Ignoring unreadable journal entry for project ${projectId}`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Append-only journal of task mutations, one JSON entry per line.
+ *
+ * Each entry holds the tasks that were upserted and the IDs that were deleted
+ * by one save, plus a per-project sequence number and the task schema version
+ * the upserts were written with.
+ *
+ * @class
+ */
+export class WriteAheadJournal {
+    /**
+     * @param {Object} options - Journal options
+     * @param {string} options.baseDir - Base tasks directory holding one folder per project
+     * @param {string} options.instanceId - Journal owner, <host>-<pid> (defaults to this process)
+     */
+    constructor({ baseDir, instanceId = defaultInstanceId() }) {
+        this.baseDir = baseDir;
+        this.instanceId = instanceId;
+        this.sequences = new Map(); // Map of project IDs to the last assigned sequence number
+        this.queues = new Map(); // Map of project IDs to their pending file operation
+    }
+
+    /**
+     * Resolve a project's directory.
+     *
+     * @private
+     */
+    getProjectDir(projectId) {
+        const projectDir = getProjectDirPath(this.baseDir, projectId);
+        if (!projectDir) {
+            throw new FileSystemError(
+                `Invalid journal path for project ${projectId}`,
+                'journal',
+                this.baseDir
+            );
+        }
+        return projectDir;
+    }
+
+    /**
+     * Resolve this process's journal path for a project.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {string} Sanitized journal path
+     * @throws {FileSystemError} If the project ID does not resolve to a safe path
+     */
+    getJournalPath(projectId) {
+        return path.join(this.getProjectDir(projectId), `tasks.${this.instanceId}.journal`);
+    }
+
+    /**
+     * Run file operations for a project one at a time so appends and
+     * checkpoints never interleave.
+     *
+     * @private
+     */
+    enqueue(projectId, operation) {
+        const previous = this.queues.get(projectId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(operation);
+        this.queues.set(projectId, next);
+        return next;
+    }
+
+    /**
+     * Get the sequence number of the most recent entry for a project.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {number} Last assigned sequence number (0 if none)
+     */
+    lastSequence(projectId) {
+        return this.sequences.get(projectId) || 0;
+    }
+
+    /**
+     * Durably append a mutation to a project's journal.
+     *
+     * The sequence number is assigned synchronously, so it reflects the order
+     * in which changes were made even though the write completes later.
+     *
+     * @param {string} projectId - Project ID
+     * @param {Object} mutation - Mutation to record
+     * @param {Array<Object>} mutation.upserts - Tasks that were created or changed
+     * @param {Array<number>} mutation.deletes - IDs of tasks that were removed
+     * @param {Object} [mutation.meta] - Project metadata after the change
+     * @returns {Promise<number>} Sequence number of the appended entry
+     */
+    async append(projectId, { upserts = [], deletes = [], meta }) {
+        const seq = this.lastSequence(projectId) + 1;
+        this.sequences.set(projectId, seq);
+
+        const entry = {
+            seq,
+            timestamp: new Date().toISOString(),
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            upserts,
+            deletes,
+            ...(meta ? { meta } : {})
+        };
+        const journalPath = this.getJournalPath(projectId);
+        await this.enqueue(projectId, () =>
+            appendFileDurable(journalPath, JSON.stringify(entry) + '\n')
+        );
+        return seq;
+    }
+
+    /**
+     * Read the entries recorded for a project.
+     *
+     * A partially written last line (from a crash during append) is ignored.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Array<Object>>} Journal entries in sequence order
+     */
+    async read(projectId) {
+        const journalPath = this.getJournalPath(projectId);
+        let data;
+        try {
+            data = await this.enqueue(projectId, () => fs.readFile(journalPath, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = parseEntries(data, projectId);
+        const last = entries.reduce((max, entry) => Math.max(max, entry.seq || 0), 0);
+        if (last > this.lastSequence(projectId)) {
+            this.sequences.set(projectId, last);
+        }
+        return entries;
+    }
+
+    /**
+     * Read the journals left behind by processes that are no longer running,
+     * including the single journal written by earlier releases.
+     *
+     * Journals of other hosts are never touched, since there is no way to
+     * tell whether their owner is still running.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Array<{path: string, entries: Array<Object>}>>} Orphaned journals, oldest first
+     */
+    async readOrphaned(projectId) {
+        const projectDir = this.getProjectDir(projectId);
+        const host = this.instanceId.replace(/-\d+$/, '');
+
+        let names;
+        try {
+            names = await fs.readdir(projectDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const orphaned = [];
+        for (const name of names) {
+            const match = name.match(JOURNAL_FILE_PATTERN);
+            if (!match) continue;
+            const [, owner, pid] = match;
+            const isLegacy = owner === undefined;
+            if (!isLegacy && (`${owner}-${pid}` === this.instanceId || owner !== host || isProcessAlive(Number(pid)))) {
+                continue;
+            }
+
+            const journalPath = path.join(projectDir, name);
+            try {
+                const entries = parseEntries(await fs.readFile(journalPath, 'utf-8'), projectId);
+                const { mtimeMs } = await fs.stat(journalPath);
+                orphaned.push({ path: journalPath, entries, mtimeMs });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        return orphaned
+            .sort((a, b) => a.mtimeMs - b.mtimeMs)
+            .map(({ path: journalPath, entries }) => ({ path: journalPath, entries }));
+    }
+
+    /**
+     * Delete orphaned journals once their entries have been persisted.
+     *
+     * @param {Array<string>} journalPaths - Paths returned by readOrphaned()
+     * @returns {Promise<void>}
+     */
+    async removeOrphaned(journalPaths) {
+        await Promise.all(journalPaths.map(journalPath => fs.rm(journalPath, { force: true })));
+    }
+
+    /**
+     * Drop entries that storage now contains.
+     *
+     * @param {string} projectId - Project ID
+     * @param {number} uptoSeq - Highest sequence number that has been persisted
+     * @returns {Promise<void>}
+     */
+    async checkpoint(projectId, uptoSeq) {
+        const journalPath = this.getJournalPath(projectId);
+        await this.enqueue(projectId, async () => {
+            let data;
+            try {
+                data = await fs.readFile(journalPath, 'utf-8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            const remaining = data
+                .split('\n')
+                .filter(line => {
+                    if (!line.trim()) return false;
+                    try {
+                        return JSON.parse(line).seq > uptoSeq;
+                    } catch (error) {
+                        return false;
+                    }
+                });
+
+            if (remaining.length === 0) {
+                await fs.rm(journalPath, { force: true });
+            } else {
+                await writeFileAtomic(journalPath, remaining.join('\n') + '\n');
+            }
+        });
+    }
+}
+
+/**
+ * Apply journal entries to a list of tasks.
+ * Upserts from older schema versions are migrated as they are applied. An
+ * upsert never replaces a task that storage holds in a more recently updated
+ * version, which another process may have saved since the entry was written.
+ *
+ * @param {Array<Object>} tasks - Tasks loaded from storage
+ * @param {Array<Object>} entries - Journal entries in sequence order
+ * @returns {Array<Object>} Tasks with every entry applied, ordered by ID
+ */
+export function replayJournal(tasks, entries) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    for (const entry of entries) {
+        (entry.deletes || []).forEach(id => byId.delete(id));
+        // Entries without a version were written before schema versioning
+        migrateTasks(entry.upserts || [], entry.schemaVersion || 1).forEach(task => {
+            const existing = byId.get(task.id);
+            if (!existing || String(existing.updatedAt || '') <= String(task.updatedAt || '')) {
+                byId.set(task.id, task);
+            }
+        });
+    }
+    return Array.from(byId.values()).sort((a, b) => a.id - b.id);
+}
+
+export default WriteAheadJournal;
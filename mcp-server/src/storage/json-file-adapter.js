@@ -0,0 +1,304 @@
+/**
+ * JSON file storage adapter for the Windsurf Task Master system.
+ *
+ * Stores each project as pretty-printed JSON in tasks/<projectId>/tasks.json,
+ * in the form { "schemaVersion": N, "revision": R, "meta": {...}, "tasks": [...] }. This is the default
+ * adapter and keeps a format that Windsurf and humans can read and edit
+ * directly. Files written before schema versioning (a bare task array) are
+ * migrated and rewritten the first time they are loaded.
+ *
+ * @module json-file-adapter
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageAdapter, matchesFilter } from './storage-adapter.js';
+import { FileSystemError, TaskDataCorruptionError } from '../utils/errors.js';
+import { getProjectDirPath, getTasksFilePath } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { writeFileAtomic } from '../utils/atomic-write.js';
+import { withFileLock } from '../utils/file-lock.js';
+import { CURRENT_SCHEMA_VERSION, validateTaskList } from './task-schema.js';
+import { getSchemaVersion, migrateTaskFile, toTaskFile } from './migrations.js';
+
+const QUARANTINE_DIR = 'quarantine';
+const QUARANTINE_FILE_PATTERN = /^tasks\.[0-9TZ-]+\.json$/;
+
+/**
+ * Storage adapter that keeps one tasks.json file per project.
+ *
+ * Because a JSON file cannot be updated in place, every transaction re-reads
+ * the file, applies the requested upserts and deletes, and writes the whole
+ * array back once. Writes go through a temporary file and a rename, so a crash
+ * never leaves a truncated tasks.json behind.
+ *
+ * Before each write the previous, known good contents are kept in
+ * tasks.json.bak. A tasks.json that fails to parse or validate is reported as
+ * a TaskDataCorruptionError and can be moved to the project's quarantine folder.
+ *
+ * Several server processes may share the tasks directory, so every
+ * transaction runs under an advisory lock (tasks.json.lock) and increments
+ * the file's revision, which writers use to detect changes made by others.
+ *
+ * @class
+ * @extends StorageAdapter
+ */
+export class JsonFileAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.baseDir - Base tasks directory holding one folder per project
+     * @param {Object} options.lockOptions - Options for the advisory lock (see acquireLock)
+     */
+    constructor({ baseDir, lockOptions = {} }) {
+        super('json');
+        this.baseDir = baseDir;
+        this.lockOptions = lockOptions;
+    }
+
+    /**
+     * Resolve the tasks.json path for a project.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {string} Sanitized path to the project's tasks.json
+     * @throws {FileSystemError} If the project ID does not resolve to a safe path
+     */
+    getTasksPath(projectId) {
+        const projectDir = getProjectDirPath(this.baseDir, projectId);
+        const tasksPath = getTasksFilePath(projectDir, 'tasks.json');
+        if (!tasksPath) {
+            throw new FileSystemError(
+                `Invalid tasks file path for project ${projectId}`,
+                'resolve',
+                this.baseDir
+            );
+        }
+        return tasksPath;
+    }
+
+    /**
+     * Read, migrate and validate a project's tasks.json.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<{raw: string, tasks: Array<Object>, meta: Object, revision: number, fromVersion: number, migrated: boolean}|null>}
+     *   Raw contents, tasks in the current schema, project metadata, revision and migration details,
+     *   or null if the file is missing
+     * @throws {TaskDataCorruptionError} If the file does not hold a valid task list
+     * @private
+     */
+    async readTasksFile(projectId) {
+        const tasksPath = this.getTasksPath(projectId);
+
+        let raw;
+        try {
+            raw = await fs.readFile(tasksPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        return { raw, ...parseTaskFile(raw, projectId, tasksPath) };
+    }
+
+    async load(projectId) {
+        const file = await this.readTasksFile(projectId);
+        if (file?.migrated) {
+            await this.rewriteMigrated(projectId, file);
+        }
+        return file ? file.tasks : null;
+    }
+
+    async migrate(projectId) {
+        const file = await this.readTasksFile(projectId);
+        if (!file?.migrated) {
+            return false;
+        }
+        await this.rewriteMigrated(projectId, file);
+        return true;
+    }
+
+    /**
+     * Rewrite a tasks.json read in an older schema version. Rewriting records
+     * the new schema version; the old file is kept as tasks.json.bak.
+     *
+     * @param {string} projectId - Project ID
+     * @param {Object} file - File from readTasksFile
+     * @private
+     */
+    async rewriteMigrated(projectId, file) {
+        await this.transaction(projectId, async () => {});
+        logger.info(`Migrated tasks file for project ${projectId} from schema version ${file.fromVersion}`);
+    }
+
+    async loadMeta(projectId) {
+        const file = await this.readTasksFile(projectId);
+        return file ? file.meta : {};
+    }
+
+    async getRevision(projectId) {
+        const file = await this.readTasksFile(projectId);
+        return file ? file.revision : 0;
+    }
+
+    async upsert(projectId, tasks) {
+        return this.transaction(projectId, tx => tx.upsert(tasks));
+    }
+
+    async delete(projectId, ids) {
+        return this.transaction(projectId, tx => tx.delete(ids));
+    }
+
+    async query(projectId, filter = {}) {
+        const tasks = (await this.load(projectId)) || [];
+        return tasks
+            .filter(task => matchesFilter(task, filter))
+            .sort((a, b) => a.id - b.id);
+    }
+
+    async transaction(projectId, work) {
+        const tasksPath = this.getTasksPath(projectId);
+        return withFileLock(`${tasksPath}.lock`, async () => {
+            const current = await this.readTasksFile(projectId);
+            const revision = current ? current.revision : 0;
+            const byId = new Map();
+            for (const task of current ? current.tasks : []) {
+                byId.set(task.id, task);
+            }
+            let meta = current ? current.meta : {};
+
+            const result = await work({
+                revision,
+                upsert: (tasks) => {
+                    tasks.forEach(task => byId.set(task.id, task));
+                },
+                delete: (ids) => {
+                    ids.forEach(id => byId.delete(id));
+                },
+                setMeta: (newMeta) => {
+                    meta = newMeta;
+                }
+            });
+
+            const tasks = Array.from(byId.values()).sort((a, b) => a.id - b.id);
+            if (current) {
+                // The file just validated, so it becomes the last good backup
+                await writeFileAtomic(`${tasksPath}.bak`, current.raw);
+            }
+            await writeFileAtomic(tasksPath, JSON.stringify(toTaskFile(tasks, meta, revision + 1), null, 2));
+            return result;
+        }, this.lockOptions);
+    }
+
+    async quarantine(projectId) {
+        const tasksPath = this.getTasksPath(projectId);
+        const quarantineDir = path.join(path.dirname(tasksPath), QUARANTINE_DIR);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const quarantinePath = path.join(quarantineDir, `tasks.${stamp}.json`);
+
+        await fs.mkdir(quarantineDir, { recursive: true });
+        try {
+            await withFileLock(`${tasksPath}.lock`, () => fs.rename(tasksPath, quarantinePath), this.lockOptions);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        logger.warn(`Moved corrupted tasks file for project ${projectId} to ${quarantinePath}`);
+        return quarantinePath;
+    }
+
+    async loadBackup(projectId) {
+        const backupPath = `${this.getTasksPath(projectId)}.bak`;
+        try {
+            const raw = await fs.readFile(backupPath, 'utf-8');
+            return parseTaskFile(raw, projectId, backupPath).tasks;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Ignoring unusable backup for project ${projectId}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    async listQuarantined(projectId) {
+        const quarantineDir = path.join(path.dirname(this.getTasksPath(projectId)), QUARANTINE_DIR);
+        try {
+            const names = await fs.readdir(quarantineDir);
+            return names.filter(name => QUARANTINE_FILE_PATTERN.test(name)).sort().reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async readQuarantined(projectId, name) {
+        if (!QUARANTINE_FILE_PATTERN.test(name)) {
+            throw new FileSystemError(`Invalid quarantine file name: ${name}`, 'readQuarantined', QUARANTINE_DIR);
+        }
+        const quarantineDir = path.join(path.dirname(this.getTasksPath(projectId)), QUARANTINE_DIR);
+        return fs.readFile(path.join(quarantineDir, name), 'utf-8');
+    }
+
+    async listProjects() {
+        await fs.mkdir(this.baseDir, { recursive: true });
+        const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+
+        const projectIds = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            // A project directory is only valid once it holds a tasks.json
+            try {
+                await fs.access(path.join(this.baseDir, entry.name, 'tasks.json'));
+                projectIds.push(entry.name);
+            } catch (error) {
+                logger.debug(`Skipping invalid project directory: ${entry.name}`);
+            }
+        }
+        return projectIds;
+    }
+}
+
+/**
+ * Parse tasks file contents, migrate them to the current schema and validate them.
+ *
+ * @param {string} raw - Raw file contents
+ * @param {string} projectId - Project the file belongs to
+ * @param {string} filePath - Path used in error details
+ * @returns {{tasks: Array<Object>, meta: Object, fromVersion: number, migrated: boolean}} Tasks, metadata and migration details
+ * @throws {TaskDataCorruptionError} If the contents do not parse, migrate or validate
+ * @throws {FileSystemError} If the file was written with a newer schema version
+ */
+function parseTaskFile(raw, projectId, filePath) {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new TaskDataCorruptionError(projectId, `invalid JSON (${error.message})`, { path: filePath });
+    }
+
+    // A newer server wrote this file; it is not corrupted, so never quarantine it
+    const version = getSchemaVersion(data);
+    if (version > CURRENT_SCHEMA_VERSION) {
+        throw new FileSystemError(
+            `Tasks file for project ${projectId} uses schema version ${version}, newer than the supported version ${CURRENT_SCHEMA_VERSION}`,
+            'load',
+            filePath
+        );
+    }
+
+    let file;
+    try {
+        file = migrateTaskFile(data);
+    } catch (error) {
+        throw new TaskDataCorruptionError(projectId, error.message, { path: filePath });
+    }
+
+    const problem = validateTaskList(file.tasks);
+    if (problem) {
+        throw new TaskDataCorruptionError(projectId, problem, { path: filePath });
+    }
+    return file;
+}
+
+export default JsonFileAdapter;
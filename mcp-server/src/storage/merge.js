@@ -0,0 +1,180 @@
+/**
+ * Three-way merge of task lists for the Windsurf Task Master system.
+ *
+ * When another process saved a project after this one last read it, the
+ * changes on both sides are combined instead of one overwriting the other.
+ * The merge compares each side against the common base, the tasks both
+ * processes last agreed on:
+ *
+ * - A task changed on one side only takes that side's version.
+ * - A task changed on both sides is merged field by field; when both sides
+ *   changed the same field, the more recently updated task wins.
+ * - An edit wins over a deletion.
+ * - Two different tasks created with the same ID keep the stored task on that
+ *   ID and move ours to a fresh ID, updating our references to it.
+ *
+ * @module merge
+ */
+
+const REFERENCE_FIELDS = ['dependencies', 'subtasks'];
+
+/**
+ * Compare two values by their JSON form.
+ *
+ * @private
+ */
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merge one task that was changed on both sides.
+ *
+ * @param {Object} base - Task as both sides last saw it
+ * @param {Object} ours - Our version
+ * @param {Object} theirs - Stored version
+ * @returns {{task: Object, conflicts: Array<string>}} Merged task and the fields changed on both sides
+ * @private
+ */
+function mergeTask(base, ours, theirs) {
+    const oursWins = String(ours.updatedAt || '') >= String(theirs.updatedAt || '');
+    const task = {};
+    const conflicts = [];
+
+    const fields = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+    for (const field of fields) {
+        let value;
+        if (same(ours[field], theirs[field]) || same(base[field], ours[field])) {
+            value = theirs[field];
+        } else if (same(base[field], theirs[field])) {
+            value = ours[field];
+        } else {
+            value = oursWins ? ours[field] : theirs[field];
+            // Both sides always touch updatedAt; that alone is not a conflict
+            if (field !== 'updatedAt') conflicts.push(field);
+        }
+        if (value !== undefined) task[field] = value;
+    }
+
+    task.updatedAt = oursWins ? ours.updatedAt : theirs.updatedAt;
+    return { task, conflicts };
+}
+
+/**
+ * Merge the saved views of both sides: each view we saved or deleted since
+ * the base takes our version, every other view keeps the stored one.
+ *
+ * @private
+ */
+function mergeViews(base = {}, ours = {}, theirs = {}) {
+    const views = { ...theirs };
+    for (const name of new Set([...Object.keys(base), ...Object.keys(ours)])) {
+        if (same(base[name], ours[name])) continue;
+        if (ours[name]) views[name] = ours[name];
+        else delete views[name];
+    }
+    return views;
+}
+
+/**
+ * Merge concurrent changes to a project's tasks and metadata.
+ *
+ * @param {Object} sides - The three versions to merge
+ * @param {Array<Object>} sides.base - Tasks both sides last agreed on
+ * @param {Array<Object>} sides.ours - Tasks held in memory by this process
+ * @param {Array<Object>} sides.theirs - Tasks currently in storage
+ * @param {Object} sides.baseMeta - Project metadata both sides last agreed on
+ * @param {Object} sides.ourMeta - Our project metadata
+ * @param {Object} sides.theirMeta - Stored project metadata
+ * @returns {{tasks: Array<Object>, meta: Object, moved: Array<{from: number, to: number}>, conflicts: Array<{id: number, fields: Array<string>}>}}
+ *   Merged tasks ordered by ID, merged metadata, our tasks that moved to a new ID,
+ *   and the tasks whose fields were changed on both sides
+ */
+export function mergeTasks({ base = [], ours = [], theirs = [], baseMeta = {}, ourMeta = {}, theirMeta = {} }) {
+    const baseById = new Map(base.map(task => [task.id, task]));
+    const oursById = new Map(ours.map(task => [task.id, task]));
+    const theirsById = new Map(theirs.map(task => [task.id, task]));
+
+    // IDs never shrink; the stored prefix and views win unless we changed ours
+    const highestId = [...oursById.keys(), ...theirsById.keys()].reduce((highest, id) => Math.max(highest, id), 0);
+    const meta = {
+        ...theirMeta,
+        nextId: Math.max(ourMeta.nextId || 1, theirMeta.nextId || 1, highestId + 1),
+        ...(ourMeta.keyPrefix !== baseMeta.keyPrefix && ourMeta.keyPrefix ? { keyPrefix: ourMeta.keyPrefix } : {})
+    };
+    if (baseMeta.views || ourMeta.views || theirMeta.views) {
+        meta.views = mergeViews(baseMeta.views, ourMeta.views, theirMeta.views);
+    }
+
+    // Tasks we created under an ID the other side also created are moved to a fresh ID
+    const idMap = new Map();
+    for (const [id, task] of oursById) {
+        const stored = theirsById.get(id);
+        if (!baseById.has(id) && stored && !same(task, stored)) {
+            idMap.set(id, meta.nextId++);
+        }
+    }
+    const remap = task => {
+        if (idMap.size === 0) return task;
+        const remapped = { ...task };
+        for (const field of REFERENCE_FIELDS) {
+            if (Array.isArray(task[field])) {
+                remapped[field] = task[field].map(id => idMap.get(id) || id);
+            }
+        }
+        return remapped;
+    };
+
+    const merged = new Map();
+    const conflicts = [];
+    for (const [id, task] of oursById) {
+        const newId = idMap.get(id);
+        if (newId) {
+            merged.set(newId, {
+                ...remap(task),
+                id: newId,
+                ...(task.key && meta.keyPrefix ? { key: `${meta.keyPrefix}-${newId}` } : {})
+            });
+        }
+    }
+
+    const ids = new Set([...baseById.keys(), ...oursById.keys(), ...theirsById.keys()]);
+    for (const id of ids) {
+        const baseTask = baseById.get(id);
+        const ourTask = idMap.has(id) ? undefined : oursById.get(id);
+        const theirTask = theirsById.get(id);
+
+        if (!baseTask) {
+            // Created on one side, or identically on both
+            if (theirTask) merged.set(id, theirTask);
+            else if (ourTask) merged.set(id, remap(ourTask));
+            continue;
+        }
+
+        const oursChanged = !same(baseTask, ourTask);
+        const theirsChanged = !same(baseTask, theirTask);
+        if (!oursChanged || !theirsChanged || !ourTask || !theirTask) {
+            // One side changed it, or one side deleted it; an edit beats a deletion
+            const pick = !oursChanged ? theirTask
+                : !theirsChanged ? ourTask
+                    : (ourTask || theirTask);
+            if (pick) merged.set(id, pick === ourTask ? remap(ourTask) : pick);
+            continue;
+        }
+
+        const result = mergeTask(baseTask, remap(ourTask), theirTask);
+        merged.set(id, result.task);
+        if (result.conflicts.length > 0) {
+            conflicts.push({ id, fields: result.conflicts });
+        }
+    }
+
+    return {
+        tasks: Array.from(merged.values()).sort((a, b) => a.id - b.id),
+        meta,
+        moved: Array.from(idMap, ([from, to]) => ({ from, to })),
+        conflicts
+    };
+}
+
+export default mergeTasks;
@@ -0,0 +1,126 @@
+/**
+ * Task schema migrations for the Windsurf Task Master system.
+ *
+ * Stored task data is upgraded one schema version at a time. Each migration
+ * receives the tasks written under the previous version and returns them in
+ * the shape of its own version, so a file several versions behind is brought
+ * up to date by running every step in order.
+ *
+ * @module migrations
+ */
+
+import { CURRENT_SCHEMA_VERSION, TASK_STATUSES, TASK_PRIORITIES } from './task-schema.js';
+
+/**
+ * Ordered list of migrations. `version` is the schema version a migration
+ * produces; it must upgrade tasks from `version - 1`.
+ */
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Normalize legacy task fields and align progress with status',
+        migrate: (tasks) => tasks.map(task => {
+            // Leave non-objects alone so validation reports them
+            if (!task || typeof task !== 'object') return task;
+
+            const status = TASK_STATUSES.includes(task.status) ? task.status : 'pending';
+            const progress = Number.isFinite(task.progress)
+                ? Math.min(100, Math.max(0, task.progress))
+                : 0;
+            const createdAt = task.createdAt || task.updatedAt || new Date().toISOString();
+
+            const migrated = {
+                ...task,
+                status,
+                priority: TASK_PRIORITIES.includes(task.priority) ? task.priority : 'medium',
+                // Version 1 left completed tasks at progress 0
+                progress: status === 'completed' ? 100 : progress,
+                dependencies: Array.isArray(task.dependencies) ? task.dependencies : [],
+                subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+                isSubtask: Boolean(task.isSubtask),
+                createdAt,
+                updatedAt: task.updatedAt || createdAt
+            };
+            if (status === 'completed' && !migrated.completedAt) {
+                migrated.completedAt = migrated.updatedAt;
+            }
+            return migrated;
+        })
+    }
+];
+
+/**
+ * Work out which schema version a parsed tasks file was written with.
+ * Files from before schema versioning are a bare array and count as version 1.
+ *
+ * @param {any} data - Parsed tasks file contents
+ * @returns {number|null} Schema version, or null if the contents are not a recognizable tasks file
+ */
+export function getSchemaVersion(data) {
+    if (Array.isArray(data)) {
+        return 1;
+    }
+    if (data && typeof data === 'object' && Number.isInteger(data.schemaVersion) && Array.isArray(data.tasks)) {
+        return data.schemaVersion;
+    }
+    return null;
+}
+
+/**
+ * Upgrade tasks written under an older schema version to the current one.
+ *
+ * @param {Array<Object>} tasks - Tasks as stored
+ * @param {number} fromVersion - Schema version the tasks were written with
+ * @returns {Array<Object>} Tasks in the current schema
+ * @throws {Error} If the tasks come from a newer, unsupported schema version
+ */
+export function migrateTasks(tasks, fromVersion) {
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(
+            `schema version ${fromVersion} is newer than the supported version ${CURRENT_SCHEMA_VERSION}`
+        );
+    }
+
+    return MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .reduce((current, step) => step.migrate(current), tasks);
+}
+
+/**
+ * Read the tasks out of a parsed tasks file, migrating them if needed.
+ *
+ * @param {any} data - Parsed tasks file contents
+ * @returns {{tasks: Array<Object>, meta: Object, revision: number, fromVersion: number, migrated: boolean}}
+ *   Tasks in the current schema, project metadata, the write revision, the version they were stored with,
+ *   and whether a migration ran
+ * @throws {Error} If the contents are not a tasks file or come from a newer schema version
+ */
+export function migrateTaskFile(data) {
+    const fromVersion = getSchemaVersion(data);
+    if (fromVersion === null) {
+        throw new Error('expected an array of tasks or a versioned tasks file');
+    }
+
+    const stored = Array.isArray(data) ? data : data.tasks;
+    return {
+        tasks: migrateTasks(stored, fromVersion),
+        meta: (!Array.isArray(data) && data.meta) || {},
+        revision: (!Array.isArray(data) && Number.isInteger(data.revision)) ? data.revision : 0,
+        fromVersion,
+        migrated: fromVersion < CURRENT_SCHEMA_VERSION
+    };
+}
+
+/**
+ * Wrap tasks in the versioned file format.
+ *
+ * @param {Array<Object>} tasks - Tasks in the current schema
+ * @param {Object} meta - Project metadata (omitted from the file when empty)
+ * @param {number} revision - Write revision of the file
+ * @returns {{schemaVersion: number, revision: number, meta: Object, tasks: Array<Object>}} Versioned file contents
+ */
+export function toTaskFile(tasks, meta = {}, revision = 0) {
+    return Object.keys(meta).length > 0
+        ? { schemaVersion: CURRENT_SCHEMA_VERSION, revision, meta, tasks }
+        : { schemaVersion: CURRENT_SCHEMA_VERSION, revision, tasks };
+}
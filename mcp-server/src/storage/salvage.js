@@ -0,0 +1,140 @@
+/**
+ * Task data validation and salvage helpers for the Windsurf Task Master system.
+ *
+ * Used to pull every intact task object out of a damaged tasks file. Full
+ * validation of stored data lives in task-schema.js.
+ *
+ * @module salvage
+ */
+
+import { isValidTaskId } from '../utils/security.js';
+import { migrateTasks } from './migrations.js';
+import { validateTask } from './task-schema.js';
+
+// Start of the task array in a versioned tasks file
+const TASKS_ARRAY_PATTERN = /"tasks"\s*:\s*\[/;
+const SCHEMA_VERSION_PATTERN = /"schemaVersion"\s*:\s*(\d+)/;
+
+/**
+ * Check whether a value looks like a stored task.
+ *
+ * @param {any} task - Value to check
+ * @returns {boolean} True if the value is an object with a valid ID and a title
+ */
+export function isValidTaskRecord(task) {
+    return Boolean(task)
+        && typeof task === 'object'
+        && !Array.isArray(task)
+        && Number.isInteger(task.id)
+        && isValidTaskId(task.id)
+        && typeof task.title === 'string';
+}
+
+/**
+ * Split text into the top-level JSON objects it contains.
+ *
+ * Objects are found by brace matching that respects strings and escapes, so
+ * a truncated or garbled file still yields every object that was written in
+ * full. Unbalanced trailing text is ignored.
+ *
+ * @param {string} raw - Raw file contents
+ * @returns {Array<string>} Source text of each candidate object
+ * @private
+ */
+function findObjectCandidates(raw) {
+    const candidates = [];
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < raw.length; i++) {
+        const char = raw[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (char === '}' && depth > 0) {
+            depth--;
+            if (depth === 0 && start !== -1) {
+                candidates.push(raw.slice(start, i + 1));
+                start = -1;
+            }
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Recover every valid task object from damaged tasks file contents.
+ *
+ * When the file still parses, valid entries are kept and invalid ones dropped.
+ * Otherwise each object in the task array is parsed on its own. Recovered
+ * tasks are migrated to the current schema and any that still fail
+ * validation are dropped. Duplicate IDs keep the most recently updated copy.
+ *
+ * @param {string} raw - Raw file contents
+ * @returns {{tasks: Array<Object>, discarded: number}} Salvaged tasks ordered by ID, and how many candidates were unusable
+ */
+export function salvageTasks(raw) {
+    let candidates;
+    try {
+        const parsed = JSON.parse(raw);
+        candidates = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.tasks) ? parsed.tasks : [parsed]);
+    } catch (error) {
+        // Skip the versioned file wrapper, which is never closed in a truncated file
+        const tasksArray = raw.match(TASKS_ARRAY_PATTERN);
+        const body = tasksArray ? raw.slice(tasksArray.index + tasksArray[0].length) : raw;
+        candidates = findObjectCandidates(body).map(source => {
+            try {
+                return JSON.parse(source);
+            } catch (parseError) {
+                return null;
+            }
+        });
+    }
+
+    // Files without a version number predate versioning
+    const version = Number(raw.match(SCHEMA_VERSION_PATTERN)?.[1] || 1);
+    let records = candidates.filter(isValidTaskRecord);
+    let discarded = candidates.length - records.length;
+    try {
+        records = migrateTasks(records, version);
+    } catch (error) {
+        // Tasks from a newer schema are kept as long as they validate below
+    }
+
+    const byId = new Map();
+    for (const candidate of records) {
+        if (validateTask(candidate) !== null) {
+            discarded++;
+            continue;
+        }
+        const existing = byId.get(candidate.id);
+        if (!existing || String(candidate.updatedAt || '') > String(existing.updatedAt || '')) {
+            if (existing) discarded++;
+            byId.set(candidate.id, candidate);
+        } else {
+            discarded++;
+        }
+    }
+
+    return {
+        tasks: Array.from(byId.values()).sort((a, b) => a.id - b.id),
+        discarded
+    };
+}
@@ -0,0 +1,191 @@
+/**
+ * Project snapshots for the Windsurf Task Master system.
+ *
+ * A snapshot is a full copy of a project's tasks and metadata, written to
+ * tasks/<projectId>/snapshots/ before destructive operations and on a
+ * schedule. Snapshots are plain task files in the current envelope format, so
+ * they can be restored, diffed or copied back by hand. Old snapshots are
+ * pruned by count and age.
+ *
+ * @module snapshots
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from '../utils/atomic-write.js';
+import { getProjectDirPath } from '../utils/security.js';
+import { FileSystemError, SnapshotNotFoundError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { migrateTaskFile, toTaskFile } from './migrations.js';
+
+export const SNAPSHOT_DIR = 'snapshots';
+
+// Snapshot IDs are the file names without extension: <timestamp>-<reason>
+const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[a-z_]+$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Store of timestamped project snapshots, one JSON file per snapshot.
+ *
+ * @class
+ */
+export class SnapshotStore {
+    /**
+     * @param {Object} options - Snapshot options
+     * @param {string} options.baseDir - Base tasks directory holding one folder per project
+     */
+    constructor({ baseDir }) {
+        this.baseDir = baseDir;
+    }
+
+    /**
+     * Resolve the snapshot directory of a project.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {string} Sanitized snapshot directory
+     * @throws {FileSystemError} If the project ID does not resolve to a safe path
+     */
+    getSnapshotDir(projectId) {
+        const projectDir = getProjectDirPath(this.baseDir, projectId);
+        if (!projectDir) {
+            throw new FileSystemError(
+                `Invalid snapshot path for project ${projectId}`,
+                'snapshot',
+                this.baseDir
+            );
+        }
+        return path.join(projectDir, SNAPSHOT_DIR);
+    }
+
+    /**
+     * Write a snapshot of a project.
+     *
+     * @param {string} projectId - Project ID
+     * @param {Object} snapshot - Snapshot contents
+     * @param {Array<Object>} snapshot.tasks - Tasks to store
+     * @param {Object} snapshot.meta - Project metadata to store
+     * @param {string} snapshot.reason - Why the snapshot was taken (e.g. 'delete_tasks', 'scheduled')
+     * @returns {Promise<Object>} Summary of the snapshot ({ id, createdAt, reason, taskCount })
+     */
+    async create(projectId, { tasks, meta = {}, reason }) {
+        const createdAt = new Date().toISOString();
+        const id = `${createdAt.replace(/[:.]/g, '-')}-${reason}`;
+        if (!SNAPSHOT_ID_PATTERN.test(id)) {
+            throw new FileSystemError(`Invalid snapshot reason: ${reason}`, 'snapshot', this.baseDir);
+        }
+
+        const dir = this.getSnapshotDir(projectId);
+        await fs.mkdir(dir, { recursive: true });
+        const data = { ...toTaskFile(tasks, meta), createdAt, reason };
+        await writeFileAtomic(path.join(dir, `${id}.json`), JSON.stringify(data, null, 2));
+
+        return { id, createdAt, reason, taskCount: tasks.length };
+    }
+
+    /**
+     * List a project's snapshots, newest first.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Array<Object>>} Snapshot summaries ({ id, createdAt, reason, taskCount })
+     */
+    async list(projectId) {
+        const ids = await this.listIds(projectId);
+        const summaries = [];
+        for (const id of ids) {
+            try {
+                const { createdAt, reason, tasks } = await this.read(projectId, id);
+                summaries.push({ id, createdAt, reason, taskCount: tasks.length });
+            } catch (error) {
+                logger.warn(`Ignoring unreadable snapshot ${id} for project ${projectId}: ${error.message}`);
+            }
+        }
+        return summaries;
+    }
+
+    /**
+     * Read a snapshot, migrating its tasks to the current schema.
+     *
+     * @param {string} projectId - Project ID
+     * @param {string} snapshotId - Snapshot ID as returned by list()
+     * @returns {Promise<Object>} Snapshot ({ id, createdAt, reason, meta, tasks })
+     * @throws {SnapshotNotFoundError} If no such snapshot exists
+     */
+    async read(projectId, snapshotId) {
+        if (!SNAPSHOT_ID_PATTERN.test(snapshotId)) {
+            throw new SnapshotNotFoundError(projectId, snapshotId);
+        }
+
+        let raw;
+        try {
+            raw = await fs.readFile(path.join(this.getSnapshotDir(projectId), `${snapshotId}.json`), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new SnapshotNotFoundError(projectId, snapshotId);
+            throw error;
+        }
+
+        const data = JSON.parse(raw);
+        const { tasks, meta } = migrateTaskFile(data);
+        return { id: snapshotId, createdAt: data.createdAt, reason: data.reason, meta, tasks };
+    }
+
+    /**
+     * Delete snapshots beyond the retention limits, oldest first.
+     *
+     * @param {string} projectId - Project ID
+     * @param {Object} limits - Retention limits
+     * @param {number} limits.maxCount - Number of snapshots to keep (0 for no limit)
+     * @param {number} limits.maxAgeDays - Delete snapshots older than this (0 for no limit)
+     * @returns {Promise<Array<string>>} IDs of the deleted snapshots
+     */
+    async prune(projectId, { maxCount = 0, maxAgeDays = 0 } = {}) {
+        const ids = await this.listIds(projectId);
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : null;
+        const expired = ids.filter((id, index) => {
+            if (maxCount > 0 && index >= maxCount) return true;
+            return cutoff !== null && timestampOf(id) < cutoff;
+        });
+
+        const dir = this.getSnapshotDir(projectId);
+        for (const id of expired) {
+            await fs.rm(path.join(dir, `${id}.json`), { force: true });
+        }
+        return expired;
+    }
+
+    /**
+     * List snapshot IDs, newest first.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Array<string>>} Snapshot IDs
+     * @private
+     */
+    async listIds(projectId) {
+        let names;
+        try {
+            names = await fs.readdir(this.getSnapshotDir(projectId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return names
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -'.json'.length))
+            .filter(id => SNAPSHOT_ID_PATTERN.test(id))
+            .sort()
+            .reverse();
+    }
+}
+
+/**
+ * Get the creation time encoded in a snapshot ID.
+ *
+ * @param {string} id - Snapshot ID
+ * @returns {number} Milliseconds since the epoch
+ */
+function timestampOf(id) {
+    const [, date, hours, minutes, seconds, millis] = id.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+    return Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+export default SnapshotStore;
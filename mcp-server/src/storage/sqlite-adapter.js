@@ -0,0 +1,300 @@
+/**
+ * SQLite storage adapter for the Windsurf Task Master system.
+ *
+ * Keeps every project in a single embedded SQLite database so large projects
+ * get indexed queries and row-level writes. Each task is stored as a JSON
+ * document alongside the columns that queries filter on.
+ *
+ * Each project row carries a revision that every transaction increments, so
+ * a write based on stale data is refused when several processes share the
+ * database. The task schema version is kept in the database's user_version
+ * pragma.
+ * Opening a database written with an older version migrates every stored
+ * task in one transaction.
+ *
+ * Requires the optional better-sqlite3 dependency, which is only loaded when
+ * this adapter is selected.
+ *
+ * @module sqlite-adapter
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageAdapter } from './storage-adapter.js';
+import { FileSystemError, TaskDataCorruptionError, ConcurrentModificationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { CURRENT_SCHEMA_VERSION, validateTaskList } from './task-schema.js';
+import { migrateTasks } from './migrations.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS projects (
+        project_id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        meta TEXT,
+        revision INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS tasks (
+        project_id TEXT NOT NULL,
+        id INTEGER NOT NULL,
+        status TEXT,
+        priority TEXT,
+        assigned_to TEXT,
+        is_subtask INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        PRIMARY KEY (project_id, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks (project_id, status);
+    CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks (project_id, priority);
+    CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks (project_id, assigned_to);
+    CREATE INDEX IF NOT EXISTS idx_tasks_subtask ON tasks (project_id, is_subtask);
+`;
+
+// Maps query filter keys to their indexed columns
+const FILTER_COLUMNS = {
+    status: 'status',
+    priority: 'priority',
+    assignedTo: 'assigned_to',
+    isSubtask: 'is_subtask'
+};
+
+/**
+ * Storage adapter backed by an embedded SQLite database.
+ *
+ * @class
+ * @extends StorageAdapter
+ */
+export class SqliteAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.filename - Path to the SQLite database file
+     */
+    constructor({ filename }) {
+        super('sqlite');
+        this.filename = filename;
+        this.db = null;
+        this.opening = null;
+    }
+
+    /**
+     * Open the database and prepare statements on first use.
+     *
+     * @returns {Promise<Object>} The open better-sqlite3 database
+     * @throws {FileSystemError} If better-sqlite3 is not installed or the database cannot be opened
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.opening) {
+            this.opening = this.openDatabase().finally(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    async openDatabase() {
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new FileSystemError(
+                'The sqlite storage adapter requires the better-sqlite3 package (npm install better-sqlite3)',
+                'open',
+                this.filename,
+                error
+            );
+        }
+
+        await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+        const db = new Database(this.filename);
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+
+        this.statements = {
+            touchProject: db.prepare(
+                'INSERT OR IGNORE INTO projects (project_id, created_at) VALUES (?, ?)'
+            ),
+            hasProject: db.prepare('SELECT 1 FROM projects WHERE project_id = ?'),
+            loadMeta: db.prepare('SELECT meta FROM projects WHERE project_id = ?'),
+            setMeta: db.prepare('UPDATE projects SET meta = ? WHERE project_id = ?'),
+            getRevision: db.prepare('SELECT revision FROM projects WHERE project_id = ?'),
+            bumpRevision: db.prepare('UPDATE projects SET revision = revision + 1 WHERE project_id = ?'),
+            listProjects: db.prepare('SELECT project_id FROM projects ORDER BY project_id'),
+            load: db.prepare('SELECT data FROM tasks WHERE project_id = ? ORDER BY id'),
+            upsert: db.prepare(`
+                INSERT OR REPLACE INTO tasks (project_id, id, status, priority, assigned_to, is_subtask, data)
+                VALUES (@projectId, @id, @status, @priority, @assignedTo, @isSubtask, @data)
+            `),
+            delete: db.prepare('DELETE FROM tasks WHERE project_id = ? AND id = ?')
+        };
+
+        this.migrateSchema(db);
+
+        logger.debug(`Opened SQLite task storage at ${this.filename}`);
+        this.db = db;
+        return db;
+    }
+
+    /**
+     * Bring every stored task up to the current schema version.
+     * Databases created before schema versioning report user_version 0 and
+     * hold version 1 tasks.
+     *
+     * @param {Object} db - Open better-sqlite3 database
+     * @throws {FileSystemError} If the database was written with a newer schema version
+     * @private
+     */
+    migrateSchema(db) {
+        const version = Math.max(db.pragma('user_version', { simple: true }), 1);
+        if (version > CURRENT_SCHEMA_VERSION) {
+            db.close();
+            throw new FileSystemError(
+                `Task database uses schema version ${version}, newer than the supported version ${CURRENT_SCHEMA_VERSION}`,
+                'open',
+                this.filename
+            );
+        }
+        if (version === CURRENT_SCHEMA_VERSION) {
+            return;
+        }
+
+        db.transaction(() => {
+            for (const { project_id: projectId } of this.statements.listProjects.all()) {
+                const tasks = this.statements.load.all(projectId).map(row => JSON.parse(row.data));
+                this.applyWrites(projectId, migrateTasks(tasks, version), []);
+            }
+            db.pragma(`user_version = ${CURRENT_SCHEMA_VERSION}`);
+        })();
+        logger.info(`Migrated SQLite task storage from schema version ${version} to ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    /**
+     * Write tasks and deletions for a project using the prepared statements.
+     * Must be called inside a database transaction.
+     *
+     * @param {number|null} baseRevision - Revision the writes were based on; null skips the check
+     * @throws {ConcurrentModificationError} If another writer committed after baseRevision
+     * @private
+     */
+    applyWrites(projectId, upserts, deletes, meta = null, baseRevision = null) {
+        const revision = this.statements.getRevision.get(projectId)?.revision ?? 0;
+        if (baseRevision !== null && revision !== baseRevision) {
+            throw new ConcurrentModificationError(projectId, baseRevision, revision);
+        }
+
+        this.statements.touchProject.run(projectId, new Date().toISOString());
+        this.statements.bumpRevision.run(projectId);
+        if (meta) {
+            this.statements.setMeta.run(JSON.stringify(meta), projectId);
+        }
+        for (const id of deletes) {
+            this.statements.delete.run(projectId, id);
+        }
+        for (const task of upserts) {
+            this.statements.upsert.run({
+                projectId,
+                id: task.id,
+                status: task.status ?? null,
+                priority: task.priority ?? null,
+                assignedTo: task.assignedTo ?? null,
+                isSubtask: task.isSubtask ? 1 : 0,
+                data: JSON.stringify(task)
+            });
+        }
+    }
+
+    async load(projectId) {
+        await this.open();
+        if (!this.statements.hasProject.get(projectId)) {
+            return null;
+        }
+
+        let tasks;
+        try {
+            tasks = this.statements.load.all(projectId).map(row => JSON.parse(row.data));
+        } catch (error) {
+            throw new TaskDataCorruptionError(projectId, `invalid JSON (${error.message})`, { path: this.filename });
+        }
+        const problem = validateTaskList(tasks);
+        if (problem) {
+            throw new TaskDataCorruptionError(projectId, problem, { path: this.filename });
+        }
+        return tasks;
+    }
+
+    async loadMeta(projectId) {
+        await this.open();
+        const row = this.statements.loadMeta.get(projectId);
+        return row?.meta ? JSON.parse(row.meta) : {};
+    }
+
+    async getRevision(projectId) {
+        await this.open();
+        return this.statements.getRevision.get(projectId)?.revision ?? 0;
+    }
+
+    async upsert(projectId, tasks) {
+        return this.transaction(projectId, tx => tx.upsert(tasks));
+    }
+
+    async delete(projectId, ids) {
+        return this.transaction(projectId, tx => tx.delete(ids));
+    }
+
+    async query(projectId, filter = {}) {
+        const db = await this.open();
+
+        const clauses = ['project_id = ?'];
+        const params = [projectId];
+        for (const [key, value] of Object.entries(filter)) {
+            if (value === undefined) continue;
+            const column = FILTER_COLUMNS[key];
+            if (!column) {
+                throw new Error(`Unsupported query filter: ${key}`);
+            }
+            clauses.push(`${column} = ?`);
+            params.push(key === 'isSubtask' ? (value ? 1 : 0) : value);
+        }
+
+        return db
+            .prepare(`SELECT data FROM tasks WHERE ${clauses.join(' AND ')} ORDER BY id`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async transaction(projectId, work) {
+        const db = await this.open();
+
+        // Collect writes first so the async callback never holds the database lock;
+        // the revision check at commit time catches writers that slipped in between
+        const revision = this.statements.getRevision.get(projectId)?.revision ?? 0;
+        const upserts = [];
+        const deletes = [];
+        let meta = null;
+        const result = await work({
+            revision,
+            upsert: (tasks) => upserts.push(...tasks),
+            delete: (ids) => deletes.push(...ids),
+            setMeta: (newMeta) => {
+                meta = newMeta;
+            }
+        });
+
+        db.transaction(() => this.applyWrites(projectId, upserts, deletes, meta, revision))();
+        return result;
+    }
+
+    async listProjects() {
+        await this.open();
+        return this.statements.listProjects.all().map(row => row.project_id);
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+export default SqliteAdapter;
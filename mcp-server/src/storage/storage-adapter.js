@@ -0,0 +1,212 @@
+/**
+ * Storage adapter contract for the Windsurf Task Master system.
+ *
+ * The TaskManager keeps the working set of each project in memory and talks to
+ * a storage adapter whenever it needs to load a project or persist changes.
+ * Adapters only receive the tasks that actually changed, which lets backends
+ * that support it (such as SQLite) perform row-level writes instead of
+ * rewriting the whole project.
+ *
+ * @module storage-adapter
+ */
+
+/**
+ * Base class for task storage backends.
+ *
+ * Concrete adapters must implement every method below. All methods are
+ * asynchronous so file-based and database-backed adapters share one interface.
+ *
+ * @class
+ * @example
+ * class MemoryAdapter extends StorageAdapter {
+ *   async load(projectId) { ... }
+ * }
+ */
+export class StorageAdapter {
+    /**
+     * Create a new storage adapter.
+     *
+     * @param {string} name - Short adapter name used in logs (e.g. 'json', 'sqlite')
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Load every task stored for a project.
+     *
+     * @param {string} projectId - Project to load
+     * @returns {Promise<Array<Object>|null>} The stored tasks, or null if the project has no stored data yet
+     */
+    async load(projectId) {
+        throw new Error(`${this.name} storage adapter does not implement load()`);
+    }
+
+    /**
+     * Load a project's metadata, such as the next task ID to allocate.
+     *
+     * @param {string} projectId - Project to load
+     * @returns {Promise<Object>} Metadata object (empty if none is stored)
+     */
+    async loadMeta(projectId) {
+        throw new Error(`${this.name} storage adapter does not implement loadMeta()`);
+    }
+
+    /**
+     * Get the revision of a project's stored data.
+     *
+     * The revision grows by one with every committed transaction, so a writer
+     * can tell whether another process changed the project since it last read
+     * it. Optional; adapters without revision tracking return 0.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<number>} Current revision (0 if the project has no stored data)
+     */
+    async getRevision(projectId) {
+        return 0;
+    }
+
+    /**
+     * Bring a project's stored data up to the current schema version, so the
+     * revision read next is the one later writes are checked against.
+     * Optional; adapters that migrate everything when they open return false.
+     *
+     * @param {string} projectId - Project to migrate
+     * @returns {Promise<boolean>} True if stored data was rewritten
+     */
+    async migrate(projectId) {
+        return false;
+    }
+
+    /**
+     * Insert or replace tasks, matched by task ID.
+     *
+     * @param {string} projectId - Project the tasks belong to
+     * @param {Array<Object>} tasks - Tasks to write
+     * @returns {Promise<void>}
+     */
+    async upsert(projectId, tasks) {
+        throw new Error(`${this.name} storage adapter does not implement upsert()`);
+    }
+
+    /**
+     * Delete tasks by ID.
+     *
+     * @param {string} projectId - Project the tasks belong to
+     * @param {Array<number>} ids - IDs of the tasks to delete
+     * @returns {Promise<void>}
+     */
+    async delete(projectId, ids) {
+        throw new Error(`${this.name} storage adapter does not implement delete()`);
+    }
+
+    /**
+     * Query stored tasks using simple equality filters. Only saved tasks are
+     * seen: changes waiting for a debounced save are not included.
+     *
+     * @param {string} projectId - Project to query
+     * @param {Object} filter - Filter object; supported keys are status, priority, assignedTo and isSubtask
+     * @returns {Promise<Array<Object>>} Matching tasks ordered by ID
+     */
+    async query(projectId, filter = {}) {
+        throw new Error(`${this.name} storage adapter does not implement query()`);
+    }
+
+    /**
+     * Run several writes for one project as a single unit.
+     *
+     * The callback receives a transaction object exposing upsert(tasks),
+     * delete(ids) and setMeta(meta), which replaces the project's metadata,
+     * plus the stored revision the transaction started from (tx.revision).
+     * Either all writes are applied or none are; throwing from the callback
+     * applies nothing. A transaction with no writes still records that the
+     * project exists.
+     *
+     * Adapters that track revisions must fail with a ConcurrentModificationError
+     * rather than commit if another writer changed the project after
+     * tx.revision was read.
+     *
+     * @param {string} projectId - Project the writes belong to
+     * @param {Function} work - Async callback receiving the transaction object
+     * @returns {Promise<any>} The value returned by the callback
+     */
+    async transaction(projectId, work) {
+        throw new Error(`${this.name} storage adapter does not implement transaction()`);
+    }
+
+    /**
+     * List every project that has stored data.
+     *
+     * @returns {Promise<Array<string>>} Project IDs
+     */
+    async listProjects() {
+        throw new Error(`${this.name} storage adapter does not implement listProjects()`);
+    }
+
+    /**
+     * Move a project's unreadable data out of the way so it can be rebuilt.
+     * Optional; adapters that cannot quarantine return null.
+     *
+     * @param {string} projectId - Project whose data is corrupted
+     * @returns {Promise<string|null>} Location of the quarantined data, or null if not supported
+     */
+    async quarantine(projectId) {
+        return null;
+    }
+
+    /**
+     * Load the last known good copy of a project's tasks.
+     * Optional; adapters without backups return null.
+     *
+     * @param {string} projectId - Project to load
+     * @returns {Promise<Array<Object>|null>} Backed up tasks, or null if no valid backup exists
+     */
+    async loadBackup(projectId) {
+        return null;
+    }
+
+    /**
+     * List quarantined copies of a project's data, newest first.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Array<string>>} Quarantined file names
+     */
+    async listQuarantined(projectId) {
+        return [];
+    }
+
+    /**
+     * Read the raw contents of a quarantined copy.
+     *
+     * @param {string} projectId - Project ID
+     * @param {string} name - Name returned by listQuarantined()
+     * @returns {Promise<string>} Raw contents
+     */
+    async readQuarantined(projectId, name) {
+        throw new Error(`${this.name} storage adapter does not support quarantine`);
+    }
+
+    /**
+     * Release any resources held by the adapter.
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+/**
+ * Check whether a task matches a storage query filter.
+ *
+ * @param {Object} task - Task to test
+ * @param {Object} filter - Filter object passed to StorageAdapter#query
+ * @returns {boolean} True if every filter key matches
+ */
+export function matchesFilter(task, filter = {}) {
+    return Object.entries(filter).every(([key, value]) => {
+        if (value === undefined) return true;
+        if (key === 'isSubtask') return Boolean(task.isSubtask) === Boolean(value);
+        return task[key] === value;
+    });
+}
+
+export default StorageAdapter;
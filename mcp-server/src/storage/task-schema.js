@@ -0,0 +1,117 @@
+/**
+ * Stored task schema for the Windsurf Task Master system.
+ *
+ * Describes the shape every stored task must have for the current schema
+ * version. Tasks may carry additional fields (tools and smart defaults add
+ * their own metadata), but the fields listed here must always be valid.
+ *
+ * @module task-schema
+ */
+
+import { z } from 'zod';
+
+/**
+ * Schema version written to storage. Bump it together with a new migration
+ * in migrations.js whenever the stored task shape changes.
+ */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+export const TASK_STATUSES = ['pending', 'in-progress', 'completed'];
+export const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Optional human-readable task keys such as PROJ-42
+export const TASK_KEY_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+export const TASK_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}-\d+$/;
+
+const taskId = z.number().int().positive();
+
+// A dependency on a task of another project
+export const externalDependencySchema = z.object({
+    projectId: z.string().min(1).max(50).regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores'),
+    taskId
+});
+
+const taskFields = z.object({
+    id: taskId,
+    key: z.string().regex(TASK_KEY_PATTERN).optional(),
+    title: z.string(),
+    description: z.string().optional(),
+    status: z.enum(TASK_STATUSES),
+    priority: z.enum(TASK_PRIORITIES),
+    progress: z.number().min(0).max(100),
+    dependencies: z.array(taskId),
+    externalDependencies: z.array(externalDependencySchema).optional(),
+    subtasks: z.array(taskId),
+    isSubtask: z.boolean(),
+    projectId: z.string().optional(),
+    notes: z.string().optional(),
+    tags: z.array(z.string()).optional(),
+    estimate: z.number().positive().optional(),
+    assignedTo: z.string().optional(),
+    assignedAt: z.string().optional(),
+    createdAt: z.string(),
+    updatedAt: z.string(),
+    completedAt: z.string().optional()
+}).passthrough();
+
+export const taskSchema = taskFields.refine(
+    task => task.status !== 'completed' || task.progress === 100,
+    { message: 'completed tasks must have progress 100', path: ['progress'] }
+);
+
+// Fields of the task schema, for choosing which fields to return
+export const TASK_FIELDS = Object.keys(taskFields.shape);
+
+/**
+ * A task reduced to some of its fields; only the ID is always present
+ */
+export const partialTaskSchema = taskFields.partial().required({ id: true });
+
+/**
+ * Format the first zod issue as a short, readable reason.
+ *
+ * @param {z.ZodError} error - Validation error
+ * @returns {string} Reason such as "progress: Number must be less than or equal to 100"
+ * @private
+ */
+function describeIssue(error) {
+    const [issue] = error.issues;
+    return issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Validate a single task against the current schema.
+ *
+ * @param {any} task - Task to validate
+ * @returns {string|null} Description of the first problem, or null if the task is valid
+ */
+export function validateTask(task) {
+    const result = taskSchema.safeParse(task);
+    return result.success ? null : describeIssue(result.error);
+}
+
+/**
+ * Validate a whole task list against the current schema.
+ *
+ * @param {any} tasks - Task list to validate
+ * @returns {string|null} Description of the first problem, or null if the list is valid
+ */
+export function validateTaskList(tasks) {
+    if (!Array.isArray(tasks)) {
+        return 'expected an array of tasks';
+    }
+
+    const seen = new Set();
+    for (let index = 0; index < tasks.length; index++) {
+        const problem = validateTask(tasks[index]);
+        if (problem) {
+            const id = tasks[index]?.id;
+            return `task ${id !== undefined ? `#${id}` : `at index ${index}`} is invalid (${problem})`;
+        }
+        if (seen.has(tasks[index].id)) {
+            return `task ID ${tasks[index].id} appears more than once`;
+        }
+        seen.add(tasks[index].id);
+    }
+    return null;
+}
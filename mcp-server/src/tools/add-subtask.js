@@ -2,6 +2,7 @@ import { z } from 'zod';
 import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
 import { isValidProjectId, isValidTaskId } from '../utils/security.js';
 import { logger } from '../utils/logger.js';
+import { taskResultSchema } from './output-schemas.js';
 
 /**
  * Add a subtask to a parent task
@@ -22,6 +23,9 @@ export function registerAddSubtaskTool(server, taskManager) {
                 .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
                 .describe('Project ID the parent task belongs to')
         }),
+        outputSchema: taskResultSchema.extend({
+            parentTaskId: z.number().int()
+        }),
         execute: async (args) => {
             const errorHandler = createErrorHandler('add_subtask');
             try {
@@ -56,7 +60,8 @@ export function registerAddSubtaskTool(server, taskManager) {
                     content: [{
                         type: 'text',
                         text: `Subtask #${subtask.id}: "${subtask.title}" has been added to parent task #${args.parentTaskId} in project ${args.projectId}`
-                    }]
+                    }],
+                    structuredContent: { projectId: args.projectId, parentTaskId: args.parentTaskId, task: subtask }
                 };
             } catch (error) {
                 return errorHandler(error, args);
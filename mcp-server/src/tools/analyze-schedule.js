@@ -0,0 +1,95 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { TASK_KEY_PATTERN } from '../storage/index.js';
+
+/**
+ * Compute the critical path and schedule of a project's unfinished tasks
+ */
+export function registerAnalyzeScheduleTool(server, taskManager) {
+    server.addTool({
+        name: 'analyze_schedule',
+        description: 'Schedule the unfinished tasks of a project from their estimates and dependencies: topological order, earliest and latest start and finish, slack per task, and the critical path (the longest chain of dependent work). Give a target task to see the longest chain until that milestone. Changes nothing',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to analyze'),
+            target: z.union([z.number().int().positive(), z.string().regex(TASK_KEY_PATTERN, 'Task key must look like PROJ-42')]).optional()
+                .describe('Only schedule this task (ID or key) and the unfinished tasks it depends on'),
+            defaultEstimate: z.number().positive().max(10000).optional().default(1)
+                .describe('Estimate used for tasks that have none')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            target: z.number().int().optional(),
+            duration: z.number(),
+            criticalPath: z.array(z.number().int()),
+            order: z.array(z.number().int()),
+            tasks: z.array(z.object({
+                taskId: z.number().int(),
+                duration: z.number(),
+                earliestStart: z.number(),
+                earliestFinish: z.number(),
+                latestStart: z.number(),
+                latestFinish: z.number(),
+                slack: z.number(),
+                critical: z.boolean()
+            })),
+            estimatedCount: z.number().int(),
+            defaultEstimate: z.number()
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('analyze_schedule');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const schedule = await taskManager.analyzeSchedule(args.projectId, {
+                    target: args.target,
+                    defaultEstimate: args.defaultEstimate
+                });
+                const scope = schedule.target !== undefined ? `task #${schedule.target} of project ${args.projectId}` : `project ${args.projectId}`;
+
+                if (schedule.tasks.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Nothing left to schedule in ${scope}: every task is completed`
+                        }],
+                        structuredContent: schedule
+                    };
+                }
+
+                let responseText = `Schedule of ${scope}: ${schedule.tasks.length} unfinished tasks, ${schedule.duration} units of remaining work on the critical path`;
+                const unestimated = schedule.tasks.length - schedule.estimatedCount;
+                if (unestimated > 0) {
+                    responseText += ` (${unestimated} tasks without an estimate count as ${schedule.defaultEstimate})`;
+                }
+                responseText += `\n\nCritical path: ${schedule.criticalPath.map(id => `#${id}`).join(' → ')}\n\nTask | start | finish | slack\n`;
+                schedule.tasks.forEach(entry => {
+                    responseText += `#${entry.taskId}${entry.critical ? ' *' : ''} | ${entry.earliestStart}–${entry.latestStart} | ${entry.earliestFinish}–${entry.latestFinish} | ${entry.slack}\n`;
+                });
+                responseText += '\nStart and finish are earliest–latest; * marks critical tasks.';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent: schedule
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { taskResultSchema } from './output-schemas.js';
+import { formatBlockers } from '../core/dependency-graph.js';
 
 /**
  * Assign a task to Windsurf for processing
@@ -9,24 +11,31 @@ export function registerAssignToWindsurfTool(server, taskManager) {
         description: 'Assign a task to Windsurf for processing',
         parameters: z.object({
             id: z.number().describe('The ID of the task to assign to Windsurf'),
-            projectId: z.string().describe('Project ID to assign a task from')
+            projectId: z.string().describe('Project ID to assign a task from'),
+            force: z.boolean().optional().describe('Assign the task even if dependencies it waits on are unfinished')
         }),
+        outputSchema: taskResultSchema,
         execute: async (args) => {
             try {
                 if (!args.projectId) {
                     throw new Error('Project ID is required to assign a task to Windsurf');
                 }
                 
-                const { id, projectId } = args;
-                const task = await taskManager.assignToWindsurf(id, projectId);
+                const { id, projectId, force } = args;
+                const task = await taskManager.assignToWindsurf(id, projectId, { force });
+                const blockers = await taskManager.getBlockers(projectId, id);
                 
-                const responseText = `Successfully assigned task #${task.id} to Windsurf: ${task.title} from project ${projectId}`
+                let responseText = `Successfully assigned task #${task.id} to Windsurf: ${task.title} from project ${projectId}`
+                if (blockers.dependencies.length > 0 || blockers.externalDependencies.length > 0) {
+                    responseText += `\n\nWarning: the task is still blocked by unfinished dependencies ${formatBlockers(blockers)}`;
+                }
                 
                 return {
                     content: [{
                         type: 'text',
                         text: responseText
-                    }]
+                    }],
+                    structuredContent: { projectId, task }
                 };
             } catch (error) {
                 return {
@@ -18,7 +18,7 @@ export function registerCleanupTasksTool(server, taskManager) {
     
     server.addTool({
         name: 'cleanup_tasks',
-        description: 'Clean up tasks in a project by detecting duplicates, fixing metadata consistency, and reorganizing task IDs',
+        description: 'Clean up tasks in a project by detecting duplicates, fixing metadata consistency, and optionally renumbering task IDs',
         parameters: z.object({
             projectId: z.string()
                 .min(1, 'Project ID is required')
@@ -28,11 +28,19 @@ export function registerCleanupTasksTool(server, taskManager) {
             operations: z.object({
                 detectDuplicates: z.boolean().default(true).describe('Detect and merge duplicate tasks'),
                 fixMetadata: z.boolean().default(true).describe('Fix metadata consistency issues'),
-                reorganizeIds: z.boolean().default(true).describe('Reorganize task IDs'),
+                reorganizeIds: z.boolean().default(false).describe('Renumber task IDs sequentially (changes the IDs of existing tasks)'),
                 cleanOrphans: z.boolean().default(true).describe('Clean up orphaned subtasks'),
                 enforceQuality: z.boolean().default(true).describe('Enforce task quality standards')
             }).optional().describe('Specific operations to perform')
         }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            count: z.number().int(),
+            actions: z.array(z.object({
+                type: z.string(),
+                description: z.string()
+            }).passthrough())
+        }),
         execute: async (args) => {
             const errorHandler = createErrorHandler('cleanup_tasks');
             try {
@@ -77,7 +85,12 @@ export function registerCleanupTasksTool(server, taskManager) {
                             type: 'text',
                             text: `No cleanup actions were needed for project ${args.projectId}`
                         }
-                    ]
+                    ],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        count: results?.length || 0,
+                        actions: results || []
+                    }
                 };
             } catch (error) {
                 return errorHandler(error, args);
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { taskResultSchema } from './output-schemas.js';
 
 /**
  * Mark a task as completed
@@ -11,6 +12,7 @@ export function registerCompleteTaskTool(server, taskManager) {
             id: z.number().describe('The ID of the task to complete'),
             projectId: z.string().describe('Project ID the task belongs to')
         }),
+        outputSchema: taskResultSchema,
         execute: async (args) => {
             try {
                 if (!args.projectId) {
@@ -23,7 +25,8 @@ export function registerCompleteTaskTool(server, taskManager) {
                     content: [{
                         type: 'text',
                         text: `Successfully completed task #${completedTask.id}: ${completedTask.title} in project ${args.projectId}`
-                    }]
+                    }],
+                    structuredContent: { projectId: args.projectId, task: completedTask }
                 };
             } catch (error) {
                 return {
@@ -0,0 +1,205 @@
+/**
+ * Confirmation of destructive tools in safe mode
+ *
+ * In safe mode a destructive tool called without a confirmationToken changes
+ * nothing: it describes what it would do and returns a token. Calling it again
+ * with the same arguments and that token applies the change. A token is valid
+ * once, for a limited time, only for the client that asked for the preview,
+ * and only while the project is unchanged since the preview.
+ *
+ * Copyright (c) 2025 WTM
+ * Windsurf Task Master™ is a trademark of WTM.
+ */
+
+import crypto from 'crypto';
+import { z } from 'zod';
+import { getProjectConfig } from '../config/task-cleanup-config.js';
+import { ConfirmationError } from '../utils/errors.js';
+import { buildDeletionCriteria } from './delete-tasks.js';
+
+/**
+ * Format a task for a preview line
+ * @param {Object} task - Task
+ * @returns {string} Display text
+ */
+function describeTask(task) {
+    return `#${task.id}: "${task.title}"${task.subtasks?.length ? ` (and ${task.subtasks.length} subtasks)` : ''}`;
+}
+
+/**
+ * Preview functions of the destructive tools. Each returns the lines describing
+ * what the call would change. Calls that change nothing (dry runs) are not destructive.
+ */
+export const DESTRUCTIVE_TOOLS = {
+    delete_task: async (taskManager, args) => {
+        const task = await taskManager.getTask(args.id, args.projectId);
+        return [`Delete task ${describeTask(task)}`];
+    },
+
+    delete_tasks: async (taskManager, args) => {
+        const tasks = await taskManager.findTasksToDelete(buildDeletionCriteria(args), args.projectId);
+        return tasks.length > 0
+            ? [`Delete ${tasks.length} tasks:`, ...tasks.map(task => `- ${describeTask(task)}`)]
+            : ['No tasks match the criteria; nothing would be deleted'];
+    },
+
+    cleanup_tasks: async (taskManager, args) => {
+        const { operations } = getProjectConfig(args.projectId);
+        const enabled = {
+            detectDuplicates: args.operations?.detectDuplicates ?? operations.detectDuplicates.enabled,
+            fixMetadata: args.operations?.fixMetadata ?? operations.metadataConsistency.enabled,
+            reorganizeIds: args.operations?.reorganizeIds ?? operations.reorganizeTaskIds.enabled,
+            cleanOrphans: args.operations?.cleanOrphans ?? operations.orphanedSubtasks.enabled,
+            enforceQuality: args.operations?.enforceQuality ?? operations.qualityEnforcement.enabled
+        };
+        const tasks = await taskManager.listTasks(args.projectId);
+        const names = Object.keys(enabled).filter(name => enabled[name]);
+        return [
+            `Run cleanup on ${tasks.length} tasks with: ${names.join(', ') || 'no operations'}`,
+            'Duplicates may be merged and tasks failing quality checks may be deleted'
+        ];
+    },
+
+    renumber_tasks: async (taskManager, args) => {
+        if (args.dryRun) return null;
+        const { mapping } = await taskManager.renumberTasks(args.projectId, { dryRun: true });
+        return mapping.length > 0
+            ? [`Renumber ${mapping.length} tasks:`, ...mapping.map(({ from, to }) => `- #${from} → #${to}`)]
+            : ['Task IDs are already sequential; nothing would change'];
+    },
+
+    repair_tasks: async (taskManager, args) => {
+        if (args.dryRun) return null;
+        const report = await taskManager.repairProject(args.projectId, { file: args.file, dryRun: true });
+        return [
+            `Salvage tasks from quarantine/${report.source}: ${report.added.length} added, ${report.updated.length} overwritten, ${report.discarded} discarded`
+        ];
+    },
+
+    restore_project: async (taskManager, args) => {
+        const { added, removed, changed } = await taskManager.diffSnapshot(args.projectId, args.snapshotId);
+        return [
+            `Replace the tasks of project ${args.projectId} with snapshot ${args.snapshotId}:`,
+            `- ${added.length} tasks added since the snapshot would be removed`,
+            `- ${removed.length} tasks removed since the snapshot would come back`,
+            `- ${changed.length} changed tasks would be reverted`
+        ];
+    }
+};
+
+/**
+ * Structured content of a preview
+ */
+export const confirmationRequiredSchema = z.object({
+    projectId: z.string(),
+    confirmationRequired: z.literal(true),
+    confirmationToken: z.string(),
+    expiresAt: z.string(),
+    preview: z.array(z.string())
+});
+
+/**
+ * Single-use confirmation tokens, kept in memory
+ */
+export class ConfirmationTokens {
+    /**
+     * @param {Object} taskManager - Task manager whose projects the tokens are bound to
+     * @param {Object} options - Options
+     * @param {number} options.ttl - Milliseconds a token stays valid
+     */
+    constructor(taskManager, { ttl }) {
+        this.taskManager = taskManager;
+        this.ttl = ttl;
+        this.tokens = new Map(); // Map of tokens to { tool, client, call, state, expiresAt }
+    }
+
+    /**
+     * Fingerprint the arguments of a call, ignoring the token itself
+     * @param {Object} args - Tool arguments
+     * @returns {string} Canonical JSON of the arguments
+     */
+    describeCall(args) {
+        const { confirmationToken, ...rest } = args;
+        return JSON.stringify(Object.keys(rest).sort().map(key => [key, rest[key]]));
+    }
+
+    /**
+     * Fingerprint the current state of a project
+     * @param {string} projectId - Project ID
+     * @returns {Promise<string>} Hash of the IDs and update times of its tasks
+     */
+    async projectState(projectId) {
+        const tasks = await this.taskManager.listTasks(projectId);
+        const state = tasks.map(task => `${task.id}@${task.updatedAt}`).sort().join(',');
+        return crypto.createHash('sha256').update(state).digest('hex');
+    }
+
+    /**
+     * Identify the client a token belongs to
+     * @param {Object} [client] - Authenticated client of the session, if any
+     * @returns {string|null} Client name, or null for unauthenticated sessions such as stdio
+     */
+    describeClient(client) {
+        return client?.name ?? null;
+    }
+
+    /**
+     * Issue a token for a call
+     * @param {string} toolName - Tool name
+     * @param {Object} args - Tool arguments
+     * @param {Object} [client] - Authenticated client making the call
+     * @returns {Promise<{token: string, expiresAt: string}>} Token and when it expires
+     */
+    async issue(toolName, args, client) {
+        this.prune();
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = Date.now() + this.ttl;
+        this.tokens.set(token, {
+            tool: toolName,
+            client: this.describeClient(client),
+            call: this.describeCall(args),
+            state: await this.projectState(args.projectId),
+            expiresAt
+        });
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Use up a token for a call. A token presented by another client is
+     * refused without being used up, so it stays valid for its owner.
+     * @param {string} toolName - Tool name
+     * @param {Object} args - Tool arguments including confirmationToken
+     * @param {Object} [client] - Authenticated client making the call
+     * @throws {ConfirmationError} If the token does not confirm this call by this client on the current project
+     */
+    async redeem(toolName, args, client) {
+        const entry = this.tokens.get(args.confirmationToken);
+        if (entry && entry.client !== this.describeClient(client)) {
+            throw new ConfirmationError(toolName, 'the token was issued to another client');
+        }
+        this.tokens.delete(args.confirmationToken);
+
+        if (!entry || entry.tool !== toolName) {
+            throw new ConfirmationError(toolName, 'unknown or already used token');
+        }
+        if (entry.expiresAt < Date.now()) {
+            throw new ConfirmationError(toolName, 'the token has expired');
+        }
+        if (entry.call !== this.describeCall(args)) {
+            throw new ConfirmationError(toolName, 'the arguments differ from the previewed call');
+        }
+        if (entry.state !== await this.projectState(args.projectId)) {
+            throw new ConfirmationError(toolName, 'the project has changed since the preview');
+        }
+    }
+
+    /**
+     * Forget expired tokens
+     */
+    prune() {
+        const now = Date.now();
+        for (const [token, entry] of this.tokens) {
+            if (entry.expiresAt < now) this.tokens.delete(token);
+        }
+    }
+}
@@ -4,6 +4,8 @@ import { isValidProjectId } from '../utils/security.js';
 import { logger } from '../utils/logger.js';
 import SmartDefaults from '../utils/smart-defaults.js';
 import { BRANDING, formatBrandedMessage } from '../constants/branding.js';
+import { taskResultSchema } from './output-schemas.js';
+import { externalDependencySchema } from '../storage/index.js';
 
 /**
  * Create a new task
@@ -17,12 +19,19 @@ export function registerCreateTaskTool(server, taskManager) {
             description: z.string().max(1000, 'Description is too long').describe('Task description'),
             priority: z.enum(['low', 'medium', 'high']).default('medium').describe('Task priority'),
             dependencies: z.array(z.number().positive('Task IDs must be positive')).optional().describe('List of task IDs that this task depends on'),
+            externalDependencies: z.array(externalDependencySchema).optional().describe('Tasks of other projects this task depends on, as { projectId, taskId }'),
+            notes: z.string().max(5000, 'Notes are too long').optional().describe('Free-form notes, included in search'),
+            tags: z.array(z.string().min(1).max(50, 'Tag is too long')).optional().describe('Tags for grouping and search'),
+            estimate: z.number().positive('Estimate must be positive').max(10000, 'Estimate is too large').optional().describe('Estimated effort, e.g. in hours; used by analyze_schedule'),
             projectId: z.string()
                 .min(1, 'Project ID is required')
                 .max(50, 'Project ID is too long')
                 .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
                 .describe('Project ID to create a task for')
         }),
+        outputSchema: taskResultSchema.extend({
+            suggestions: z.array(z.string())
+        }),
         execute: async (args) => {
             const errorHandler = createErrorHandler('create_task');
             try {
@@ -53,10 +62,16 @@ export function registerCreateTaskTool(server, taskManager) {
                 }, existingTasks);
                 
                 // Create task with enhanced data
-                const task = await taskManager.createTask(smartResult.enhanced, args.projectId);
+                const task = await taskManager.createTask({
+                    ...smartResult.enhanced,
+                    ...(args.externalDependencies !== undefined ? { externalDependencies: args.externalDependencies } : {}),
+                    ...(args.notes !== undefined ? { notes: args.notes } : {}),
+                    ...(args.tags !== undefined ? { tags: args.tags } : {}),
+                    ...(args.estimate !== undefined ? { estimate: args.estimate } : {})
+                }, args.projectId);
                 
                 // Prepare response with smart suggestions
-                let responseText = `✅ Task created successfully with ${BRANDING.PRODUCT_NAME_SHORT}\n\nTask ID: ${task.id} for project: ${args.projectId}`;
+                let responseText = `✅ Task created successfully with ${BRANDING.PRODUCT_NAME_SHORT}\n\nTask ID: ${task.id}${task.key ? ` (${task.key})` : ''} for project: ${args.projectId}`;
                 
                 // Add smart suggestions if any were generated
                 if (smartResult.suggestions && smartResult.suggestions.length > 0) {
@@ -73,7 +88,12 @@ export function registerCreateTaskTool(server, taskManager) {
                     content: [{
                         type: 'text',
                         text: responseText
-                    }]
+                    }],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        task,
+                        suggestions: smartResult.suggestions || []
+                    }
                 };
             } catch (error) {
                 const errorResponse = errorHandler(error, args);
@@ -2,6 +2,7 @@ import { z } from 'zod';
 import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
 import { isValidProjectId, isValidTaskId } from '../utils/security.js';
 import { logger } from '../utils/logger.js';
+import { taskResultSchema } from './output-schemas.js';
 
 /**
  * Delete a task
@@ -16,8 +17,10 @@ export function registerDeleteTaskTool(server, taskManager) {
                 .min(1, 'Project ID is required')
                 .max(50, 'Project ID is too long')
                 .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
-                .describe('Project ID the task belongs to'),
-            reorganizeIds: z.boolean().optional().default(true).describe('Whether to reorganize task IDs after deletion')
+                .describe('Project ID the task belongs to')
+        }),
+        outputSchema: taskResultSchema.extend({
+            deletedTaskIds: z.array(z.number().int())
         }),
         execute: async (args) => {
             const errorHandler = createErrorHandler('delete_task');
@@ -40,13 +43,17 @@ export function registerDeleteTaskTool(server, taskManager) {
                     });
                 }
                 
-                const deletedTask = await taskManager.deleteTask(args.id, args.projectId, args.reorganizeIds);
+                // Subtasks are deleted with their parent, so compare the IDs before and after
+                const idsBefore = (await taskManager.listTasks(args.projectId)).map(task => task.id);
+                const deletedTask = await taskManager.deleteTask(args.id, args.projectId);
+                const remaining = new Set((await taskManager.listTasks(args.projectId)).map(task => task.id));
                 
                 return {
                     content: [{
                         type: 'text',
                         text: `Task #${deletedTask.id}: "${deletedTask.title}" has been deleted from project ${args.projectId}`
-                    }]
+                    }],
+                    structuredContent: { projectId: args.projectId, deletedTaskIds: idsBefore.filter(id => !remaining.has(id)), task: deletedTask }
                 };
             } catch (error) {
                 return errorHandler(error, args);
@@ -2,6 +2,32 @@ import { z } from 'zod';
 import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
 import { isValidProjectId } from '../utils/security.js';
 import { logger } from '../utils/logger.js';
+import { deletedTasksSchema } from './output-schemas.js';
+
+/**
+ * Build the TaskManager#deleteTasks criteria from the tool arguments; the first criterion given wins
+ * @param {Object} args - delete_tasks arguments
+ * @returns {Object} Criteria
+ * @throws {TaskValidationError} If no criterion is given
+ */
+export function buildDeletionCriteria(args) {
+    if (args.ids && args.ids.length > 0) {
+        return { ids: args.ids };
+    }
+    if (args.status) {
+        return { status: args.status };
+    }
+    if (args.duplicates) {
+        return { duplicates: true };
+    }
+    if (args.unqualified) {
+        return { unqualified: true };
+    }
+    throw new TaskValidationError('No deletion criteria provided', {
+        field: 'criteria',
+        value: 'missing'
+    });
+}
 
 /**
  * Delete multiple tasks based on criteria
@@ -25,6 +51,7 @@ export function registerDeleteTasksTool(server, taskManager) {
             unqualified: z.boolean().optional().default(false)
                 .describe('Delete tasks that do not meet quality criteria (missing title or description)')
         }),
+        outputSchema: deletedTasksSchema,
         execute: async (args) => {
             const errorHandler = createErrorHandler('delete_tasks');
             try {
@@ -37,31 +64,21 @@ export function registerDeleteTasksTool(server, taskManager) {
                     });
                 }
                 
-                // Build criteria object
-                const criteria = {};
-                if (args.ids && args.ids.length > 0) {
-                    criteria.ids = args.ids;
-                } else if (args.status) {
-                    criteria.status = args.status;
-                } else if (args.duplicates) {
-                    criteria.duplicates = true;
-                } else if (args.unqualified) {
-                    criteria.unqualified = true;
-                } else {
-                    throw new TaskValidationError('No deletion criteria provided', {
-                        field: 'criteria',
-                        value: 'missing'
-                    });
-                }
-                
+                const criteria = buildDeletionCriteria(args);
                 const deletedTasks = await taskManager.deleteTasks(criteria, args.projectId);
+                const structuredContent = {
+                    projectId: args.projectId,
+                    count: deletedTasks.length,
+                    deletedTaskIds: deletedTasks.map(task => task.id)
+                };
                 
                 if (deletedTasks.length === 0) {
                     return {
                         content: [{
                             type: 'text',
                             text: `No tasks matching the criteria were found in project ${args.projectId}`
-                        }]
+                        }],
+                        structuredContent
                     };
                 }
                 
@@ -71,14 +88,12 @@ export function registerDeleteTasksTool(server, taskManager) {
                     responseText += `- #${task.id}: "${task.title}"\n`;
                 });
                 
-                // Add information about task ID reorganization
-                responseText += '\nTask IDs have been reorganized to maintain sequential ordering.';
-                
                 return {
                     content: [{
                         type: 'text',
                         text: responseText
-                    }]
+                    }],
+                    structuredContent
                 };
             } catch (error) {
                 return errorHandler(error, args);
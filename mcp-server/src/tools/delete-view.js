@@ -0,0 +1,52 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { viewSchema } from './output-schemas.js';
+
+/**
+ * Delete a saved view
+ */
+export function registerDeleteViewTool(server, taskManager) {
+    server.addTool({
+        name: 'delete_view',
+        description: 'Delete a saved view from a project. Tasks are not affected',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID the view belongs to'),
+            name: z.string().min(1, 'View name is required').describe('Name of the view to delete')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            view: viewSchema
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('delete_view');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const view = await taskManager.deleteView(args.projectId, args.name);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Deleted view "${args.name}" from project ${args.projectId}`
+                    }],
+                    structuredContent: { projectId: args.projectId, view }
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
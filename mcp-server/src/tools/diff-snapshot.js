@@ -0,0 +1,97 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { taskSchema } from '../storage/index.js';
+import { formatValue } from './get-task-history.js';
+import { snapshotSummarySchema } from './output-schemas.js';
+
+/**
+ * Compare a snapshot with a project's current tasks
+ */
+export function registerDiffSnapshotTool(server, taskManager) {
+    server.addTool({
+        name: 'diff_snapshot',
+        description: 'Show how a project changed since a snapshot: tasks added, tasks removed and fields changed',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID the snapshot belongs to'),
+            snapshotId: z.string()
+                .min(1, 'Snapshot ID is required')
+                .describe('Snapshot ID as shown by list_snapshots')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            snapshot: snapshotSummarySchema,
+            added: z.array(taskSchema),
+            removed: z.array(taskSchema),
+            changed: z.array(z.object({
+                id: z.number().int(),
+                title: z.string(),
+                changes: z.record(z.object({ from: z.any(), to: z.any() }).partial())
+            }))
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('diff_snapshot');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const { snapshot, added, removed, changed } = await taskManager.diffSnapshot(args.projectId, args.snapshotId);
+                const structuredContent = { projectId: args.projectId, snapshot, added, removed, changed };
+
+                if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Project ${args.projectId} is unchanged since snapshot ${snapshot.id}`
+                        }],
+                        structuredContent
+                    };
+                }
+
+                let responseText = `Changes in project ${args.projectId} since snapshot ${snapshot.id} (${snapshot.reason}, ${snapshot.createdAt}):\n`;
+                if (removed.length > 0) {
+                    responseText += `\nRemoved since the snapshot (${removed.length}):\n`;
+                    removed.forEach(task => {
+                        responseText += `- #${task.id}: ${task.title}\n`;
+                    });
+                }
+                if (added.length > 0) {
+                    responseText += `\nAdded since the snapshot (${added.length}):\n`;
+                    added.forEach(task => {
+                        responseText += `- #${task.id}: ${task.title}\n`;
+                    });
+                }
+                if (changed.length > 0) {
+                    responseText += `\nChanged since the snapshot (${changed.length}):\n`;
+                    changed.forEach(({ id, title, changes }) => {
+                        responseText += `- #${id}: ${title}\n`;
+                        for (const [field, { from, to }] of Object.entries(changes)) {
+                            responseText += `    ${field}: ${formatValue(from)} → ${formatValue(to)}\n`;
+                        }
+                    });
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -1,8 +1,8 @@
 import { z } from 'zod';
-import path from 'path';
-import fs from 'fs/promises';
+import { filterAccessibleProjects, filterExternalBlockers } from '../auth/index.js';
 import { BRANDING, formatBrandedMessage } from '../constants/branding.js';
 import { createBrandedSuccessResponse, createBrandedErrorResponse } from '../utils/branding-helper.js';
+import { taskStatusSchema } from './output-schemas.js';
 
 /**
  * Display task status for Windsurf
@@ -14,7 +14,8 @@ export function registerDisplayTaskStatusTool(server, taskManager) {
         parameters: z.object({
             projectId: z.string().optional().describe('Optional project ID to display tasks for a specific project')
         }),
-        execute: async (args) => {
+        outputSchema: taskStatusSchema,
+        execute: async (args, context) => {
             try {
                 let allProjects = [];
                 let allProjectsData = {};
@@ -23,17 +24,11 @@ export function registerDisplayTaskStatusTool(server, taskManager) {
                 if (args.projectId) {
                     allProjects = [args.projectId];
                 } else {
-                    // Otherwise, get all project directories
-                    const baseTasksDir = path.join(process.cwd(), 'tasks');
+                    // Otherwise, get every project under the task manager's tasks root that the client may access
                     try {
-                        const entries = await fs.readdir(baseTasksDir, { withFileTypes: true });
-                        allProjects = entries
-                            .filter(entry => entry.isDirectory())
-                            .map(entry => entry.name);
+                        allProjects = filterAccessibleProjects(context?.session, await taskManager.getProjects());
                     } catch (error) {
-                        if (error.code !== 'ENOENT') {
-                            console.error(formatBrandedMessage(`Error reading projects directory: ${error.message}`, 'error'));
-                        }
+                        console.error(formatBrandedMessage(`Error reading projects directory: ${error.message}`, 'error'));
                         allProjects = [];
                     }
                 }
@@ -46,6 +41,7 @@ export function registerDisplayTaskStatusTool(server, taskManager) {
                         
                         // Get all tasks for the project
                         const tasks = await taskManager.listTasks(project);
+                        const externalBlockers = filterExternalBlockers(context?.session, await taskManager.getExternalBlockers(project));
                         
                         // Count tasks by status
                         const statusCounts = {
@@ -82,7 +78,9 @@ export function registerDisplayTaskStatusTool(server, taskManager) {
                                 title: task.title,
                                 status: task.status,
                                 assignedTo: task.assignedTo,
-                                progress: task.progress || 0
+                                progress: task.progress || 0,
+                                ...(task.externalDependencies?.length ? { externalDependencies: task.externalDependencies } : {}),
+                                ...(externalBlockers.has(task.id) ? { waitingOn: externalBlockers.get(task.id) } : {})
                             }))
                         };
                     } catch (error) {
@@ -157,6 +155,16 @@ export function registerDisplayTaskStatusTool(server, taskManager) {
                         });
                     }
                     
+                    // List tasks that wait on unfinished tasks of other projects
+                    const waitingTasks = projectData.tasks.filter(task => task.waitingOn);
+                    if (waitingTasks.length > 0) {
+                        statusReport += '\n  Waiting on Other Projects:\n';
+                        waitingTasks.forEach(task => {
+                            const waitingOn = task.waitingOn.map(ref => `${ref.projectId}#${ref.taskId} (${ref.status})`).join(', ');
+                            statusReport += `    #${task.id} ${task.title} - waiting on ${waitingOn}\n`;
+                        });
+                    }
+                    
                     statusReport += '\n';
                 }
                 
@@ -167,7 +175,11 @@ export function registerDisplayTaskStatusTool(server, taskManager) {
                     content: [{
                         type: 'text',
                         text: statusReport
-                    }]
+                    }],
+                    structuredContent: {
+                        ...overallStats,
+                        projects: Object.entries(allProjectsData).map(([projectId, projectData]) => ({ projectId, ...projectData }))
+                    }
                 };
             } catch (error) {
                 console.error(formatBrandedMessage(`Error displaying task status: ${error.message}`, 'error'));
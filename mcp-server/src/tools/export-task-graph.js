@@ -0,0 +1,66 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { TASK_KEY_PATTERN } from '../storage/index.js';
+import { GRAPH_FORMATS } from '../core/graph-export.js';
+
+/**
+ * Render the dependency and subtask structure of a project as a diagram
+ */
+export function registerExportTaskGraphTool(server, taskManager) {
+    server.addTool({
+        name: 'export_task_graph',
+        description: 'Render the dependency and subtask edges of a project as a Mermaid flowchart or Graphviz DOT text, with nodes styled by status (pending, blocked, in progress, completed). Optionally collapse completed tasks into one node or focus on one task with its ancestors and descendants. Changes nothing',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to render'),
+            format: z.enum(GRAPH_FORMATS).optional().default('mermaid')
+                .describe('mermaid for a flowchart that renders in Markdown, dot for Graphviz'),
+            focus: z.union([z.number().int().positive(), z.string().regex(TASK_KEY_PATTERN, 'Task key must look like PROJ-42')]).optional()
+                .describe('Only show this task (ID or key), the tasks it depends on or belongs to, and the tasks that depend on or belong to it'),
+            collapseCompleted: z.boolean().optional().default(false)
+                .describe('Show all completed tasks as one summary node')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            format: z.enum(GRAPH_FORMATS),
+            nodeCount: z.number().int(),
+            edgeCount: z.number().int(),
+            text: z.string()
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('export_task_graph');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const graph = await taskManager.exportTaskGraph(args.projectId, {
+                    format: args.format,
+                    focus: args.focus,
+                    collapseCompleted: args.collapseCompleted
+                });
+                const fence = graph.format === 'dot' ? 'dot' : 'mermaid';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Task graph of project ${args.projectId} (${graph.nodeCount} nodes, ${graph.edgeCount} edges):\n\n\`\`\`${fence}\n${graph.text}\`\`\``
+                    }],
+                    structuredContent: graph
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -116,7 +116,9 @@ mcp1_display_task_status({
 })
 \`\`\`
 
-**Pro Tip:** The system now auto-suggests priorities and acceptance criteria!`,
+**Pro Tip:** The system now auto-suggests priorities and acceptance criteria!
+
+**Prompt:** Use the \`plan_feature\` prompt to plan a feature against the project's existing tasks.`,
 
         'task-too-big': `
 📏 **Task Too Large? Break It Down:**
@@ -142,6 +144,8 @@ mcp1_display_task_status({
 • Update task: \`mcp1_update_task({id: 1, description: "Updated description", projectId: "..."})\`
 
 **See also:** Use \`mcp1_get_help({situation: "task-hierarchy", projectId: "..."})\` for detailed guidance on balanced task structures.
+
+**Prompt:** The \`break_down_task\` prompt renders a task with its subtasks and dependencies, ready to break down.
 `,
 
         'stuck-on-task': `
@@ -178,7 +182,9 @@ mcp1_update_task({
   description: "Original description\\n\\nBLOCKER: Specific issue...",
   projectId: "your-project"
 })
-\`\`\``,
+\`\`\`
+
+**Prompt:** The \`review_blocked_tasks\` prompt lists every task waiting on a dependency or a BLOCKER, ready to review.`,
 
         'project-status': `
 📊 **Project Status & Progress:**
@@ -207,10 +213,24 @@ mcp1_list_tasks({
   status: "in-progress" // or "pending", "completed", "all"
 })
 
+// Open high-priority tasks, newest first, titles only; pass nextCursor as cursor for more
+mcp1_list_tasks({
+  projectId: "your-project",
+  filter: { status: ["pending", "in-progress"], priority: "high" },
+  sort: ["-createdAt"],
+  fields: ["title", "status"],
+  limit: 20
+})
+
 // Check tasks assigned to Windsurf
 mcp1_get_windsurf_tasks({
   projectId: "your-project"
 })
+
+// Pick the next ready task (all dependencies completed), then start it
+mcp1_get_next_task({
+  projectId: "your-project"
+})
 \`\`\``,
 
         'best-practices': `
@@ -0,0 +1,105 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { taskSchema } from '../storage/index.js';
+
+/**
+ * Explain why a task was picked
+ * @param {Object} entry - Entry from TaskManager#getNextTasks
+ * @returns {string} Display text
+ */
+function describeReason({ task, slack, critical, depth, unblocks }) {
+    const reasons = [`${task.priority} priority`];
+    if (critical) {
+        reasons.push('on the critical path');
+    } else if (slack !== null) {
+        reasons.push(`slack ${slack}`);
+    }
+    if (unblocks.length > 0) {
+        reasons.push(`unblocks ${unblocks.map(id => `#${id}`).join(', ')}`);
+    }
+    if (depth > 1) {
+        reasons.push(`starts a chain of ${depth} waiting tasks`);
+    }
+    reasons.push(`created ${task.createdAt}`);
+    return reasons.join('; ');
+}
+
+/**
+ * Pick the best ready task to work on next
+ */
+export function registerGetNextTaskTool(server, taskManager) {
+    server.addTool({
+        name: 'get_next_task',
+        description: 'Get the best pending task to start next in a project: one whose dependencies are all completed, ranked by priority, then by schedule slack (critical path first, see analyze_schedule), then by how many tasks wait on it, then by age. Changes nothing; start it with assign_to_windsurf',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to pick a task from'),
+            limit: z.number().int().min(1).max(20).optional().default(1)
+                .describe('Number of candidates to return, best first')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            readyCount: z.number().int(),
+            blockedCount: z.number().int(),
+            tasks: z.array(z.object({
+                task: taskSchema,
+                slack: z.number().nullable(),
+                critical: z.boolean(),
+                depth: z.number().int(),
+                unblocks: z.array(z.number().int()),
+                reason: z.string()
+            }))
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('get_next_task');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const { tasks, readyCount, blockedCount } = await taskManager.getNextTasks(args.projectId, { limit: args.limit });
+                const structuredContent = {
+                    projectId: args.projectId,
+                    readyCount,
+                    blockedCount,
+                    tasks: tasks.map(entry => ({ ...entry, reason: describeReason(entry) }))
+                };
+
+                if (tasks.length === 0) {
+                    const text = blockedCount > 0
+                        ? `No task in project ${args.projectId} is ready: all ${blockedCount} pending tasks wait on unfinished dependencies`
+                        : `Project ${args.projectId} has no pending tasks`;
+                    return {
+                        content: [{ type: 'text', text }],
+                        structuredContent
+                    };
+                }
+
+                let responseText = `${readyCount} tasks in project ${args.projectId} are ready (${blockedCount} blocked). Next:\n\n`;
+                structuredContent.tasks.forEach(({ task, reason }) => {
+                    responseText += `- #${task.id}${task.key ? ` (${task.key})` : ''}: "${task.title}" — ${reason}\n`;
+                });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
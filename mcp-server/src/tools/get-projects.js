@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { filterAccessibleProjects } from '../auth/index.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -20,13 +21,17 @@ export function registerGetProjectsTool(server, taskManager) {
         parameters: z.object({
             projectId: z.string().optional().describe('Optional project ID to filter by')
         }),
-        execute: async (params) => {
+        outputSchema: z.object({
+            count: z.number().int(),
+            projects: z.array(z.string())
+        }),
+        execute: async (params, context) => {
             try {
                 console.error('Executing get_projects tool');
                 logger.info('Retrieving projects list');
                 
-                // Get projects from task manager
-                const projects = await taskManager.getProjects();
+                // Get the projects from the task manager that the client may access
+                const projects = filterAccessibleProjects(context?.session, await taskManager.getProjects());
                 
                 // Filter by projectId if provided
                 let filteredProjects = projects;
@@ -45,7 +50,8 @@ export function registerGetProjectsTool(server, taskManager) {
                         text: filteredProjects.length > 0
                             ? `Available projects:\n${filteredProjects.join('\n')}`
                             : 'No projects found'
-                    }]
+                    }],
+                    structuredContent: { count: filteredProjects.length, projects: filteredProjects }
                 };
                 
                 // Return the response directly without any additional processing
@@ -2,6 +2,7 @@ import { z } from 'zod';
 import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
 import { isValidProjectId, isValidTaskId } from '../utils/security.js';
 import { logger } from '../utils/logger.js';
+import { taskListSchema } from './output-schemas.js';
 
 /**
  * Get all subtasks for a parent task
@@ -18,6 +19,9 @@ export function registerGetSubtasksTool(server, taskManager) {
                 .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
                 .describe('Project ID the parent task belongs to')
         }),
+        outputSchema: taskListSchema.extend({
+            parentTaskId: z.number().int()
+        }),
         execute: async (args) => {
             const errorHandler = createErrorHandler('get_subtasks');
             try {
@@ -40,13 +44,20 @@ export function registerGetSubtasksTool(server, taskManager) {
                 }
                 
                 const subtasks = await taskManager.getSubtasks(args.parentTaskId, args.projectId);
+                const structuredContent = {
+                    projectId: args.projectId,
+                    parentTaskId: args.parentTaskId,
+                    count: subtasks.length,
+                    tasks: subtasks
+                };
                 
                 if (subtasks.length === 0) {
                     return {
                         content: [{
                             type: 'text',
                             text: `No subtasks found for parent task #${args.parentTaskId} in project ${args.projectId}`
-                        }]
+                        }],
+                        structuredContent
                     };
                 }
                 
@@ -61,7 +72,8 @@ export function registerGetSubtasksTool(server, taskManager) {
                     content: [{
                         type: 'text',
                         text: responseText
-                    }]
+                    }],
+                    structuredContent
                 };
             } catch (error) {
                 return errorHandler(error, args);
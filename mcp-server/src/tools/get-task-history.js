@@ -0,0 +1,121 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId, isValidTaskId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { historyEntrySchema } from './output-schemas.js';
+
+/**
+ * Format a history value for display, keeping long values short
+ * @param {any} value - Field value
+ * @returns {string} Display text
+ */
+export function formatValue(value) {
+    if (value === undefined) return '(none)';
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Format one history entry as a list item
+ * @param {Object} entry - Entry returned by TaskManager#getTaskHistory
+ * @returns {string} Display text
+ */
+export function formatHistoryEntry(entry) {
+    let text = `- ${entry.timestamp} — task #${entry.taskId} ${entry.change} by ${entry.actor} (${entry.operation})\n`;
+    if (entry.change === 'updated') {
+        for (const [field, { from, to }] of Object.entries(entry.changes)) {
+            text += `    ${field}: ${formatValue(from)} → ${formatValue(to)}\n`;
+        }
+    } else {
+        const title = entry.change === 'created' ? entry.changes.title?.to : entry.changes.title?.from;
+        if (title !== undefined) {
+            text += `    title: ${formatValue(title)}\n`;
+        }
+    }
+    return text;
+}
+
+/**
+ * Show the change history of a task or a whole project
+ */
+export function registerGetTaskHistoryTool(server, taskManager) {
+    server.addTool({
+        name: 'get_task_history',
+        description: 'Show who changed what and when, for one task or a whole project, newest first. Includes deleted tasks',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to read the history of'),
+            taskId: z.number().positive('Task ID must be positive').optional()
+                .describe('Only show changes to this task'),
+            limit: z.number().int().min(1).max(500).optional().default(50)
+                .describe('Maximum number of changes to show')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            taskId: z.number().int().optional(),
+            count: z.number().int(),
+            entries: z.array(historyEntrySchema)
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('get_task_history');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                if (args.taskId !== undefined && !isValidTaskId(args.taskId)) {
+                    logger.warn('Invalid task ID detected', { taskId: args.taskId });
+                    throw new TaskValidationError('Invalid task ID', {
+                        field: 'taskId',
+                        value: args.taskId
+                    });
+                }
+
+                const entries = await taskManager.getTaskHistory(args.projectId, {
+                    taskId: args.taskId,
+                    limit: args.limit
+                });
+                const subject = args.taskId !== undefined ? `task #${args.taskId}` : `project ${args.projectId}`;
+                const structuredContent = {
+                    projectId: args.projectId,
+                    ...(args.taskId !== undefined ? { taskId: args.taskId } : {}),
+                    count: entries.length,
+                    entries
+                };
+
+                if (entries.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `No recorded changes for ${subject}`
+                        }],
+                        structuredContent
+                    };
+                }
+
+                let responseText = `Change history for ${subject} (newest first, ${entries.length} shown):\n\n`;
+                entries.forEach(entry => {
+                    responseText += formatHistoryEntry(entry);
+                });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
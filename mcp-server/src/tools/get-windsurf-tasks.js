@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { canAccessProject } from '../auth/index.js';
+import { taskListSchema } from './output-schemas.js';
 
 /**
  * Get all tasks assigned to Windsurf
@@ -10,10 +12,14 @@ export function registerGetWindsurfTasksTool(server, taskManager) {
         parameters: z.object({
             projectId: z.string().optional().describe('Optional project ID to get tasks from a specific project. If not provided, returns tasks from all projects.')
         }),
-        execute: async (args) => {
+        outputSchema: taskListSchema,
+        execute: async (args, context) => {
             try {
                 const { projectId } = args;
-                const tasks = await taskManager.getWindsurfTasks(projectId);
+                const client = context?.session;
+                const tasks = (await taskManager.getWindsurfTasks(projectId))
+                    .filter(task => !client || projectId || canAccessProject(client, task.projectId));
+                const structuredContent = { ...(projectId ? { projectId } : {}), count: tasks.length, tasks };
                 
                 if (tasks.length === 0) {
                     let message = 'No tasks currently assigned to Windsurf';
@@ -25,7 +31,8 @@ export function registerGetWindsurfTasksTool(server, taskManager) {
                         content: [{
                             type: 'text',
                             text: message
-                        }]
+                        }],
+                        structuredContent
                     };
                 }
                 
@@ -54,7 +61,8 @@ export function registerGetWindsurfTasksTool(server, taskManager) {
                     content: [{
                         type: 'text',
                         text: `${title}:\n${taskList}`
-                    }]
+                    }],
+                    structuredContent
                 };
             } catch (error) {
                 return {
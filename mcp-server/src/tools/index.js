@@ -7,11 +7,18 @@
 
 import { registerCreateTaskTool } from './create-task.js';
 import { registerListTasksTool } from './list-tasks.js';
+import { registerSearchTasksTool } from './search-tasks.js';
 import { registerUpdateTaskTool } from './update-task.js';
 import { registerCompleteTaskTool } from './complete-task.js';
 import { registerDeleteTaskTool } from './delete-task.js';
 import { registerDeleteTasksTool } from './delete-tasks.js';
 
+// Saved view tools
+import { registerSaveViewTool } from './save-view.js';
+import { registerListViewsTool } from './list-views.js';
+import { registerRunViewTool } from './run-view.js';
+import { registerDeleteViewTool } from './delete-view.js';
+
 // Subtask management tools
 import { registerAddSubtaskTool } from './add-subtask.js';
 import { registerGetSubtasksTool } from './get-subtasks.js';
@@ -20,10 +27,23 @@ import { registerGetSubtasksTool } from './get-subtasks.js';
 import { registerAssignToWindsurfTool } from './assign-to-windsurf.js';
 import { registerUpdateWindsurfProgressTool } from './update-windsurf-progress.js';
 import { registerGetWindsurfTasksTool } from './get-windsurf-tasks.js';
+import { registerGetNextTaskTool } from './get-next-task.js';
 import { registerDisplayTaskStatusTool } from './display-task-status.js';
 
 // Task maintenance tools
 import { registerCleanupTasksTool } from './cleanup-tasks.js';
+import { registerRepairTasksTool } from './repair-tasks.js';
+import { registerRenumberTasksTool } from './renumber-tasks.js';
+import { registerSetTaskKeyPrefixTool } from './set-task-key-prefix.js';
+import { registerGetTaskHistoryTool } from './get-task-history.js';
+import { registerValidateDependenciesTool } from './validate-dependencies.js';
+import { registerExportTaskGraphTool } from './export-task-graph.js';
+import { registerAnalyzeScheduleTool } from './analyze-schedule.js';
+import { registerUndoLastChangeTool } from './undo-last-change.js';
+import { registerRedoLastChangeTool } from './redo-last-change.js';
+import { registerListSnapshotsTool } from './list-snapshots.js';
+import { registerDiffSnapshotTool } from './diff-snapshot.js';
+import { registerRestoreProjectTool } from './restore-project.js';
 import { registerGetProjectsTool } from './get-projects.js';
 
 // Context awareness tools
@@ -33,22 +53,43 @@ import { registerSuggestProjectStructureTool } from './suggest-project-structure
 // Branding utilities
 import { BRANDING, formatBrandedMessage } from '../constants/branding.js';
 import { enhanceErrorHandlerWithBranding } from '../utils/branding-helper.js';
+import { withPermissions, withRecoveryNotices, withServerMode, withStructuredOutput } from './tool-wrappers.js';
 
 /**
  * Register all task management tools with the MCP server
- * @param {Object} server - FastMCP server instance
+ * @param {Object} mcpServer - FastMCP server instance
  * @param {Object} taskManager - Task manager instance
+ * @returns {Map<string, Object>} Output schemas of the tools by name, for publishOutputSchemas()
  */
-export function registerTaskTools(server, taskManager) {
+export function registerTaskTools(mcpServer, taskManager) {
+    // Check each call against the calling client's token before anything else runs
+    const permittedServer = withPermissions(mcpServer, taskManager);
+    
+    // Return structured content next to the text, which can be stripped of branding
+    const structuredServer = withStructuredOutput(permittedServer);
+    
+    // Report corrupted-data recoveries in every tool response until repaired
+    const recoveryServer = withRecoveryNotices(structuredServer, taskManager);
+    
+    // Leave out or guard tools according to the server mode (full, read-only or safe)
+    const server = withServerMode(recoveryServer, taskManager);
+    
     try {
         // Register each tool with access to the task manager
         registerCreateTaskTool(server, taskManager);
         registerListTasksTool(server, taskManager);
+        registerSearchTasksTool(server, taskManager);
         registerUpdateTaskTool(server, taskManager);
         registerCompleteTaskTool(server, taskManager);
         registerDeleteTaskTool(server, taskManager);
         registerDeleteTasksTool(server, taskManager);
         
+        // Register saved view tools
+        registerSaveViewTool(server, taskManager);
+        registerListViewsTool(server, taskManager);
+        registerRunViewTool(server, taskManager);
+        registerDeleteViewTool(server, taskManager);
+        
         // Register subtask management tools
         registerAddSubtaskTool(server, taskManager);
         registerGetSubtasksTool(server, taskManager);
@@ -57,10 +98,23 @@ export function registerTaskTools(server, taskManager) {
         registerAssignToWindsurfTool(server, taskManager);
         registerUpdateWindsurfProgressTool(server, taskManager);
         registerGetWindsurfTasksTool(server, taskManager);
+        registerGetNextTaskTool(server, taskManager);
         registerDisplayTaskStatusTool(server, taskManager);
         
         // Register task maintenance tools
         registerCleanupTasksTool(server, taskManager);
+        registerRepairTasksTool(server, taskManager);
+        registerRenumberTasksTool(server, taskManager);
+        registerSetTaskKeyPrefixTool(server, taskManager);
+        registerGetTaskHistoryTool(server, taskManager);
+        registerValidateDependenciesTool(server, taskManager);
+        registerExportTaskGraphTool(server, taskManager);
+        registerAnalyzeScheduleTool(server, taskManager);
+        registerUndoLastChangeTool(server, taskManager);
+        registerRedoLastChangeTool(server, taskManager);
+        registerListSnapshotsTool(server, taskManager);
+        registerDiffSnapshotTool(server, taskManager);
+        registerRestoreProjectTool(server, taskManager);
         
         // Add explicit logging for get_projects tool registration
         console.error(formatBrandedMessage('Registering get_projects tool...', 'info'));
@@ -89,7 +143,12 @@ export function registerTaskTools(server, taskManager) {
             console.error(formatBrandedMessage(`Error registering suggest_project_structure tool: ${error.message}`, 'error'));
         }
 
+        if (server.skipped.length > 0) {
+            console.error(formatBrandedMessage(`Read-only mode: not registering ${server.skipped.join(', ')}`, 'info'));
+        }
+        
         console.error(formatBrandedMessage('All task management tools registered successfully', 'success'));
+        return structuredServer.outputSchemas;
     } catch (error) {
         console.error(formatBrandedMessage(`Error registering task tools: ${error.message}`, 'error'));
         throw error;
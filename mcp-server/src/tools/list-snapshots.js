@@ -0,0 +1,69 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { snapshotSummarySchema } from './output-schemas.js';
+
+/**
+ * List the snapshots kept for a project
+ */
+export function registerListSnapshotsTool(server, taskManager) {
+    server.addTool({
+        name: 'list_snapshots',
+        description: 'List the snapshots kept for a project, newest first. Snapshots are taken before bulk deletes, cleanup runs and renumbering, and on a schedule',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to list snapshots of')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            count: z.number().int(),
+            snapshots: z.array(snapshotSummarySchema)
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('list_snapshots');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const snapshots = await taskManager.listSnapshots(args.projectId);
+                const structuredContent = { projectId: args.projectId, count: snapshots.length, snapshots };
+
+                if (snapshots.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `No snapshots of project ${args.projectId}`
+                        }],
+                        structuredContent
+                    };
+                }
+
+                let responseText = `Snapshots of project ${args.projectId} (newest first):\n\n`;
+                snapshots.forEach(snapshot => {
+                    responseText += `- ${snapshot.id} — ${snapshot.taskCount} task(s), taken ${snapshot.createdAt} (${snapshot.reason})\n`;
+                });
+                responseText += '\nUse diff_snapshot to compare one with the current tasks, or restore_project to restore it.';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
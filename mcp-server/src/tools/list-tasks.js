@@ -1,49 +1,128 @@
 import { z } from 'zod';
+import { filterExternalBlockers } from '../auth/index.js';
+import { TASK_FIELDS, TASK_PRIORITIES, TASK_STATUSES } from '../storage/index.js';
+import { TASK_SORT_FIELDS, resolveDateBound } from '../core/task-query.js';
+import { taskPageSchema } from './output-schemas.js';
+
+const statusValue = z.enum(TASK_STATUSES);
+const priorityValue = z.enum(TASK_PRIORITIES);
+const dateBound = z.string().refine(
+    value => !Number.isNaN(resolveDateBound(value)),
+    'Must be an ISO date or date-time, or a time ago such as 30m, 12h, 7d or 2w'
+);
+
+/**
+ * Conditions a listed task must meet; every condition given must hold
+ */
+export const taskFilterSchema = z.object({
+    status: z.union([statusValue, z.array(statusValue).min(1)]).optional()
+        .describe('Status, or list of statuses any of which may match'),
+    priority: z.union([priorityValue, z.array(priorityValue).min(1)]).optional()
+        .describe('Priority, or list of priorities any of which may match'),
+    assignedTo: z.string().nullable().optional()
+        .describe('Assignee, or null for unassigned tasks'),
+    hasDependencies: z.boolean().optional()
+        .describe('Only tasks with (true) or without (false) dependencies'),
+    blocked: z.boolean().optional()
+        .describe('Only tasks waiting on unfinished dependencies (true), or only tasks that are not (false)'),
+    isSubtask: z.boolean().optional()
+        .describe('Only subtasks (true) or only top-level tasks (false)'),
+    parentId: z.number().int().positive().optional()
+        .describe('Only subtasks of this task'),
+    tags: z.array(z.string()).min(1).optional()
+        .describe('Only tasks with all of these tags'),
+    createdAfter: dateBound.optional().describe('Only tasks created after this date, e.g. 2025-01-31 or 7d (7 days ago)'),
+    createdBefore: dateBound.optional().describe('Only tasks created before this date, e.g. 2025-01-31 or 7d (7 days ago)'),
+    updatedAfter: dateBound.optional().describe('Only tasks updated after this date, e.g. 2025-01-31 or 7d (7 days ago)'),
+    updatedBefore: dateBound.optional().describe('Only tasks updated before this date, e.g. 2025-01-31 or 7d (7 days ago)')
+});
 
 /**
- * List all tasks or filter by status
+ * A sort key such as priority, or -updatedAt for descending order
+ */
+export const taskSortKeySchema = z.string().refine(
+    key => TASK_SORT_FIELDS.includes(key.replace(/^-/, '')),
+    `Sort by one of ${TASK_SORT_FIELDS.join(', ')}, with a leading - for descending order`
+);
+
+/**
+ * List tasks with filters, sorting, pagination and field selection
  */
 export function registerListTasksTool(server, taskManager) {
     server.addTool({
         name: 'list_tasks',
-        description: 'List all tasks or filter by status',
+        description: 'List the tasks of a project, one page at a time. Filter by status, priority, assignee, dependencies, blocked state, parent, tags and created/updated dates, sort by any of several fields, and return only the fields you need. Pass nextCursor back as cursor for the next page',
         parameters: z.object({
-            status: z.enum(['pending', 'in-progress', 'completed', 'all']).optional().describe('Filter tasks by status (default: all)'),
+            status: z.enum(['pending', 'in-progress', 'completed', 'all']).optional().describe('Filter tasks by status (default: all); shorthand for filter.status'),
+            filter: taskFilterSchema.optional().describe('Conditions the tasks must meet'),
+            sort: z.array(taskSortKeySchema).max(TASK_SORT_FIELDS.length).optional()
+                .describe(`Sort keys, most significant first, e.g. ["-priority", "createdAt"]. Fields: ${TASK_SORT_FIELDS.join(', ')} (default: id)`),
+            limit: z.number().int().min(1).max(500).optional().default(50).describe('Maximum number of tasks to return'),
+            offset: z.number().int().min(0).optional().describe('Number of matching tasks to skip'),
+            cursor: z.string().optional().describe('nextCursor from a previous call with the same filter and sort; replaces offset'),
+            fields: z.array(z.enum(TASK_FIELDS)).min(1).optional().describe('Only return these task fields (the id is always returned)'),
             projectId: z.string().describe('Project ID to list tasks for')
         }),
-        execute: async (args) => {
+        outputSchema: taskPageSchema.extend({
+            status: z.enum(['pending', 'in-progress', 'completed', 'all'])
+        }),
+        execute: async (args, context) => {
             try {
                 if (!args.projectId) {
                     throw new Error('Project ID is required to list tasks');
                 }
                 
-                let tasks;
                 const { status, projectId } = args;
-                
-                if (status && status !== 'all') {
-                    tasks = await taskManager.getTasksByStatus(status, projectId);
-                } else {
-                    tasks = await taskManager.listTasks(projectId);
+                const filter = { ...(args.filter || {}) };
+                if (status && status !== 'all' && filter.status === undefined) {
+                    filter.status = status;
                 }
+                
+                const page = await taskManager.queryTasks(projectId, {
+                    filter,
+                    sort: args.sort,
+                    limit: args.limit,
+                    offset: args.offset,
+                    cursor: args.cursor,
+                    fields: args.fields
+                });
+                const { tasks, total, offset, nextCursor } = page;
+                const structuredContent = { projectId, status: status || 'all', count: tasks.length, total, offset, nextCursor, tasks };
 
                 if (tasks.length === 0) {
                     let message = 'No tasks found';
                     if (status && status !== 'all') {
                         message += ` with status: ${status}`;
                     }
+                    if (args.filter) {
+                        message += ' matching the filter';
+                    }
                     if (projectId) {
                         message += ` for project: ${projectId}`;
                     }
+                    if (total > 0) {
+                        message += ` (${total} matching tasks, offset ${offset} is past the end)`;
+                    }
                     
                     return {
                         content: [{
                             type: 'text',
                             text: message
-                        }]
+                        }],
+                        structuredContent
                     };
                 }
 
+                // Full tasks show the tasks of other projects they depend on, if the client may see them
+                const externalBlockers = args.fields || !tasks.some(task => task.externalDependencies?.length)
+                    ? new Map()
+                    : filterExternalBlockers(context?.session, await taskManager.getExternalBlockers(projectId));
                 const taskList = tasks.map(task => {
+                    if (args.fields) {
+                        const { id, ...selected } = task;
+                        return `#${id} ${JSON.stringify(selected)}`;
+                    }
+                    
                     let taskInfo = `#${task.id} [${task.status.toUpperCase()}] ${task.title} (Priority: ${task.priority})`;
                     
                     // Add progress if available
@@ -56,6 +135,16 @@ export function registerListTasksTool(server, taskManager) {
                         taskInfo += ` [Project: ${task.projectId}]`;
                     }
                     
+                    // Add dependencies on other projects, marking the unfinished ones
+                    if (task.externalDependencies?.length) {
+                        const waitingOn = externalBlockers.get(task.id) || [];
+                        const refs = task.externalDependencies.map(ref => {
+                            const blocker = waitingOn.find(other => other.projectId === ref.projectId && other.taskId === ref.taskId);
+                            return `${ref.projectId}#${ref.taskId}${blocker ? ` (${blocker.status})` : ''}`;
+                        });
+                        taskInfo += ` - Depends on: ${refs.join(', ')}`;
+                    }
+                    
                     return taskInfo;
                 }).join('\n');
 
@@ -63,15 +152,27 @@ export function registerListTasksTool(server, taskManager) {
                 if (status && status !== 'all') {
                     title += ` with status: ${status}`;
                 }
+                if (args.filter) {
+                    title += ' matching the filter';
+                }
                 if (projectId) {
                     title += ` for project: ${projectId}`;
                 }
 
+                let footer = '';
+                if (tasks.length < total) {
+                    footer = `\n\nShowing ${offset + 1}-${offset + tasks.length} of ${total} tasks`;
+                    if (nextCursor) {
+                        footer += `. For the next page, call again with cursor: ${nextCursor}`;
+                    }
+                }
+
                 return {
                     content: [{
                         type: 'text',
-                        text: `${title}:\n${taskList}`
-                    }]
+                        text: `${title}:\n${taskList}${footer}`
+                    }],
+                    structuredContent
                 };
             } catch (error) {
                 return {
@@ -0,0 +1,81 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { viewSchema } from './output-schemas.js';
+
+/**
+ * Describe a view's query in one line
+ * @param {Object} view - Saved view
+ * @returns {string} Display text
+ */
+export function describeView(view) {
+    const parts = [`filter ${JSON.stringify(view.filter)}`];
+    if (view.sort.length > 0) parts.push(`sort ${view.sort.join(', ')}`);
+    if (view.fields) parts.push(`fields ${view.fields.join(', ')}`);
+    if (view.limit) parts.push(`limit ${view.limit}`);
+    return parts.join('; ');
+}
+
+/**
+ * List the saved views of a project
+ */
+export function registerListViewsTool(server, taskManager) {
+    server.addTool({
+        name: 'list_views',
+        description: 'List the saved views (named task queries) of a project',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to list the views of')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            count: z.number().int(),
+            views: z.array(viewSchema)
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('list_views');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const views = await taskManager.listViews(args.projectId);
+                const structuredContent = { projectId: args.projectId, count: views.length, views };
+
+                if (views.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Project ${args.projectId} has no saved views. Create one with save_view`
+                        }],
+                        structuredContent
+                    };
+                }
+
+                let responseText = `Saved views of project ${args.projectId}:\n\n`;
+                views.forEach(view => {
+                    responseText += `- ${view.name}${view.description ? `: ${view.description}` : ''}\n    ${describeView(view)}\n`;
+                });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
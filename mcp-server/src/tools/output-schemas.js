@@ -0,0 +1,133 @@
+/**
+ * Output schemas for the structured content returned by the task tools
+ *
+ * Copyright (c) 2025 WTM
+ * Windsurf Task Master™ is a trademark of WTM.
+ */
+
+import { z } from 'zod';
+import { TASK_STATUSES, externalDependencySchema, taskSchema, partialTaskSchema } from '../storage/index.js';
+
+const taskIds = z.array(z.number().int().positive());
+
+/**
+ * A single task changed or read by a tool
+ */
+export const taskResultSchema = z.object({
+    projectId: z.string(),
+    task: taskSchema
+});
+
+/**
+ * A list of tasks
+ */
+export const taskListSchema = z.object({
+    projectId: z.string().optional(),
+    count: z.number().int(),
+    tasks: z.array(taskSchema)
+});
+
+/**
+ * A page of tasks from a query, possibly reduced to some fields
+ */
+export const taskPageSchema = z.object({
+    projectId: z.string(),
+    count: z.number().int(),
+    total: z.number().int(),
+    offset: z.number().int(),
+    nextCursor: z.string().nullable(),
+    tasks: z.array(partialTaskSchema)
+});
+
+/**
+ * A saved view: a named filter, sort order and field selection
+ */
+export const viewSchema = z.object({
+    name: z.string(),
+    description: z.string().optional(),
+    filter: z.record(z.any()),
+    sort: z.array(z.string()),
+    fields: z.array(z.string()).optional(),
+    limit: z.number().int().optional(),
+    updatedAt: z.string()
+});
+
+/**
+ * Tasks removed by a delete
+ */
+export const deletedTasksSchema = z.object({
+    projectId: z.string(),
+    count: z.number().int(),
+    deletedTaskIds: taskIds
+});
+
+/**
+ * Field changes of one task, as recorded by the history ({ field: { from, to } })
+ */
+const fieldChangesSchema = z.record(z.object({ from: z.any(), to: z.any() }).partial());
+
+export const historyEntrySchema = z.object({
+    changeId: z.string(),
+    timestamp: z.string(),
+    actor: z.string(),
+    operation: z.string(),
+    taskId: z.number().int(),
+    change: z.enum(['created', 'updated', 'deleted']),
+    changes: fieldChangesSchema
+}).passthrough();
+
+/**
+ * Result of undo_last_change and redo_last_change; change is null when there was nothing to apply
+ */
+export const undoResultSchema = z.object({
+    projectId: z.string(),
+    change: z.object({
+        action: z.enum(['undo', 'redo']),
+        operation: z.string(),
+        actor: z.string(),
+        timestamp: z.string(),
+        restored: taskIds,
+        removed: taskIds,
+        reverted: taskIds,
+        undo: z.number().int(),
+        redo: z.number().int()
+    }).passthrough().nullable()
+});
+
+export const snapshotSummarySchema = z.object({
+    id: z.string(),
+    createdAt: z.string(),
+    reason: z.string(),
+    taskCount: z.number().int().optional()
+});
+
+export const projectStatusSchema = z.object({
+    projectId: z.string(),
+    error: z.string().optional(),
+    totalTasks: z.number().int().optional(),
+    statusCounts: z.record(z.enum(TASK_STATUSES), z.number().int()).optional(),
+    completionPercentage: z.number().optional(),
+    windsurfTasks: z.number().int().optional(),
+    windsurfProgress: z.number().optional(),
+    tasks: z.array(z.object({
+        id: z.number().int(),
+        title: z.string(),
+        status: z.string(),
+        assignedTo: z.string().optional(),
+        progress: z.number(),
+        externalDependencies: z.array(externalDependencySchema).optional(),
+        waitingOn: z.array(externalDependencySchema.extend({ title: z.string(), status: z.string() })).optional()
+    })).optional()
+});
+
+export const taskStatusSchema = z.object({
+    totalProjects: z.number().int(),
+    totalTasks: z.number().int(),
+    completedTasks: z.number().int(),
+    inProgressTasks: z.number().int(),
+    pendingTasks: z.number().int(),
+    overallCompletionPercentage: z.number(),
+    projects: z.array(projectStatusSchema)
+});
+
+export { taskIds as taskIdsSchema };
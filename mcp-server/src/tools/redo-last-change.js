@@ -0,0 +1,53 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { formatUndoSummary } from './undo-last-change.js';
+import { undoResultSchema } from './output-schemas.js';
+
+/**
+ * Redo the change most recently undone in a project
+ */
+export function registerRedoLastChangeTool(server, taskManager) {
+    server.addTool({
+        name: 'redo_last_change',
+        description: 'Redo the change most recently undone with undo_last_change. Any other change to the project clears what can be redone',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to redo the last undone change in'),
+            force: z.boolean().optional().default(false)
+                .describe('Redo even if the affected tasks were changed since the undo')
+        }),
+        outputSchema: undoResultSchema,
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('redo_last_change');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const summary = await taskManager.redoLastChange(args.projectId, { force: args.force });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: summary
+                            ? formatUndoSummary(args.projectId, summary)
+                            : `Nothing to redo in project ${args.projectId}`
+                    }],
+                    structuredContent: { projectId: args.projectId, change: summary || null }
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -0,0 +1,93 @@
+import { z } from 'zod';
+import { canAccessProject } from '../auth/index.js';
+import { externalDependencySchema } from '../storage/index.js';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Renumber a project's task IDs sequentially (explicit maintenance operation)
+ */
+export function registerRenumberTasksTool(server, taskManager) {
+    server.addTool({
+        name: 'renumber_tasks',
+        description: 'Renumber all task IDs in a project sequentially from 1. Task IDs are otherwise stable; this changes the IDs of existing tasks, updates other projects\' dependencies on them and prints the old-to-new mapping',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to renumber'),
+            dryRun: z.boolean().optional().default(false)
+                .describe('Show the old-to-new mapping without changing any tasks')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            dryRun: z.boolean(),
+            mapping: z.array(z.object({
+                from: z.number().int(),
+                to: z.number().int()
+            })),
+            externalReferences: z.array(externalDependencySchema)
+                .describe('Tasks of other projects whose dependencies on this project are rewritten')
+        }),
+        execute: async (args, context) => {
+            const errorHandler = createErrorHandler('renumber_tasks');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+                
+                const { mapping, externalReferences, dryRun } = await taskManager.renumberTasks(args.projectId, { dryRun: args.dryRun });
+                
+                // Only name the tasks of projects the client may access
+                const client = context?.session;
+                const visibleReferences = client
+                    ? externalReferences.filter(ref => canAccessProject(client, ref.projectId))
+                    : externalReferences;
+                const structuredContent = { projectId: args.projectId, dryRun, mapping, externalReferences: visibleReferences };
+                
+                if (mapping.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Task IDs in project ${args.projectId} are already sequential; nothing to renumber`
+                        }],
+                        structuredContent
+                    };
+                }
+                
+                let responseText = args.dryRun
+                    ? `Renumbering preview for project ${args.projectId} (no changes made):\n\n`
+                    : `Renumbered ${mapping.length} tasks in project ${args.projectId}:\n\n`;
+                mapping.forEach(({ from, to }) => {
+                    responseText += `- #${from} → #${to}\n`;
+                });
+                if (externalReferences.length > 0) {
+                    responseText += `\n${args.dryRun ? 'Would update' : 'Updated'} the dependencies of ${externalReferences.length} task(s) in other projects`;
+                    responseText += visibleReferences.length > 0
+                        ? `: ${visibleReferences.map(ref => `${ref.projectId}#${ref.taskId}`).join(', ')}\n`
+                        : '\n';
+                }
+                if (!args.dryRun) {
+                    responseText += '\nUpdate any references to the old IDs outside the task manager.';
+                }
+                
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -0,0 +1,70 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Salvage tasks from a quarantined (corrupted) tasks file
+ */
+export function registerRepairTasksTool(server, taskManager) {
+    server.addTool({
+        name: 'repair_tasks',
+        description: 'Salvage valid tasks from a corrupted tasks file that was moved to quarantine and merge them back into the project',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to repair'),
+            file: z.string().optional()
+                .describe('Quarantined file name to salvage from (default: the most recent one)'),
+            dryRun: z.boolean().optional().default(false)
+                .describe('Report what would be recovered without changing any tasks')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            source: z.string(),
+            salvaged: z.number().int(),
+            discarded: z.number().int(),
+            added: z.array(z.number().int()),
+            updated: z.array(z.number().int()),
+            dryRun: z.boolean()
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('repair_tasks');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+                
+                const report = await taskManager.repairProject(args.projectId, {
+                    file: args.file,
+                    dryRun: args.dryRun
+                });
+                
+                let responseText = args.dryRun
+                    ? `Repair preview for project ${args.projectId} from ${report.source}:\n\n`
+                    : `Repaired project ${args.projectId} from ${report.source}:\n\n`;
+                responseText += `- Valid tasks found: ${report.salvaged}\n`;
+                responseText += `- Unusable entries discarded: ${report.discarded}\n`;
+                responseText += `- Tasks ${args.dryRun ? 'to add' : 'added'}: ${report.added.length > 0 ? report.added.map(id => `#${id}`).join(', ') : 'none'}\n`;
+                responseText += `- Tasks ${args.dryRun ? 'to update' : 'updated'} with newer copies: ${report.updated.length > 0 ? report.updated.map(id => `#${id}`).join(', ') : 'none'}`;
+                
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent: report
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
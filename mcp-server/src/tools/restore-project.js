@@ -0,0 +1,61 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { snapshotSummarySchema } from './output-schemas.js';
+
+/**
+ * Restore a project's tasks from a snapshot
+ */
+export function registerRestoreProjectTool(server, taskManager) {
+    server.addTool({
+        name: 'restore_project',
+        description: 'Replace all tasks of a project with those of a snapshot. The current tasks are snapshotted first, and the restore can be undone with undo_last_change',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to restore'),
+            snapshotId: z.string()
+                .min(1, 'Snapshot ID is required')
+                .describe('Snapshot ID as shown by list_snapshots')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            snapshot: snapshotSummarySchema,
+            backup: snapshotSummarySchema.nullable(),
+            taskCount: z.number().int()
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('restore_project');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const { snapshot, backup, taskCount } = await taskManager.restoreSnapshot(args.projectId, args.snapshotId);
+
+                let responseText = `Restored ${taskCount} task(s) in project ${args.projectId} from snapshot ${snapshot.id} (${snapshot.reason}, ${snapshot.createdAt}).`;
+                if (backup) {
+                    responseText += `\n\nThe tasks before the restore were saved as snapshot ${backup.id}.`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent: { projectId: args.projectId, snapshot, backup: backup || null, taskCount }
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -0,0 +1,86 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { taskPageSchema, viewSchema } from './output-schemas.js';
+
+/**
+ * List the tasks a saved view selects
+ */
+export function registerRunViewTool(server, taskManager) {
+    server.addTool({
+        name: 'run_view',
+        description: 'List the tasks selected by a saved view, one page at a time. Pass nextCursor back as cursor for the next page',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID the view belongs to'),
+            name: z.string().min(1, 'View name is required').describe('Name of the view to run'),
+            limit: z.number().int().min(1).max(500).optional()
+                .describe('Maximum number of tasks to return (default: the view\'s limit, or 50)'),
+            offset: z.number().int().min(0).optional().describe('Number of matching tasks to skip'),
+            cursor: z.string().optional().describe('nextCursor from a previous run of this view; replaces offset')
+        }),
+        outputSchema: taskPageSchema.extend({
+            view: viewSchema
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('run_view');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const { view, tasks, total, offset, nextCursor } = await taskManager.runView(args.projectId, args.name, {
+                    limit: args.limit,
+                    defaultLimit: 50,
+                    offset: args.offset,
+                    cursor: args.cursor
+                });
+                const structuredContent = { projectId: args.projectId, view, count: tasks.length, total, offset, nextCursor, tasks };
+                const title = `View "${view.name}" of project ${args.projectId}${view.description ? ` (${view.description})` : ''}`;
+
+                if (tasks.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `${title}: no matching tasks`
+                        }],
+                        structuredContent
+                    };
+                }
+
+                let responseText = `${title}:\n`;
+                tasks.forEach(task => {
+                    const { id, ...fields } = task;
+                    responseText += view.fields
+                        ? `#${id} ${JSON.stringify(fields)}\n`
+                        : `#${id} [${task.status.toUpperCase()}] ${task.title} (Priority: ${task.priority})\n`;
+                });
+                if (tasks.length < total) {
+                    responseText += `\nShowing ${offset + 1}-${offset + tasks.length} of ${total} tasks`;
+                    if (nextCursor) {
+                        responseText += `. For the next page, call again with cursor: ${nextCursor}`;
+                    }
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
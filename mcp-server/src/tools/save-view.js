@@ -0,0 +1,67 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { TASK_FIELDS } from '../storage/index.js';
+import { taskFilterSchema, taskSortKeySchema } from './list-tasks.js';
+import { viewSchema } from './output-schemas.js';
+
+/**
+ * Save a named filter that everyone working on the project can run
+ */
+export function registerSaveViewTool(server, taskManager) {
+    server.addTool({
+        name: 'save_view',
+        description: 'Save a named task query (filter, sort order and fields) in the project, so agents and people can run the same slice with run_view. Saving under an existing name replaces that view',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to save the view in'),
+            name: z.string()
+                .regex(/^[a-zA-Z0-9][a-zA-Z0-9_-]{0,49}$/, 'View names use letters, numbers, hyphens and underscores (at most 50)')
+                .describe('View name, e.g. high-priority-open'),
+            description: z.string().max(200, 'Description is too long').optional()
+                .describe('What the view shows'),
+            filter: taskFilterSchema.optional().default({})
+                .describe('Conditions the tasks must meet, as for list_tasks. Use relative dates such as 7d for views that stay current'),
+            sort: z.array(taskSortKeySchema).optional().default([])
+                .describe('Sort keys, most significant first, as for list_tasks'),
+            fields: z.array(z.enum(TASK_FIELDS)).min(1).optional()
+                .describe('Only return these task fields (the id is always returned)'),
+            limit: z.number().int().min(1).max(500).optional()
+                .describe('Default number of tasks per page')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            view: viewSchema
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('save_view');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const { projectId, name, ...definition } = args;
+                const view = await taskManager.saveView(projectId, name, definition);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Saved view "${name}" in project ${projectId}. Run it with run_view or read view://${projectId}/${name}`
+                    }],
+                    structuredContent: { projectId, view }
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -0,0 +1,95 @@
+import { z } from 'zod';
+import { filterAccessibleProjects } from '../auth/index.js';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { taskSchema } from '../storage/index.js';
+
+/**
+ * Ranked full-text search over tasks in one project or all projects
+ */
+export function registerSearchTasksTool(server, taskManager) {
+    server.addTool({
+        name: 'search_tasks',
+        description: 'Search the title, description, notes and tags of tasks, best matches first. Use "quoted words" for a phrase and word* for a prefix; all parts of the query must match. Searches every project unless projectId is given',
+        parameters: z.object({
+            query: z.string()
+                .min(1, 'Query is required')
+                .max(200, 'Query is too long')
+                .describe('Search query, e.g. login "reset password" auth*'),
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .optional()
+                .describe('Only search this project'),
+            limit: z.number().int().min(1).max(100).optional().default(20)
+                .describe('Maximum number of results')
+        }),
+        outputSchema: z.object({
+            query: z.string(),
+            projectId: z.string().optional(),
+            count: z.number().int(),
+            results: z.array(z.object({
+                projectId: z.string(),
+                score: z.number(),
+                fields: z.array(z.string()),
+                task: taskSchema
+            }))
+        }),
+        execute: async (args, context) => {
+            const errorHandler = createErrorHandler('search_tasks');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (args.projectId !== undefined && !isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                // Clients limited to some projects only search those
+                const client = context?.session;
+                const results = await taskManager.searchTasks(args.query, {
+                    projectId: args.projectId,
+                    ...(client && !args.projectId ? { projectIds: filterAccessibleProjects(client, await taskManager.getProjects()) } : {}),
+                    limit: args.limit
+                });
+                const scope = args.projectId ? `project ${args.projectId}` : 'all projects';
+                const structuredContent = {
+                    query: args.query,
+                    ...(args.projectId ? { projectId: args.projectId } : {}),
+                    count: results.length,
+                    results
+                };
+
+                if (results.length === 0) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `No tasks in ${scope} match "${args.query}"`
+                        }],
+                        structuredContent
+                    };
+                }
+
+                let responseText = `${results.length} tasks in ${scope} match "${args.query}":\n\n`;
+                results.forEach(({ projectId, task, score, fields }) => {
+                    const where = args.projectId ? '' : `${projectId} `;
+                    responseText += `- ${where}#${task.id}${task.key ? ` (${task.key})` : ''}: "${task.title}" [${task.status}] — score ${score}, matched in ${fields.join(', ')}\n`;
+                });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Set the short key prefix used for a project's task keys (e.g. PROJ-42)
+ */
+export function registerSetTaskKeyPrefixTool(server, taskManager) {
+    server.addTool({
+        name: 'set_task_key_prefix',
+        description: 'Give a project\'s tasks short human-readable keys such as PROJ-42. Tasks without a key get one immediately; new tasks are keyed automatically',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to configure'),
+            prefix: z.string()
+                .regex(/^[A-Z][A-Z0-9]{1,9}$/, 'Prefix must be 2-10 uppercase letters or digits, starting with a letter')
+                .describe('Key prefix, e.g. PROJ')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            prefix: z.string(),
+            keyedTaskIds: z.array(z.number().int())
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('set_task_key_prefix');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+                
+                const { keyed } = await taskManager.setKeyPrefix(args.projectId, args.prefix);
+                
+                let responseText = `Tasks in project ${args.projectId} now use keys like ${args.prefix}-1`;
+                if (keyed.length > 0) {
+                    responseText += `\n\nAssigned keys to ${keyed.length} existing tasks (${args.prefix}-${keyed[0]}${keyed.length > 1 ? ` … ${args.prefix}-${keyed[keyed.length - 1]}` : ''})`;
+                }
+                
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent: { projectId: args.projectId, prefix: args.prefix, keyedTaskIds: keyed }
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
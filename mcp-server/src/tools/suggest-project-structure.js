@@ -20,6 +20,22 @@ export function registerSuggestProjectStructureTool(server, taskManager) {
             autoCreate: z.boolean().default(false).describe('Automatically create suggested tasks'),
             structureOnly: z.boolean().default(false).describe('Only show structure analysis without creating tasks')
         }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            balanced: z.boolean(),
+            reasoning: z.string(),
+            parentTasks: z.array(z.object({
+                title: z.string(),
+                description: z.string(),
+                priority: z.string(),
+                domain: z.string(),
+                subtasks: z.array(z.object({
+                    title: z.string(),
+                    description: z.string()
+                }))
+            })),
+            createdTaskIds: z.array(z.number().int())
+        }),
         execute: async (args) => {
             const errorHandler = createErrorHandler('suggest_project_structure');
             try {
@@ -39,16 +55,34 @@ export function registerSuggestProjectStructureTool(server, taskManager) {
                 
                 // Analyze the project description
                 const analysis = TaskHierarchyAnalyzer.analyzeProject(args.description, existingTasks);
+                const balanced = analysis.shouldUseBalancedStructure;
+                const structuredContent = {
+                    projectId: args.projectId,
+                    balanced,
+                    reasoning: analysis.suggestedStructure.reasoning,
+                    parentTasks: analysis.suggestedStructure.parentTasks.map(parentTask => ({
+                        title: parentTask.title,
+                        description: parentTask.description,
+                        priority: parentTask.priority,
+                        domain: parentTask.domain,
+                        subtasks: balanced
+                            ? TaskHierarchyAnalyzer.getSubtaskTemplates(parentTask.domain)
+                                .map(({ title, description }) => ({ title, description }))
+                            : []
+                    })),
+                    createdTaskIds: []
+                };
                 
                 let response = `🔍 **Project Structure Analysis for "${args.projectId}"**\n\n`;
                 response += `📝 **Description:** ${args.description}\n\n`;
                 
-                if (!analysis.shouldUseBalancedStructure) {
+                if (!balanced) {
                     response += `✅ **Analysis Result:** ${analysis.suggestedStructure.reasoning}\n\n`;
                     response += `💡 **Recommendation:** Current approach is fine. Create tasks normally with \`create_task\`.`;
                     
                     return {
-                        content: [{ type: 'text', text: response }]
+                        content: [{ type: 'text', text: response }],
+                        structuredContent
                     };
                 }
                 
@@ -120,8 +154,10 @@ export function registerSuggestProjectStructureTool(server, taskManager) {
                     response += `• Or use the structure above as a guide for manual task creation\n`;
                 }
                 
+                structuredContent.createdTaskIds = createdTasks.map(task => task.id);
                 return {
-                    content: [{ type: 'text', text: response }]
+                    content: [{ type: 'text', text: response }],
+                    structuredContent
                 };
                 
             } catch (error) {
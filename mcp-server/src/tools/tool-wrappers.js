@@ -0,0 +1,349 @@
+/**
+ * Wrappers applied to every tool registered by registerTaskTools
+ *
+ * Copyright (c) 2025 WTM
+ * Windsurf Task Master™ is a trademark of WTM.
+ */
+
+import { UserError } from 'fastmcp';
+import { CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { TOOL_SCOPES, checkToolAccess } from '../auth/index.js';
+import { getModeConfig } from '../config/mode-config.js';
+import { getOutputConfig } from '../config/output-config.js';
+import { stripBranding } from '../utils/branding-helper.js';
+import { PermissionDeniedError, createErrorHandler, logError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { ConfirmationTokens, DESTRUCTIVE_TOOLS, confirmationRequiredSchema } from './confirmations.js';
+
+/**
+ * Wrap a server to apply the server mode chosen at startup.
+ * 
+ * - full: every tool is registered unchanged
+ * - read-only: only tools with the read scope are registered
+ * - safe: destructive tools gain a confirmationToken parameter; without it they
+ *   only preview the change and return a token (see confirmations.js)
+ * 
+ * @param {Object} server - FastMCP server instance
+ * @param {Object} taskManager - Task manager instance
+ * @param {Object} options - Mode configuration (see config/mode-config.js)
+ * @returns {Object} Object exposing addTool() and the names of the tools left out
+ */
+export function withServerMode(server, taskManager, { mode, confirmationTtl } = getModeConfig()) {
+    const confirmations = new ConfirmationTokens(taskManager, { ttl: confirmationTtl });
+    const skipped = [];
+    
+    return {
+        skipped,
+        addTool(tool) {
+            if (mode === 'read-only' && TOOL_SCOPES[tool.name] !== 'read') {
+                skipped.push(tool.name);
+                return;
+            }
+            
+            const preview = DESTRUCTIVE_TOOLS[tool.name];
+            if (mode !== 'safe' || !preview) {
+                server.addTool(tool);
+                return;
+            }
+            
+            server.addTool({
+                ...tool,
+                description: `${tool.description}. Safe mode: call without confirmationToken to preview the change and get a token, then call again with the same arguments and the token to apply it`,
+                parameters: tool.parameters.extend({
+                    confirmationToken: z.string().optional()
+                        .describe('Token returned by the preview call, to apply the change')
+                }),
+                ...(tool.outputSchema ? { outputSchema: z.union([tool.outputSchema, confirmationRequiredSchema]) } : {}),
+                execute: async (args, context) => {
+                    const errorHandler = createErrorHandler(tool.name);
+                    try {
+                        if (args.confirmationToken) {
+                            await confirmations.redeem(tool.name, args, context?.session);
+                            const { confirmationToken, ...toolArgs } = args;
+                            return tool.execute(toolArgs, context);
+                        }
+                        
+                        const lines = await preview(taskManager, args);
+                        if (!lines) {
+                            return tool.execute(args, context);
+                        }
+                        
+                        const { token, expiresAt } = await confirmations.issue(tool.name, args, context?.session);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `⚠️ Preview only, nothing was changed.\n\n${lines.join('\n')}\n\n` +
+                                    `To apply this change, call ${tool.name} again with the same arguments and ` +
+                                    `confirmationToken: "${token}" before ${expiresAt}.`
+                            }],
+                            structuredContent: {
+                                projectId: args.projectId,
+                                confirmationRequired: true,
+                                confirmationToken: token,
+                                expiresAt,
+                                preview: lines
+                            }
+                        };
+                    } catch (error) {
+                        return errorHandler(error, args);
+                    }
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Wrap a server so every tool call is checked against the permissions of the
+ * calling client, and its changes are recorded under the client's name.
+ * 
+ * The client is the auth object of the FastMCP session (see auth/index.js).
+ * Sessions without one, such as stdio, are trusted with every tool. Denied
+ * calls return an error result whose last block is the error as JSON.
+ * 
+ * @param {Object} server - FastMCP server instance
+ * @param {Object} taskManager - Task manager instance
+ * @returns {Object} Object exposing addTool() that registers on the wrapped server
+ */
+export function withPermissions(server, taskManager) {
+    return {
+        addTool(tool) {
+            server.addTool({
+                ...tool,
+                execute: async (args, context) => {
+                    const client = context?.session;
+                    if (!client) {
+                        return tool.execute(args, context);
+                    }
+                    
+                    try {
+                        checkToolAccess(client, tool.name, args);
+                    } catch (error) {
+                        if (!(error instanceof PermissionDeniedError)) throw error;
+                        logError(error, { tool: tool.name });
+                        return {
+                            content: [
+                                { type: 'text', text: `Permission denied: ${error.message}` },
+                                { type: 'text', text: JSON.stringify({ error: error.toJSON() }) }
+                            ],
+                            isError: true
+                        };
+                    }
+                    return taskManager.runAs(client.name, () => tool.execute(args, context));
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Wrap a server so every tool response for a project with an unresolved
+ * recovery incident starts with a warning explaining what happened.
+ * 
+ * @param {Object} server - FastMCP server instance
+ * @param {Object} taskManager - Task manager instance
+ * @returns {Object} Object exposing addTool() that registers on the wrapped server
+ */
+export function withRecoveryNotices(server, taskManager) {
+    return {
+        addTool(tool) {
+            server.addTool({
+                ...tool,
+                execute: async (args, context) => {
+                    const result = await tool.execute(args, context);
+                    const incident = args?.projectId && taskManager.getRecoveryIncident(args.projectId);
+                    
+                    if (incident && result && Array.isArray(result.content)) {
+                        return {
+                            ...result,
+                            content: [
+                                { type: 'text', text: formatRecoveryNotice(incident) },
+                                ...result.content
+                            ]
+                        };
+                    }
+                    return result;
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Format a recovery incident as a warning for tool responses
+ * @param {Object} incident - Incident returned by TaskManager#getRecoveryIncident
+ * @returns {string} Warning text
+ */
+export function formatRecoveryNotice(incident) {
+    const restored = incident.restoredFrom === 'backup'
+        ? `restored ${incident.restoredTaskCount} tasks from the last good backup`
+        : 'no valid backup was available, so the project was restarted empty';
+    
+    return `⚠️ The tasks file for project ${incident.projectId} was corrupted (${incident.reason}). ` +
+        `The damaged file was moved to quarantine/${incident.quarantineFile} and ${restored}. ` +
+        `Run repair_tasks to salvage the remaining tasks from the damaged file.`;
+}
+
+/**
+ * Wrap a server so tools can return structured content alongside their text.
+ * 
+ * Tools may declare an outputSchema (a zod schema) and return structuredContent
+ * that matches it. FastMCP 1.x passes neither through, so the structured
+ * content is appended to the content as a JSON text block, as the MCP
+ * specification recommends for clients without structured content support,
+ * and publishOutputSchemas() lifts it back out for each session.
+ * 
+ * Every tool also gains a `plain` parameter that drops branding and emoji from
+ * the text; it defaults to the server's output style (WTM_OUTPUT_STYLE).
+ * 
+ * @param {Object} server - FastMCP server instance
+ * @param {Object} options - Options
+ * @param {string} options.style - 'branded' or 'plain'
+ * @returns {Object} Object exposing addTool() and the outputSchemas registered through it
+ */
+export function withStructuredOutput(server, { style = getOutputConfig().style } = {}) {
+    const outputSchemas = new Map();
+    
+    return {
+        outputSchemas,
+        addTool({ outputSchema, ...tool }) {
+            if (outputSchema) {
+                outputSchemas.set(tool.name, outputSchema);
+            }
+            server.addTool({
+                ...tool,
+                parameters: tool.parameters.extend({
+                    plain: z.boolean().optional()
+                        .describe('Drop branding and emoji from the text output')
+                }),
+                execute: async ({ plain, ...args }, context) => {
+                    const result = await tool.execute(args, context);
+                    return formatToolResult(result, { plain: plain ?? style === 'plain' });
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Turn a tool result into one FastMCP 1.x accepts: strip branding from the
+ * text if requested and move structuredContent into a trailing JSON text block.
+ * 
+ * @param {Object} result - Result returned by a tool
+ * @param {Object} options - Options
+ * @param {boolean} options.plain - Drop branding and emoji from text blocks
+ * @returns {Object} Result with only content and isError
+ */
+export function formatToolResult(result, { plain = false } = {}) {
+    if (!result || !Array.isArray(result.content)) {
+        return result;
+    }
+    
+    const { structuredContent, ...rest } = result;
+    let content = plain
+        ? result.content.map(block => block.type === 'text' ? { ...block, text: stripBranding(block.text) } : block)
+        : result.content;
+    if (structuredContent !== undefined && !result.isError) {
+        content = [...content, { type: 'text', text: JSON.stringify(structuredContent) }];
+    }
+    return { ...rest, content };
+}
+
+/**
+ * Advertise tool output schemas and return structuredContent on every session.
+ * 
+ * FastMCP 1.x neither lists output schemas nor returns structured content, so
+ * each session's tools/list and tools/call are served here instead, through
+ * the MCP SDK server's setRequestHandler(). Listed tools gain their
+ * outputSchema, and successful results of tools with one gain
+ * structuredContent parsed from the JSON block added by formatToolResult().
+ * Tools are called like FastMCP calls them, with the session's client as
+ * `context.session`.
+ * 
+ * @param {Array<Object>} tools - Tools registered on the FastMCP server (see recordRegistrations)
+ * @param {Map<string, Object>} outputSchemas - Zod output schemas by tool name
+ * @returns {Function} Function (session, client) installing the handlers on a FastMCP session before it connects
+ */
+export function publishOutputSchemas(tools, outputSchemas) {
+    let listed = null;
+    const listTools = () => {
+        listed ??= tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            annotations: tool.annotations,
+            inputSchema: toToolJsonSchema(tool.parameters),
+            ...(outputSchemas.has(tool.name) ? { outputSchema: toToolJsonSchema(outputSchemas.get(tool.name)) } : {})
+        }));
+        return listed;
+    };
+    
+    return (session, client) => {
+        const mcpServer = session.server;
+        
+        mcpServer.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: listTools() }));
+        
+        mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args = {} } = request.params;
+            const tool = tools.find(candidate => candidate.name === name);
+            if (!tool) {
+                throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+            }
+            const parsed = await tool.parameters.safeParseAsync(args);
+            if (!parsed.success) {
+                throw new McpError(ErrorCode.InvalidParams, `Invalid ${name} parameters: ${JSON.stringify(parsed.error.issues)}`);
+            }
+            
+            let result;
+            try {
+                result = await tool.execute(parsed.data, {
+                    session: client,
+                    log: createToolLog(mcpServer),
+                    reportProgress: progress => mcpServer.notification({
+                        method: 'notifications/progress',
+                        params: { ...progress, progressToken: request.params._meta?.progressToken }
+                    })
+                });
+            } catch (error) {
+                return {
+                    content: [{ type: 'text', text: error instanceof UserError ? error.message : `Error: ${error}` }],
+                    isError: true
+                };
+            }
+            if (typeof result === 'string') {
+                return { content: [{ type: 'text', text: result }] };
+            }
+            if (result.isError || !outputSchemas.has(name)) {
+                return result;
+            }
+            try {
+                return { ...result, structuredContent: JSON.parse(result.content.at(-1).text) };
+            } catch (error) {
+                logger.warn(`Tool ${name} returned no structured content`);
+                return result;
+            }
+        });
+    };
+}
+
+/**
+ * Convert a zod schema to the JSON Schema of a tool's input or output
+ * @param {Object} schema - Zod schema
+ * @returns {Object} JSON Schema with an object at the root, as MCP requires
+ */
+function toToolJsonSchema(schema) {
+    const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' });
+    // Unions (such as safe-mode previews) convert to a bare anyOf
+    return jsonSchema.type ? jsonSchema : { type: 'object', ...jsonSchema };
+}
+
+/**
+ * Create the context.log of a tool call, sending MCP log messages to the client
+ * @param {Object} mcpServer - MCP SDK server of the session
+ * @returns {Object} Logger with debug, info, warn and error
+ */
+function createToolLog(mcpServer) {
+    const send = level => (message, context) => mcpServer.sendLoggingMessage({ level, data: { message, context } });
+    return { debug: send('debug'), info: send('info'), warn: send('warning'), error: send('error') };
+}
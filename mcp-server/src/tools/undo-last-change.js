@@ -0,0 +1,70 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+import { undoResultSchema } from './output-schemas.js';
+
+/**
+ * Describe an undone or redone operation for tool responses
+ * @param {string} projectId - Project ID
+ * @param {Object} summary - Summary returned by TaskManager#undoLastChange or #redoLastChange
+ * @returns {string} Response text
+ */
+export function formatUndoSummary(projectId, summary) {
+    const verb = summary.action === 'undo' ? 'Undid' : 'Redid';
+    const list = ids => ids.map(id => `#${id}`).join(', ');
+
+    let text = `${verb} "${summary.operation}" by ${summary.actor} (${summary.timestamp}) in project ${projectId}:\n\n`;
+    if (summary.restored.length > 0) text += `- Restored: ${list(summary.restored)}\n`;
+    if (summary.removed.length > 0) text += `- Removed: ${list(summary.removed)}\n`;
+    if (summary.reverted.length > 0) text += `- Reverted: ${list(summary.reverted)}\n`;
+    text += `\n${summary.undo} change(s) left to undo, ${summary.redo} to redo.`;
+    return text;
+}
+
+/**
+ * Undo the most recent change to a project
+ */
+export function registerUndoLastChangeTool(server, taskManager) {
+    server.addTool({
+        name: 'undo_last_change',
+        description: 'Undo the most recent change to a project, such as a delete, bulk delete, cleanup run or renumbering. Deleted tasks come back with their original IDs. Can be repeated to step further back',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to undo the last change in'),
+            force: z.boolean().optional().default(false)
+                .describe('Undo even if the affected tasks were changed since, discarding those later edits')
+        }),
+        outputSchema: undoResultSchema,
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('undo_last_change');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const summary = await taskManager.undoLastChange(args.projectId, { force: args.force });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: summary
+                            ? formatUndoSummary(args.projectId, summary)
+                            : `Nothing to undo in project ${args.projectId}`
+                    }],
+                    structuredContent: { projectId: args.projectId, change: summary || null }
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
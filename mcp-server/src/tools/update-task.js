@@ -2,6 +2,9 @@ import { z } from 'zod';
 import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
 import { isValidProjectId, isValidTaskId } from '../utils/security.js';
 import { logger } from '../utils/logger.js';
+import { taskResultSchema } from './output-schemas.js';
+import { formatBlockers } from '../core/dependency-graph.js';
+import { externalDependencySchema } from '../storage/index.js';
 
 /**
  * Update an existing task
@@ -17,12 +20,18 @@ export function registerUpdateTaskTool(server, taskManager) {
             status: z.enum(['pending', 'in-progress', 'completed']).optional().describe('New status for the task'),
             priority: z.enum(['low', 'medium', 'high']).optional().describe('New priority for the task'),
             dependencies: z.array(z.number().positive('Task IDs must be positive')).optional().describe('New dependencies for the task'),
+            externalDependencies: z.array(externalDependencySchema).optional().describe('New dependencies on tasks of other projects, replacing the current ones'),
+            notes: z.string().max(5000, 'Notes are too long').optional().describe('New notes for the task'),
+            tags: z.array(z.string().min(1).max(50, 'Tag is too long')).optional().describe('New tags for the task, replacing the current ones'),
+            estimate: z.number().positive('Estimate must be positive').max(10000, 'Estimate is too large').optional().describe('New estimated effort for the task'),
+            force: z.boolean().optional().describe('Allow setting status to in-progress while dependencies are unfinished'),
             projectId: z.string()
                 .min(1, 'Project ID is required')
                 .max(50, 'Project ID is too long')
                 .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
                 .describe('Project ID the task belongs to')
         }),
+        outputSchema: taskResultSchema,
         execute: async (args) => {
             const errorHandler = createErrorHandler('update_task');
             try {
@@ -44,14 +53,23 @@ export function registerUpdateTaskTool(server, taskManager) {
                     });
                 }
                 
-                const { id, projectId, ...updates } = args;
-                const updatedTask = await taskManager.updateTask(id, updates, projectId);
+                const { id, projectId, force, ...updates } = args;
+                const updatedTask = await taskManager.updateTask(id, updates, projectId, { force });
+                
+                let responseText = `Successfully updated task #${updatedTask.id}: ${updatedTask.title}`;
+                if (updatedTask.status === 'in-progress') {
+                    const blockers = await taskManager.getBlockers(projectId, id);
+                    if (blockers.dependencies.length > 0 || blockers.externalDependencies.length > 0) {
+                        responseText += `\n\nWarning: the task is in progress but still blocked by unfinished dependencies ${formatBlockers(blockers)}`;
+                    }
+                }
                 
                 return {
                     content: [{
                         type: 'text',
-                        text: `Successfully updated task #${updatedTask.id}: ${updatedTask.title}`
-                    }]
+                        text: responseText
+                    }],
+                    structuredContent: { projectId, task: updatedTask }
                 };
             } catch (error) {
                 return errorHandler(error, args);
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { taskResultSchema } from './output-schemas.js';
 
 /**
  * Update task progress from Windsurf
@@ -12,6 +13,7 @@ export function registerUpdateWindsurfProgressTool(server, taskManager) {
             progress: z.number().min(0).max(100).describe('Progress percentage (0-100)'),
             projectId: z.string().describe('Project ID to update a task from')
         }),
+        outputSchema: taskResultSchema,
         execute: async (args) => {
             try {
                 if (!args.projectId) {
@@ -29,7 +31,8 @@ export function registerUpdateWindsurfProgressTool(server, taskManager) {
                     content: [{
                         type: 'text',
                         text: responseText
-                    }]
+                    }],
+                    structuredContent: { projectId, task }
                 };
             } catch (error) {
                 return {
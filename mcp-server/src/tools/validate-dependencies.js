@@ -0,0 +1,75 @@
+import { z } from 'zod';
+import { TaskValidationError, createErrorHandler } from '../utils/errors.js';
+import { isValidProjectId } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Report dependency problems across a whole project
+ */
+export function registerValidateDependenciesTool(server, taskManager) {
+    server.addTool({
+        name: 'validate_dependencies',
+        description: 'Check every task dependency in a project and report references to missing tasks, tasks that depend on themselves, duplicate entries and dependency cycles. Changes nothing',
+        parameters: z.object({
+            projectId: z.string()
+                .min(1, 'Project ID is required')
+                .max(50, 'Project ID is too long')
+                .regex(/^[a-zA-Z0-9-_]+$/, 'Project ID can only contain letters, numbers, hyphens, and underscores')
+                .describe('Project ID to check')
+        }),
+        outputSchema: z.object({
+            projectId: z.string(),
+            taskCount: z.number().int(),
+            valid: z.boolean(),
+            problems: z.array(z.object({
+                type: z.enum(['self', 'missing', 'duplicate', 'cycle']),
+                taskId: z.number().int(),
+                dependencyId: z.number().int().optional(),
+                dependencyProjectId: z.string().optional(),
+                path: z.array(z.number().int()).optional(),
+                message: z.string()
+            }))
+        }),
+        execute: async (args) => {
+            const errorHandler = createErrorHandler('validate_dependencies');
+            try {
+                // Validate project ID format to prevent path traversal attacks
+                if (!isValidProjectId(args.projectId)) {
+                    logger.warn('Invalid project ID format detected', { projectId: args.projectId });
+                    throw new TaskValidationError('Invalid project ID format', {
+                        field: 'projectId',
+                        value: args.projectId
+                    });
+                }
+
+                const report = await taskManager.validateDependencies(args.projectId);
+
+                if (report.valid) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `The dependencies of all ${report.taskCount} tasks in project ${args.projectId} are valid`
+                        }],
+                        structuredContent: report
+                    };
+                }
+
+                let responseText = `Found ${report.problems.length} dependency problems in project ${args.projectId}:\n\n`;
+                report.problems.forEach(problem => {
+                    responseText += `- ${problem.message}\n`;
+                });
+                responseText += '\nFix them with update_task; deleting a task also removes it from the dependencies of other tasks.';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    structuredContent: report
+                };
+            } catch (error) {
+                return errorHandler(error, args);
+            }
+        }
+    });
+}
@@ -0,0 +1,335 @@
+/**
+ * Streamable HTTP transport for the Windsurf Task Master™
+ *
+ * One long-running process serves every client over HTTP, so all editors share
+ * the same TaskManager, cache and pending saves instead of each spawning its own
+ * stdio server. Each client gets its own MCP session, identified by the
+ * Mcp-Session-Id header; responses and server notifications stream as SSE.
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { AuthenticationError, RequestTooLargeError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Record what is registered on a FastMCP server so HTTP sessions can be created
+ * with the same tools, resources and prompts. FastMCP keeps its own lists private.
+ * @param {Object} server - FastMCP server instance, before anything is registered
+ * @returns {{tools: Array, resources: Array, resourcesTemplates: Array, prompts: Array}} Live registration lists
+ */
+export function recordRegistrations(server) {
+    const registrations = { tools: [], resources: [], resourcesTemplates: [], prompts: [] };
+    const methods = {
+        addTool: 'tools',
+        addResource: 'resources',
+        addResourceTemplate: 'resourcesTemplates',
+        addPrompt: 'prompts'
+    };
+
+    for (const [method, list] of Object.entries(methods)) {
+        const original = server[method].bind(server);
+        server[method] = (definition) => {
+            registrations[list].push(definition);
+            return original(definition);
+        };
+    }
+    return registrations;
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Write a JSON-RPC error response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendRpcError(res, status, code, message) {
+    sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+/**
+ * Read and parse a JSON request body. Once the body is too large the rest of
+ * it is drained unread, so the connection can still carry the 413 response.
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBodySize - Largest accepted body in bytes
+ * @returns {Promise<any>} Parsed body
+ * @throws {RequestTooLargeError} If the body is larger than maxBodySize
+ * @throws {SyntaxError} If the body is not valid JSON
+ */
+async function readJsonBody(req, maxBodySize) {
+    if (Number(req.headers['content-length']) > maxBodySize) {
+        req.resume();
+        throw new RequestTooLargeError(maxBodySize);
+    }
+
+    const body = await new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                req.off('data', onData);
+                req.resume();
+                reject(new RequestTooLargeError(maxBodySize));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+    return JSON.parse(body);
+}
+
+/**
+ * HTTP server exposing MCP sessions on one endpoint and a health check
+ */
+export class HttpTransportServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.host - Interface to listen on
+     * @param {number} options.port - Port to listen on (0 picks a free port)
+     * @param {string} options.endpoint - Path of the MCP endpoint
+     * @param {string} options.healthPath - Path of the health check
+     * @param {number} options.shutdownTimeout - Milliseconds open requests get to finish on close
+     * @param {number} [options.maxBodySize] - Largest request body in bytes (1 MiB by default)
+     * @param {Function} options.createSession - Called with the authenticated client (if any); returns a new MCP session exposing connect(transport) and close()
+     * @param {Function} [options.authenticate] - Returns the client of a request or throws AuthenticationError; every request is anonymous without it
+     * @param {Function} [options.onConnect] - Called with each session once it is connected
+     * @param {Function} [options.onDisconnect] - Called with each session once it is closed
+     * @param {Function} [options.getHealth] - Returns extra fields for the health response
+     */
+    constructor({ host, port, endpoint, healthPath, shutdownTimeout, maxBodySize = 1048576, createSession, authenticate, onConnect, onDisconnect, getHealth }) {
+        this.host = host;
+        this.port = port;
+        this.endpoint = endpoint;
+        this.healthPath = healthPath;
+        this.shutdownTimeout = shutdownTimeout;
+        this.maxBodySize = maxBodySize;
+        this.createSession = createSession;
+        this.authenticate = authenticate || (() => null);
+        this.onConnect = onConnect || (() => {});
+        this.onDisconnect = onDisconnect || (() => {});
+        this.getHealth = getHealth || (() => ({}));
+        this.sessions = new Map(); // Map of MCP session IDs to { session, transport, client }
+        this.httpServer = null;
+        this.closing = false;
+        this.startedAt = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<{host: string, port: number}>} Address the server listens on
+     */
+    async start() {
+        this.httpServer = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                logger.error(`HTTP request failed: ${error.message}`);
+                if (!res.headersSent) {
+                    sendRpcError(res, 500, -32603, 'Internal server error');
+                } else {
+                    res.end();
+                }
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.startedAt = Date.now();
+        const { address, port } = this.httpServer.address();
+        return { host: address, port };
+    }
+
+    /**
+     * Route a request to the health check or the MCP endpoint
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === this.healthPath && req.method === 'GET') {
+            sendJson(res, this.closing ? 503 : 200, this.health());
+            return;
+        }
+
+        if (pathname !== this.endpoint) {
+            sendJson(res, 404, { error: `Not found: ${pathname}` });
+            return;
+        }
+
+        if (this.closing) {
+            res.setHeader('Connection', 'close');
+            sendRpcError(res, 503, -32000, 'Server is shutting down');
+            return;
+        }
+
+        let client;
+        try {
+            client = this.authenticate(req);
+        } catch (error) {
+            if (!(error instanceof AuthenticationError)) throw error;
+            logger.warn(`Rejected HTTP request: ${error.message}`);
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            sendRpcError(res, 401, -32001, error.message);
+            return;
+        }
+
+        const sessionId = req.headers['mcp-session-id'];
+        const entry = this.sessions.get(sessionId);
+
+        // A session stays with the client that opened it
+        if (entry && entry.client !== client) {
+            sendRpcError(res, 403, -32001, 'Session belongs to another client');
+            return;
+        }
+
+        if (req.method === 'POST') {
+            let body;
+            try {
+                body = await readJsonBody(req, this.maxBodySize);
+            } catch (error) {
+                if (error instanceof RequestTooLargeError) {
+                    res.setHeader('Connection', 'close');
+                    sendRpcError(res, 413, -32000, error.message);
+                    return;
+                }
+                sendRpcError(res, 400, -32700, 'Parse error');
+                return;
+            }
+
+            if (!sessionId && isInitializeRequest(body)) {
+                await this.openSession(client, req, res, body);
+                return;
+            }
+
+            if (!entry) {
+                sendRpcError(res, sessionId ? 404 : 400, -32000, sessionId ? 'Unknown session' : 'No session ID; send an initialize request first');
+                return;
+            }
+            await entry.transport.handleRequest(req, res, body);
+            return;
+        }
+
+        if (req.method === 'GET' || req.method === 'DELETE') {
+            if (!entry) {
+                sendRpcError(res, sessionId ? 404 : 400, -32000, sessionId ? 'Unknown session' : 'Missing Mcp-Session-Id header');
+                return;
+            }
+            await entry.transport.handleRequest(req, res);
+            return;
+        }
+
+        res.setHeader('Allow', 'GET, POST, DELETE');
+        sendRpcError(res, 405, -32000, 'Method not allowed');
+    }
+
+    /**
+     * Create a session and the transport carrying it, and hand it the client's
+     * initialize request. The session is tracked once the request has been
+     * assigned a session ID; if it never is, the request failed and the session
+     * is closed again.
+     * @param {Object|null} client - Authenticated client, or null when authentication is disabled
+     * @param {http.IncomingMessage} req - Request carrying the initialize request
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} body - Parsed initialize request
+     */
+    async openSession(client, req, res, body) {
+        const session = this.createSession(client);
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: randomUUID,
+            onsessioninitialized: (id) => {
+                this.sessions.set(id, { session, transport, client });
+                this.onConnect(session);
+                logger.info(`MCP client ${client ? `${client.name} ` : ''}connected over HTTP (session ${id}, ${this.sessions.size} open)`);
+            }
+        });
+        transport.onclose = () => {
+            const id = transport.sessionId;
+            if (id && this.sessions.delete(id)) {
+                this.onDisconnect(session);
+                logger.info(`MCP client disconnected (session ${id}, ${this.sessions.size} open)`);
+            }
+        };
+
+        await session.connect(transport);
+        try {
+            await transport.handleRequest(req, res, body);
+        } finally {
+            if (!transport.sessionId || !this.sessions.has(transport.sessionId)) {
+                await session.close();
+                logger.debug('Closed an MCP session whose initialize request failed');
+            }
+        }
+    }
+
+    /**
+     * Describe the server for the health check
+     * @returns {Object} Health report
+     */
+    health() {
+        return {
+            status: this.closing ? 'shutting-down' : 'ok',
+            transport: 'http',
+            uptime: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0,
+            sessions: this.sessions.size,
+            ...this.getHealth()
+        };
+    }
+
+    /**
+     * Stop accepting requests, close every session and wait for open requests to
+     * finish, dropping connections still open after the shutdown timeout
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.httpServer || this.closing) return;
+        this.closing = true;
+
+        const closed = new Promise(resolve => this.httpServer.close(() => resolve()));
+
+        for (const { session } of Array.from(this.sessions.values())) {
+            try {
+                await session.close();
+            } catch (error) {
+                logger.warn(`Could not close an MCP session: ${error.message}`);
+            }
+        }
+        this.httpServer.closeIdleConnections();
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => {
+                logger.warn('Dropping HTTP connections still open after the shutdown timeout');
+                this.httpServer.closeAllConnections();
+                resolve();
+            }, this.shutdownTimeout);
+        });
+        await Promise.race([closed, timeout]);
+        clearTimeout(timer);
+        await closed;
+    }
+}
+
+export default HttpTransportServer;
@@ -0,0 +1,69 @@
+/**
+ * Atomic file writes for the Windsurf Task Master system.
+ * 
+ * Data is written to a temporary file in the same directory, flushed to disk,
+ * and then renamed over the target. A crash at any point leaves either the old
+ * file or the new file in place, never a truncated one.
+ * 
+ * @module atomic-write
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Atomically replace the contents of a file.
+ * 
+ * @param {string} filePath - File to write
+ * @param {string} data - New file contents
+ * @returns {Promise<void>}
+ * 
+ * @example
+ * await writeFileAtomic(tasksPath, JSON.stringify(tasks, null, 2));
+ */
+export async function writeFileAtomic(filePath, data) {
+    const dir = path.dirname(filePath);
+    const tempPath = path.join(
+        dir,
+        `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    );
+
+    await fs.mkdir(dir, { recursive: true });
+
+    let handle;
+    try {
+        handle = await fs.open(tempPath, 'w');
+        await handle.writeFile(data, 'utf-8');
+        await handle.sync();
+        await handle.close();
+        handle = null;
+
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        if (handle) {
+            await handle.close().catch(() => {});
+        }
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Append data to a file and flush it to disk before resolving.
+ * 
+ * @param {string} filePath - File to append to (created if missing)
+ * @param {string} data - Data to append
+ * @returns {Promise<void>}
+ */
+export async function appendFileDurable(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const handle = await fs.open(filePath, 'a');
+    try {
+        await handle.writeFile(data, 'utf-8');
+        await handle.datasync();
+    } finally {
+        await handle.close();
+    }
+}
@@ -69,6 +69,27 @@ export function createBrandedErrorResponse(error, options = {}) {
     };
 }
 
+// Emoji, with any variation selector and joined sequence, and the space after them
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*\uFE0F?[ \t]*/gu;
+
+/**
+ * Removes branding and decoration from tool response text: trademark notices,
+ * support links, the product name in messages, and emoji
+ * 
+ * @param {string} text - Response text
+ * @returns {string} - Plain response text
+ */
+export function stripBranding(text) {
+    return text
+        .split(`\n---\n${BRANDING.TRADEMARK_NOTICE}`).join('')
+        .split(`\n\nNeed help? Visit: ${BRANDING.URLS.SUPPORT}`).join('')
+        .split(`Error in ${BRANDING.PRODUCT_NAME_SHORT}: `).join('')
+        .split(` with ${BRANDING.PRODUCT_NAME_SHORT}`).join('')
+        .split(`${BRANDING.PRODUCT_NAME_SHORT} `).join('')
+        .replace(EMOJI_PATTERN, '')
+        .trimEnd();
+}
+
 /**
  * Enhances an existing error handler to apply branding to error responses
  * 
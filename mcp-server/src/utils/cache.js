@@ -120,8 +120,11 @@ export class Cache {
     }
 }
 
-// Create a singleton cache instance
-export const taskCache = new Cache({
+// Settings for task data caches; every TaskManager keeps its own
+export const TASK_CACHE_OPTIONS = {
     ttl: 10000, // 10 seconds TTL for task data
     maxSize: 100 // Maximum 100 task sets in cache
-});
+};
+
+// Create a singleton cache instance
+export const taskCache = new Cache(TASK_CACHE_OPTIONS);
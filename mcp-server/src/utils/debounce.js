@@ -20,6 +20,7 @@ export class Debouncer {
     constructor() {
         this.timers = new Map();
         this.queues = new Map();
+        this.operations = new Map();
     }
 
     /**
@@ -61,27 +62,78 @@ export class Debouncer {
             queue.push({ resolve, reject });
         });
 
+        // Remember the latest operation so it can be flushed early
+        this.operations.set(key, { operation, context });
+
         // Set new timer
-        this.timers.set(key, setTimeout(async () => {
-            try {
-                // Execute operation
-                const result = await operation.call(context);
-
-                // Resolve all queued promises
-                queue.forEach(({ resolve }) => resolve(result));
-            } catch (error) {
-                // Reject all queued promises
-                queue.forEach(({ reject }) => reject(error));
-            } finally {
-                // Clear queue and timer
-                this.queues.delete(key);
-                this.timers.delete(key);
-            }
+        this.timers.set(key, setTimeout(() => {
+            // Failures are delivered through the queued promises
+            this.run(key).catch(() => {});
         }, delay));
 
         return promise;
     }
 
+    /**
+     * Execute the pending operation for a key and settle its queued promises.
+     * 
+     * @param {string} key - Unique identifier for the operation
+     * @returns {Promise<void>}
+     * @private
+     */
+    async run(key) {
+        const pending = this.operations.get(key);
+        const queue = this.queues.get(key) || [];
+
+        // Clear queue and timer before running so new calls start a fresh batch
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+        this.queues.delete(key);
+        this.operations.delete(key);
+
+        if (!pending) return;
+
+        try {
+            // Execute operation
+            const result = await pending.operation.call(pending.context);
+
+            // Resolve all queued promises
+            queue.forEach(({ resolve }) => resolve(result));
+        } catch (error) {
+            // Reject all queued promises
+            queue.forEach(({ reject }) => reject(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Run a pending debounced operation immediately instead of waiting for its delay.
+     * 
+     * Promises returned by earlier debounce() calls for the key settle with the
+     * operation's result. Does nothing if no operation is pending for the key.
+     * 
+     * @param {string} key - Unique identifier for the operation to flush
+     * @returns {Promise<void>} Resolves when the operation finishes, rejects if it fails
+     * 
+     * @example
+     * // Write pending changes before shutting down
+     * await debouncer.flush('save_project123');
+     */
+    async flush(key) {
+        if (!this.operations.has(key)) return;
+        await this.run(key);
+    }
+
+    /**
+     * Check whether an operation is waiting to run for a key.
+     * 
+     * @param {string} key - Unique identifier for the operation
+     * @returns {boolean} True if a debounced operation is pending
+     */
+    isPending(key) {
+        return this.operations.has(key);
+    }
+
     /**
      * Cancel a pending debounced operation.
      * 
@@ -97,6 +149,7 @@ export class Debouncer {
      * debouncer.cancel('save_project123');
      */
     cancel(key) {
+        this.operations.delete(key);
         if (this.timers.has(key)) {
             clearTimeout(this.timers.get(key));
             this.timers.delete(key);
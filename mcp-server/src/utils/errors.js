@@ -149,6 +149,310 @@ export class FileSystemError extends TaskMasterError {
     }
 }
 
+/**
+ * Error thrown when stored task data cannot be read as a valid task list.
+ * 
+ * This error is raised by storage adapters when a tasks file fails to parse
+ * or does not have the expected shape. The TaskManager catches it, moves the
+ * damaged data to quarantine and recovers instead of starting from an empty list.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class TaskDataCorruptionError extends TaskMasterError {
+    /**
+     * Create a new TaskDataCorruptionError.
+     * 
+     * @param {string} projectId - The project whose data is corrupted
+     * @param {string} reason - What is wrong with the data
+     * @param {object} details - Additional details such as the file path
+     */
+    constructor(projectId, reason, details = {}) {
+        super(
+            `Task data for project ${projectId} is corrupted: ${reason}`,
+            'TASK_DATA_CORRUPTED',
+            { projectId, reason, ...details }
+        );
+        this.projectId = projectId;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Error thrown when stored task data changed since it was last read.
+ * 
+ * Another process wrote the project in the meantime, so writing the local
+ * copy would overwrite its changes. The TaskManager catches it, merges the
+ * stored changes into memory and retries.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class ConcurrentModificationError extends TaskMasterError {
+    /**
+     * Create a new ConcurrentModificationError.
+     * 
+     * @param {string} projectId - The project that was modified
+     * @param {number} expectedRevision - Revision the writer last read
+     * @param {number} actualRevision - Revision currently stored
+     */
+    constructor(projectId, expectedRevision, actualRevision) {
+        super(
+            `Task data for project ${projectId} was modified by another process (expected revision ${expectedRevision}, found ${actualRevision})`,
+            'CONCURRENT_MODIFICATION',
+            { projectId, expectedRevision, actualRevision }
+        );
+        this.projectId = projectId;
+        this.expectedRevision = expectedRevision;
+        this.actualRevision = actualRevision;
+    }
+}
+
+/**
+ * Error thrown when an advisory file lock cannot be acquired in time.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class LockTimeoutError extends TaskMasterError {
+    /**
+     * Create a new LockTimeoutError.
+     * 
+     * @param {string} lockPath - Lock file that could not be acquired
+     * @param {object} holder - Contents of the lock file, if readable
+     */
+    constructor(lockPath, holder = null) {
+        super(
+            `Timed out waiting for lock ${lockPath}${holder?.pid ? ` held by process ${holder.pid}` : ''}`,
+            'LOCK_TIMEOUT',
+            { lockPath, holder }
+        );
+    }
+}
+
+/**
+ * Error thrown when undoing or redoing a change would overwrite later edits.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class UndoConflictError extends TaskMasterError {
+    /**
+     * Create a new UndoConflictError.
+     * 
+     * @param {string} projectId - Project the change belongs to
+     * @param {string} action - 'undo' or 'redo'
+     * @param {Array<number>} taskIds - Tasks that were changed since
+     */
+    constructor(projectId, action, taskIds) {
+        super(
+            `Cannot ${action} the last change in project ${projectId}: task${taskIds.length === 1 ? '' : 's'} ${taskIds.map(id => `#${id}`).join(', ')} changed since. Pass force to ${action} anyway`,
+            'UNDO_CONFLICT',
+            { projectId, action, taskIds }
+        );
+    }
+}
+
+/**
+ * Error thrown when a requested snapshot does not exist.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class SnapshotNotFoundError extends TaskMasterError {
+    /**
+     * Create a new SnapshotNotFoundError.
+     * 
+     * @param {string} projectId - Project the snapshot was looked up in
+     * @param {string} snapshotId - Snapshot that was not found
+     */
+    constructor(projectId, snapshotId) {
+        super(
+            `Snapshot ${snapshotId} not found in project ${projectId}`,
+            'SNAPSHOT_NOT_FOUND',
+            { projectId, snapshotId }
+        );
+    }
+}
+
+/**
+ * Error thrown when a write would make task dependencies circular.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class DependencyCycleError extends TaskMasterError {
+    /**
+     * Create a new DependencyCycleError.
+     * 
+     * @param {string} projectId - Project of the tasks
+     * @param {Array<number|string>} path - Task IDs along the cycle, starting and ending with the same task;
+     *   a cycle through other projects lists every task as projectId#taskId
+     */
+    constructor(projectId, path) {
+        super(
+            `Dependency cycle in project ${projectId}: ${path.map(id => typeof id === 'number' ? `#${id}` : id).join(' → ')}`,
+            'DEPENDENCY_CYCLE',
+            { projectId, path }
+        );
+    }
+}
+
+/**
+ * Error thrown when a task is started while dependencies it waits on are unfinished.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class TaskBlockedError extends TaskMasterError {
+    /**
+     * Create a new TaskBlockedError.
+     * 
+     * @param {number} taskId - Task that was started
+     * @param {string} projectId - Project of the task
+     * @param {Array<number>} blockedBy - Unfinished dependencies of the task
+     * @param {Array<{projectId: string, taskId: number}>} externalBlockedBy - Unfinished dependencies in other projects
+     */
+    constructor(taskId, projectId, blockedBy, externalBlockedBy = []) {
+        const names = [
+            ...blockedBy.map(id => `#${id}`),
+            ...externalBlockedBy.map(ref => `${ref.projectId}#${ref.taskId}`)
+        ];
+        super(
+            `Task #${taskId} in project ${projectId} is blocked by unfinished dependencies ${names.join(', ')}; complete them first or pass force to start it anyway`,
+            'TASK_BLOCKED',
+            { taskId, projectId, blockedBy, externalBlockedBy }
+        );
+    }
+}
+
+/**
+ * Error thrown when a saved view does not exist in a project.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class ViewNotFoundError extends TaskMasterError {
+    /**
+     * Create a new ViewNotFoundError.
+     * 
+     * @param {string} projectId - Project the view was looked up in
+     * @param {string} name - View that was not found
+     */
+    constructor(projectId, name) {
+        super(
+            `View ${name} not found in project ${projectId}`,
+            'VIEW_NOT_FOUND',
+            { projectId, name }
+        );
+    }
+}
+
+/**
+ * Error thrown when an MCP resource URI does not name an existing project or task.
+ * 
+ * @class
+ * @extends TaskMasterError
+ */
+export class ResourceNotFoundError extends TaskMasterError {
+    /**
+     * Create a new ResourceNotFoundError.
+     * 
+     * @param {string} uri - Resource URI that was requested
+     * @param {string} reason - Why it could not be resolved
+     */
+    constructor(uri, reason = 'unknown resource') {
+        super(`Resource ${uri} not found: ${reason}`, 'RESOURCE_NOT_FOUND', { uri });
+    }
+}
+
+export class PromptNotFoundError extends TaskMasterError {
+    /**
+     * Create a new PromptNotFoundError.
+     * 
+     * @param {string} name - Prompt name that was requested
+     */
+    constructor(name) {
+        super(`Prompt ${name} not found`, 'PROMPT_NOT_FOUND', { name });
+    }
+}
+
+/**
+ * Error thrown when an HTTP client presents no token or an unknown one.
+ *
+ * @class
+ * @extends TaskMasterError
+ */
+export class AuthenticationError extends TaskMasterError {
+    /**
+     * Create a new AuthenticationError.
+     *
+     * @param {string} reason - Why the client could not be authenticated
+     */
+    constructor(reason) {
+        super(`Authentication failed: ${reason}`, 'AUTHENTICATION_FAILED', { reason });
+    }
+}
+
+/**
+ * Error thrown when an HTTP request body is larger than the server accepts.
+ *
+ * @class
+ * @extends TaskMasterError
+ */
+export class RequestTooLargeError extends TaskMasterError {
+    /**
+     * Create a new RequestTooLargeError.
+     *
+     * @param {number} maxBodySize - Largest accepted body in bytes
+     */
+    constructor(maxBodySize) {
+        super(`Request body exceeds ${maxBodySize} bytes`, 'REQUEST_TOO_LARGE', { maxBodySize });
+    }
+}
+
+/**
+ * Error thrown when an authenticated client calls a tool or project its token does not allow.
+ *
+ * @class
+ * @extends TaskMasterError
+ */
+export class PermissionDeniedError extends TaskMasterError {
+    /**
+     * Create a new PermissionDeniedError.
+     *
+     * @param {string} message - What was denied
+     * @param {object} details - Client, tool, required scope and project of the denied call
+     */
+    constructor(message, details = {}) {
+        super(message, 'PERMISSION_DENIED', details);
+    }
+}
+
+/**
+ * Error thrown in safe mode when a destructive tool is called with a confirmation
+ * token that is unknown, expired, used already, or issued for other arguments
+ * or an older state of the project.
+ *
+ * @class
+ * @extends TaskMasterError
+ */
+export class ConfirmationError extends TaskMasterError {
+    /**
+     * Create a new ConfirmationError.
+     *
+     * @param {string} toolName - Tool that was called
+     * @param {string} reason - Why the token was not accepted
+     */
+    constructor(toolName, reason) {
+        super(
+            `Confirmation token not accepted for ${toolName}: ${reason}. Call ${toolName} without confirmationToken to preview the change again`,
+            'CONFIRMATION_INVALID',
+            { tool: toolName, reason }
+        );
+    }
+}
+
 // Error logging utility
 export function logError(error, context = {}) {
     const errorLog = {
@@ -184,7 +488,8 @@ export function createErrorHandler(toolName) {
                 text: error instanceof TaskMasterError
                     ? `Error in ${toolName}: ${error.message}`
                     : `Unexpected error in ${toolName}: ${error.message}`
-            }]
+            }],
+            isError: true
         };
     };
 }
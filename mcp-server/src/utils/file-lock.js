@@ -0,0 +1,146 @@
+/**
+ * Advisory file locks for the Windsurf Task Master system.
+ * 
+ * Several server processes (for example Windsurf and Claude Desktop) may share
+ * one tasks directory. A lock is a file created with O_EXCL next to the data
+ * it protects, so only one process at a time can run a read-modify-write
+ * cycle on it. Locks left behind by a crashed process are detected and
+ * broken: the holder's PID is no longer running, or the lock is older than
+ * the stale timeout.
+ * 
+ * @module file-lock
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LockTimeoutError } from './errors.js';
+import { logger } from './logger.js';
+
+const DEFAULT_OPTIONS = {
+    timeout: 10000,      // Give up after waiting this long (ms)
+    staleAfter: 30000,   // Locks older than this are considered abandoned (ms)
+    retryDelay: 25       // Wait between attempts (ms)
+};
+
+/**
+ * Check whether a process is running on this machine.
+ * 
+ * @param {number} pid - Process ID
+ * @returns {boolean} False only if the process definitely does not exist
+ */
+export function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Read the holder information from an existing lock file.
+ * 
+ * @param {string} lockPath - Lock file
+ * @returns {Promise<Object|null>} Holder details, or null if the file is gone or unreadable
+ * @private
+ */
+async function readHolder(lockPath) {
+    try {
+        const [raw, stats] = await Promise.all([fs.readFile(lockPath, 'utf-8'), fs.stat(lockPath)]);
+        let holder = {};
+        try {
+            holder = JSON.parse(raw);
+        } catch (error) {
+            // Written but not yet filled in by its creator; age alone decides
+        }
+        return { ...holder, mtimeMs: stats.mtimeMs };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Decide whether a lock was abandoned by its holder.
+ * 
+ * @private
+ */
+function isStale(holder, staleAfter) {
+    if (Date.now() - holder.mtimeMs > staleAfter) {
+        return true;
+    }
+    return holder.hostname === os.hostname()
+        && Number.isInteger(holder.pid)
+        && holder.pid !== process.pid
+        && !isProcessAlive(holder.pid);
+}
+
+/**
+ * Acquire an advisory lock, waiting for the current holder if necessary.
+ * 
+ * @param {string} lockPath - Lock file to create
+ * @param {Object} options - Lock options (timeout, staleAfter, retryDelay in ms)
+ * @returns {Promise<Function>} Async function that releases the lock
+ * @throws {LockTimeoutError} If the lock is still held when the timeout expires
+ */
+export async function acquireLock(lockPath, options = {}) {
+    const { timeout, staleAfter, retryDelay } = { ...DEFAULT_OPTIONS, ...options };
+    const deadline = Date.now() + timeout;
+
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+    for (;;) {
+        try {
+            const handle = await fs.open(lockPath, 'wx');
+            try {
+                await handle.writeFile(JSON.stringify({
+                    pid: process.pid,
+                    hostname: os.hostname(),
+                    acquiredAt: new Date().toISOString()
+                }));
+            } finally {
+                await handle.close();
+            }
+            return async () => {
+                await fs.rm(lockPath, { force: true });
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const holder = await readHolder(lockPath);
+        if (holder && isStale(holder, staleAfter)) {
+            logger.warn(`Breaking stale lock ${lockPath}`, { pid: holder.pid, hostname: holder.hostname });
+            await fs.rm(lockPath, { force: true });
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            throw new LockTimeoutError(lockPath, holder);
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+}
+
+/**
+ * Run a function while holding an advisory lock.
+ * 
+ * @param {string} lockPath - Lock file to create
+ * @param {Function} work - Async function to run under the lock
+ * @param {Object} options - Lock options passed to acquireLock
+ * @returns {Promise<any>} The value returned by work
+ * 
+ * @example
+ * await withFileLock(`${tasksPath}.lock`, async () => {
+ *   // read, modify and write tasks.json
+ * });
+ */
+export async function withFileLock(lockPath, work, options = {}) {
+    const release = await acquireLock(lockPath, options);
+    try {
+        return await work();
+    } finally {
+        await release();
+    }
+}
@@ -0,0 +1,250 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { z } from 'zod';
+import { FastMCP, FastMCPSession } from 'fastmcp';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { authenticateRequest, checkToolAccess, loadClients } from '../../mcp-server/src/auth/index.js';
+import { registerResources, serveResources } from '../../mcp-server/src/resources/index.js';
+import { ResourceSubscriptions } from '../../mcp-server/src/resources/subscriptions.js';
+import { registerPrompts, servePrompts } from '../../mcp-server/src/prompts/index.js';
+import { registerListTasksTool } from '../../mcp-server/src/tools/list-tasks.js';
+import { registerDisplayTaskStatusTool } from '../../mcp-server/src/tools/display-task-status.js';
+import { registerGetProjectsTool } from '../../mcp-server/src/tools/get-projects.js';
+import { registerSearchTasksTool } from '../../mcp-server/src/tools/search-tasks.js';
+import { registerGetWindsurfTasksTool } from '../../mcp-server/src/tools/get-windsurf-tasks.js';
+import { recordRegistrations } from '../../mcp-server/src/transport/http-server.js';
+import { withPermissions } from '../../mcp-server/src/tools/tool-wrappers.js';
+import { AuthenticationError, PermissionDeniedError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager, createToolServer } from '../helpers.js';
+
+const request = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+describe('Client authentication and permissions', () => {
+    let dir;
+    let clients;
+
+    beforeEach(async () => {
+        dir = await createTasksDir('auth');
+        const tokensFile = path.join(dir, 'tokens.json');
+        await fs.writeFile(tokensFile, JSON.stringify({
+            clients: [
+                { name: 'dashboard', token: 'read-only-token-0001', scopes: ['read'] },
+                {
+                    name: 'web-bot',
+                    tokenSha256: crypto.createHash('sha256').update('web-writer-token-01').digest('hex'),
+                    scopes: ['write'],
+                    projects: ['web-app']
+                }
+            ]
+        }));
+        clients = loadClients({ tokensFile, token: 'single-admin-token-01', tokenClientName: 'ops' });
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(dir);
+    });
+
+    test('should identify clients by plain or hashed tokens', () => {
+        expect(authenticateRequest(clients, request('read-only-token-0001'))).toEqual({ name: 'dashboard', scopes: ['read'], projects: null });
+        expect(authenticateRequest(clients, request('web-writer-token-01')).name).toBe('web-bot');
+        expect(authenticateRequest(clients, request('single-admin-token-01'))).toEqual({ name: 'ops', scopes: ['admin'], projects: null });
+
+        expect(() => authenticateRequest(clients, request())).toThrow(AuthenticationError);
+        expect(() => authenticateRequest(clients, request('not-a-known-token'))).toThrow('unknown token');
+    });
+
+    test('should reject invalid tokens files', async () => {
+        const tokensFile = path.join(dir, 'bad.json');
+        await fs.writeFile(tokensFile, JSON.stringify({ clients: [{ name: 'x', token: 'short', scopes: ['owner'] }] }));
+
+        expect(() => loadClients({ tokensFile })).toThrow(/Cannot load auth tokens/);
+        expect(loadClients({})).toEqual([]);
+    });
+
+    test('should require the tool scope and an allowed project', () => {
+        const [dashboard, webBot, ops] = clients.map(entry => entry.client);
+
+        expect(() => checkToolAccess(dashboard, 'list_tasks', { projectId: 'api' })).not.toThrow();
+        expect(() => checkToolAccess(dashboard, 'create_task', { projectId: 'api' })).toThrow(PermissionDeniedError);
+        expect(() => checkToolAccess(webBot, 'create_task', { projectId: 'web-app' })).not.toThrow();
+        expect(() => checkToolAccess(webBot, 'create_task', { projectId: 'api' })).toThrow('may not access project api');
+        expect(() => checkToolAccess(webBot, 'update_task', {
+            projectId: 'web-app', externalDependencies: [{ projectId: 'api', taskId: 1 }]
+        })).toThrow('may not access project api');
+        expect(() => checkToolAccess(webBot, 'delete_tasks', { projectId: 'web-app' })).toThrow('needs the admin scope');
+        expect(() => checkToolAccess(webBot, 'get_projects', {})).not.toThrow();
+        expect(() => checkToolAccess(webBot, 'validate_dependencies', {})).toThrow('pass a projectId');
+        expect(() => checkToolAccess(webBot, 'get_help', {})).not.toThrow();
+        expect(() => checkToolAccess(ops, 'cleanup_tasks', { projectId: 'api' })).not.toThrow();
+        expect(() => checkToolAccess(ops, 'some_future_tool', {})).not.toThrow();
+        expect(() => checkToolAccess(dashboard, 'some_future_tool', {})).toThrow('needs the admin scope');
+    });
+
+    test('should report denials as structured errors and run allowed calls as the client', async () => {
+        const tools = new Map();
+        const taskManager = { runAs: jest.fn((actor, work) => work()) };
+        const server = withPermissions({ addTool: tool => tools.set(tool.name, tool) }, taskManager);
+        const execute = jest.fn(async () => ({ content: [{ type: 'text', text: 'deleted' }] }));
+        server.addTool({ name: 'delete_tasks', parameters: z.object({}), execute });
+
+        const [dashboard, , ops] = clients.map(entry => entry.client);
+        const denied = await tools.get('delete_tasks').execute({ projectId: 'api' }, { session: dashboard });
+
+        expect(denied.isError).toBe(true);
+        expect(denied.content[0].text).toMatch(/^Permission denied/);
+        expect(JSON.parse(denied.content[1].text).error).toMatchObject({
+            code: 'PERMISSION_DENIED',
+            details: { client: 'dashboard', tool: 'delete_tasks', required: 'admin', projectId: 'api' }
+        });
+        expect(execute).not.toHaveBeenCalled();
+
+        await tools.get('delete_tasks').execute({ projectId: 'api' }, { session: ops });
+        expect(taskManager.runAs).toHaveBeenCalledWith('ops', expect.any(Function));
+
+        await tools.get('delete_tasks').execute({ projectId: 'api' }, {});
+        expect(execute).toHaveBeenCalledTimes(2);
+        expect(taskManager.runAs).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Resource and prompt permissions', () => {
+    const webBot = { name: 'web-bot', scopes: ['read'], projects: ['web-app', 'mobile'] };
+    let baseDir;
+    let taskManager;
+    let subscriptions;
+    let session;
+    let client;
+    let updated;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('auth-resources');
+        taskManager = createTaskManager(baseDir);
+        await taskManager.createTask({ title: 'Landing page', description: 'Public site' }, 'web-app');
+        await taskManager.createTask({ title: 'Payments API', description: 'Internal' }, 'api');
+
+        // Serve one session for the project-limited client, as createSession does for HTTP clients
+        const server = new FastMCP({ name: 'test', version: '1.0.0' });
+        const registrations = recordRegistrations(server);
+        registerResources(server, taskManager);
+        registerPrompts(server, taskManager);
+        subscriptions = new ResourceSubscriptions(taskManager);
+        session = new FastMCPSession({ name: 'test', version: '1.0.0', ...registrations });
+        serveResources(taskManager)(session, webBot);
+        servePrompts(taskManager)(session, webBot);
+        subscriptions.addSession(session, webBot);
+
+        client = new Client({ name: 'test-client', version: '1.0.0' });
+        updated = [];
+        client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+            updated.push(notification.params.uri);
+        });
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await Promise.all([session.connect(serverTransport), client.connect(clientTransport)]);
+    });
+
+    afterEach(async () => {
+        await client.close();
+        await session.close();
+        subscriptions.close();
+        await removeTasksDir(baseDir);
+    });
+
+    const read = async uri => JSON.parse((await client.readResource({ uri })).contents[0].text);
+    const completeProjectId = ref => client.complete({ ref, argument: { name: 'projectId', value: '' } });
+
+    test('should only list the projects the token allows', async () => {
+        expect((await read('project://index')).projects.map(project => project.projectId)).toEqual(['web-app']);
+
+        const { resources } = await client.listResources();
+        expect(resources.map(resource => resource.uri)).toEqual([
+            'project://index',
+            'project://web-app/summary',
+            'project://web-app/tasks',
+            'project://web-app/views'
+        ]);
+
+        const fromTemplate = await completeProjectId({ type: 'ref/resource', uri: 'task://{projectId}/{taskId}' });
+        const fromPrompt = await completeProjectId({ type: 'ref/prompt', name: 'daily_standup' });
+        expect(fromTemplate.completion.values).toEqual(['web-app']);
+        expect(fromPrompt.completion.values).toEqual(['web-app']);
+    });
+
+    test('should refuse other projects whether or not they exist', async () => {
+        expect((await read('task://web-app/1')).title).toBe('Landing page');
+        const standup = await client.getPrompt({ name: 'daily_standup', arguments: { projectId: 'web-app' } });
+        expect(standup.messages[0].content.text).toContain('Landing page');
+
+        for (const projectId of ['api', 'secret']) {
+            await expect(read(`task://${projectId}/1`)).rejects.toThrow(`web-bot may not access project ${projectId}`);
+            await expect(client.subscribeResource({ uri: `project://${projectId}/tasks` }))
+                .rejects.toThrow(`web-bot may not access project ${projectId}`);
+            await expect(client.getPrompt({ name: 'review_blocked_tasks', arguments: { projectId } }))
+                .rejects.toThrow(`web-bot may not access project ${projectId}`);
+        }
+        expect(await taskManager.hasProject('secret')).toBe(false);
+    });
+
+    test('should only announce new projects the token allows', async () => {
+        await client.subscribeResource({ uri: 'project://index' });
+
+        await taskManager.createTask({ title: 'Ledger', description: 'Not for the web bot' }, 'billing');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(updated).toEqual([]);
+
+        await taskManager.createTask({ title: 'App shell', description: 'Allowed project' }, 'mobile');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(updated).toEqual(['project://index']);
+    });
+
+    test('should keep tools that span all projects to the projects the token allows', async () => {
+        await taskManager.updateTask(1, { assignedTo: 'windsurf', description: 'Public site payments' }, 'web-app');
+        await taskManager.updateTask(1, { assignedTo: 'windsurf' }, 'api');
+
+        const server = createToolServer();
+        registerGetProjectsTool(server, taskManager);
+        registerSearchTasksTool(server, taskManager);
+        registerGetWindsurfTasksTool(server, taskManager);
+        registerDisplayTaskStatusTool(server, taskManager);
+        const call = async (name, args = {}) => (await server.call(name, args, webBot)).structuredContent;
+
+        expect((await call('get_projects')).projects).toEqual(['web-app']);
+        expect((await call('search_tasks', { query: 'payments', limit: 1 })).results.map(result => result.projectId)).toEqual(['web-app']);
+        expect((await call('get_windsurf_tasks')).tasks.map(task => task.projectId)).toEqual(['web-app']);
+        expect((await call('display_task_status')).projects.map(project => project.projectId)).toEqual(['web-app']);
+
+        // Unauthenticated sessions see every project
+        const all = await server.call('get_projects', {});
+        expect(all.structuredContent.projects).toEqual(['api', 'web-app']);
+    });
+
+    test('should hide the tasks of other projects that allowed tasks depend on', async () => {
+        await taskManager.createTask({ title: 'Mobile login', description: 'Allowed project' }, 'mobile');
+        await taskManager.createTask({
+            title: 'Checkout',
+            description: 'Waits on both',
+            externalDependencies: [{ projectId: 'api', taskId: 1 }, { projectId: 'mobile', taskId: 1 }]
+        }, 'web-app');
+
+        const server = createToolServer();
+        registerListTasksTool(server, taskManager);
+        registerDisplayTaskStatusTool(server, taskManager);
+
+        const listed = await server.call('list_tasks', { projectId: 'web-app' }, webBot);
+        expect(listed.content[0].text).toContain('Depends on: api#1, mobile#1 (pending)');
+        const status = await server.call('display_task_status', { projectId: 'web-app' }, webBot);
+        expect(status.structuredContent.projects[0].tasks[1].waitingOn).toEqual([
+            { projectId: 'mobile', taskId: 1, title: 'Mobile login', status: 'pending' }
+        ]);
+        const review = await client.getPrompt({ name: 'review_blocked_tasks', arguments: { projectId: 'web-app' } });
+        expect(review.messages[0].content.text).toContain('waiting on mobile#1 Mobile login (pending)');
+        expect(review.messages[0].content.text).not.toContain('Payments API');
+
+        // Unauthenticated sessions see every blocker
+        const unrestricted = await server.call('display_task_status', { projectId: 'web-app' });
+        expect(unrestricted.structuredContent.projects[0].tasks[1].waitingOn).toHaveLength(2);
+    });
+});
@@ -0,0 +1,13 @@
+import { resolveModeConfig } from '../../mcp-server/src/config/mode-config.js';
+
+describe('resolveModeConfig', () => {
+    test('should default to full mode and prefer the flag over the environment', () => {
+        expect(resolveModeConfig({ argv: [], env: {} })).toEqual({ mode: 'full', confirmationTtl: 300000 });
+        expect(resolveModeConfig({ argv: ['--mode=read-only'], env: { WTM_MODE: 'safe' } }).mode).toBe('read-only');
+        expect(resolveModeConfig({ argv: [], env: { WTM_MODE: 'safe', WTM_CONFIRMATION_TTL: '1000' } })).toEqual({ mode: 'safe', confirmationTtl: 1000 });
+    });
+
+    test('should reject unknown modes', () => {
+        expect(() => resolveModeConfig({ argv: ['--mode', 'paranoid'], env: {} })).toThrow('Unknown server mode');
+    });
+});
@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveTasksRoot, DEFAULT_TASKS_ROOT } from '../../mcp-server/src/config/paths-config.js';
+
+describe('resolveTasksRoot', () => {
+    let workspace;
+
+    beforeEach(async () => {
+        workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'wtm-workspace-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    const resolve = ({ argv = [], env = {} } = {}) => resolveTasksRoot({ argv, env, cwd: workspace });
+
+    test('should fall back to the repository tasks folder', () => {
+        expect(resolve()).toEqual({ tasksRoot: DEFAULT_TASKS_ROOT, source: 'default' });
+    });
+
+    test('should use a .windsurf/tasks folder in the workspace', async () => {
+        await fs.mkdir(path.join(workspace, '.windsurf', 'tasks'), { recursive: true });
+
+        expect(resolve()).toEqual({ tasksRoot: path.join(workspace, '.windsurf', 'tasks'), source: 'workspace' });
+    });
+
+    test('should look for the workspace folder in the workspace given by flag or environment', async () => {
+        const other = path.join(workspace, 'repo');
+        await fs.mkdir(path.join(other, '.windsurf', 'tasks'), { recursive: true });
+
+        expect(resolve({ env: { WTM_WORKSPACE: 'repo' } }).tasksRoot).toBe(path.join(other, '.windsurf', 'tasks'));
+        expect(resolve({ argv: ['--workspace', other] }).tasksRoot).toBe(path.join(other, '.windsurf', 'tasks'));
+    });
+
+    test('should read tasksDir from the config file relative to the file', async () => {
+        await fs.mkdir(path.join(workspace, '.windsurf', 'tasks'), { recursive: true });
+        await fs.writeFile(path.join(workspace, '.windsurf', 'task-master.json'), JSON.stringify({ tasksDir: '../planning' }));
+
+        expect(resolve().tasksRoot).toBe(path.join(workspace, 'planning'));
+
+        await fs.writeFile(path.join(workspace, 'custom.json'), JSON.stringify({ tasksDir: 'custom-tasks' }));
+        expect(resolve({ argv: ['--config=custom.json'] }).tasksRoot).toBe(path.join(workspace, 'custom-tasks'));
+    });
+
+    test('should give the environment precedence over the config file and the flag precedence over both', async () => {
+        await fs.mkdir(path.join(workspace, '.windsurf'), { recursive: true });
+        await fs.writeFile(path.join(workspace, '.windsurf', 'task-master.json'), JSON.stringify({ tasksDir: 'from-config' }));
+        const env = { WTM_TASKS_DIR: 'from-env' };
+
+        expect(resolve({ env })).toEqual({ tasksRoot: path.join(workspace, 'from-env'), source: 'WTM_TASKS_DIR' });
+        expect(resolve({ env, argv: ['--tasks-dir', '/srv/tasks'] })).toEqual({ tasksRoot: '/srv/tasks', source: '--tasks-dir' });
+    });
+
+    test('should report a config file that cannot be read', () => {
+        expect(() => resolve({ env: { WTM_CONFIG: 'missing.json' } })).toThrow(/Cannot read config file/);
+    });
+});
@@ -0,0 +1,28 @@
+import { resolveTransportConfig } from '../../mcp-server/src/config/transport-config.js';
+
+describe('resolveTransportConfig', () => {
+    test('should default to stdio with an HTTP server bound to loopback', () => {
+        expect(resolveTransportConfig({ argv: [], env: {} })).toMatchObject({
+            type: 'stdio',
+            host: '127.0.0.1',
+            port: 3030,
+            endpoint: '/mcp',
+            healthPath: '/health',
+            maxBodySize: 1048576
+        });
+    });
+
+    test('should prefer command line flags over environment variables', () => {
+        const config = resolveTransportConfig({
+            argv: ['--transport', 'http', '--port=4100'],
+            env: { WTM_TRANSPORT: 'stdio', WTM_HTTP_PORT: '4000', WTM_HTTP_HOST: '0.0.0.0' }
+        });
+
+        expect(config).toMatchObject({ type: 'http', port: 4100, host: '0.0.0.0' });
+    });
+
+    test('should reject unknown transports and invalid ports', () => {
+        expect(() => resolveTransportConfig({ argv: ['--transport', 'sse'], env: {} })).toThrow('Unknown transport');
+        expect(() => resolveTransportConfig({ argv: [], env: { WTM_HTTP_PORT: 'abc' } })).toThrow('Invalid HTTP port');
+    });
+});
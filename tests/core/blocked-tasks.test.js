@@ -0,0 +1,82 @@
+import { findBlockedTasks, measureDependents } from '../../mcp-server/src/core/dependency-graph.js';
+import { TaskBlockedError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'blocked-project';
+
+const task = (id, dependencies = [], status = 'pending') => ({ id, status, dependencies });
+
+describe('Blocked and ready tasks', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('blocked');
+        taskManager = createTaskManager(baseDir);
+
+        await taskManager.createTask({ title: 'Schema', description: 'Tables' }, projectId);
+        await taskManager.createTask({ title: 'Migrations', description: 'SQL', dependencies: [1] }, projectId);
+        await taskManager.createTask({ title: 'API', description: 'Endpoints', dependencies: [2] }, projectId);
+        await taskManager.createTask({ title: 'Docs', description: 'Guide', priority: 'low' }, projectId);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should find blocked tasks and measure the chains waiting on each task', () => {
+        const tasks = [task(1, [], 'completed'), task(2, [1]), task(3, [2, 9]), task(4, [2]), task(5, [3])];
+
+        expect(findBlockedTasks(tasks)).toEqual(new Map([[3, [2]], [4, [2]], [5, [3]]]));
+
+        const dependents = measureDependents(tasks);
+        expect(dependents.has(1)).toBe(false);
+        expect(dependents.get(2)).toEqual({ depth: 2, dependents: [3, 4] });
+        expect(dependents.get(5)).toEqual({ depth: 0, dependents: [] });
+
+        // Cycles in old data must not loop forever
+        const cyclic = measureDependents([task(1, [2]), task(2, [1])]);
+        expect(cyclic.get(1).depth).toBeGreaterThan(0);
+    });
+
+    test('should refuse to start a blocked task unless forced', async () => {
+        await expect(taskManager.updateTask(2, { status: 'in-progress' }, projectId)).rejects.toBeInstanceOf(TaskBlockedError);
+        const error = await taskManager.assignToWindsurf(3, projectId).catch(e => e);
+        expect(error).toBeInstanceOf(TaskBlockedError);
+        expect(error.details.blockedBy).toEqual([2]);
+        expect((await taskManager.getTask(3, projectId)).status).toBe('pending');
+
+        const forced = await taskManager.assignToWindsurf(3, projectId, { force: true });
+        expect(forced.status).toBe('in-progress');
+
+        await taskManager.completeTask(1, projectId);
+        const started = await taskManager.updateTask(2, { status: 'in-progress' }, projectId);
+        expect(started.status).toBe('in-progress');
+    });
+
+    test('should filter queries by blocked state', async () => {
+        const blocked = await taskManager.queryTasks(projectId, { filter: { blocked: true } });
+        expect(blocked.tasks.map(t => t.id)).toEqual([2, 3]);
+
+        const ready = await taskManager.queryTasks(projectId, { filter: { blocked: false, status: 'pending' } });
+        expect(ready.tasks.map(t => t.id)).toEqual([1, 4]);
+    });
+
+    test('should pick the next task by priority, dependency depth and age', async () => {
+        let next = await taskManager.getNextTasks(projectId, { limit: 5 });
+        expect(next.tasks.map(entry => entry.task.id)).toEqual([1, 4]);
+        expect(next.tasks[0]).toMatchObject({ depth: 2, unblocks: [2] });
+        expect(next).toMatchObject({ readyCount: 2, blockedCount: 2 });
+
+        // A standalone task of the same priority is older but unblocks nothing
+        await taskManager.updateTask(4, { priority: 'medium' }, projectId);
+        next = await taskManager.getNextTasks(projectId);
+        expect(next.tasks.map(entry => entry.task.id)).toEqual([1]);
+
+        await taskManager.updateTask(4, { priority: 'high' }, projectId);
+        await taskManager.completeTask(1, projectId);
+        next = await taskManager.getNextTasks(projectId, { limit: 5 });
+        expect(next.tasks.map(entry => entry.task.id)).toEqual([4, 2]);
+        expect(next.blockedCount).toBe(1);
+    });
+});
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { DependencyCycleError, TaskBlockedError, TaskValidationError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+describe('Cross-project dependencies', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('cross-project');
+        taskManager = createTaskManager(baseDir);
+
+        await taskManager.createTask({ title: 'Orders API', description: 'Endpoints' }, 'backend');
+        await taskManager.createTask({ title: 'Auth API', description: 'Login' }, 'backend');
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should reject references to missing projects and tasks, and to the same project', async () => {
+        await expect(taskManager.createTask({
+            title: 'Orders page', description: 'UI', externalDependencies: [{ projectId: 'backend', taskId: 42 }]
+        }, 'frontend')).rejects.toThrow('depends on task backend#42, which does not exist');
+
+        await expect(taskManager.createTask({
+            title: 'Orders page', description: 'UI', externalDependencies: [{ projectId: 'billing', taskId: 1 }]
+        }, 'frontend')).rejects.toBeInstanceOf(TaskValidationError);
+        expect(await taskManager.hasProject('billing')).toBe(false);
+
+        await expect(taskManager.updateTask(2, { externalDependencies: [{ projectId: 'backend', taskId: 1 }] }, 'backend'))
+            .rejects.toThrow('use dependencies instead');
+        expect((await taskManager.getTask(2, 'backend')).externalDependencies).toBeUndefined();
+    });
+
+    test('should reject cycles through other projects', async () => {
+        await taskManager.createTask({
+            title: 'Orders page', description: 'UI', externalDependencies: [{ projectId: 'backend', taskId: 1 }]
+        }, 'frontend');
+        await taskManager.createTask({ title: 'Checkout', description: 'UI', dependencies: [1] }, 'frontend');
+
+        const error = await taskManager.updateTask(1, { externalDependencies: [{ projectId: 'frontend', taskId: 2 }] }, 'backend')
+            .catch(caught => caught);
+        expect(error).toBeInstanceOf(DependencyCycleError);
+        expect(error.details.path).toEqual(['backend#1', 'frontend#2', 'frontend#1', 'backend#1']);
+        expect(error.message).toContain('backend#1 → frontend#2 → frontend#1 → backend#1');
+    });
+
+    test('should read referenced projects without loading them', async () => {
+        await taskManager.flush();
+        const other = createTaskManager(baseDir);
+        const init = jest.spyOn(other, 'init');
+
+        await other.createTask({
+            title: 'Orders page', description: 'UI', externalDependencies: [{ projectId: 'backend', taskId: 1 }]
+        }, 'frontend');
+        expect((await other.getBlockers('frontend', 1)).externalDependencies).toEqual([
+            { projectId: 'backend', taskId: 1, title: 'Orders API', status: 'pending' }
+        ]);
+        expect(init.mock.calls.map(([projectId]) => projectId)).not.toContain('backend');
+        expect(other.projectTasks.has('backend')).toBe(false);
+        await other.close();
+    });
+
+    test('should block tasks until their external dependencies are completed', async () => {
+        await taskManager.createTask({
+            title: 'Orders page', description: 'UI', externalDependencies: [{ projectId: 'backend', taskId: 1 }]
+        }, 'frontend');
+        await taskManager.createTask({ title: 'Styles', description: 'CSS' }, 'frontend');
+
+        expect(await taskManager.getBlockers('frontend', 1)).toEqual({
+            dependencies: [],
+            externalDependencies: [{ projectId: 'backend', taskId: 1, title: 'Orders API', status: 'pending' }]
+        });
+        const blocked = await taskManager.queryTasks('frontend', { filter: { blocked: true } });
+        expect(blocked.tasks.map(task => task.id)).toEqual([1]);
+        const next = await taskManager.getNextTasks('frontend', { limit: 5 });
+        expect(next.tasks.map(entry => entry.task.id)).toEqual([2]);
+        expect(next.blockedCount).toBe(1);
+
+        const error = await taskManager.updateTask(1, { status: 'in-progress' }, 'frontend').catch(caught => caught);
+        expect(error).toBeInstanceOf(TaskBlockedError);
+        expect(error.message).toContain('blocked by unfinished dependencies backend#1');
+
+        await taskManager.updateTask(1, { status: 'completed' }, 'backend');
+        expect((await taskManager.getExternalBlockers('frontend')).size).toBe(0);
+        await expect(taskManager.updateTask(1, { status: 'in-progress' }, 'frontend')).resolves.toMatchObject({ status: 'in-progress' });
+    });
+
+    test('should drop references to deleted tasks and report ones left dangling', async () => {
+        const ops = createTaskManager(baseDir);
+        await ops.createTask({ title: 'Deploy', description: 'Pipeline' }, 'ops');
+        await ops.close();
+
+        await taskManager.createTask({
+            title: 'Login page',
+            description: 'UI',
+            externalDependencies: [{ projectId: 'backend', taskId: 2 }, { projectId: 'ops', taskId: 1 }, { projectId: 'backend', taskId: 1 }]
+        }, 'frontend');
+        await taskManager.deleteTask(2, 'backend');
+
+        const [task] = await taskManager.listTasks('frontend');
+        expect(task.externalDependencies).toEqual([{ projectId: 'ops', taskId: 1 }, { projectId: 'backend', taskId: 1 }]);
+        expect((await taskManager.validateDependencies('frontend')).valid).toBe(true);
+
+        // A project removed behind the task manager's back leaves its references dangling
+        await fs.rm(path.dirname(taskManager.storage.getTasksPath('ops')), { recursive: true, force: true });
+        const report = await taskManager.validateDependencies('frontend');
+        expect(report.valid).toBe(false);
+        expect(report.problems).toEqual([{
+            type: 'missing',
+            taskId: 1,
+            dependencyProjectId: 'ops',
+            dependencyId: 1,
+            message: 'Task #1 depends on task ops#1, which does not exist'
+        }]);
+        expect((await taskManager.getBlockers('frontend', 1)).externalDependencies).toEqual([
+            { projectId: 'backend', taskId: 1, title: 'Orders API', status: 'pending' }
+        ]);
+    });
+
+    test('should point other projects\' references at renumbered tasks', async () => {
+        await taskManager.createTask({ title: 'Billing API', description: 'Invoices' }, 'backend');
+        await taskManager.createTask({
+            title: 'Checkout', description: 'UI', externalDependencies: [{ projectId: 'backend', taskId: 1 }]
+        }, 'frontend');
+        await taskManager.createTask({
+            title: 'Invoices page',
+            description: 'UI',
+            externalDependencies: [{ projectId: 'backend', taskId: 3 }, { projectId: 'backend', taskId: 2 }]
+        }, 'frontend');
+        await taskManager.deleteTask(1, 'backend');
+
+        const preview = await taskManager.renumberTasks('backend', { dryRun: true });
+        expect(preview.externalReferences).toEqual([{ projectId: 'frontend', taskId: 2 }]);
+        expect((await taskManager.getTask(2, 'frontend')).externalDependencies[0].taskId).toBe(3);
+
+        const report = await taskManager.renumberTasks('backend');
+        expect(report.mapping).toEqual([{ from: 2, to: 1 }, { from: 3, to: 2 }]);
+        expect(report.externalReferences).toEqual([{ projectId: 'frontend', taskId: 2 }]);
+
+        const tasks = await taskManager.listTasks('frontend');
+        expect(tasks.map(task => task.externalDependencies)).toEqual([
+            [],
+            [{ projectId: 'backend', taskId: 2 }, { projectId: 'backend', taskId: 1 }]
+        ]);
+        expect((await taskManager.getBlockers('frontend', 2)).externalDependencies.map(ref => ref.title))
+            .toEqual(['Billing API', 'Auth API']);
+    });
+});
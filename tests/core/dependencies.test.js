@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { findDependencyProblems } from '../../mcp-server/src/core/dependency-graph.js';
+import { DependencyCycleError, TaskValidationError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'dependency-project';
+
+const task = (id, dependencies = []) => ({
+    id,
+    title: `Task ${id}`,
+    status: 'pending',
+    priority: 'medium',
+    progress: 0,
+    dependencies,
+    subtasks: [],
+    isSubtask: false,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-01T00:00:00.000Z'
+});
+
+describe('Task dependencies', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('dependencies');
+        taskManager = createTaskManager(baseDir);
+
+        await taskManager.createTask({ title: 'Schema', description: 'Tables' }, projectId);
+        await taskManager.createTask({ title: 'Migrations', description: 'SQL', dependencies: [1] }, projectId);
+        await taskManager.createTask({ title: 'API', description: 'Endpoints', dependencies: [2] }, projectId);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should reject missing and self references and roll the write back', async () => {
+        await expect(taskManager.createTask({ title: 'UI', description: 'Screens', dependencies: [42] }, projectId))
+            .rejects.toThrow('Task #4 depends on task #42, which does not exist');
+        await expect(taskManager.updateTask(3, { dependencies: [2, 3] }, projectId))
+            .rejects.toThrow(TaskValidationError);
+
+        const tasks = await taskManager.listTasks(projectId);
+        expect(tasks.map(t => t.id)).toEqual([1, 2, 3]);
+        expect(tasks[2].dependencies).toEqual([2]);
+    });
+
+    test('should reject cycles with the path in the error', async () => {
+        const error = await taskManager.updateTask(1, { dependencies: [3] }, projectId).catch(e => e);
+
+        expect(error).toBeInstanceOf(DependencyCycleError);
+        expect(error.details.path).toEqual([1, 3, 2, 1]);
+        expect(error.message).toContain('#1 → #3 → #2 → #1');
+        expect((await taskManager.getTask(1, projectId)).dependencies).toEqual([]);
+    });
+
+    test('should remove deleted tasks from the dependencies of others', async () => {
+        await taskManager.updateTask(3, { dependencies: [1, 2] }, projectId);
+        await taskManager.deleteTask(2, projectId);
+
+        expect((await taskManager.getTask(3, projectId)).dependencies).toEqual([1]);
+        expect((await taskManager.validateDependencies(projectId)).valid).toBe(true);
+    });
+
+    test('should report every problem in data written outside the manager', async () => {
+        const tasksPath = path.join(baseDir, 'legacy', 'tasks.json');
+        await fs.mkdir(path.dirname(tasksPath), { recursive: true });
+        await fs.writeFile(tasksPath, JSON.stringify({
+            schemaVersion: 2,
+            tasks: [task(1, [2]), task(2, [3]), task(3, [1, 9]), task(4, [4, 1, 1])]
+        }));
+
+        const report = await taskManager.validateDependencies('legacy');
+
+        expect(report.valid).toBe(false);
+        expect(report.problems.map(problem => problem.message)).toEqual([
+            'Task #3 depends on task #9, which does not exist',
+            'Task #4 depends on itself',
+            'Task #4 lists dependency #1 more than once',
+            'Dependency cycle: #1 → #2 → #3 → #1'
+        ]);
+
+        // Problems already stored do not block unrelated edits
+        await expect(taskManager.updateTask(3, { title: 'Renamed' }, 'legacy')).resolves.toMatchObject({ title: 'Renamed' });
+    });
+
+    test('should find each cycle once', () => {
+        const problems = findDependencyProblems([task(1, [2]), task(2, [1]), task(3, [1]), task(4, [5]), task(5, [4])]);
+
+        expect(problems.map(problem => problem.path)).toEqual([[1, 2, 1], [4, 5, 4]]);
+    });
+});
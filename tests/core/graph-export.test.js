@@ -0,0 +1,80 @@
+import { buildTaskGraph, toMermaid, toDot } from '../../mcp-server/src/core/graph-export.js';
+import { TaskValidationError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'graph-project';
+
+const task = (id, { status = 'pending', dependencies = [], subtasks = [], title = `Task ${id}` } = {}) =>
+    ({ id, title, status, dependencies, subtasks });
+
+describe('Task graph export', () => {
+    const tasks = [
+        task(1, { status: 'completed' }),
+        task(2, { status: 'completed', dependencies: [1] }),
+        task(3, { dependencies: [2], subtasks: [4] }),
+        task(4, { dependencies: [5] }),
+        task(5, { status: 'in-progress', title: 'Say "hi"' }),
+        task(6)
+    ];
+
+    test('should build dependency and subtask edges with status styles', () => {
+        const graph = buildTaskGraph(tasks);
+
+        expect(graph.nodes.map(node => [node.id, node.style])).toEqual([
+            [1, 'completed'], [2, 'completed'], [3, 'pending'], [4, 'blocked'], [5, 'inProgress'], [6, 'pending']
+        ]);
+        expect(graph.edges).toEqual([
+            { from: 1, to: 2, type: 'dependency' },
+            { from: 2, to: 3, type: 'dependency' },
+            { from: 3, to: 4, type: 'subtask' },
+            { from: 5, to: 4, type: 'dependency' }
+        ]);
+    });
+
+    test('should collapse completed tasks and focus on one task', () => {
+        const collapsed = buildTaskGraph(tasks, { collapseCompleted: true });
+        expect(collapsed.nodes[0]).toEqual({ id: 'completed', label: '2 completed tasks', style: 'completed' });
+        expect(collapsed.edges).toContainEqual({ from: 'completed', to: 3, type: 'dependency' });
+        expect(collapsed.edges).toHaveLength(3);
+
+        const focused = buildTaskGraph(tasks, { focus: 4 });
+        expect(focused.nodes.map(node => node.id)).toEqual([1, 2, 3, 4, 5]);
+
+        // The focus stays visible even when it is completed
+        expect(buildTaskGraph(tasks, { focus: 2, collapseCompleted: true }).nodes.map(node => node.id))
+            .toEqual(['completed', 2, 3, 4]);
+    });
+
+    test('should render Mermaid and DOT with escaped labels', () => {
+        const graph = buildTaskGraph(tasks, { focus: 4 });
+
+        const mermaid = toMermaid(graph);
+        expect(mermaid).toMatch(/^flowchart LR\n/);
+        expect(mermaid).toContain('t5["#5 Say #quot;hi#quot;"]:::inProgress');
+        expect(mermaid).toContain('t3 -.-> t4');
+        expect(mermaid).toContain('t5 --> t4');
+
+        const dot = toDot(graph, projectId);
+        expect(dot).toMatch(/^digraph "graph-project" \{/);
+        expect(dot).toContain('t5 [label="#5 Say \\"hi\\"", fillcolor="#fff3cd"');
+        expect(dot).toContain('t3 -> t4 [style=dashed];');
+    });
+
+    test('should export a stored project by task key', async () => {
+        const baseDir = await createTasksDir('graph');
+        const taskManager = createTaskManager(baseDir);
+        try {
+            await taskManager.createTask({ title: 'Schema', description: 'Tables' }, projectId);
+            await taskManager.createTask({ title: 'API', description: 'Endpoints', dependencies: [1] }, projectId);
+            await taskManager.setKeyPrefix(projectId, 'GRAPH');
+
+            const graph = await taskManager.exportTaskGraph(projectId, { format: 'dot', focus: 'GRAPH-2' });
+            expect(graph).toMatchObject({ projectId, format: 'dot', nodeCount: 2, edgeCount: 1 });
+            expect(graph.text).toContain('t1 -> t2;');
+
+            await expect(taskManager.exportTaskGraph(projectId, { format: 'svg' })).rejects.toBeInstanceOf(TaskValidationError);
+        } finally {
+            await removeTasksDir(baseDir);
+        }
+    });
+});
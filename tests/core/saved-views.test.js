@@ -0,0 +1,93 @@
+import { JsonFileAdapter, mergeTasks } from '../../mcp-server/src/storage/index.js';
+import { TaskValidationError, ViewNotFoundError } from '../../mcp-server/src/utils/errors.js';
+import { readResource } from '../../mcp-server/src/resources/index.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'views-project';
+
+describe('Saved views', () => {
+    let baseDir;
+    let taskManager;
+
+    const createManager = () => {
+        const manager = createTaskManager(baseDir);
+        return manager;
+    };
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('views');
+        taskManager = createManager();
+
+        await taskManager.createTask({ title: 'Fix crash', description: 'On startup', priority: 'high' }, projectId);
+        await taskManager.createTask({ title: 'Update docs', description: 'Readme', priority: 'low' }, projectId);
+        await taskManager.createTask({ title: 'Ship hotfix', description: 'Release', priority: 'high' }, projectId);
+        await taskManager.completeTask(3, projectId);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should save, run and list views shared through the project file', async () => {
+        await taskManager.saveView(projectId, 'high-priority-open', {
+            description: 'High priority, not done',
+            filter: { priority: 'high', status: ['pending', 'in-progress'] },
+            fields: ['title']
+        });
+        await taskManager.flush();
+
+        // Another process reads the same project
+        const other = createManager();
+        const { view, tasks, total } = await other.runView(projectId, 'high-priority-open');
+
+        expect(view).toMatchObject({ name: 'high-priority-open', description: 'High priority, not done', sort: [] });
+        expect(total).toBe(1);
+        expect(tasks).toEqual([{ id: 1, title: 'Fix crash' }]);
+        expect((await other.listViews(projectId)).map(saved => saved.name)).toEqual(['high-priority-open']);
+    });
+
+    test('should resolve relative dates each time the view runs', async () => {
+        await taskManager.saveView(projectId, 'stale', { filter: { updatedBefore: '1d' } });
+        expect((await taskManager.runView(projectId, 'stale')).total).toBe(0);
+
+        await taskManager.saveView(projectId, 'recent', { filter: { updatedAfter: '1d' }, sort: ['-priority'], limit: 2 });
+        const page = await taskManager.runView(projectId, 'recent');
+        expect(page.tasks.map(task => task.id)).toEqual([1, 3]);
+        expect(page.nextCursor).not.toBeNull();
+    });
+
+    test('should reject invalid views and report missing ones', async () => {
+        await expect(taskManager.saveView(projectId, 'bad name', {})).rejects.toThrow(TaskValidationError);
+        await expect(taskManager.saveView(projectId, 'bad-sort', { sort: ['owner'] })).rejects.toThrow(TaskValidationError);
+        await expect(taskManager.saveView(projectId, 'bad-date', { filter: { createdAfter: 'soon' } })).rejects.toThrow(TaskValidationError);
+
+        await taskManager.saveView(projectId, 'done', { filter: { status: 'completed' } });
+        await taskManager.deleteView(projectId, 'done');
+        await expect(taskManager.runView(projectId, 'done')).rejects.toThrow(ViewNotFoundError);
+        await expect(taskManager.getView(projectId, 'constructor')).rejects.toThrow(ViewNotFoundError);
+        expect(await taskManager.listViews(projectId)).toEqual([]);
+    });
+
+    test('should publish views as resources', async () => {
+        await taskManager.saveView(projectId, 'done', { filter: { status: 'completed' } });
+        await taskManager.flush();
+        const read = async (uri) => JSON.parse((await readResource(taskManager, uri)).text);
+
+        expect(await read(`project://${projectId}/views`)).toEqual([
+            expect.objectContaining({ name: 'done', uri: `view://${projectId}/done` })
+        ]);
+        expect((await read(`view://${projectId}/done`)).tasks.map(task => task.id)).toEqual([3]);
+    });
+
+    test('should keep views saved concurrently by another process', () => {
+        const view = name => ({ filter: { status: name }, sort: [], updatedAt: 'now' });
+        const { meta } = mergeTasks({
+            baseMeta: { views: { shared: view('pending'), removed: view('completed') } },
+            ourMeta: { views: { shared: view('pending'), ours: view('pending') } },
+            theirMeta: { views: { shared: view('in-progress'), removed: view('completed'), theirs: view('completed') } }
+        });
+
+        expect(Object.keys(meta.views).sort()).toEqual(['ours', 'shared', 'theirs']);
+        expect(meta.views.shared.filter.status).toBe('in-progress');
+    });
+});
@@ -0,0 +1,68 @@
+import { computeSchedule, topologicalOrder } from '../../mcp-server/src/core/schedule.js';
+import { TaskNotFoundError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'schedule-project';
+
+const task = (id, estimate, dependencies = [], { status = 'pending', progress = 0 } = {}) =>
+    ({ id, estimate, dependencies, status, progress });
+
+describe('Project schedule', () => {
+    // 1 → 2 → 4 and 1 → 3 → 4 (a diamond), plus a standalone task 5
+    const diamond = [task(1, 2), task(2, 3, [1]), task(3, 1, [1]), task(4, 2, [2, 3]), task(5, 1)];
+
+    test('should order tasks after their dependencies and report cycles', () => {
+        expect(topologicalOrder(diamond)).toEqual({ order: [1, 2, 3, 4, 5], cyclic: [] });
+        expect(topologicalOrder([task(1, 1, [2]), task(2, 1, [1]), task(3, 1, [2])]))
+            .toEqual({ order: [], cyclic: [1, 2, 3] });
+    });
+
+    test('should compute earliest and latest times, slack and the critical path', () => {
+        const schedule = computeSchedule(diamond);
+        const byId = new Map(schedule.tasks.map(entry => [entry.taskId, entry]));
+
+        expect(schedule.duration).toBe(7);
+        expect(schedule.criticalPath).toEqual([1, 2, 4]);
+        expect(byId.get(2)).toEqual({
+            taskId: 2, duration: 3, earliestStart: 2, earliestFinish: 5, latestStart: 2, latestFinish: 5, slack: 0, critical: true
+        });
+        expect(byId.get(3)).toMatchObject({ earliestStart: 2, latestStart: 4, slack: 2, critical: false });
+        expect(byId.get(5)).toMatchObject({ latestFinish: 7, slack: 6 });
+    });
+
+    test('should count remaining work only and focus on a target', () => {
+        const tasks = [task(1, 2, [], { status: 'completed', progress: 100 }), task(2, 4, [1], { status: 'in-progress', progress: 75 }), task(3, undefined, [2]), task(4, 5)];
+
+        const schedule = computeSchedule(tasks, { defaultEstimate: 2 });
+        expect(schedule.order).toEqual([2, 3, 4]);
+        expect(schedule.duration).toBe(5);
+        expect(schedule.criticalPath).toEqual([4]);
+
+        const toTarget = computeSchedule(tasks, { target: 3, defaultEstimate: 2 });
+        expect(toTarget.order).toEqual([2, 3]);
+        expect(toTarget.duration).toBe(3);
+        expect(toTarget.criticalPath).toEqual([2, 3]);
+    });
+
+    test('should rank critical tasks first in get_next_task and analyze stored projects', async () => {
+        const baseDir = await createTasksDir('schedule');
+        const taskManager = createTaskManager(baseDir);
+        try {
+            await taskManager.createTask({ title: 'Setup', description: 'Tooling', estimate: 1 }, projectId);
+            await taskManager.createTask({ title: 'Build', description: 'After setup', estimate: 1, dependencies: [1] }, projectId);
+            await taskManager.createTask({ title: 'Migrate', description: 'Long job', estimate: 10 }, projectId);
+            await taskManager.setKeyPrefix(projectId, 'SCHED');
+
+            // Task 1 unblocks more, but task 3 has no slack
+            const next = await taskManager.getNextTasks(projectId, { limit: 2 });
+            expect(next.tasks.map(entry => [entry.task.id, entry.slack, entry.critical])).toEqual([[3, 0, true], [1, 8, false]]);
+
+            const schedule = await taskManager.analyzeSchedule(projectId, { target: 'SCHED-2' });
+            expect(schedule).toMatchObject({ target: 2, duration: 2, criticalPath: [1, 2], estimatedCount: 2 });
+
+            await expect(taskManager.analyzeSchedule(projectId, { target: 42 })).rejects.toBeInstanceOf(TaskNotFoundError);
+        } finally {
+            await removeTasksDir(baseDir);
+        }
+    });
+});
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import { parseQuery } from '../../mcp-server/src/core/search-index.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'search-project';
+
+describe('Task search', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('search');
+        taskManager = createTaskManager(baseDir);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should parse words, prefixes and phrases', () => {
+        expect(parseQuery('Login "reset  password" auth-serv*')).toEqual([
+            { type: 'term', terms: ['login'] },
+            { type: 'phrase', terms: ['reset', 'password'] },
+            { type: 'term', terms: ['auth'] },
+            { type: 'prefix', terms: ['serv'] }
+        ]);
+    });
+
+    test('should rank title matches above description and notes matches', async () => {
+        const inNotes = await taskManager.createTask({ title: 'Refactor', description: 'Cleanup', notes: 'Touches the login form' }, projectId);
+        const inTitle = await taskManager.createTask({ title: 'Fix login redirect', description: 'After sign in' }, projectId);
+        const inTags = await taskManager.createTask({ title: 'Session expiry', description: 'Tokens', tags: ['login'] }, projectId);
+        await taskManager.createTask({ title: 'Unrelated', description: 'Nothing here' }, projectId);
+
+        const results = await taskManager.searchTasks('login', { projectId });
+
+        expect(results.map(result => result.task.id)).toEqual([inTitle.id, inTags.id, inNotes.id]);
+        expect(results[0]).toMatchObject({ projectId, fields: ['title'] });
+        expect(results[2].fields).toEqual(['notes']);
+    });
+
+    test('should match phrases in order and prefixes, requiring every clause', async () => {
+        const phrase = await taskManager.createTask({ title: 'Reset password email', description: 'Send the link' }, projectId);
+        await taskManager.createTask({ title: 'Password policy', description: 'Reset rules weekly' }, projectId);
+        const prefix = await taskManager.createTask({ title: 'Authentication service', description: 'OAuth' }, projectId);
+
+        expect((await taskManager.searchTasks('"reset password"', { projectId })).map(r => r.task.id)).toEqual([phrase.id]);
+        expect((await taskManager.searchTasks('authent*', { projectId })).map(r => r.task.id)).toEqual([prefix.id]);
+        expect(await taskManager.searchTasks('authent* email', { projectId })).toEqual([]);
+    });
+
+    test('should update the index incrementally as tasks change', async () => {
+        const task = await taskManager.createTask({ title: 'Write docs', description: 'API reference' }, projectId);
+        const other = await taskManager.createTask({ title: 'Ship release', description: 'Tag and publish' }, projectId);
+        const addTask = jest.spyOn(taskManager.searchIndex, 'addTask');
+
+        await taskManager.updateTask(task.id, { title: 'Write changelog' }, projectId);
+        expect(addTask).toHaveBeenCalledTimes(1);
+        expect(await taskManager.searchTasks('docs', { projectId })).toEqual([]);
+        expect((await taskManager.searchTasks('changelog', { projectId }))[0].task.id).toBe(task.id);
+
+        await taskManager.deleteTask(other.id, projectId);
+        expect(await taskManager.searchTasks('release', { projectId })).toEqual([]);
+        expect(taskManager.searchIndex.projects.get(projectId).postings.has('release')).toBe(false);
+        addTask.mockRestore();
+    });
+
+    test('should search every stored project when no project is given', async () => {
+        await taskManager.createTask({ title: 'Deploy api', description: 'Production' }, 'backend');
+        await taskManager.createTask({ title: 'Deploy site', description: 'Static hosting' }, 'frontend');
+        await taskManager.flush();
+
+        // A fresh manager has loaded nothing; it finds the projects in storage
+        const fresh = createTaskManager(baseDir);
+        const results = await fresh.searchTasks('deploy');
+
+        expect(results.map(result => result.projectId)).toEqual(['backend', 'frontend']);
+        await fresh.close();
+    });
+});
@@ -0,0 +1,81 @@
+import { JsonFileAdapter, diffTask } from '../../mcp-server/src/storage/index.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'history-project';
+
+describe('Task history', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('history');
+        taskManager = createTaskManager(baseDir);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should diff task fields and ignore updatedAt', () => {
+        const before = { id: 1, title: 'Old', status: 'pending', updatedAt: 'a' };
+        const after = { id: 1, title: 'New', status: 'pending', priority: 'high', updatedAt: 'b' };
+
+        expect(diffTask(before, after)).toEqual({
+            title: { from: 'Old', to: 'New' },
+            priority: { to: 'high' }
+        });
+    });
+
+    test('should record who changed which fields through which operation', async () => {
+        const task = await taskManager.createTask({ title: 'Write docs', description: 'API reference' }, projectId);
+        await taskManager.updateTask(task.id, { priority: 'high' }, projectId);
+        await taskManager.completeTask(task.id, projectId);
+
+        const history = await taskManager.getTaskHistory(projectId, { taskId: task.id });
+
+        expect(history.map(entry => [entry.operation, entry.change])).toEqual([
+            ['complete', 'updated'],
+            ['update', 'updated'],
+            ['create', 'created']
+        ]);
+        expect(history[0].changes.status).toEqual({ from: 'pending', to: 'completed' });
+        expect(history[1].changes).toEqual({ priority: { from: 'medium', to: 'high' } });
+        expect(history[2].changes.title).toEqual({ to: 'Write docs' });
+        expect(history.every(entry => entry.actor === 'mcp-client')).toBe(true);
+    });
+
+    test('should keep the history of deleted tasks', async () => {
+        const task = await taskManager.createTask({ title: 'Short lived', description: 'Deleted soon' }, projectId);
+        await taskManager.deleteTask(task.id, projectId);
+
+        const [deleted] = await taskManager.getTaskHistory(projectId, { taskId: task.id });
+
+        expect(deleted).toMatchObject({ operation: 'delete', change: 'deleted' });
+        expect(deleted.changes.title).toEqual({ from: 'Short lived' });
+    });
+
+    test('should record the actor given to runAs and group entries by save', async () => {
+        const parent = await taskManager.createTask({ title: 'Parent', description: 'Has a subtask' }, projectId);
+        await taskManager.runAs('planner', () =>
+            taskManager.addSubtask({ title: 'Child', description: 'Added by the planner' }, parent.id, projectId)
+        );
+
+        const [latest, previous] = await taskManager.getTaskHistory(projectId, { limit: 2 });
+
+        expect(latest.actor).toBe('planner');
+        expect(latest.operation).toBe('add_subtask');
+        expect(previous.changeId).toBe(latest.changeId);
+        expect(new Set([latest.taskId, previous.taskId])).toEqual(new Set([parent.id, parent.id + 1]));
+    });
+
+    test('should record cleanup changes under the cleanup service', async () => {
+        const task = await taskManager.createTask({ title: 'Assigned', description: 'Missing timestamp' }, projectId);
+        await taskManager.updateTask(task.id, { assignedTo: 'windsurf' }, projectId);
+
+        await taskManager.taskCleanupService.performCleanup(projectId);
+
+        const [latest] = await taskManager.getTaskHistory(projectId, { taskId: task.id });
+        expect(latest).toMatchObject({ actor: 'task-cleanup', operation: 'cleanup' });
+        expect(latest.changes.assignedAt.to).toBeDefined();
+    });
+});
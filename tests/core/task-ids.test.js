@@ -0,0 +1,110 @@
+import { TaskValidationError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'id-project';
+
+describe('Stable task IDs', () => {
+    let baseDir;
+    let taskManager;
+
+    const createManager = () => {
+        const manager = createTaskManager(baseDir);
+        return manager;
+    };
+
+    const createTasks = async (count) => {
+        const tasks = [];
+        for (let i = 1; i <= count; i++) {
+            tasks.push(await taskManager.createTask({ title: `Task ${i}`, description: `Description ${i}` }, projectId));
+        }
+        return tasks;
+    };
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('ids');
+        taskManager = createManager();
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should keep the IDs of remaining tasks when deleting', async () => {
+        await createTasks(3);
+        await taskManager.deleteTask(1, projectId);
+        await taskManager.deleteTasks({ ids: [2] }, projectId);
+
+        const tasks = await taskManager.listTasks(projectId);
+        expect(tasks.map(t => [t.id, t.title])).toEqual([[3, 'Task 3']]);
+    });
+
+    test('should never reuse the ID of a deleted task, even after a restart', async () => {
+        await createTasks(3);
+        await taskManager.deleteTask(3, projectId);
+        expect((await createTasks(1))[0].id).toBe(4);
+
+        await taskManager.deleteTask(4, projectId);
+        await taskManager.close();
+
+        taskManager = createManager();
+        expect((await createTasks(1))[0].id).toBe(5);
+    });
+
+    test('should key tasks once a prefix is set and find them by key', async () => {
+        await createTasks(2);
+
+        const { keyed } = await taskManager.setKeyPrefix(projectId, 'PROJ');
+        expect(keyed).toEqual([1, 2]);
+
+        const [created] = await createTasks(1);
+        expect(created.key).toBe('PROJ-3');
+        await expect(taskManager.getTask('PROJ-2', projectId)).resolves.toMatchObject({ id: 2 });
+    });
+
+    test('should refuse to change a task\'s ID or key through an update', async () => {
+        await createTasks(2);
+        await taskManager.setKeyPrefix(projectId, 'PROJ');
+
+        await expect(taskManager.updateTask(1, { id: 42 }, projectId)).rejects.toThrow(TaskValidationError);
+        await expect(taskManager.updateTask(1, { key: 'PROJ-2' }, projectId)).rejects.toThrow('key cannot be changed');
+        await expect(taskManager.updateTask(1, { id: 1, key: 'PROJ-1', title: 'Same ID' }, projectId))
+            .resolves.toMatchObject({ id: 1, key: 'PROJ-1', title: 'Same ID' });
+
+        const tasks = await taskManager.listTasks(projectId);
+        expect(tasks.map(t => [t.id, t.key])).toEqual([[1, 'PROJ-1'], [2, 'PROJ-2']]);
+    });
+
+    test('should reject invalid key prefixes', async () => {
+        await expect(taskManager.setKeyPrefix(projectId, 'proj')).rejects.toThrow(TaskValidationError);
+    });
+
+    describe('renumberTasks', () => {
+        beforeEach(async () => {
+            await createTasks(5);
+            await taskManager.updateTask(5, { dependencies: [3] }, projectId);
+            await taskManager.deleteTask(1, projectId);
+            await taskManager.deleteTask(4, projectId);
+        });
+
+        test('should report the mapping without changes on a dry run', async () => {
+            const { mapping } = await taskManager.renumberTasks(projectId, { dryRun: true });
+
+            expect(mapping).toEqual([{ from: 2, to: 1 }, { from: 3, to: 2 }, { from: 5, to: 3 }]);
+            expect((await taskManager.listTasks(projectId)).map(t => t.id)).toEqual([2, 3, 5]);
+        });
+
+        test('should renumber tasks and update references', async () => {
+            await taskManager.setKeyPrefix(projectId, 'PROJ');
+            await taskManager.renumberTasks(projectId);
+
+            const tasks = await taskManager.listTasks(projectId);
+            expect(tasks.map(t => [t.id, t.key, t.title])).toEqual([
+                [1, 'PROJ-1', 'Task 2'],
+                [2, 'PROJ-2', 'Task 3'],
+                [3, 'PROJ-3', 'Task 5']
+            ]);
+            expect(tasks[2].dependencies).toEqual([2]);
+            expect((await createTasks(1))[0].id).toBe(4);
+        });
+    });
+});
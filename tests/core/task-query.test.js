@@ -0,0 +1,63 @@
+import { TaskValidationError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'query-project';
+
+describe('Task queries', () => {
+    let baseDir;
+    let taskManager;
+    const ids = query => taskManager.queryTasks(projectId, query).then(page => page.tasks.map(task => task.id));
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('query');
+        taskManager = createTaskManager(baseDir);
+
+        await taskManager.createTask({ title: 'Design schema', description: 'Tables', priority: 'high', tags: ['db'] }, projectId);
+        await taskManager.createTask({ title: 'Write migrations', description: 'SQL', priority: 'medium', dependencies: [1], tags: ['db', 'sql'] }, projectId);
+        await taskManager.createTask({ title: 'Build API', description: 'Endpoints', priority: 'low', dependencies: [2] }, projectId);
+        await taskManager.addSubtask({ title: 'Auth endpoints', description: 'Login', priority: 'high' }, 3, projectId);
+        await taskManager.updateTask(1, { status: 'completed' }, projectId);
+        await taskManager.assignToWindsurf(2, projectId);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should combine indexed and unindexed conditions', async () => {
+        expect(await ids({ filter: { status: ['pending', 'in-progress'] } })).toEqual([2, 3, 4]);
+        expect(await ids({ filter: { status: 'pending', priority: ['high', 'low'] } })).toEqual([3, 4]);
+        expect(await ids({ filter: { assignedTo: 'windsurf' } })).toEqual([2]);
+        expect(await ids({ filter: { assignedTo: null, hasDependencies: false } })).toEqual([1, 4]);
+        expect(await ids({ filter: { parentId: 3 } })).toEqual([4]);
+        expect(await ids({ filter: { isSubtask: false, tags: ['db', 'sql'] } })).toEqual([2]);
+        expect(await ids({ filter: { createdAfter: '2000-01-01', updatedBefore: '2000-01-01' } })).toEqual([]);
+    });
+
+    test('should sort by several keys', async () => {
+        expect(await ids({ sort: ['-priority', 'id'] })).toEqual([1, 4, 2, 3]);
+        expect(await ids({ sort: ['status', '-id'] })).toEqual([4, 3, 2, 1]);
+        await expect(taskManager.queryTasks(projectId, { sort: ['owner'] })).rejects.toThrow(TaskValidationError);
+    });
+
+    test('should page through results with offsets and cursors', async () => {
+        const first = await taskManager.queryTasks(projectId, { sort: ['-id'], limit: 3 });
+        expect(first).toMatchObject({ total: 4, offset: 0 });
+        expect(first.tasks.map(task => task.id)).toEqual([4, 3, 2]);
+
+        const second = await taskManager.queryTasks(projectId, { sort: ['-id'], limit: 3, cursor: first.nextCursor });
+        expect(second.tasks.map(task => task.id)).toEqual([1]);
+        expect(second).toMatchObject({ offset: 3, nextCursor: null });
+
+        expect(await ids({ limit: 2, offset: 1 })).toEqual([2, 3]);
+        await expect(taskManager.queryTasks(projectId, { limit: 3, cursor: first.nextCursor }))
+            .rejects.toThrow('Cursor was issued for a different filter or sort');
+        await expect(taskManager.queryTasks(projectId, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    });
+
+    test('should return only the selected fields', async () => {
+        const { tasks } = await taskManager.queryTasks(projectId, { filter: { tags: ['sql'] }, fields: ['title', 'assignedTo'] });
+
+        expect(tasks).toEqual([{ id: 2, title: 'Write migrations', assignedTo: 'windsurf' }]);
+    });
+});
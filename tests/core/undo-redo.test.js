@@ -0,0 +1,106 @@
+import { JsonFileAdapter, WriteAheadJournal } from '../../mcp-server/src/storage/index.js';
+import { UndoConflictError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'undo-project';
+
+describe('Undo and redo', () => {
+    let baseDir;
+    let taskManager;
+
+    const createTasks = async (count) => {
+        for (let i = 1; i <= count; i++) {
+            await taskManager.createTask({ title: `Task ${i}`, description: `Description ${i}` }, projectId);
+        }
+    };
+    const ids = async () => (await taskManager.listTasks(projectId)).map(task => task.id);
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('undo');
+        taskManager = createTaskManager(baseDir);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should restore every task of a bulk delete and delete them again on redo', async () => {
+        await createTasks(4);
+        await taskManager.deleteTasks({ ids: [2, 3] }, projectId);
+
+        const undone = await taskManager.undoLastChange(projectId);
+
+        expect(undone).toMatchObject({ action: 'undo', operation: 'delete', restored: [2, 3], redo: 1 });
+        expect(await ids()).toEqual([1, 2, 3, 4]);
+        const stored = await new JsonFileAdapter({ baseDir }).load(projectId);
+        expect(stored.map(task => task.title)).toEqual(['Task 1', 'Task 2', 'Task 3', 'Task 4']);
+
+        const redone = await taskManager.redoLastChange(projectId);
+
+        expect(redone).toMatchObject({ action: 'redo', removed: [2, 3], redo: 0 });
+        expect(await ids()).toEqual([1, 4]);
+    });
+
+    test('should restore the original IDs after renumbering', async () => {
+        await createTasks(3);
+        await taskManager.deleteTask(1, projectId);
+        await taskManager.renumberTasks(projectId);
+        expect(await ids()).toEqual([1, 2]);
+
+        await taskManager.undoLastChange(projectId);
+
+        const tasks = await taskManager.listTasks(projectId);
+        expect(tasks.map(task => [task.id, task.title])).toEqual([[2, 'Task 2'], [3, 'Task 3']]);
+    });
+
+    test('should undo a cleanup run', async () => {
+        await createTasks(1);
+        await taskManager.updateTask(1, { assignedTo: 'windsurf' }, projectId);
+
+        await taskManager.taskCleanupService.performCleanup(projectId);
+        expect((await taskManager.getTask(1, projectId)).assignedAt).toBeDefined();
+
+        const undone = await taskManager.undoLastChange(projectId);
+
+        expect(undone).toMatchObject({ operation: 'cleanup', actor: 'task-cleanup', reverted: [1] });
+        expect((await taskManager.getTask(1, projectId)).assignedAt).toBeUndefined();
+    });
+
+    test('should refuse to undo over later changes unless forced', async () => {
+        await createTasks(1);
+        await taskManager.updateTask(1, { title: 'Renamed' }, projectId);
+
+        // Another server process edits the task before the undo
+        const other = createTaskManager(baseDir, { journal: new WriteAheadJournal({ baseDir, instanceId: 'other-host-1' }) });
+        await other.updateTask(1, { priority: 'high' }, projectId);
+        await taskManager.reloadTasks(projectId);
+
+        await expect(taskManager.undoLastChange(projectId)).rejects.toBeInstanceOf(UndoConflictError);
+        expect((await taskManager.getTask(1, projectId)).title).toBe('Renamed');
+
+        await taskManager.undoLastChange(projectId, { force: true });
+        expect((await taskManager.getTask(1, projectId)).title).toBe('Task 1');
+    });
+
+    test('should clear the redo stack on a new change', async () => {
+        await createTasks(2);
+        await taskManager.undoLastChange(projectId);
+        expect(taskManager.getUndoState(projectId)).toEqual({ undo: 1, redo: 1 });
+
+        await taskManager.updateTask(1, { priority: 'low' }, projectId);
+
+        expect(taskManager.getUndoState(projectId)).toEqual({ undo: 2, redo: 0 });
+        expect(await taskManager.redoLastChange(projectId)).toBeNull();
+    });
+
+    test('should keep at most the configured number of changes', async () => {
+        taskManager.historyConfig = { ...taskManager.historyConfig, undoDepth: 2 };
+        await createTasks(4);
+
+        await taskManager.undoLastChange(projectId);
+        await taskManager.undoLastChange(projectId);
+
+        expect(await taskManager.undoLastChange(projectId)).toBeNull();
+        expect(await ids()).toEqual([1, 2]);
+    });
+});
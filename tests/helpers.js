@@ -0,0 +1,55 @@
+/**
+ * Shared setup for tests that run task managers and tools over a temporary tasks folder
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TaskManager } from '../mcp-server/src/core/task-manager.js';
+import { JsonFileAdapter } from '../mcp-server/src/storage/index.js';
+
+/**
+ * Create an empty tasks folder under the system temp directory
+ * @param {string} name - Short name for the folder, e.g. 'search'
+ * @returns {Promise<string>} Path of the folder
+ */
+export function createTasksDir(name) {
+    return fs.mkdtemp(path.join(os.tmpdir(), `wtm-${name}-`));
+}
+
+/**
+ * Remove a tasks folder created by createTasksDir
+ * @param {string} dir - Path of the folder
+ * @returns {Promise<void>}
+ */
+export function removeTasksDir(dir) {
+    return fs.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Create a task manager that stores JSON files in a tasks folder and saves without delay
+ * @param {string} baseDir - Tasks folder
+ * @param {Object} [options] - More TaskManager options, such as a journal
+ * @returns {TaskManager} The task manager
+ */
+export function createTaskManager(baseDir, options = {}) {
+    const taskManager = new TaskManager({ baseTasksDir: baseDir, storage: new JsonFileAdapter({ baseDir }), ...options });
+    taskManager.saveDelay = 0;
+    return taskManager;
+}
+
+/**
+ * Stand in for FastMCP: collect tools and call them like its tools/call handler
+ * @returns {Object} Server with addTool(), the registered tools and call(name, args, session)
+ */
+export function createToolServer() {
+    const tools = new Map();
+    return {
+        tools,
+        addTool: tool => tools.set(tool.name, tool),
+        call: (name, args, session) => {
+            const tool = tools.get(name);
+            return tool.execute(tool.parameters.parse(args), { session });
+        }
+    };
+}
@@ -0,0 +1,95 @@
+import { ProjectNotFoundError, PromptNotFoundError, TaskValidationError } from '../../mcp-server/src/utils/errors.js';
+import { getPrompt, listPrompts, registerPrompts, renderPrompt } from '../../mcp-server/src/prompts/index.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'prompt-project';
+
+describe('MCP prompts', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('prompts');
+        taskManager = createTaskManager(baseDir);
+
+        await taskManager.createTask({ title: 'Design schema', description: 'Tables for orders' }, projectId);
+        await taskManager.createTask({ title: 'Build order API', description: 'REST endpoints', dependencies: [1] }, projectId);
+        await taskManager.createTask({ title: 'Write checkout UI', description: 'Form\n\nBLOCKER: waiting on designs' }, projectId);
+        await taskManager.addSubtask({ title: 'Create order endpoint', description: 'POST /orders' }, 2, projectId);
+        await taskManager.setKeyPrefix(projectId, 'SHOP');
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should list every prompt with its arguments', () => {
+        const prompts = listPrompts();
+
+        expect(prompts.map(prompt => prompt.name)).toEqual([
+            'plan_feature', 'daily_standup', 'break_down_task', 'review_blocked_tasks'
+        ]);
+        expect(prompts.every(prompt => prompt.arguments[0].name === 'projectId' && prompt.arguments[0].required)).toBe(true);
+    });
+
+    test('should plan a feature against the existing tasks without creating a new project', async () => {
+        const text = await renderPrompt(taskManager, 'plan_feature', { projectId, feature: 'Refunds' });
+        expect(text).toContain('Refunds');
+        expect(text).toContain('#2 SHOP-2 Build order API');
+        expect(text).not.toContain('Create order endpoint');
+
+        const fresh = await renderPrompt(taskManager, 'plan_feature', { projectId: 'new-shop', feature: 'Refunds' });
+        expect(fresh).toContain('(none)');
+        expect(await taskManager.hasProject('new-shop')).toBe(false);
+    });
+
+    test('should write a standup from recent changes', async () => {
+        await taskManager.completeTask(1, projectId);
+        await taskManager.updateTask(2, { status: 'in-progress', progress: 40 }, projectId);
+
+        const { messages } = await getPrompt(taskManager, 'daily_standup', { projectId });
+        const text = messages[0].content.text;
+
+        expect(messages[0].role).toBe('user');
+        expect(text).toMatch(/Completed:\n- #1 SHOP-1 Design schema \(completed/);
+        expect(text).toMatch(/Progressed:\n- #2 SHOP-2 Build order API \(in-progress, medium priority, 40%\)/);
+        expect(text).toMatch(/Blocked:\n- #3 SHOP-3 Write checkout UI/);
+    });
+
+    test('should break down a task by key with its subtasks and dependencies', async () => {
+        const text = await renderPrompt(taskManager, 'break_down_task', { projectId, taskId: 'SHOP-2' });
+
+        expect(text).toContain('Break down task #2 (SHOP-2)');
+        expect(text).toMatch(/Existing subtasks:\n- #4 SHOP-4 Create order endpoint/);
+        expect(text).toMatch(/Depends on:\n- #1 SHOP-1 Design schema/);
+        expect(text).toContain('add_subtask (parentTaskId 2');
+    });
+
+    test('should review tasks waiting on dependencies or blockers', async () => {
+        const text = await renderPrompt(taskManager, 'review_blocked_tasks', { projectId });
+
+        expect(text).toContain('Review the 2 blocked tasks');
+        expect(text).toContain('waiting on #1 SHOP-1 Design schema');
+        expect(text).toContain('BLOCKER: waiting on designs');
+
+        await taskManager.completeTask(1, projectId);
+        await taskManager.updateTask(3, { description: 'Form' }, projectId);
+        expect(await renderPrompt(taskManager, 'review_blocked_tasks', { projectId })).toContain('has no blocked tasks');
+    });
+
+    test('should reject unknown prompts, missing arguments and missing projects', async () => {
+        await expect(renderPrompt(taskManager, 'write_poem', { projectId })).rejects.toBeInstanceOf(PromptNotFoundError);
+        await expect(renderPrompt(taskManager, 'break_down_task', { projectId })).rejects.toBeInstanceOf(TaskValidationError);
+        await expect(renderPrompt(taskManager, 'daily_standup', { projectId, hours: 'soon' })).rejects.toBeInstanceOf(TaskValidationError);
+        await expect(renderPrompt(taskManager, 'daily_standup', { projectId: 'missing' })).rejects.toBeInstanceOf(ProjectNotFoundError);
+    });
+
+    test('should register prompts that complete project IDs', async () => {
+        const prompts = [];
+        registerPrompts({ addPrompt: prompt => prompts.push(prompt) }, taskManager);
+
+        const review = prompts.find(prompt => prompt.name === 'review_blocked_tasks');
+        expect(await review.arguments[0].complete('prompt')).toEqual({ values: [projectId] });
+        expect(await review.load({ projectId })).toContain('blocked tasks');
+    });
+});
@@ -0,0 +1,103 @@
+import { ResourceNotFoundError, TaskNotFoundError } from '../../mcp-server/src/utils/errors.js';
+import { parseResourceUri, readResource, registerResources } from '../../mcp-server/src/resources/index.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'resource-project';
+
+describe('MCP resources', () => {
+    let baseDir;
+    let taskManager;
+
+    const read = async (uri) => JSON.parse((await readResource(taskManager, uri)).text);
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('resources');
+        taskManager = createTaskManager(baseDir);
+
+        const parent = await taskManager.createTask({ title: 'Build API', description: 'REST endpoints' }, projectId);
+        await taskManager.addSubtask({ title: 'Auth', description: 'Token auth' }, parent.id, projectId);
+        await taskManager.completeTask(2, projectId);
+        await taskManager.setKeyPrefix(projectId, 'API');
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should parse task and project URIs', () => {
+        expect(parseResourceUri('task://web/42')).toEqual({ type: 'task', projectId: 'web', taskId: 42 });
+        expect(parseResourceUri('task://web/WEB-42')).toEqual({ type: 'task', projectId: 'web', taskId: 'WEB-42' });
+        expect(parseResourceUri('project://web/summary')).toEqual({ type: 'summary', projectId: 'web' });
+        expect(parseResourceUri('project://index')).toEqual({ type: 'index' });
+        expect(parseResourceUri('file:///etc/passwd')).toBeNull();
+    });
+
+    test('should read a task by ID or key', async () => {
+        expect(await read(`task://${projectId}/1`)).toMatchObject({ id: 1, title: 'Build API', subtasks: [2] });
+        expect((await read(`task://${projectId}/API-2`)).status).toBe('completed');
+    });
+
+    test('should summarize a project', async () => {
+        const summary = await read(`project://${projectId}/summary`);
+
+        expect(summary).toMatchObject({
+            projectId,
+            taskCount: 2,
+            statusCounts: { pending: 1, 'in-progress': 0, completed: 1 },
+            completionPercentage: 50
+        });
+        expect(summary.tasks[1]).toEqual({
+            id: 2,
+            key: 'API-2',
+            title: 'Auth',
+            status: 'completed',
+            priority: 'medium',
+            progress: 100,
+            parentTaskId: 1,
+            uri: `task://${projectId}/2`
+        });
+    });
+
+    test('should list projects in the index', async () => {
+        await taskManager.flush();
+
+        expect((await read('project://index')).projects).toEqual([{
+            projectId,
+            summaryUri: `project://${projectId}/summary`,
+            tasksUri: `project://${projectId}/tasks`
+        }]);
+    });
+
+    test('should not create projects or tasks that do not exist', async () => {
+        await expect(readResource(taskManager, 'project://missing/summary')).rejects.toBeInstanceOf(ResourceNotFoundError);
+        await expect(readResource(taskManager, `task://${projectId}/99`)).rejects.toBeInstanceOf(TaskNotFoundError);
+        expect(await taskManager.getProjects()).not.toContain('missing');
+    });
+
+    test('should register the project index and the resource templates', async () => {
+        const resources = [];
+        const templates = [];
+        registerResources({
+            addResource: resource => resources.push(resource),
+            addResourceTemplate: template => templates.push(template)
+        }, taskManager);
+
+        expect(resources.map(resource => resource.uri)).toEqual(['project://index']);
+        expect(templates.map(template => template.uriTemplate)).toEqual([
+            'project://{projectId}/summary',
+            'project://{projectId}/tasks',
+            'task://{projectId}/{taskId}',
+            'project://{projectId}/views',
+            'view://{projectId}/{name}'
+        ]);
+
+        const taskTemplate = templates[2];
+        expect(JSON.parse((await taskTemplate.load({ projectId, taskId: 'API-1' })).text).title).toBe('Build API');
+        const tasks = JSON.parse((await templates[1].load({ projectId })).text);
+        expect(tasks.map(task => task.id)).toEqual([1, 2]);
+
+        await taskManager.flush();
+        const projectArgument = taskTemplate.arguments.find(argument => argument.name === 'projectId');
+        expect(await projectArgument.complete('res')).toEqual({ values: [projectId] });
+    });
+});
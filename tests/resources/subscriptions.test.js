@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import { FastMCP, FastMCPSession } from 'fastmcp';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { JsonFileAdapter, WriteAheadJournal } from '../../mcp-server/src/storage/index.js';
+import { registerResources } from '../../mcp-server/src/resources/index.js';
+import { ResourceSubscriptions } from '../../mcp-server/src/resources/subscriptions.js';
+import { recordRegistrations } from '../../mcp-server/src/transport/http-server.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'subscribed-project';
+
+/**
+ * Connect an MCP client to a FastMCP session serving the task resources,
+ * collecting the URIs of the update notifications it receives
+ */
+async function connectClient(taskManager, subscriptions) {
+    const server = new FastMCP({ name: 'test', version: '1.0.0' });
+    const registrations = recordRegistrations(server);
+    registerResources(server, taskManager);
+    const session = new FastMCPSession({ name: 'test', version: '1.0.0', ...registrations });
+    subscriptions.addSession(session);
+
+    const client = new Client({ name: 'test-client', version: '1.0.0' }, { enforceStrictCapabilities: true });
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+        updated.push(notification.params.uri);
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([session.connect(serverTransport), client.connect(clientTransport)]);
+    return { session, client, updated };
+}
+
+// Notifications are delivered asynchronously
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('Resource subscriptions', () => {
+    let baseDir;
+    let taskManager;
+    let subscriptions;
+    let session;
+    let client;
+    let updated;
+    const subscribe = uri => client.subscribeResource({ uri });
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('subscriptions');
+        taskManager = createTaskManager(baseDir);
+        await taskManager.createTask({ title: 'First', description: 'Watched' }, projectId);
+        await taskManager.createTask({ title: 'Second', description: 'Not watched' }, projectId);
+
+        subscriptions = new ResourceSubscriptions(taskManager);
+        ({ session, client, updated } = await connectClient(taskManager, subscriptions));
+    });
+
+    afterEach(async () => {
+        await client.close();
+        await session.close();
+        subscriptions.close();
+        await removeTasksDir(baseDir);
+    });
+
+    test('should announce the subscribe capability to the client', () => {
+        expect(client.getServerCapabilities().resources).toMatchObject({ subscribe: true });
+        expect(() => subscriptions.addSession(session)).toThrow('after connecting');
+    });
+
+    test('should notify the resources a local change affects', async () => {
+        await subscribe(`project://${projectId}/summary`);
+        await subscribe(`task://${projectId}/1`);
+        await subscribe(`task://${projectId}/2`);
+
+        await taskManager.updateTask(1, { priority: 'high' }, projectId);
+        await settle();
+
+        expect(updated).toEqual([`project://${projectId}/summary`, `task://${projectId}/1`]);
+    });
+
+    test('should match task keys to the task they name', async () => {
+        await taskManager.setKeyPrefix(projectId, 'SUB');
+        await subscribe(`task://${projectId}/SUB-2`);
+
+        await taskManager.completeTask(2, projectId);
+        await settle();
+
+        expect(updated).toEqual([`task://${projectId}/SUB-2`]);
+    });
+
+    test('should resolve task keys whose number differs from the task ID', async () => {
+        // Keys carried over from another tracker keep their own numbers
+        const tasksPath = new JsonFileAdapter({ baseDir }).getTasksPath(projectId);
+        const file = JSON.parse(await fs.readFile(tasksPath, 'utf-8'));
+        file.tasks[0].key = 'OPS-7';
+        file.revision += 1;
+        await fs.writeFile(tasksPath, JSON.stringify(file));
+        await taskManager.reloadTasks(projectId);
+        await subscribe(`task://${projectId}/OPS-7`);
+
+        await taskManager.updateTask(1, { priority: 'high' }, projectId);
+        await settle();
+
+        expect(updated).toEqual([`task://${projectId}/OPS-7`]);
+    });
+
+    test('should notify changes merged in from another process', async () => {
+        await subscribe(`project://${projectId}/tasks`);
+        const other = createTaskManager(baseDir, { journal: new WriteAheadJournal({ baseDir, instanceId: 'other-host-1' }) });
+        await other.updateTask(2, { title: 'Renamed elsewhere' }, projectId);
+        await other.close();
+
+        await taskManager.reloadTasks(projectId);
+        await settle();
+
+        expect(updated).toEqual([`project://${projectId}/tasks`]);
+    });
+
+    test('should notify the project index when a project is created', async () => {
+        await subscribe('project://index');
+
+        await taskManager.createTask({ title: 'Elsewhere', description: 'New project' }, 'new-project');
+        await taskManager.createTask({ title: 'More', description: 'Same project' }, 'new-project');
+        await settle();
+
+        expect(updated).toEqual(['project://index']);
+    });
+
+    test('should stop notifying after unsubscribe and reject unknown resources', async () => {
+        const uri = `task://${projectId}/1`;
+        await subscribe(uri);
+        await client.unsubscribeResource({ uri });
+
+        await taskManager.updateTask(1, { priority: 'low' }, projectId);
+        await settle();
+
+        expect(updated).toEqual([]);
+        await expect(subscribe('task://missing-project/1')).rejects.toThrow('not found: no project missing-project');
+        await expect(subscribe('file:///etc/passwd')).rejects.toThrow('not found: unknown resource');
+    });
+});
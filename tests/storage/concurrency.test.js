@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { JsonFileAdapter, WriteAheadJournal, mergeTasks } from '../../mcp-server/src/storage/index.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'shared-project';
+const host = os.hostname().replace(/[^A-Za-z0-9-]/g, '-');
+
+const task = (id, fields = {}) => ({
+    id,
+    title: `Task ${id}`,
+    status: 'pending',
+    priority: 'medium',
+    progress: 0,
+    dependencies: [],
+    subtasks: [],
+    isSubtask: false,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-01T00:00:00.000Z',
+    ...fields
+});
+
+describe('mergeTasks', () => {
+    test('should take changes from whichever side made them', () => {
+        const base = [task(1), task(2), task(3)];
+        const ours = [task(1, { title: 'Ours' }), task(2), task(4, { title: 'Created here' })];
+        const theirs = [task(1), task(2, { status: 'in-progress' }), task(3)];
+
+        const result = mergeTasks({ base, ours, theirs });
+
+        expect(result.tasks.map(t => [t.id, t.title, t.status])).toEqual([
+            [1, 'Ours', 'pending'],
+            [2, 'Task 2', 'in-progress'],
+            [4, 'Created here', 'pending']
+        ]);
+        expect(result.conflicts).toEqual([]);
+    });
+
+    test('should merge fields and let the newer task win conflicting fields', () => {
+        const base = [task(1)];
+        const ours = [task(1, { title: 'Ours', priority: 'high', updatedAt: '2025-01-02T00:00:00.000Z' })];
+        const theirs = [task(1, { title: 'Theirs', description: 'Added', updatedAt: '2025-01-03T00:00:00.000Z' })];
+
+        const result = mergeTasks({ base, ours, theirs });
+
+        expect(result.tasks[0]).toMatchObject({ title: 'Theirs', priority: 'high', description: 'Added' });
+        expect(result.tasks[0].updatedAt).toBe('2025-01-03T00:00:00.000Z');
+        expect(result.conflicts).toEqual([{ id: 1, fields: ['title'] }]);
+    });
+
+    test('should keep an edited task that the other side deleted', () => {
+        const result = mergeTasks({ base: [task(1)], ours: [task(1, { title: 'Edited' })], theirs: [] });
+
+        expect(result.tasks.map(t => t.title)).toEqual(['Edited']);
+    });
+
+    test('should move our task to a new ID when both sides created the same ID', () => {
+        const ours = [task(1, { title: 'Ours', key: 'PROJ-1' }), task(2, { dependencies: [1] })];
+        const theirs = [task(1, { title: 'Theirs' })];
+
+        const result = mergeTasks({ base: [], ours, theirs, ourMeta: { nextId: 3, keyPrefix: 'PROJ' }, theirMeta: { nextId: 2 } });
+
+        expect(result.moved).toEqual([{ from: 1, to: 3 }]);
+        expect(result.tasks.map(t => [t.id, t.title])).toEqual([[1, 'Theirs'], [2, 'Task 2'], [3, 'Ours']]);
+        expect(result.tasks[1].dependencies).toEqual([3]);
+        expect(result.tasks[2].key).toBe('PROJ-3');
+        expect(result.meta).toEqual({ nextId: 4, keyPrefix: 'PROJ' });
+    });
+});
+
+describe('Concurrent task managers', () => {
+    let baseDir;
+
+    // Each manager stands in for a separate server process
+    const createManager = (instanceId) => {
+        const manager = createTaskManager(baseDir, { journal: new WriteAheadJournal({ baseDir, instanceId }) });
+        return manager;
+    };
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('concurrency');
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should keep the changes of both processes', async () => {
+        const first = createManager('host-a-1');
+        const second = createManager('host-b-2');
+        await first.createTask({ title: 'Shared', description: 'Seen by both' }, projectId);
+        await second.init(projectId);
+
+        await first.createTask({ title: 'From first', description: 'Created after second loaded' }, projectId);
+        await second.updateTask(1, { title: 'Renamed by second' }, projectId);
+
+        const stored = await new JsonFileAdapter({ baseDir }).load(projectId);
+        expect(stored.map(t => [t.id, t.title])).toEqual([[1, 'Renamed by second'], [2, 'From first']]);
+        expect((await second.listTasks(projectId)).map(t => t.id)).toEqual([1, 2]);
+    });
+
+    test('should give a new ID to a task whose ID another process took first', async () => {
+        const first = createManager('host-a-1');
+        const second = createManager('host-b-2');
+        await first.init(projectId);
+        await second.init(projectId);
+
+        const fromFirst = await first.createTask({ title: 'From first', description: 'Saved first' }, projectId);
+        const fromSecond = await second.createTask({ title: 'From second', description: 'Saved second' }, projectId);
+
+        expect(fromFirst.id).toBe(1);
+        expect(fromSecond.id).toBe(2);
+        const stored = await new JsonFileAdapter({ baseDir }).load(projectId);
+        expect(stored.map(t => [t.id, t.title])).toEqual([[1, 'From first'], [2, 'From second']]);
+
+        const third = await first.createTask({ title: 'Third', description: 'After the merge' }, projectId);
+        expect(third.id).toBe(3);
+    });
+
+    test('should not share cached tasks between managers of different task roots', async () => {
+        const otherDir = await createTasksDir('concurrency');
+        try {
+            const first = createTaskManager(baseDir);
+            const second = createTaskManager(otherDir);
+
+            await first.createTask({ title: 'First root', description: 'Stays in the first root' }, projectId);
+            expect(await second.listTasks(projectId)).toEqual([]);
+
+            await second.createTask({ title: 'Second root', description: 'Stays in the second root' }, projectId);
+            const stored = await new JsonFileAdapter({ baseDir: otherDir }).load(projectId);
+            expect(stored.map(t => [t.id, t.title])).toEqual([[1, 'Second root']]);
+            await Promise.all([first.close(), second.close()]);
+        } finally {
+            await removeTasksDir(otherDir);
+        }
+    });
+
+    test('should replay the journal of a process that stopped without saving', async () => {
+        // PIDs are capped well below this value on every supported platform
+        const orphan = new WriteAheadJournal({ baseDir, instanceId: `${host}-${2 ** 22 + 1}` });
+        await orphan.append(projectId, { upserts: [task(1, { title: 'Unsaved elsewhere' })], meta: { nextId: 2 } });
+
+        const manager = createManager(`${host}-${process.pid}`);
+        const tasks = await manager.listTasks(projectId);
+
+        expect(tasks.map(t => t.title)).toEqual(['Unsaved elsewhere']);
+        await expect(fs.access(orphan.getJournalPath(projectId))).rejects.toThrow();
+    });
+});
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import { WriteAheadJournal, replayJournal, JsonFileAdapter } from '../../mcp-server/src/storage/index.js';
+import { TaskManager } from '../../mcp-server/src/core/task-manager.js';
+import { debouncer } from '../../mcp-server/src/utils/debounce.js';
+import { createTasksDir, removeTasksDir } from '../helpers.js';
+
+const projectId = 'journal-project';
+
+describe('WriteAheadJournal', () => {
+    let baseDir;
+    let journal;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('journal');
+        journal = new WriteAheadJournal({ baseDir });
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should append entries with increasing sequence numbers', async () => {
+        await journal.append(projectId, { upserts: [{ id: 1, title: 'One' }] });
+        await journal.append(projectId, { deletes: [1] });
+
+        const entries = await journal.read(projectId);
+        expect(entries.map(entry => entry.seq)).toEqual([1, 2]);
+        expect(entries[1].deletes).toEqual([1]);
+    });
+
+    test('should ignore a partially written last line', async () => {
+        await journal.append(projectId, { upserts: [{ id: 1, title: 'One' }] });
+        await fs.appendFile(journal.getJournalPath(projectId), '{"seq":2,"upse');
+
+        const entries = await journal.read(projectId);
+        expect(entries).toHaveLength(1);
+    });
+
+    test('should drop checkpointed entries and remove an empty journal', async () => {
+        await journal.append(projectId, { upserts: [{ id: 1 }] });
+        await journal.append(projectId, { upserts: [{ id: 2 }] });
+
+        await journal.checkpoint(projectId, 1);
+        expect((await journal.read(projectId)).map(entry => entry.seq)).toEqual([2]);
+
+        await journal.checkpoint(projectId, 2);
+        await expect(fs.access(journal.getJournalPath(projectId))).rejects.toThrow();
+    });
+
+    test('should replay upserts and deletes in order', () => {
+        const tasks = [{ id: 1, title: 'One' }, { id: 2, title: 'Two' }];
+        const result = replayJournal(tasks, [
+            { seq: 1, schemaVersion: 2, upserts: [{ id: 3, title: 'Three' }], deletes: [] },
+            { seq: 2, schemaVersion: 2, upserts: [{ id: 1, title: 'One (edited)' }], deletes: [2] }
+        ]);
+
+        expect(result).toEqual([{ id: 1, title: 'One (edited)' }, { id: 3, title: 'Three' }]);
+    });
+
+    test('should recover changes whose debounced save never ran', async () => {
+        const storage = new JsonFileAdapter({ baseDir });
+        const crashed = new TaskManager({ baseTasksDir: baseDir, storage });
+        crashed.saveDelay = 0;
+        await crashed.init(projectId);
+
+        // Simulate a crash: the change is journaled but the debounced write is dropped
+        crashed.saveDelay = 60000;
+        const pending = crashed.createTask({ title: 'Unsaved', description: 'Lost on crash' }, projectId)
+            .catch(() => {});
+        await new Promise(resolve => setTimeout(resolve, 100));
+        debouncer.cancel(`save_${projectId}`);
+        await pending;
+
+        expect(await storage.load(projectId)).toEqual([]);
+
+        const restarted = new TaskManager({ baseTasksDir: baseDir, storage });
+        restarted.saveDelay = 0;
+        const tasks = await restarted.listTasks(projectId);
+
+        expect(tasks.map(task => task.title)).toEqual(['Unsaved']);
+        expect((await storage.load(projectId)).map(task => task.title)).toEqual(['Unsaved']);
+        await expect(restarted.journal.read(projectId)).resolves.toEqual([]);
+    });
+
+    test('should write pending saves when the task manager is closed', async () => {
+        const storage = new JsonFileAdapter({ baseDir });
+        const taskManager = new TaskManager({ baseTasksDir: baseDir, storage });
+        taskManager.saveDelay = 0;
+        await taskManager.init(projectId);
+
+        taskManager.saveDelay = 60000;
+        const pending = taskManager.createTask({ title: 'Pending', description: 'Flushed on close' }, projectId);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await taskManager.close();
+        await pending;
+
+        expect((await storage.load(projectId)).map(task => task.title)).toEqual(['Pending']);
+    });
+});
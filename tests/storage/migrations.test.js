@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+    JsonFileAdapter,
+    SqliteAdapter,
+    CURRENT_SCHEMA_VERSION,
+    migrateTaskFile,
+    validateTask
+} from '../../mcp-server/src/storage/index.js';
+import { TaskManager } from '../../mcp-server/src/core/task-manager.js';
+import { FileSystemError, TaskDataCorruptionError, TaskValidationError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'schema-project';
+
+// Shape written by releases before schema versioning
+const legacyTask = (id, extra = {}) => ({
+    title: `Task ${id}`,
+    description: 'Legacy task',
+    priority: 'high',
+    dependencies: [],
+    id,
+    status: 'completed',
+    progress: 0,
+    createdAt: '2025-06-09T15:25:17.915Z',
+    updatedAt: '2025-06-09T15:27:24.031Z',
+    projectId,
+    subtasks: [],
+    isSubtask: false,
+    ...extra
+});
+
+describe('Task schema migrations', () => {
+    test('should treat a bare task array as schema version 1', () => {
+        const { tasks, fromVersion, migrated } = migrateTaskFile([legacyTask(1)]);
+
+        expect(fromVersion).toBe(1);
+        expect(migrated).toBe(true);
+        expect(tasks[0]).toMatchObject({ progress: 100, completedAt: '2025-06-09T15:27:24.031Z' });
+        expect(validateTask(tasks[0])).toBeNull();
+    });
+
+    test('should fill in fields missing from version 1 tasks', () => {
+        const { tasks } = migrateTaskFile([{ id: 1, title: 'Bare', status: 'unknown', progress: 250 }]);
+
+        expect(tasks[0]).toMatchObject({
+            status: 'pending',
+            priority: 'medium',
+            progress: 100,
+            dependencies: [],
+            subtasks: [],
+            isSubtask: false
+        });
+        expect(validateTask(tasks[0])).toBeNull();
+    });
+
+    test('should leave current tasks untouched', () => {
+        const current = migrateTaskFile([legacyTask(1)]).tasks;
+        const file = { schemaVersion: CURRENT_SCHEMA_VERSION, revision: 3, meta: { nextId: 2 }, tasks: current };
+
+        expect(migrateTaskFile(file)).toEqual({
+            tasks: current,
+            meta: { nextId: 2 },
+            revision: 3,
+            fromVersion: CURRENT_SCHEMA_VERSION,
+            migrated: false
+        });
+    });
+
+    test('should describe the first schema violation', () => {
+        expect(validateTask({ ...legacyTask(1), progress: 0 })).toBe('progress: completed tasks must have progress 100');
+        expect(validateTask({ ...legacyTask(1), status: 'done' })).toMatch(/^status:/);
+    });
+});
+
+describe('Versioned task storage', () => {
+    let baseDir;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('schema');
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    describe('json adapter', () => {
+        let storage;
+        let tasksPath;
+
+        beforeEach(async () => {
+            storage = new JsonFileAdapter({ baseDir });
+            tasksPath = storage.getTasksPath(projectId);
+            await fs.mkdir(path.dirname(tasksPath), { recursive: true });
+        });
+
+        test('should migrate a legacy file and record the schema version', async () => {
+            const legacy = JSON.stringify([legacyTask(1), legacyTask(2, { status: 'pending' })], null, 2);
+            await fs.writeFile(tasksPath, legacy);
+
+            const tasks = await storage.load(projectId);
+            expect(tasks.map(t => t.progress)).toEqual([100, 0]);
+
+            const written = JSON.parse(await fs.readFile(tasksPath, 'utf-8'));
+            expect(written.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+            expect(written.tasks).toEqual(tasks);
+
+            // The pre-migration file is kept as the backup
+            await expect(fs.readFile(`${tasksPath}.bak`, 'utf-8')).resolves.toBe(legacy);
+        });
+
+        test('should save the first change after a migration without merging', async () => {
+            await fs.writeFile(tasksPath, JSON.stringify([legacyTask(1), legacyTask(2, { status: 'pending' })], null, 2));
+
+            const taskManager = new TaskManager({ baseTasksDir: baseDir, storage });
+            taskManager.saveDelay = 0;
+            const merge = jest.spyOn(taskManager, 'mergeStoredChanges');
+            try {
+                await taskManager.updateTask(2, { title: 'Renamed' }, projectId);
+                await taskManager.flush();
+
+                expect(merge).not.toHaveBeenCalled();
+                const written = JSON.parse(await fs.readFile(tasksPath, 'utf-8'));
+                expect(written.tasks[1].title).toBe('Renamed');
+                expect(written.revision).toBe(2);
+            } finally {
+                await taskManager.close();
+            }
+        });
+
+        test('should report files that fail validation as corruption', async () => {
+            const tasks = [{ ...legacyTask(1), progress: 100 }, { ...legacyTask(2), dependencies: 'none' }];
+            await fs.writeFile(tasksPath, JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION, tasks }));
+
+            await expect(storage.load(projectId)).rejects.toThrow(TaskDataCorruptionError);
+            await expect(storage.load(projectId)).rejects.toThrow('task #2 is invalid (dependencies:');
+        });
+
+        test('should refuse files from a newer schema without quarantining them', async () => {
+            await fs.writeFile(tasksPath, JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, tasks: [] }));
+
+            await expect(storage.load(projectId)).rejects.toThrow(FileSystemError);
+
+            const taskManager = new TaskManager({ baseTasksDir: baseDir, storage });
+            await expect(taskManager.init(projectId)).rejects.toThrow(FileSystemError);
+            await expect(storage.listQuarantined(projectId)).resolves.toEqual([]);
+            await expect(fs.access(tasksPath)).resolves.toBeUndefined();
+        });
+    });
+
+    test('should migrate SQLite databases written before schema versioning', async () => {
+        const filename = path.join(baseDir, 'tasks.db');
+        const legacy = new SqliteAdapter({ filename });
+        await legacy.upsert(projectId, [legacyTask(1)]);
+        legacy.db.pragma('user_version = 0');
+        await legacy.close();
+
+        const storage = new SqliteAdapter({ filename });
+        try {
+            const [task] = await storage.load(projectId);
+            expect(task.progress).toBe(100);
+            expect(storage.db.pragma('user_version', { simple: true })).toBe(CURRENT_SCHEMA_VERSION);
+        } finally {
+            await storage.close();
+        }
+    });
+
+    describe('TaskManager', () => {
+        let taskManager;
+
+        beforeEach(() => {
+            taskManager = createTaskManager(baseDir);
+        });
+
+        test('should reject invalid changes and roll back to the last saved state', async () => {
+            const task = await taskManager.createTask({ title: 'Valid', description: 'Stays valid' }, projectId);
+
+            await expect(taskManager.updateTask(task.id, { progress: 150 }, projectId))
+                .rejects.toThrow(TaskValidationError);
+
+            const [current] = await taskManager.listTasks(projectId);
+            expect(current.progress).toBe(0);
+            expect((await taskManager.getTask(task.id, projectId)).progress).toBe(0);
+        });
+
+        test('should set full progress when a task is completed through an update', async () => {
+            const task = await taskManager.createTask({ title: 'Finish me', description: 'Done soon' }, projectId);
+            const updated = await taskManager.updateTask(task.id, { status: 'completed' }, projectId);
+
+            expect(updated.progress).toBe(100);
+            expect(updated.completedAt).toBeDefined();
+        });
+    });
+});
@@ -0,0 +1,124 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { JsonFileAdapter, salvageTasks } from '../../mcp-server/src/storage/index.js';
+import { TaskManager } from '../../mcp-server/src/core/task-manager.js';
+import { TaskDataCorruptionError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir } from '../helpers.js';
+
+const projectId = 'recovery-project';
+
+const task = (id, extra = {}) => ({
+    id,
+    title: `Task ${id}`,
+    status: 'pending',
+    priority: 'medium',
+    progress: 0,
+    dependencies: [],
+    subtasks: [],
+    isSubtask: false,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-01T00:00:00.000Z',
+    ...extra
+});
+
+describe('salvageTasks', () => {
+    test('should keep valid entries from a parseable file', () => {
+        const raw = JSON.stringify([task(1), { title: 'no id' }, task(2)]);
+        const { tasks, discarded } = salvageTasks(raw);
+
+        expect(tasks.map(t => t.id)).toEqual([1, 2]);
+        expect(discarded).toBe(1);
+    });
+
+    test('should recover complete objects from a truncated file', () => {
+        const full = JSON.stringify([task(1, { title: 'Has {braces} and "quotes"' }), task(2), task(3)], null, 2);
+        const truncated = full.slice(0, full.lastIndexOf('"title"'));
+
+        const { tasks } = salvageTasks(truncated);
+        expect(tasks.map(t => t.id)).toEqual([1, 2]);
+        expect(tasks[0].title).toBe('Has {braces} and "quotes"');
+    });
+});
+
+describe('Corrupted task data recovery', () => {
+    let baseDir;
+    let storage;
+    let tasksPath;
+
+    const createManager = () => {
+        const taskManager = new TaskManager({ baseTasksDir: baseDir, storage });
+        taskManager.saveDelay = 0;
+        return taskManager;
+    };
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('recovery');
+        storage = new JsonFileAdapter({ baseDir });
+        tasksPath = storage.getTasksPath(projectId);
+        await fs.mkdir(path.dirname(tasksPath), { recursive: true });
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should report unparseable files as corruption', async () => {
+        await fs.writeFile(tasksPath, '[{"id": 1, "title": "Broken"');
+        await expect(storage.load(projectId)).rejects.toThrow(TaskDataCorruptionError);
+    });
+
+    test('should report files that are not task lists as corruption', async () => {
+        await fs.writeFile(tasksPath, JSON.stringify({ tasks: [] }));
+        await expect(storage.load(projectId)).rejects.toThrow('expected an array of tasks');
+    });
+
+    test('should quarantine the file and restore the last good backup', async () => {
+        await storage.upsert(projectId, [task(1), task(2)]);
+        await storage.upsert(projectId, [task(3)]);
+        await fs.writeFile(tasksPath, '[{"id": 1, "title": "Task 1"}, {"id": 2, "tit');
+
+        const taskManager = createManager();
+        const tasks = await taskManager.listTasks(projectId);
+
+        // The backup holds the state before the last write
+        expect(tasks.map(t => t.id)).toEqual([1, 2]);
+
+        const incident = taskManager.getRecoveryIncident(projectId);
+        expect(incident).toMatchObject({ restoredFrom: 'backup', restoredTaskCount: 2 });
+
+        const quarantined = await storage.listQuarantined(projectId);
+        expect(quarantined).toEqual([incident.quarantineFile]);
+        expect(await storage.readQuarantined(projectId, quarantined[0])).toContain('"tit');
+    });
+
+    test('should start empty but keep the damaged file when no backup exists', async () => {
+        await fs.writeFile(tasksPath, 'not json at all');
+
+        const taskManager = createManager();
+        await expect(taskManager.listTasks(projectId)).resolves.toEqual([]);
+        expect(taskManager.getRecoveryIncident(projectId)).toMatchObject({ restoredFrom: 'none' });
+        await expect(storage.listQuarantined(projectId)).resolves.toHaveLength(1);
+    });
+
+    test('should salvage tasks from quarantine with repairProject', async () => {
+        const damaged = JSON.stringify([task(1), task(2), task(3)], null, 2);
+        await fs.writeFile(tasksPath, damaged.slice(0, damaged.lastIndexOf('"status"')));
+
+        const taskManager = createManager();
+        await taskManager.init(projectId);
+
+        const preview = await taskManager.repairProject(projectId, { dryRun: true });
+        expect(preview.added).toEqual([1, 2]);
+        expect(await taskManager.listTasks(projectId)).toEqual([]);
+
+        const report = await taskManager.repairProject(projectId);
+        expect(report.added).toEqual([1, 2]);
+        expect((await taskManager.listTasks(projectId)).map(t => t.id)).toEqual([1, 2]);
+        expect(taskManager.getRecoveryIncident(projectId)).toBeNull();
+        expect((await storage.load(projectId)).map(t => t.id)).toEqual([1, 2]);
+    });
+
+    test('should reject unsafe quarantine file names', async () => {
+        await expect(storage.readQuarantined(projectId, '../tasks.json')).rejects.toThrow('Invalid quarantine file name');
+    });
+});
@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { JsonFileAdapter, SnapshotStore } from '../../mcp-server/src/storage/index.js';
+import { SnapshotNotFoundError } from '../../mcp-server/src/utils/errors.js';
+import { getProjectConfig } from '../../mcp-server/src/config/task-cleanup-config.js';
+import { createTasksDir, removeTasksDir, createTaskManager } from '../helpers.js';
+
+const projectId = 'snapshot-project';
+
+describe('Project snapshots', () => {
+    let baseDir;
+    let taskManager;
+
+    const createTasks = async (count) => {
+        for (let i = 1; i <= count; i++) {
+            await taskManager.createTask({ title: `Task ${i}`, description: `Description ${i}` }, projectId);
+        }
+    };
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('snapshots');
+        taskManager = createTaskManager(baseDir);
+    });
+
+    afterEach(async () => {
+        taskManager.stopSnapshotSchedule();
+        await removeTasksDir(baseDir);
+    });
+
+    test('should snapshot a project before a bulk delete', async () => {
+        await createTasks(3);
+        await taskManager.deleteTasks({ ids: [1, 2] }, projectId);
+
+        const [snapshot] = await taskManager.listSnapshots(projectId);
+
+        expect(snapshot).toMatchObject({ reason: 'delete_tasks', taskCount: 3 });
+        const { tasks } = await taskManager.snapshots.read(projectId, snapshot.id);
+        expect(tasks.map(task => task.title)).toEqual(['Task 1', 'Task 2', 'Task 3']);
+    });
+
+    test('should take one snapshot for a cleanup run that renumbers tasks', async () => {
+        await createTasks(3);
+        await taskManager.deleteTask(1, projectId);
+        await taskManager.updateTask(2, { assignedTo: 'windsurf' }, projectId);
+
+        const config = getProjectConfig(projectId);
+        taskManager.taskCleanupService._config = {
+            ...config,
+            operations: { ...config.operations, reorganizeTaskIds: { ...config.operations.reorganizeTaskIds, enabled: true } }
+        };
+        await taskManager.taskCleanupService.performCleanup(projectId);
+
+        expect((await taskManager.listTasks(projectId)).map(task => task.id)).toEqual([1, 2]);
+        const snapshots = await taskManager.listSnapshots(projectId);
+        expect(snapshots.map(snapshot => [snapshot.reason, snapshot.taskCount])).toEqual([['cleanup', 2]]);
+    });
+
+    test('should diff a snapshot against the current tasks', async () => {
+        await createTasks(2);
+        const snapshot = await taskManager.createSnapshot(projectId);
+
+        await taskManager.updateTask(1, { priority: 'high' }, projectId);
+        await taskManager.deleteTask(2, projectId);
+        await taskManager.createTask({ title: 'Task 3', description: 'After the snapshot' }, projectId);
+
+        const diff = await taskManager.diffSnapshot(projectId, snapshot.id);
+
+        expect(diff.removed.map(task => task.id)).toEqual([2]);
+        expect(diff.added.map(task => task.id)).toEqual([3]);
+        expect(diff.changed).toEqual([{ id: 1, title: 'Task 1', changes: { priority: { from: 'medium', to: 'high' } } }]);
+    });
+
+    test('should restore a snapshot, keep a copy of the replaced tasks and allow undo', async () => {
+        await createTasks(2);
+        const snapshot = await taskManager.createSnapshot(projectId);
+        await taskManager.deleteTask(1, projectId);
+        await taskManager.createTask({ title: 'Task 3', description: 'After the snapshot' }, projectId);
+
+        const result = await taskManager.restoreSnapshot(projectId, snapshot.id);
+
+        expect(result.taskCount).toBe(2);
+        expect(result.backup.reason).toBe('restore');
+        expect((await taskManager.listTasks(projectId)).map(task => task.id)).toEqual([1, 2]);
+        const stored = await new JsonFileAdapter({ baseDir }).load(projectId);
+        expect(stored.map(task => task.id)).toEqual([1, 2]);
+
+        // IDs handed out after the snapshot are not reused
+        const created = await taskManager.createTask({ title: 'Task 4', description: 'After the restore' }, projectId);
+        expect(created.id).toBe(4);
+
+        await taskManager.undoLastChange(projectId);
+        await taskManager.undoLastChange(projectId);
+        expect((await taskManager.listTasks(projectId)).map(task => task.id)).toEqual([2, 3]);
+    });
+
+    test('should report unknown snapshots', async () => {
+        await createTasks(1);
+
+        await expect(taskManager.restoreSnapshot(projectId, '../tasks')).rejects.toBeInstanceOf(SnapshotNotFoundError);
+        await expect(taskManager.diffSnapshot(projectId, '2025-01-01T00-00-00-000Z-manual'))
+            .rejects.toBeInstanceOf(SnapshotNotFoundError);
+    });
+
+    test('should snapshot only projects that changed on a schedule', async () => {
+        await createTasks(1);
+
+        expect(await taskManager.runScheduledSnapshots()).toHaveLength(1);
+        expect(await taskManager.runScheduledSnapshots()).toHaveLength(0);
+
+        await taskManager.updateTask(1, { priority: 'low' }, projectId);
+        expect(await taskManager.runScheduledSnapshots()).toHaveLength(1);
+    });
+});
+
+describe('SnapshotStore', () => {
+    let baseDir;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('snapshot-store');
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should prune snapshots by count and age, oldest first', async () => {
+        const store = new SnapshotStore({ baseDir });
+        const dir = store.getSnapshotDir(projectId);
+        await fs.mkdir(dir, { recursive: true });
+        const ids = [
+            '2020-01-01T00-00-00-000Z-scheduled',
+            `${new Date(Date.now() - 2000).toISOString().replace(/[:.]/g, '-')}-scheduled`,
+            `${new Date(Date.now() - 1000).toISOString().replace(/[:.]/g, '-')}-cleanup`,
+            `${new Date().toISOString().replace(/[:.]/g, '-')}-manual`
+        ];
+        for (const id of ids) {
+            await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ schemaVersion: 2, tasks: [] }));
+        }
+
+        expect(await store.prune(projectId, { maxAgeDays: 30 })).toEqual([ids[0]]);
+        expect(await store.prune(projectId, { maxCount: 2 })).toEqual([ids[1]]);
+        expect((await store.list(projectId)).map(snapshot => snapshot.id)).toEqual([ids[3], ids[2]]);
+    });
+});
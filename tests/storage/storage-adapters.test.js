@@ -0,0 +1,168 @@
+import path from 'path';
+import { JsonFileAdapter, SqliteAdapter, createStorageAdapter } from '../../mcp-server/src/storage/index.js';
+import { TaskManager } from '../../mcp-server/src/core/task-manager.js';
+import { ConcurrentModificationError } from '../../mcp-server/src/utils/errors.js';
+import { createTasksDir, removeTasksDir } from '../helpers.js';
+
+const projectId = 'storage-project';
+
+const task = (id, fields = {}) => ({
+    id,
+    title: `Task ${id}`,
+    status: 'pending',
+    priority: 'medium',
+    progress: 0,
+    dependencies: [],
+    subtasks: [],
+    isSubtask: false,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-01T00:00:00.000Z',
+    ...fields
+});
+
+const adapters = {
+    json: (baseDir) => new JsonFileAdapter({ baseDir }),
+    sqlite: (baseDir) => new SqliteAdapter({ filename: path.join(baseDir, 'tasks.db') })
+};
+
+describe.each(Object.keys(adapters))('%s storage adapter', (name) => {
+    let baseDir;
+    let adapter;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('storage');
+        adapter = adapters[name](baseDir);
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+        await removeTasksDir(baseDir);
+    });
+
+    test('should return null for a project with no stored data', async () => {
+        await expect(adapter.load(projectId)).resolves.toBeNull();
+    });
+
+    test('should create an empty project from an empty transaction', async () => {
+        await adapter.transaction(projectId, async () => {});
+        await expect(adapter.load(projectId)).resolves.toEqual([]);
+        await expect(adapter.listProjects()).resolves.toEqual([projectId]);
+    });
+
+    test('should upsert, replace and delete tasks by ID', async () => {
+        await adapter.upsert(projectId, [task(2, { title: 'Second' }), task(1, { title: 'First' })]);
+        await adapter.upsert(projectId, [task(1, { title: 'First (edited)', status: 'completed', progress: 100 })]);
+        await adapter.delete(projectId, [2]);
+
+        await expect(adapter.load(projectId)).resolves.toEqual([
+            task(1, { title: 'First (edited)', status: 'completed', progress: 100 })
+        ]);
+    });
+
+    test('should store project metadata alongside tasks', async () => {
+        await expect(adapter.loadMeta(projectId)).resolves.toEqual({});
+
+        await adapter.transaction(projectId, async (tx) => {
+            tx.upsert([task(1)]);
+            tx.setMeta({ nextId: 5, keyPrefix: 'PROJ' });
+        });
+        await adapter.upsert(projectId, [task(2)]);
+
+        await expect(adapter.loadMeta(projectId)).resolves.toEqual({ nextId: 5, keyPrefix: 'PROJ' });
+    });
+
+    test('should increment the revision with every transaction', async () => {
+        await expect(adapter.getRevision(projectId)).resolves.toBe(0);
+
+        await adapter.upsert(projectId, [task(1)]);
+        await adapter.delete(projectId, [1]);
+
+        await expect(adapter.getRevision(projectId)).resolves.toBe(2);
+        await expect(adapter.transaction(projectId, async (tx) => tx.revision)).resolves.toBe(2);
+    });
+
+    test('should query tasks by indexed fields', async () => {
+        await adapter.upsert(projectId, [
+            task(1, { priority: 'high' }),
+            task(2, { status: 'completed', priority: 'high', progress: 100 }),
+            task(3, { priority: 'low', assignedTo: 'windsurf', isSubtask: true })
+        ]);
+
+        const pendingHigh = await adapter.query(projectId, { status: 'pending', priority: 'high' });
+        expect(pendingHigh.map(task => task.id)).toEqual([1]);
+
+        const subtasks = await adapter.query(projectId, { isSubtask: true });
+        expect(subtasks.map(task => task.id)).toEqual([3]);
+
+        const windsurf = await adapter.query(projectId, { assignedTo: 'windsurf' });
+        expect(windsurf.map(task => task.id)).toEqual([3]);
+    });
+
+    test('should apply nothing when a transaction fails', async () => {
+        await adapter.upsert(projectId, [task(1, { title: 'Keep me' })]);
+
+        await expect(adapter.transaction(projectId, async (tx) => {
+            tx.delete([1]);
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        await expect(adapter.load(projectId)).resolves.toEqual([task(1, { title: 'Keep me' })]);
+    });
+
+    test('should persist TaskManager changes through the adapter', async () => {
+        const taskManager = new TaskManager({ baseTasksDir: baseDir, storage: adapter });
+        taskManager.saveDelay = 0;
+
+        const first = await taskManager.createTask({ title: 'First', description: 'One' }, projectId);
+        await taskManager.createTask({ title: 'Second', description: 'Two' }, projectId);
+        await taskManager.updateTask(first.id, { status: 'in-progress' }, projectId);
+        await taskManager.deleteTask(2, projectId);
+
+        const stored = await adapter.load(projectId);
+        expect(stored).toHaveLength(1);
+        expect(stored[0]).toMatchObject({ id: first.id, title: 'First', status: 'in-progress' });
+    });
+});
+
+describe('SqliteAdapter with several connections', () => {
+    let baseDir;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('storage');
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should refuse to commit a transaction based on a stale revision', async () => {
+        const filename = path.join(baseDir, 'tasks.db');
+        const first = new SqliteAdapter({ filename });
+        const second = new SqliteAdapter({ filename });
+
+        await expect(first.transaction(projectId, async (tx) => {
+            tx.upsert([task(1, { title: 'From first' })]);
+            await second.upsert(projectId, [task(1, { title: 'From second' })]);
+        })).rejects.toBeInstanceOf(ConcurrentModificationError);
+
+        await expect(first.load(projectId)).resolves.toEqual([task(1, { title: 'From second' })]);
+        await first.close();
+        await second.close();
+    });
+});
+
+describe('createStorageAdapter', () => {
+    test('should create the JSON adapter by default', () => {
+        expect(createStorageAdapter('/tmp/tasks')).toBeInstanceOf(JsonFileAdapter);
+    });
+
+    test('should resolve the SQLite file against the tasks directory', () => {
+        const adapter = createStorageAdapter('/tmp/tasks', { adapter: 'sqlite', sqlite: { filename: 'tasks.db' } });
+        expect(adapter).toBeInstanceOf(SqliteAdapter);
+        expect(adapter.filename).toBe(path.resolve('/tmp/tasks', 'tasks.db'));
+    });
+
+    test('should reject unknown adapters', () => {
+        expect(() => createStorageAdapter('/tmp/tasks', { adapter: 'redis' })).toThrow('Unknown storage adapter');
+    });
+});
@@ -0,0 +1,109 @@
+import { withServerMode } from '../../mcp-server/src/tools/tool-wrappers.js';
+import { registerCreateTaskTool } from '../../mcp-server/src/tools/create-task.js';
+import { registerListTasksTool } from '../../mcp-server/src/tools/list-tasks.js';
+import { registerDeleteTasksTool } from '../../mcp-server/src/tools/delete-tasks.js';
+import { registerRenumberTasksTool } from '../../mcp-server/src/tools/renumber-tasks.js';
+import { createTasksDir, removeTasksDir, createTaskManager, createToolServer } from '../helpers.js';
+
+const projectId = 'mode-project';
+
+describe('Server modes', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('mode');
+        taskManager = createTaskManager(baseDir);
+        for (const title of ['Write spec', 'Build it', 'Ship it']) {
+            await taskManager.createTask({ title, description: `${title} for the release` }, projectId);
+        }
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    const safeServer = () => {
+        const server = createToolServer();
+        const modeServer = withServerMode(server, taskManager, { mode: 'safe', confirmationTtl: 60000 });
+        registerDeleteTasksTool(modeServer, taskManager);
+        registerRenumberTasksTool(modeServer, taskManager);
+        registerCreateTaskTool(modeServer, taskManager);
+        return server;
+    };
+
+    test('should register only read tools in read-only mode', () => {
+        const server = createToolServer();
+        const modeServer = withServerMode(server, taskManager, { mode: 'read-only', confirmationTtl: 60000 });
+        registerCreateTaskTool(modeServer, taskManager);
+        registerListTasksTool(modeServer, taskManager);
+        registerDeleteTasksTool(modeServer, taskManager);
+
+        expect([...server.tools.keys()]).toEqual(['list_tasks']);
+        expect(modeServer.skipped).toEqual(['create_task', 'delete_tasks']);
+    });
+
+    test('should preview destructive tools and apply them with the returned token', async () => {
+        const server = safeServer();
+
+        const preview = await server.call('delete_tasks', { projectId, ids: [1, 2] });
+        const { confirmationToken, preview: lines } = preview.structuredContent;
+
+        expect(preview.content[0].text).toContain('Preview only');
+        expect(lines).toEqual(['Delete 2 tasks:', '- #1: "Write spec"', '- #2: "Build it"']);
+        expect(await taskManager.listTasks(projectId)).toHaveLength(3);
+
+        const applied = await server.call('delete_tasks', { projectId, ids: [1, 2], confirmationToken });
+        expect(applied.structuredContent.deletedTaskIds).toEqual([1, 2]);
+        expect((await taskManager.listTasks(projectId)).map(task => task.id)).toEqual([3]);
+
+        const reused = await server.call('delete_tasks', { projectId, ids: [1, 2], confirmationToken });
+        expect(reused.isError).toBe(true);
+        expect(reused.content[0].text).toContain('already used');
+    });
+
+    test('should refuse tokens for other arguments or a changed project', async () => {
+        const server = safeServer();
+
+        const first = await server.call('delete_tasks', { projectId, ids: [1] });
+        const otherArgs = await server.call('delete_tasks', { projectId, ids: [2], confirmationToken: first.structuredContent.confirmationToken });
+        expect(otherArgs.content[0].text).toContain('arguments differ');
+
+        const second = await server.call('delete_tasks', { projectId, status: 'pending' });
+        await taskManager.updateTask(3, { status: 'in-progress' }, projectId);
+        const stale = await server.call('delete_tasks', { projectId, status: 'pending', confirmationToken: second.structuredContent.confirmationToken });
+        expect(stale.content[0].text).toContain('project has changed');
+        expect(await taskManager.listTasks(projectId)).toHaveLength(3);
+    });
+
+    test('should only accept tokens from the client that asked for the preview', async () => {
+        const server = safeServer();
+        const alice = { name: 'alice', scopes: ['admin'], projects: null };
+        const bob = { name: 'bob', scopes: ['admin'], projects: null };
+
+        const preview = await server.call('delete_tasks', { projectId, ids: [1] }, alice);
+        const args = { projectId, ids: [1], confirmationToken: preview.structuredContent.confirmationToken };
+
+        for (const client of [bob, undefined]) {
+            const stolen = await server.call('delete_tasks', args, client);
+            expect(stolen.isError).toBe(true);
+            expect(stolen.content[0].text).toContain('issued to another client');
+        }
+        expect(await taskManager.listTasks(projectId)).toHaveLength(3);
+
+        const applied = await server.call('delete_tasks', args, alice);
+        expect(applied.structuredContent.deletedTaskIds).toEqual([1]);
+    });
+
+    test('should leave dry runs and non-destructive tools unguarded', async () => {
+        const server = safeServer();
+        await taskManager.deleteTask(1, projectId);
+
+        const dryRun = await server.call('renumber_tasks', { projectId, dryRun: true });
+        expect(dryRun.structuredContent).toMatchObject({ dryRun: true, mapping: [{ from: 2, to: 1 }, { from: 3, to: 2 }] });
+
+        const created = await server.call('create_task', { title: 'Unguarded', description: 'Not destructive', projectId });
+        expect(created.structuredContent.task.id).toBe(4);
+        expect(server.tools.get('create_task').parameters.shape.confirmationToken).toBeUndefined();
+    });
+});
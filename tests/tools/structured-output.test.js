@@ -0,0 +1,133 @@
+import { FastMCP, FastMCPSession } from 'fastmcp';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { BRANDING } from '../../mcp-server/src/constants/branding.js';
+import { registerTaskTools } from '../../mcp-server/src/tools/index.js';
+import { publishOutputSchemas, withStructuredOutput } from '../../mcp-server/src/tools/tool-wrappers.js';
+import { recordRegistrations } from '../../mcp-server/src/transport/http-server.js';
+import { registerCreateTaskTool } from '../../mcp-server/src/tools/create-task.js';
+import { registerListTasksTool } from '../../mcp-server/src/tools/list-tasks.js';
+import { registerDeleteTaskTool } from '../../mcp-server/src/tools/delete-task.js';
+import { registerDisplayTaskStatusTool } from '../../mcp-server/src/tools/display-task-status.js';
+import { registerGetTaskHistoryTool } from '../../mcp-server/src/tools/get-task-history.js';
+import { createTasksDir, removeTasksDir, createTaskManager, createToolServer } from '../helpers.js';
+
+const projectId = 'structured-project';
+
+const lastJson = result => JSON.parse(result.content.at(-1).text);
+
+describe('Structured tool output', () => {
+    let baseDir;
+    let taskManager;
+
+    beforeEach(async () => {
+        baseDir = await createTasksDir('structured');
+        taskManager = createTaskManager(baseDir);
+    });
+
+    afterEach(async () => {
+        await removeTasksDir(baseDir);
+    });
+
+    test('should return content matching each output schema', async () => {
+        const server = createToolServer();
+        const structured = withStructuredOutput(server, { style: 'branded' });
+        registerCreateTaskTool(structured, taskManager);
+        registerListTasksTool(structured, taskManager);
+        registerDeleteTaskTool(structured, taskManager);
+        registerDisplayTaskStatusTool(structured, taskManager);
+        registerGetTaskHistoryTool(structured, taskManager);
+        const check = async (name, args) => {
+            const data = lastJson(await server.call(name, args));
+            expect(structured.outputSchemas.get(name).safeParse(data).error).toBeUndefined();
+            return data;
+        };
+
+        const created = await check('create_task', { title: 'Parent task', description: 'Has a subtask', projectId });
+        await taskManager.addSubtask({ title: 'Child task', description: 'Deleted with its parent' }, created.task.id, projectId);
+
+        expect(created.task).toMatchObject({ id: 1, title: 'Parent task', status: 'pending' });
+        expect((await check('list_tasks', { projectId })).tasks.map(task => task.id)).toEqual([1, 2]);
+        expect(await check('list_tasks', { projectId, limit: 1, fields: ['title'] })).toMatchObject({
+            count: 1,
+            total: 2,
+            tasks: [{ id: 1, title: 'Parent task' }]
+        });
+        expect((await check('display_task_status', { projectId })).projects[0]).toMatchObject({ projectId, totalTasks: 2 });
+        expect(await check('delete_task', { id: 1, projectId })).toMatchObject({ deletedTaskIds: [1, 2] });
+        expect((await check('get_task_history', { projectId, taskId: 1 })).entries[0].change).toBe('deleted');
+        expect(await check('list_tasks', { projectId, status: 'pending' })).toMatchObject({ count: 0, tasks: [] });
+    });
+
+    test('should drop branding from the text when asked', async () => {
+        const server = createToolServer();
+        registerCreateTaskTool(withStructuredOutput(server, { style: 'branded' }), taskManager);
+
+        const branded = await server.call('create_task', { title: 'Branded', description: 'Default style', projectId });
+        const plain = await server.call('create_task', { title: 'Plain', description: 'Plain style', projectId, plain: true });
+
+        expect(branded.content[0].text).toContain(BRANDING.TRADEMARK_NOTICE);
+        expect(plain.content[0].text).toMatch(/^Task created successfully\n\nTask ID: 2 for project/);
+        expect(plain.content[0].text).not.toContain(BRANDING.TRADEMARK_NOTICE);
+        expect(lastJson(plain).task.title).toBe('Plain');
+    });
+
+    test('should use the plain style configured for the server', async () => {
+        const server = createToolServer();
+        registerCreateTaskTool(withStructuredOutput(server, { style: 'plain' }), taskManager);
+
+        const result = await server.call('create_task', { title: 'Configured', description: 'Plain by default', projectId });
+
+        expect(result.content[0].text).not.toMatch(/✅|™/);
+    });
+
+    test('should flag errors and leave out structured content', async () => {
+        const server = createToolServer();
+        registerDeleteTaskTool(withStructuredOutput(server, { style: 'branded' }), taskManager);
+
+        const result = await server.call('delete_task', { id: 42, projectId });
+
+        expect(result.isError).toBe(true);
+        expect(result.content).toHaveLength(1);
+    });
+
+    test('should list output schemas and return structuredContent on each session', async () => {
+        const server = new FastMCP({ name: 'test', version: '1.0.0' });
+        const registrations = recordRegistrations(server);
+        const serveTools = publishOutputSchemas(registrations.tools, registerTaskTools(server, taskManager));
+        const connect = async clientAuth => {
+            const session = new FastMCPSession({ name: 'test', version: '1.0.0', ...registrations });
+            serveTools(session, clientAuth);
+            const client = new Client({ name: 'test-client', version: '1.0.0' });
+            const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+            await Promise.all([session.connect(serverTransport), client.connect(clientTransport)]);
+            return client;
+        };
+
+        const client = await connect();
+        const { tools } = await client.listTools();
+        const result = await client.callTool({
+            name: 'create_task',
+            arguments: { title: 'Over MCP', description: 'Lifted', projectId }
+        });
+
+        const createTask = tools.find(tool => tool.name === 'create_task');
+        expect(createTask.outputSchema).toMatchObject({ type: 'object', required: ['projectId', 'task', 'suggestions'] });
+        expect(createTask.inputSchema.required).toEqual(['title', 'description', 'projectId']);
+        expect(tools.find(tool => tool.name === 'get_help').outputSchema).toBeUndefined();
+        expect(result.structuredContent.task.title).toBe('Over MCP');
+        expect(result.structuredContent).toEqual(lastJson(result));
+        await expect(client.callTool({ name: 'create_task', arguments: { projectId } })).rejects.toThrow('Invalid create_task parameters');
+
+        // Tools are called with the session's client, whose permissions apply
+        const reader = await connect({ name: 'reader', scopes: ['read'], projects: null });
+        const denied = await reader.callTool({
+            name: 'create_task',
+            arguments: { title: 'Not allowed', description: 'Read-only token', projectId }
+        });
+        expect(denied.isError).toBe(true);
+        expect(denied.content[0].text).toContain('Permission denied');
+
+        await Promise.all([client.close(), reader.close()]);
+    });
+});
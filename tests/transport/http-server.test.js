@@ -0,0 +1,231 @@
+import http from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { HttpTransportServer, recordRegistrations } from '../../mcp-server/src/transport/http-server.js';
+import { AuthenticationError } from '../../mcp-server/src/utils/errors.js';
+
+const initializeRequest = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: {
+        protocolVersion: '2025-03-26',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+    }
+};
+
+/**
+ * Create an MCP server session with one tool
+ */
+function createSession() {
+    const session = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    session.setRequestHandler(ListToolsRequestSchema, async () => ({
+        tools: [{ name: 'ping', inputSchema: { type: 'object' } }]
+    }));
+    return session;
+}
+
+/**
+ * Read the first JSON-RPC message of a JSON or SSE response
+ */
+async function readMessage(response) {
+    const text = await response.text();
+    if (response.headers.get('content-type')?.includes('text/event-stream')) {
+        const data = text.split('\n').find(line => line.startsWith('data: '));
+        return JSON.parse(data.slice('data: '.length));
+    }
+    return JSON.parse(text);
+}
+
+describe('HttpTransportServer', () => {
+    let server;
+    let baseUrl;
+    let created;
+    let connected;
+    let disconnected;
+
+    const post = (body, headers = {}) => fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream',
+            ...headers
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    beforeEach(async () => {
+        created = [];
+        connected = [];
+        disconnected = [];
+        server = new HttpTransportServer({
+            host: '127.0.0.1',
+            port: 0,
+            endpoint: '/mcp',
+            healthPath: '/health',
+            shutdownTimeout: 1000,
+            maxBodySize: 4096,
+            createSession: () => {
+                const session = createSession();
+                created.push(session);
+                return session;
+            },
+            onConnect: session => connected.push(session),
+            onDisconnect: session => disconnected.push(session),
+            getHealth: () => ({ pendingSaves: 0 })
+        });
+        const { port } = await server.start();
+        baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    test('should report health and reject unknown paths', async () => {
+        const health = await fetch(`${baseUrl}/health`);
+        expect(health.status).toBe(200);
+        expect(await health.json()).toMatchObject({ status: 'ok', transport: 'http', sessions: 0, pendingSaves: 0 });
+
+        const missing = await fetch(`${baseUrl}/nothing`);
+        expect(missing.status).toBe(404);
+    });
+
+    test('should open a session per client and route requests by session ID', async () => {
+        const first = await post(initializeRequest);
+        const sessionId = first.headers.get('mcp-session-id');
+        expect(first.status).toBe(200);
+        expect(sessionId).toBeTruthy();
+        expect((await readMessage(first)).result.serverInfo.name).toBe('test');
+
+        await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': sessionId });
+        const list = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+            'mcp-session-id': sessionId,
+            'mcp-protocol-version': '2025-03-26'
+        });
+        expect((await readMessage(list)).result.tools.map(tool => tool.name)).toEqual(['ping']);
+
+        const second = await post(initializeRequest);
+        expect(second.headers.get('mcp-session-id')).not.toBe(sessionId);
+        await second.text();
+
+        expect(connected).toHaveLength(2);
+        expect((await (await fetch(`${baseUrl}/health`)).json()).sessions).toBe(2);
+    });
+
+    test('should reject requests without a known session and invalid JSON', async () => {
+        const noSession = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+        expect(noSession.status).toBe(400);
+
+        const unknown = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': 'missing' });
+        expect(unknown.status).toBe(404);
+
+        const invalid = await post('{not json');
+        expect(invalid.status).toBe(400);
+        expect((await invalid.json()).error.code).toBe(-32700);
+    });
+
+    test('should refuse request bodies over the size limit', async () => {
+        const padding = 'x'.repeat(5000);
+        const declared = await post({ ...initializeRequest, params: { ...initializeRequest.params, padding } });
+        expect(declared.status).toBe(413);
+        expect((await declared.json()).error.message).toBe('Request body exceeds 4096 bytes');
+
+        // Chunked bodies declare no length and are cut off while reading
+        const chunked = await new Promise((resolve, reject) => {
+            const req = http.request(`${baseUrl}/mcp`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' }
+            }, resolve);
+            req.on('error', reject);
+            for (let i = 0; i < 5; i++) req.write(padding);
+            req.end();
+        });
+        expect(chunked.statusCode).toBe(413);
+        chunked.resume();
+        expect(created).toHaveLength(0);
+    });
+
+    test('should close sessions whose initialize request fails', async () => {
+        const refused = await post(initializeRequest, { Accept: 'application/json' });
+        expect(refused.status).toBe(406);
+        await refused.text();
+
+        expect(created).toHaveLength(1);
+        expect(created[0].transport).toBeUndefined();
+        expect(connected).toHaveLength(0);
+        expect(server.sessions.size).toBe(0);
+    });
+
+    test('should close every session on shutdown and refuse new requests', async () => {
+        const response = await post(initializeRequest);
+        await response.text();
+        expect(server.sessions.size).toBe(1);
+
+        await server.close();
+
+        expect(server.sessions.size).toBe(0);
+        expect(disconnected).toEqual(connected);
+        await expect(fetch(`${baseUrl}/health`)).rejects.toThrow();
+    });
+
+    test('should authenticate clients and keep sessions with the client that opened them', async () => {
+        await server.close();
+        const alice = { name: 'alice' };
+        const bob = { name: 'bob' };
+        const sessionClients = [];
+        server = new HttpTransportServer({
+            host: '127.0.0.1',
+            port: 0,
+            endpoint: '/mcp',
+            healthPath: '/health',
+            shutdownTimeout: 1000,
+            authenticate: req => {
+                const token = req.headers.authorization;
+                if (token === 'Bearer alice') return alice;
+                if (token === 'Bearer bob') return bob;
+                throw new AuthenticationError('unknown token');
+            },
+            createSession: client => {
+                sessionClients.push(client);
+                return createSession();
+            }
+        });
+        const { port } = await server.start();
+        baseUrl = `http://127.0.0.1:${port}`;
+
+        const anonymous = await post(initializeRequest);
+        expect(anonymous.status).toBe(401);
+        expect(anonymous.headers.get('www-authenticate')).toBe('Bearer');
+
+        const opened = await post(initializeRequest, { Authorization: 'Bearer alice' });
+        const sessionId = opened.headers.get('mcp-session-id');
+        await opened.text();
+        expect(sessionClients).toEqual([alice]);
+
+        const hijack = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+            Authorization: 'Bearer bob',
+            'mcp-session-id': sessionId
+        });
+        expect(hijack.status).toBe(403);
+    });
+
+    test('should record registrations while passing them on to the server', () => {
+        const added = [];
+        const fastmcp = {
+            addTool: tool => added.push(tool),
+            addResource: () => {},
+            addResourceTemplate: () => {},
+            addPrompt: () => {}
+        };
+        const registrations = recordRegistrations(fastmcp);
+
+        fastmcp.addTool({ name: 'list_tasks' });
+        fastmcp.addPrompt({ name: 'daily_standup' });
+
+        expect(added).toEqual([{ name: 'list_tasks' }]);
+        expect(registrations.tools).toEqual([{ name: 'list_tasks' }]);
+        expect(registrations.prompts).toEqual([{ name: 'daily_standup' }]);
+    });
+});
@@ -74,3 +74,24 @@ describe('Debouncer', () => {
         expect(result).toBe('expected result');
     });
 });
+
+describe('Debouncer flush', () => {
+    test('should run a pending operation immediately and settle its promises', async () => {
+        const debouncer = new Debouncer();
+        const mockFn = jest.fn().mockResolvedValue('flushed');
+
+        const promise = debouncer.debounce('flush-key', mockFn, 60000);
+        expect(debouncer.isPending('flush-key')).toBe(true);
+
+        await debouncer.flush('flush-key');
+
+        expect(mockFn).toHaveBeenCalledTimes(1);
+        await expect(promise).resolves.toBe('flushed');
+        expect(debouncer.isPending('flush-key')).toBe(false);
+    });
+
+    test('should do nothing when no operation is pending', async () => {
+        const debouncer = new Debouncer();
+        await expect(debouncer.flush('missing')).resolves.toBeUndefined();
+    });
+});
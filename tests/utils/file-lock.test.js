@@ -0,0 +1,68 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { acquireLock, withFileLock } from '../../mcp-server/src/utils/file-lock.js';
+import { LockTimeoutError } from '../../mcp-server/src/utils/errors.js';
+
+describe('file locks', () => {
+    let dir;
+    let lockPath;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wtm-lock-'));
+        lockPath = path.join(dir, 'tasks.json.lock');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should run critical sections one at a time', async () => {
+        const order = [];
+        const section = name => withFileLock(lockPath, async () => {
+            order.push(`${name}:start`);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            order.push(`${name}:end`);
+        });
+
+        await Promise.all([section('a'), section('b')]);
+
+        expect(order).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+        await expect(fs.access(lockPath)).rejects.toThrow();
+    });
+
+    test('should release the lock when the work throws', async () => {
+        await expect(withFileLock(lockPath, async () => {
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        const release = await acquireLock(lockPath, { timeout: 100 });
+        await release();
+    });
+
+    test('should time out while another holder keeps the lock', async () => {
+        const release = await acquireLock(lockPath);
+
+        await expect(acquireLock(lockPath, { timeout: 50 })).rejects.toBeInstanceOf(LockTimeoutError);
+        await release();
+    });
+
+    test('should break a lock left by a process that is no longer running', async () => {
+        // PIDs are capped well below this value on every supported platform
+        await fs.writeFile(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname() }));
+
+        const release = await acquireLock(lockPath, { timeout: 100 });
+        const holder = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+        expect(holder.pid).toBe(process.pid);
+        await release();
+    });
+
+    test('should break a lock older than the stale timeout', async () => {
+        await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, hostname: 'other-host' }));
+        const past = new Date(Date.now() - 60000);
+        await fs.utimes(lockPath, past, past);
+
+        const release = await acquireLock(lockPath, { timeout: 100, staleAfter: 30000 });
+        await release();
+    });
+});